@@ -185,27 +185,39 @@ function getContractResponseCodesByOperation() {
  * (e.g. routes/__tests__/create.test.js asserts 201 — so '201' must be here too).
  */
 const requiredResponseCodes = {
-  'POST /api/create': ['201', '400', '401', '409', '413', '415'],
-  'POST /api/bulkCreate': ['201', '400', '401', '413', '415'],
+  'POST /api/create': ['201', '400', '401', '403', '409', '413', '415'],
+  'POST /api/bulkCreate': ['201', '400', '401', '403', '413', '415'],
   'DELETE /api/delete/{id}': ['204', '401', '403', '404'],
-  'PUT /api/overwrite': ['200', '400', '401', '403', '404', '409', '413', '415'],
-  'PUT /api/update': ['200', '400', '401', '403', '404', '413', '415'],
+  'PUT /api/overwrite': ['200', '400', '401', '403', '404', '409', '412', '413', '415'],
+  'PUT /api/update': ['200', '400', '401', '403', '404', '412', '413', '415'],
   // /bulkUpdate silently skips not-found/deleted items per controllers/bulk.js:157-158, so 403/404 are not promised.
-  'PUT /api/bulkUpdate': ['200', '400', '401', '413', '415'],
+  'PUT /api/bulkUpdate': ['200', '400', '401', '403', '413', '415'],
   // /patch, /set, /unset return 501 (not 404) when the object is not in RERUM — controllers/patchUpdate.js:41 and siblings.
-  'PATCH /api/patch': ['200', '400', '401', '403', '413', '415', '501'],
-  'PATCH /api/set': ['200', '400', '401', '403', '413', '415', '501'],
-  'PATCH /api/unset': ['200', '400', '401', '403', '413', '415', '501'],
+  'PATCH /api/patch': ['200', '400', '401', '403', '412', '413', '415', '501'],
+  'PATCH /api/set': ['200', '400', '401', '403', '412', '413', '415', '501'],
+  'PATCH /api/unset': ['200', '400', '401', '403', '412', '413', '415', '501'],
   // 409 is reachable via slug conflict (utils.createExpressError maps code 11000 → 409).
   'PATCH /api/release/{id}': ['200', '400', '401', '403', '404', '409'],
-  'GET /id/{id}': ['200', '404'],
-  'GET /since/{id}': ['200', '404'],
-  'GET /history/{id}': ['200', '404'],
+  'PUT /api/acl/{id}': ['200', '400', '401', '403', '404', '415'],
+  'POST /api/groups': ['201', '400', '401', '403', '415'],
+  'PUT /api/groups/{id}': ['200', '400', '401', '403', '404', '415'],
+  'POST /api/transfer': ['200', '400', '401', '403', '404', '415'],
+  'POST /api/subscriptions': ['201', '400', '401', '415'],
+  'DELETE /api/subscriptions/{id}': ['200', '401', '404'],
+  'POST /api/keys': ['201', '400', '401', '403', '415'],
+  'DELETE /api/keys/{id}': ['200', '401', '403', '404'],
+  'POST /api/denylist': ['200', '201', '400', '401', '403', '415'],
+  'DELETE /api/denylist/{id}': ['200', '401', '403', '404'],
+  'GET /id/{id}': ['200', '304', '400', '404'],
+  'GET /since/{id}': ['200', '304', '404'],
+  'GET /history/{id}': ['200', '304', '404'],
+  'GET /timemap/{id}': ['200', '404'],
+  'GET /activity/page': ['200', '400'],
   // HEAD parity tests in routes/__tests__/{id,since,history,query}.test.js assert 404 on miss;
   // enforce that the contract declares the same so drift on either side is caught.
-  'HEAD /id/{id}': ['200', '404'],
-  'HEAD /since/{id}': ['200', '404'],
-  'HEAD /history/{id}': ['200', '404'],
+  'HEAD /id/{id}': ['200', '304', '404'],
+  'HEAD /since/{id}': ['200', '304', '404'],
+  'HEAD /history/{id}': ['200', '304', '404'],
   'HEAD /api/query': ['200', '404'],
   'POST /api/query': ['200', '400', '413', '415'],
   'POST /api/search': ['200', '400', '413', '415'],
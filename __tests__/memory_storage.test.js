@@ -0,0 +1,148 @@
+import { describe, it, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { db, collection, newID, isValidID, connected, withTransaction } from '../database/memory.js'
+
+const rerum = (prime = "root") => ({ history: { prime, previous: "", next: [] }, isReleased: "" })
+
+describe('memory storage provider', () => {
+  beforeEach(async () => {
+    await db.deleteMany({})
+  })
+
+  it('makes ids like MongoDB and is always connected', async () => {
+    const id = newID()
+    assert.match(id, /^[0-9a-f]{24}$/)
+    assert.strictEqual(isValidID(id), true)
+    assert.strictEqual(await connected(), true)
+  })
+
+  it('stores copies and matches queries with dotted paths into arrays', async () => {
+    const doc = { _id: "a1", "@id": "http://x/a1", body: [{ value: "hello" }, { value: "world" }], __rerum: rerum() }
+    await db.insertOne(doc)
+    doc.body = []
+    const found = await db.findOne({ "body.value": "world" })
+    assert.strictEqual(found.body.length, 2)
+    found.body = []
+    assert.strictEqual((await db.findOne({ _id: "a1" })).body.length, 2)
+    await db.insertOne({ _id: "a2", count: 5, __rerum: rerum("http://x/a1") })
+    assert.strictEqual(await db.countDocuments({ "$or": [{ _id: "a1" }, { "__rerum.slug": "a1" }] }), 1)
+    assert.strictEqual(await db.countDocuments({ count: { "$gte": 5, "$lt": 6 } }), 1)
+    assert.strictEqual(await db.countDocuments({ "__rerum.history.prime": { "$ne": "root" } }), 1)
+    assert.strictEqual(await db.countDocuments({ "body": { "$size": 2 }, "__rerum.slug": { "$exists": false } }), 1)
+    assert.strictEqual(await db.countDocuments({ "body.value": { "$regex": "^WOR", "$options": "i" } }), 1)
+    assert.strictEqual(await db.countDocuments({ "_id": { "$in": ["a1", "a2", "a3"] } }), 2)
+    await assert.rejects(db.findOne({ "$where": "true" }), { code: 2 })
+  })
+
+  it('sorts, skips and limits a find cursor', async () => {
+    for (const n of [3, 1, 2]) await db.insertOne({ _id: `s${n}`, n })
+    const page = await db.find({ n: { "$gt": 0 } }).sort({ n: -1 }).skip(1).limit(1).toArray()
+    assert.deepStrictEqual(page, [{ _id: "s2", n: 2 }])
+  })
+
+  it('refuses duplicate ids with the MongoDB duplicate key error', async () => {
+    await db.insertOne({ _id: "dup" })
+    await assert.rejects(db.insertOne({ _id: "dup" }), { code: 11000, keyValue: { _id: "dup" } })
+  })
+
+  it('replaces documents, keeps their _id and reports what changed', async () => {
+    await db.insertOne({ _id: "r1", v: 1 })
+    assert.deepStrictEqual(
+      await db.replaceOne({ _id: "r1" }, { v: 1 }),
+      { acknowledged: true, matchedCount: 1, modifiedCount: 0, upsertedCount: 0, upsertedId: null })
+    const result = await db.replaceOne({ _id: "r1" }, { _id: "r1", v: 2 })
+    assert.strictEqual(result.modifiedCount, 1)
+    assert.deepStrictEqual(await db.findOne({ _id: "r1" }), { _id: "r1", v: 2 })
+    assert.strictEqual((await db.replaceOne({ _id: "none" }, { v: 3 })).matchedCount, 0)
+    await assert.rejects(db.replaceOne({ _id: "r1" }, { _id: "r2" }), { code: 66 })
+  })
+
+  it('undoes the writes of a transaction that throws', async () => {
+    await db.insertOne({ _id: "t1", v: 1 })
+    await assert.rejects(withTransaction(async (session) => {
+      await db.insertOne({ _id: "t2" }, { session })
+      await db.replaceOne({ _id: "t1" }, { v: 2 }, { session })
+      throw new Error("abort")
+    }), /abort/)
+    assert.strictEqual(await db.findOne({ _id: "t2" }), null)
+    assert.deepStrictEqual(await db.findOne({ _id: "t1" }), { _id: "t1", v: 1 })
+    const kept = await withTransaction(async (session) => db.insertOne({ _id: "t3" }, { session }))
+    assert.strictEqual(kept.insertedId, "t3")
+  })
+
+  it('keeps named collections apart from the objects and undoes their writes in transactions too', async () => {
+    const keys = collection("apiKeys")
+    assert.strictEqual(collection("apiKeys"), keys)
+    await keys.insertOne({ _id: "k1", agent: "http://x/agent" })
+    assert.strictEqual(await db.findOne({ _id: "k1" }), null)
+    assert.strictEqual((await keys.find({ agent: "http://x/agent" }).toArray()).length, 1)
+    await assert.rejects(withTransaction(async (session) => {
+      await db.insertOne({ _id: "k2" }, { session })
+      await keys.deleteOne({ _id: "k1" }, { session })
+      throw new Error("abort")
+    }), /abort/)
+    assert.strictEqual(await db.findOne({ _id: "k2" }), null)
+    assert.deepStrictEqual(await keys.findOne({ _id: "k1" }), { _id: "k1", agent: "http://x/agent" })
+    await keys.deleteMany({})
+  })
+
+  it('answers bulkWrite with the inserted ids the bulk controllers read', async () => {
+    await db.insertOne({ _id: "b0", v: 0 })
+    const result = await db.bulkWrite([
+      { insertOne: { document: { _id: "b1" } } },
+      { replaceOne: { filter: { _id: "b0" }, replacement: { v: 1 } } }
+    ], { ordered: false })
+    assert.deepStrictEqual(result.result.insertedIds, [{ index: 0, _id: "b1" }])
+    assert.deepStrictEqual(result.insertedIds, { 0: "b1" })
+    assert.strictEqual(result.modifiedCount, 1)
+    await assert.rejects(db.bulkWrite([{ insertOne: { document: { _id: "b1" } } }, { insertOne: { document: { _id: "b2" } } }], { ordered: false }),
+      { code: 11000 })
+    assert.notStrictEqual(await db.findOne({ _id: "b2" }), null)
+  })
+
+  it('runs the $lookup, $project and $unwind pipelines of the Gallery of Glosses', async () => {
+    await db.insertOne({ _id: "w1", "@id": "http://x/w1", "@type": "WitnessFragment" })
+    await db.insertOne({ _id: "n1", "@id": "http://x/n1", target: "http://x/w1", body: { identifier: { value: "x" } } })
+    const fragments = await db.aggregate([
+      { $match: { "body.identifier": { "$exists": true } } },
+      { $lookup: { from: "alpha", localField: "target", foreignField: "@id", as: "witnessFragment" } },
+      { $match: { "witnessFragment": { "$size": 1 } } },
+      { $project: { "_id": 0, "@id": "$witnessFragment.@id", "@type": "WitnessFragment" } },
+      { $unwind: { "path": "$@id" } }
+    ]).toArray()
+    assert.deepStrictEqual(fragments, [{ "@id": "http://x/w1", "@type": "WitnessFragment" }])
+  })
+
+  it('scores $search text, phrase and wildcard operators across the paths they name', async () => {
+    await db.insertOne({ _id: "q1", body: { value: "The illuminated manuscript" } })
+    await db.insertOne({ _id: "q2", resource: { chars: "An illuminated page" } })
+    await db.insertOne({ _id: "q3", body: { value: "Nothing here" } })
+    const search = (operator) => db.aggregate([
+      { $search: { index: "presi3AnnotationText", compound: { should: [operator] } } },
+      { $addFields: { "__rerum.score": { $meta: "searchScore" } } }
+    ]).toArray()
+    const text = await search({ text: { query: "illuminated manuscript", path: ["body.value", "resource.chars"] } })
+    assert.deepStrictEqual(text.map(d => d._id), ["q1", "q2"])
+    assert.ok(text[0].__rerum.score > text[1].__rerum.score)
+    assert.deepStrictEqual((await search({ phrase: { query: "illuminated page", path: "resource.chars" } })).map(d => d._id), ["q2"])
+    assert.deepStrictEqual((await search({ wildcard: { query: "manu*", path: "body.value", allowAnalyzedField: true } })).map(d => d._id), ["q1"])
+    assert.deepStrictEqual((await search({ text: { query: "ilumin", path: "body.value", fuzzy: { maxEdits: 2 } } })).map(d => d._id), [])
+    assert.deepStrictEqual((await search({ text: { query: "iluminated", path: "body.value", fuzzy: { maxEdits: 1 } } })).map(d => d._id), ["q1"])
+  })
+
+  it('pages $search results in relevance order after the searchSequenceToken of the last one', async () => {
+    await db.insertOne({ _id: "s1", body: { value: "red" } })
+    await db.insertOne({ _id: "s2", body: { value: "red green" } })
+    await db.insertOne({ _id: "s3", body: { value: "green" } })
+    const page = (searchAfter) => db.aggregate([
+      { $search: { text: { query: "red green", path: "body.value" }, ...(searchAfter ? { searchAfter } : {}) } },
+      { $addFields: { "__rerum.searchAfter": { $meta: "searchSequenceToken" } } },
+      { $limit: 2 }
+    ]).toArray()
+    const first = await page()
+    assert.deepStrictEqual(first.map(d => d._id), ["s2", "s1"])
+    const second = await page(first[1].__rerum.searchAfter)
+    assert.deepStrictEqual(second.map(d => d._id), ["s3"])
+  })
+})
@@ -9,7 +9,9 @@ import {
   parseDocumentID,
   _contextid,
   idNegotiation,
-  getPagination
+  getPagination,
+  getCursor,
+  encodeCursor
 } from '../controllers/utils.js'
 import { db, resetMocks } from '../database/index.js'
 
@@ -37,6 +39,14 @@ describe('utils.js auth gates', () => {
       false
     )
   })
+
+  it('hasRight grants the generator everything and other agents only what __rerum.acl lists', () => {
+    const shared = { __rerum: { generatedBy: 'alice', acl: { edit: ['bob'] } } }
+    assert.strictEqual(utils.hasRight(shared, 'alice', 'delete'), true)
+    assert.strictEqual(utils.hasRight(shared, 'bob', 'edit'), true)
+    assert.strictEqual(utils.hasRight(shared, 'bob', 'delete'), false)
+    assert.strictEqual(utils.hasRight(shared, 'carol', 'edit'), false)
+  })
 })
 
 describe('utils.js configureRerumOptions', () => {
@@ -49,6 +59,14 @@ describe('utils.js configureRerumOptions', () => {
     )
     assert.strictEqual(result.__rerum.generatedBy, 'https://store.rerum.io/v1/id/legitimate-agent')
   })
+
+  it('keeps the access control list for new versions by the generator but not for forks or user-supplied __rerum', () => {
+    const acl = { edit: ['https://store.rerum.io/v1/id/collaborator'] }
+    const original = { '@id': 'https://store.rerum.io/v1/id/1', __rerum: { generatedBy: 'agent', history: { prime: 'root', previous: '', next: [] }, acl } }
+    assert.deepStrictEqual(utils.configureRerumOptions('agent', original, true, false).__rerum.acl, acl)
+    assert.strictEqual(utils.configureRerumOptions('other agent', original, true, false).__rerum.acl, undefined)
+    assert.strictEqual(utils.configureRerumOptions('agent', original, false, false).__rerum.acl, undefined)
+  })
 })
 
 describe('controllers/utils.js generateSlugId', () => {
@@ -288,3 +306,17 @@ describe('controllers/utils.js getPagination', () => {
     assert.ok(result.limit < huge, `limit should be clamped below ${huge}`)
   })
 })
+
+describe('controllers/utils.js getCursor', () => {
+  it('tells apart no cursor, the first page and a page after an _id', () => {
+    assert.strictEqual(getCursor({}), undefined)
+    assert.strictEqual(getCursor({ cursor: '' }), null)
+    assert.strictEqual(getCursor({ cursor: encodeCursor('abc123') }), 'abc123')
+  })
+
+  it('rejects a cursor it did not make with a 400', () => {
+    for (const cursor of ['bogus', Buffer.from('{"before":"x"}').toString('base64url')]) {
+      assert.throws(() => getCursor({ cursor }), (err) => err.status === 400)
+    }
+  })
+})
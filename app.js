@@ -44,6 +44,12 @@ app.use(
       'Date',
       'Cache-Control',
       'Last-Modified',
+      'If-None-Match',
+      'If-Modified-Since',
+      'If-Match',
+      'On-Behalf-Of',
+      'Last-Event-ID',
+      'Accept-Datetime',
       'Link',
       'X-HTTP-Method-Override',
       'Origin',
@@ -56,7 +62,7 @@ app.use(
   })
 )
 app.use(logger('dev'))
-app.use(express.json({ type: ["application/json", "application/ld+json"], limit: "5mb" }))
+app.use(express.json({ type: ["application/json", "application/ld+json", "application/json-patch+json", "application/merge-patch+json"], limit: "5mb" }))
 app.use(express.text({ limit: "4kb" }))
 app.use(cookieParser())
 
@@ -0,0 +1,216 @@
+import { after, describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import express from 'express'
+import request from 'supertest'
+
+// The verifier for checkJwt is chosen when auth/index.js is imported, so the development issuer is turned on first.
+process.env.LOCAL_ISSUER = 'true'
+process.env.LOCAL_ISSUER_REDIRECTS = 'http://localhost:4000/callback, http://localhost:5000/'
+const { default: local } = await import('../local.js')
+const { default: clientRouter } = await import('../../routes/client.js')
+const { default: rest } = await import('../../rest.js')
+const { default: createRouter } = await import('../../routes/create.js')
+const { default: deleteRouter } = await import('../../routes/delete.js')
+const { default: subscriptionsRouter } = await import('../../routes/subscriptions.js')
+
+const agentClaim = process.env.RERUM_AGENT_CLAIM
+const agent = `${process.env.RERUM_ID_PREFIX}local-test-agent`
+
+function runMiddleware(middleware, token) {
+  const req = {
+    header(name) {
+      return name.toLowerCase() === 'authorization' && token ? `Bearer ${token}` : undefined
+    }
+  }
+  let received = 'not-called'
+  middleware(req, {}, (e) => { received = e })
+  return { req, received }
+}
+
+function clientApp() {
+  const app = express()
+  app.use(express.json())
+  app.use('/client', clientRouter)
+  app.use(rest.messenger)
+  return app
+}
+
+after(() => {
+  delete process.env.LOCAL_ISSUER
+  delete process.env.LOCAL_ISSUER_REDIRECTS
+})
+
+describe('development token issuer', () => {
+  it('publishes its RS256 signing key as a JSON Web Key Set', async () => {
+    const response = await request(clientApp()).get('/client/jwks.json')
+    assert.strictEqual(response.statusCode, 200)
+    const [key] = response.body.keys
+    assert.strictEqual(key.kty, 'RSA')
+    assert.strictEqual(key.alg, 'RS256')
+    assert.ok(key.kid)
+    assert.strictEqual(key.d, undefined, 'the private part of the key must not be published')
+  })
+
+  it('mints access tokens that carry the agent claim and pass checkJwt', () => {
+    const { access_token, token_type } = local.mintTokens(agent)
+    assert.strictEqual(token_type, 'Bearer')
+    const { req, received } = runMiddleware(local.checkLocalJwt, access_token)
+    assert.strictEqual(received, undefined)
+    assert.strictEqual(req.auth.payload[agentClaim], agent)
+    assert.strictEqual(req.auth.payload.iss, local.localIssuerURL())
+  })
+
+  it('rejects tampered, expired, unexpiring, foreign audience and non access tokens as invalid_token', () => {
+    const { access_token, refresh_token } = local.mintTokens(agent)
+    const [header, payload, signature] = access_token.split('.')
+    const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), [agentClaim]: 'someone-else' })).toString('base64url')
+    const badTokens = [
+      `${header}.${forged}.${signature}`,
+      local.signToken({ [agentClaim]: agent, exp: Math.floor(Date.now() / 1000) - 60 }, 0),
+      local.signToken({ [agentClaim]: agent, aud: 'https://elsewhere.example/api' }, 60),
+      local.signToken({ [agentClaim]: agent, exp: undefined }, 60),
+      `${Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url')}.${payload}.${signature}`,
+      refresh_token
+    ]
+    for (const token of badTokens) {
+      const { received } = runMiddleware(local.checkLocalJwt, token)
+      assert.strictEqual(received?.code, 'invalid_token')
+      assert.strictEqual(received.statusCode, 401)
+    }
+    const { received } = runMiddleware(local.checkLocalJwt)
+    assert.strictEqual(received.statusCode, 401)
+  })
+
+  it('verifies tokens with the keys from a JSON Web Key Set file and the configured issuer', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'rerum-jwks-')), 'jwks.json')
+    fs.writeFileSync(file, JSON.stringify(local.localJWKS()))
+    const issuer = process.env.ISSUER_BASE_URL
+    const { access_token } = local.mintTokens(agent)
+    try {
+      process.env.ISSUER_BASE_URL = 'https://someone.else.example/'
+      assert.strictEqual(runMiddleware(local.checkJwtWithJWKSFile(file), access_token).received?.code, 'invalid_token')
+      process.env.ISSUER_BASE_URL = local.localIssuerURL()
+      assert.strictEqual(runMiddleware(local.checkJwtWithJWKSFile(file), access_token).received, undefined)
+    }
+    finally {
+      process.env.ISSUER_BASE_URL = issuer
+      fs.rmSync(path.dirname(file), { recursive: true })
+    }
+  })
+
+  it('refuses to verify with a JSON Web Key Set file without an issuer and audience to check', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'rerum-jwks-')), 'jwks.json')
+    fs.writeFileSync(file, JSON.stringify(local.localJWKS()))
+    const { ISSUER_BASE_URL, AUDIENCE } = process.env
+    try {
+      delete process.env.AUDIENCE
+      assert.throws(() => local.checkJwtWithJWKSFile(file), /ISSUER_BASE_URL and AUDIENCE/)
+      process.env.AUDIENCE = AUDIENCE
+      delete process.env.ISSUER_BASE_URL
+      assert.throws(() => local.checkJwtWithJWKSFile(file), /ISSUER_BASE_URL and AUDIENCE/)
+    }
+    finally {
+      process.env.ISSUER_BASE_URL = ISSUER_BASE_URL
+      process.env.AUDIENCE = AUDIENCE
+      fs.rmSync(path.dirname(file), { recursive: true })
+    }
+  })
+
+  it('runs the /client register, authorize, token and verify flow without Auth0', async () => {
+    const app = clientApp()
+    const registration = new URL((await request(app).get('/client/register')).text)
+    assert.strictEqual(registration.origin + registration.pathname, `${local.localIssuerURL()}authorize`)
+
+    const authorized = await request(app).get('/client/authorize').query({
+      agent, redirect_uri: 'http://localhost:4000/callback', state: 'register'
+    })
+    assert.strictEqual(authorized.statusCode, 302)
+    const callback = new URL(authorized.headers.location)
+    assert.strictEqual(callback.searchParams.get('state'), 'register')
+
+    const tokens = await request(app).post('/client/request-new-refresh-token')
+      .send({ authorization_code: callback.searchParams.get('code') })
+    assert.strictEqual(tokens.statusCode, 200)
+    assert.ok(tokens.body.refresh_token)
+
+    const verified = await request(app).get('/client/verify').set('Authorization', `Bearer ${tokens.body.access_token}`)
+    assert.strictEqual(verified.statusCode, 200)
+    assert.match(verified.text, /local issuer/)
+
+    const renewed = await request(app).post('/client/request-new-access-token').send({ refresh_token: tokens.body.refresh_token })
+    assert.strictEqual(renewed.statusCode, 200)
+    assert.strictEqual(runMiddleware(local.checkLocalJwt, renewed.body.access_token).req.auth.payload[agentClaim], agent)
+
+    const refused = await request(app).post('/client/request-new-access-token').send({ refresh_token: tokens.body.access_token })
+    assert.strictEqual(refused.statusCode, 400)
+    const unverified = await request(app).get('/client/verify').set('Authorization', `Bearer ${tokens.body.refresh_token}`)
+    assert.strictEqual(unverified.statusCode, 401)
+  })
+
+  it('only sends authorization codes to RERUM_PREFIX and LOCAL_ISSUER_REDIRECTS', async () => {
+    const app = clientApp()
+    const home = await request(app).get('/client/authorize').query({ agent })
+    assert.strictEqual(home.statusCode, 302)
+    assert.ok(home.headers.location.startsWith(process.env.RERUM_PREFIX))
+
+    for (const redirect_uri of ['https://attacker.example/callback', 'http://localhost:4000.attacker.example/callback', 'http://localhost:4000/other', 'http://localhost:4000/callbacks', 'not a url']) {
+      const refused = await request(app).get('/client/authorize').query({ agent, redirect_uri })
+      assert.strictEqual(refused.statusCode, 400, redirect_uri)
+      assert.strictEqual(refused.headers.location, undefined)
+      assert.doesNotMatch(refused.text, /code=/)
+    }
+  })
+
+  it('does not serve /client/authorize without LOCAL_ISSUER=true', async () => {
+    process.env.LOCAL_ISSUER = 'false'
+    try {
+      const response = await request(clientApp()).get('/client/authorize').query({ agent })
+      assert.strictEqual(response.statusCode, 404)
+      assert.strictEqual(response.headers.location, undefined)
+
+      let passed = false
+      local.authorize({ query: { agent } }, {}, () => { passed = true })
+      assert.ok(passed, 'authorize mounted anywhere passes the request on')
+    } finally {
+      process.env.LOCAL_ISSUER = 'true'
+    }
+  })
+
+  it('keeps tokens with rerum: scopes to the routes for those scopes', async () => {
+    const app = express()
+    app.use(express.json())
+    app.use('/create', createRouter)
+    app.use('/delete', deleteRouter)
+    app.use(rest.messenger)
+    const { access_token } = local.mintTokens(agent, 'offline_access rerum:create')
+
+    const created = await request(app).post('/create').set('Authorization', `Bearer ${access_token}`).send({ label: 'crowdsourced' })
+    assert.strictEqual(created.statusCode, 201)
+
+    const deleted = await request(app).delete('/delete/testid123').set('Authorization', `Bearer ${access_token}`)
+    assert.strictEqual(deleted.statusCode, 403)
+    assert.match(deleted.headers['www-authenticate'], /scope="rerum:delete"/)
+  })
+
+  it('keeps tokens with only rerum:read from writing', async () => {
+    const app = express()
+    app.use(express.json())
+    app.use('/create', createRouter)
+    app.use('/subscriptions', subscriptionsRouter)
+    app.use(rest.messenger)
+    const { access_token } = local.mintTokens(agent, 'offline_access rerum:read')
+
+    const created = await request(app).post('/create').set('Authorization', `Bearer ${access_token}`).send({ label: 'read only' })
+    assert.strictEqual(created.statusCode, 403)
+    assert.match(created.headers['www-authenticate'], /scope="rerum:create"/)
+
+    const subscribed = await request(app).post('/subscriptions').set('Authorization', `Bearer ${access_token}`).send({ url: 'https://example.org/hook' })
+    assert.strictEqual(subscribed.statusCode, 403)
+    assert.match(subscribed.headers['www-authenticate'], /scope="rerum:create"/)
+    const stopped = await request(app).delete('/subscriptions/1234').set('Authorization', `Bearer ${access_token}`)
+    assert.strictEqual(stopped.statusCode, 403)
+  })
+})
@@ -4,7 +4,6 @@ import assert from 'node:assert/strict'
 import auth from '../../auth/index.js'
 
 const originalReadonly = process.env.READONLY
-const originalBotAgent = process.env.BOT_AGENT
 const originalAgentClaim = process.env.RERUM_AGENT_CLAIM
 
 // `process.env.X = undefined` writes the literal string "undefined" rather than
@@ -49,7 +48,6 @@ function makeBearer(payload, header = { alg: 'RS256', typ: 'JWT' }) {
 
 afterEach(() => {
   restoreEnv('READONLY', originalReadonly)
-  restoreEnv('BOT_AGENT', originalBotAgent)
   restoreEnv('RERUM_AGENT_CLAIM', originalAgentClaim)
   mock.restoreAll()
 })
@@ -82,39 +80,6 @@ describe('auth middleware helpers', () => {
     assert.strictEqual(response.body, undefined)
   })
 
-  it('isBot matches the configured bot claim', () => {
-    process.env.RERUM_AGENT_CLAIM = 'http://store.rerum.io/agent'
-    process.env.BOT_AGENT = 'https://store.rerum.io/v1/id/bot-agent'
-
-    const result = auth.isBot({
-      'http://store.rerum.io/agent': 'https://store.rerum.io/v1/id/bot-agent'
-    })
-
-    assert.strictEqual(result, true)
-  })
-
-  it('isBot returns false for a non-bot agent claim', () => {
-    process.env.RERUM_AGENT_CLAIM = 'http://store.rerum.io/agent'
-    process.env.BOT_AGENT = 'https://store.rerum.io/v1/id/bot-agent'
-
-    const result = auth.isBot({
-      'http://store.rerum.io/agent': 'https://store.rerum.io/v1/id/some-other-user'
-    })
-
-    assert.strictEqual(result, false)
-  })
-
-  // an unset BOT_AGENT made `undefined === undefined` true and bypassed auth
-  // for any invalid-token request whose payload was missing the agent claim.
-  it('isBot returns false when BOT_AGENT is unset', () => {
-    process.env.RERUM_AGENT_CLAIM = 'http://store.rerum.io/agent'
-    delete process.env.BOT_AGENT
-
-    assert.strictEqual(auth.isBot({}), false)
-    assert.strictEqual(auth.isBot({ unknownClaim: 'x' }), false)
-    assert.strictEqual(auth.isBot({ 'http://store.rerum.io/agent': 'anyone' }), false)
-  })
-
   it('isGenerator matches the generating agent claim', () => {
     process.env.RERUM_AGENT_CLAIM = 'http://store.rerum.io/agent'
 
@@ -127,43 +92,39 @@ describe('auth middleware helpers', () => {
   })
 })
 
-describe('_tokenError (checkJwt[2])', () => {
-  const _tokenError = auth.checkJwt[2]
-
-  it('forwards non-invalid_token errors unchanged', () => {
-    const err = Object.assign(new Error('something else broke'), { code: 'something_else' })
+describe('checkScope', () => {
+  const runCheck = (scope, user) => {
     let received = 'not-called'
-    _tokenError(err, makeRequest('Bearer a.b.c'), createResponse(), (e) => { received = e })
-    assert.strictEqual(received, err)
+    auth.checkScope(scope)({ user }, createResponse(), (e) => { received = e })
+    return received
+  }
+
+  it('lets tokens from before scopes use every route', () => {
+    assert.strictEqual(runCheck('rerum:delete', { scope: 'offline_access' }), undefined)
+    assert.strictEqual(runCheck('rerum:delete', {}), undefined)
   })
 
-  it('forwards invalid_token errors when the agent is not a bot', () => {
-    process.env.RERUM_AGENT_CLAIM = 'http://store.rerum.io/agent'
-    process.env.BOT_AGENT = 'https://store.rerum.io/v1/id/bot-agent'
-    const err = { code: 'invalid_token', message: 'signature verification failed' }
-    const req = makeRequest(makeBearer({
-      'http://store.rerum.io/agent': 'https://store.rerum.io/v1/id/regular-user'
-    }))
-    let received = 'not-called'
-    _tokenError(err, req, createResponse(), (e) => { received = e })
-    assert.strictEqual(received, err)
+  it('lets scoped tokens use only the routes for their scopes', () => {
+    const user = { scope: 'offline_access rerum:create', permissions: ['rerum:update'] }
+    assert.deepStrictEqual(auth.tokenScopes(user), ['rerum:create', 'rerum:update'])
+    assert.strictEqual(runCheck('rerum:create', user), undefined)
+    assert.strictEqual(runCheck('rerum:update', user), undefined)
+
+    const refused = runCheck('rerum:delete', user)
+    assert.strictEqual(refused.statusCode, 403)
+    assert.deepStrictEqual(refused.problem, { type: 'insufficient-scope', scope: 'rerum:delete' })
+    assert.match(refused.headers['WWW-Authenticate'], /error="insufficient_scope"/)
   })
 
-  it('bypasses invalid_token errors when the agent matches BOT_AGENT', () => {
-    process.env.RERUM_AGENT_CLAIM = 'http://store.rerum.io/agent'
-    process.env.BOT_AGENT = 'https://store.rerum.io/v1/id/bot-agent'
-    const err = { code: 'invalid_token', message: 'token expired' }
-    const req = makeRequest(makeBearer({
-      'http://store.rerum.io/agent': 'https://store.rerum.io/v1/id/bot-agent'
-    }))
-    let received = 'not-called'
-    _tokenError(err, req, createResponse(), (e) => { received = e })
-    assert.strictEqual(received, undefined, 'bot bypass should call next() with no arg')
+  it('lets read only tokens use none of the write routes', () => {
+    for (const scope of ['rerum:create', 'rerum:update', 'rerum:delete', 'rerum:release', 'rerum:overwrite']) {
+      assert.strictEqual(runCheck(scope, { scope: 'offline_access rerum:read' }).statusCode, 403)
+    }
   })
 })
 
-describe('_extractUser (checkJwt[3])', () => {
-  const _extractUser = auth.checkJwt[3]
+describe('_extractUser (checkJwt[2])', () => {
+  const _extractUser = auth.checkJwt[2]
 
   it('decodes the JWT payload into req.user', () => {
     const payload = {
@@ -0,0 +1,90 @@
+import { createHash, randomBytes, timingSafeEqual } from 'node:crypto'
+import { collection, newID } from '../database/index.js'
+
+/**
+ * API keys for service accounts, like bots that keep RERUM data up to date.
+ *
+ * A key is sent as "Authorization: ApiKey <key>" in place of a Bearer token.  It looks like <id>.<secret>.
+ * Only the SHA-256 hash of the secret is kept, in the apiKeys collection, so a key cannot be read back once it is made.
+ * Each key acts for one agent, may be limited to rerum: scopes like a token, may expire, and may be revoked.
+ * Admin agents make, list and revoke keys at /v1/api/keys.  See controllers/apikeys.js.
+ */
+
+const apiKeys = () => collection("apiKeys")
+const API_KEY_PATTERN = /^ApiKey\s+(\S+)$/i
+
+/**
+ * An error like the InvalidTokenError of express-oauth2-jwt-bearer, so that it is handled the same way.
+ */
+const invalidKey = (description) => {
+    const err = new Error(description)
+    err.code = "invalid_token"
+    err.status = 401
+    err.statusCode = 401
+    err.headers = { "WWW-Authenticate": `ApiKey realm="api", error="invalid_key", error_description="${description}"` }
+    return err
+}
+
+const hashSecret = (secret) => createHash("sha256").update(secret).digest("hex")
+
+/**
+ * Make a new key.  The key is only ever known to the caller.  Keep the id and hash.
+ * @returns {Object} { id, key, hash }
+ */
+const makeKey = () => {
+    const id = newID()
+    const secret = randomBytes(32).toString("base64url")
+    return { id, key: `${id}.${secret}`, hash: hashSecret(secret) }
+}
+
+/**
+ * A stored key as it is shown to admins.  The hash is never shown.
+ */
+const describeKey = (stored) => ({
+    id: stored._id,
+    name: stored.name,
+    agent: stored.agent,
+    scopes: stored.scopes,
+    createdBy: stored.createdBy,
+    createdAt: stored.createdAt,
+    expires: stored.expires,
+    revoked: stored.revoked
+})
+
+const isApiKeyRequest = (req) => API_KEY_PATTERN.test(req.header("authorization") ?? "")
+
+/**
+ * Use in place of a token verifier when the request has an ApiKey Authorization header.
+ * A good key sets req.user like a token would, with the agent claim and the scopes of the key, and req.apiKey.
+ */
+const checkApiKey = async (req, res, next) => {
+    const [, key] = (req.header("authorization") ?? "").match(API_KEY_PATTERN) ?? []
+    const [id, secret, ...extra] = key?.split(".") ?? []
+    if (!id || !secret || extra.length) return next(invalidKey("The API key is not a RERUM API key"))
+    let stored
+    try {
+        stored = await apiKeys().findOne({ "_id": id })
+    }
+    catch (err) {
+        return next(err)
+    }
+    const hash = Buffer.from(hashSecret(secret))
+    if (!stored || hash.length !== Buffer.byteLength(stored.hash) || !timingSafeEqual(hash, Buffer.from(stored.hash))) {
+        return next(invalidKey("The API key is not known"))
+    }
+    if (stored.revoked) return next(invalidKey("The API key was revoked"))
+    if (stored.expires && new Date(stored.expires) <= new Date()) return next(invalidKey("The API key has expired"))
+    req.apiKey = describeKey(stored)
+    // A key made before scopes were required may have none.  It may not write.
+    const scopes = stored.scopes?.length ? stored.scopes : ["rerum:read"]
+    req.user = { sub: stored.agent, [process.env.RERUM_AGENT_CLAIM]: stored.agent, scope: scopes.join(" ") }
+    next()
+}
+
+export default {
+    apiKeys,
+    makeKey,
+    describeKey,
+    isApiKeyRequest,
+    checkApiKey
+}
@@ -0,0 +1,81 @@
+import { collection } from '../database/index.js'
+import utils from '../utils.js'
+
+/**
+ * The denylist of revoked tokens and suspended agents, managed by admin agents at /v1/api/denylist.  See controllers/denylist.js.
+ *
+ * An entry names a token by its jti claim, or an agent by its URI.  checkJwt refuses a revoked token with a 401 like an invalid token.
+ * It refuses a suspended agent with a 403, whatever token or API key it uses, and records the refused request on the entry.
+ */
+
+const denylist = () => collection("denylist")
+// How many refused requests are kept on the entry of a suspended agent.  Older ones are dropped.
+const REFUSALS_KEPT = 100
+
+/**
+ * An entry as it is shown to admins.
+ */
+const describeEntry = (entry) => ({
+    id: entry._id,
+    ...(entry.token ? { token: entry.token } : { agent: entry.agent }),
+    reason: entry.reason,
+    createdBy: entry.createdBy,
+    createdAt: entry.createdAt,
+    ...(entry.agent ? { refusedCount: entry.refusedCount ?? 0, refused: entry.refused ?? [] } : {})
+})
+
+/**
+ * An error like the InvalidTokenError of express-oauth2-jwt-bearer, so that it is handled the same way.
+ */
+const revokedToken = () => {
+    const err = new Error("The token was revoked")
+    err.code = "invalid_token"
+    err.status = 401
+    err.statusCode = 401
+    err.headers = { "WWW-Authenticate": `Bearer realm="api", error="invalid_token", error_description="The token was revoked"` }
+    return err
+}
+
+/**
+ * Use after the user is known from the token or API key.
+ * Refuse the request when the token is revoked or the agent is suspended.  A refusal of a suspended agent is kept on its entry.
+ */
+const checkDenylist = async (req, res, next) => {
+    const agent = utils.agentOf(req.user)
+    const jti = req.user?.jti
+    const clauses = []
+    if (jti) clauses.push({ token: jti })
+    if (agent) clauses.push({ agent })
+    if (clauses.length === 0) return next()
+    let entries
+    try {
+        entries = await denylist().find({ "$or": clauses }).toArray()
+    }
+    catch (err) {
+        return next(err)
+    }
+    if (entries.some(entry => entry.token)) return next(revokedToken())
+    const suspension = entries.find(entry => entry.agent)
+    if (!suspension) return next()
+    suspension.refusedCount = (suspension.refusedCount ?? 0) + 1
+    suspension.refused = [...(suspension.refused ?? []), { time: new Date().toISOString(), method: req.method, path: req.originalUrl }].slice(-REFUSALS_KEPT)
+    try {
+        await denylist().replaceOne({ "_id": suspension._id }, suspension)
+    }
+    catch (err) {
+        return next(err)
+    }
+    console.log(`Refused ${req.method} ${req.originalUrl} from suspended agent ${agent}`)
+    const err = new Error(`The agent ${agent} is suspended from writing to RERUM.${suspension.reason ? `  ${suspension.reason}` : ""}`)
+    err.statusMessage = err.message
+    err.status = 403
+    err.statusCode = 403
+    err.problem = { type: "suspended", agent }
+    next(err)
+}
+
+export default {
+    denylist,
+    describeEntry,
+    checkDenylist
+}
@@ -1,28 +1,11 @@
 import { auth } from 'express-oauth2-jwt-bearer'
-
-const _tokenError = function (err, req, res, next) {
-    if(!err.code || err.code !== "invalid_token"){ 
-        next(err)
-        return
-    }
-    try{
-        let user = JSON.parse(Buffer.from(req.header("authorization").split(" ")[1].split('.')[1], 'base64').toString())
-        if(isBot(user)){
-            console.log("Request allowed via bot check")
-            next()
-            return
-        }
-    }
-    catch(e){
-        e.message = e.statusMessage = `This token did not contain a known RERUM agent.`
-        e.status = 401
-        e.statusCode = 401
-        return next(e)
-    }
-    next(err)
-}
+import local from './local.js'
+import apikeys from './apikeys.js'
+import denylist from './denylist.js'
 
 const _extractUser = (req, res, next) => {
+    // An API key already told us who the user is.
+    if (req.apiKey) return next()
     try{
         req.user = JSON.parse(Buffer.from(req.header("authorization").split(" ")[1].split('.')[1], 'base64').toString())
         next()
@@ -35,21 +18,58 @@ const _extractUser = (req, res, next) => {
     }
 }
 
+/**
+ * The token verifier, chosen by configuration.
+ *  - LOCAL_ISSUER=true   tokens from the development issuer.  See local.js.
+ *  - JWKS_FILE           tokens signed by a key in the JSON Web Key Set in that file.
+ *  - JWKS_URI            tokens signed by a key in the JSON Web Key Set at that URL.
+ *  - otherwise           tokens from Auth0 at ISSUER_BASE_URL.
+ * With a key set, tokens must be from ISSUER_BASE_URL and for AUDIENCE.  JWKS_FILE does not start without both.
+ */
+const tokenVerifier = () => {
+    if (local.isLocalIssuer()) return local.checkLocalJwt
+    if (process.env.JWKS_FILE) return local.checkJwtWithJWKSFile(process.env.JWKS_FILE)
+    if (process.env.JWKS_URI) {
+        return auth({
+            jwksUri: process.env.JWKS_URI,
+            issuer: process.env.ISSUER_BASE_URL,
+            audience: process.env.AUDIENCE,
+            tokenSigningAlg: "RS256"
+        })
+    }
+    return auth()
+}
+
+/**
+ * The Auth0 tenant that registers RERUM applications and gives them tokens.
+ */
+const auth0URL = (endpoint) => new URL(endpoint, process.env.AUTH0_BASE_URL ?? "https://cubap.auth0.com/").href
+
+/**
+ * Verify the credentials of a request.  That is an API key with "Authorization: ApiKey <key>", or a token from tokenVerifier().
+ */
+const credentialVerifier = () => {
+    const verifyToken = tokenVerifier()
+    return (req, res, next) => apikeys.isApiKeyRequest(req) ? apikeys.checkApiKey(req, res, next) : verifyToken(req, res, next)
+}
+
 /**
  * Use like: 
  * app.get('/api/private', checkJwt, function(req, res) {
  *   // do authorized things
  * });
  */
-const checkJwt = [READONLY, auth(), _tokenError, _extractUser]
+const checkJwt = [READONLY, credentialVerifier(), _extractUser, denylist.checkDenylist]
 
 /**
  * Public API proxy to generate new access tokens through Auth0
  * with a refresh token when original access has expired.
+ * The development issuer gives them instead when LOCAL_ISSUER=true.
  * @param {ExpressRequest} req from registered server application.
  * @param {ExpressResponse} res to return the new token.
  */
 const generateNewAccessToken = async (req, res, next) => {
+    if (local.isLocalIssuer()) return local.generateNewAccessToken(req, res)
     console.log("RERUM v1 is generating a proxy access token.")
     const form = {
         grant_type: 'refresh_token',
@@ -61,7 +81,7 @@ const generateNewAccessToken = async (req, res, next) => {
     try{
         // Successful responses from auth 0 look like {"refresh_token":"BLAHBLAH", "access_token":"BLAHBLAH"}
         // Error responses come back as successful, but they look like {"error":"blahblah", "error_description": "this is why"}
-        const tokenObj = await fetch('https://cubap.auth0.com/oauth/token',
+        const tokenObj = await fetch(auth0URL('oauth/token'),
         {
             method: 'POST',
             headers: {
@@ -91,10 +111,12 @@ const generateNewAccessToken = async (req, res, next) => {
 
 /**
  * Used by RERUM to renew the refresh token upon user request.
+ * The development issuer gives it instead when LOCAL_ISSUER=true.
  * @param {ExpressRequest} req from registered server application.
  * @param {ExpressResponse} res to return the new token.
  */
 const generateNewRefreshToken = async (req, res, next) => {
+    if (local.isLocalIssuer()) return local.generateNewRefreshToken(req, res)
     console.log("RERUM v1 is generating a new refresh token.")
     const form = {
         grant_type: 'authorization_code',
@@ -106,7 +128,7 @@ const generateNewRefreshToken = async (req, res, next) => {
     try {
         // Successful responses from auth 0 look like {"refresh_token":"BLAHBLAH", "access_token":"BLAHBLAH"}
         // Error responses come back as successful, but they look like {"error":"blahblah", "error_description": "this is why"}
-        const tokenObj = await fetch('https://cubap.auth0.com/oauth/token',
+        const tokenObj = await fetch(auth0URL('oauth/token'),
         {
             method: 'POST',
             headers: {
@@ -160,14 +182,66 @@ const isGenerator = (obj, userObj) => {
 }
 
 /**
- * Even expired tokens may be accepted if the Agent is a known bot. This is a 
- * dangerous thing to include, but may be a useful convenience.
+ * Admin agents may use the maintenance endpoints, like history tree repair.
+ * ADMIN_AGENTS is a comma separated list of agent URIs.
  * @param {Object} User object discerned from token
- * @returns Boolean for matching ID.
+ * @returns Boolean for a matching ID.
+ */
+const isAdmin = (userObj) => {
+    if (!process.env.ADMIN_AGENTS || !process.env.RERUM_AGENT_CLAIM) return false
+    const admins = process.env.ADMIN_AGENTS.split(",").map(agent => agent.trim()).filter(agent => agent)
+    return admins.includes(userObj?.[process.env.RERUM_AGENT_CLAIM])
+}
+
+/**
+ * Use after checkJwt so that req.user is known.
+ * app.post('/api/maintenance', checkJwt, checkAdmin, function(req, res) {
+ *   // do admin things
+ * });
  */
-const isBot = (userObj) => {
-    if (!process.env.BOT_AGENT || !process.env.RERUM_AGENT_CLAIM) return false
-    return process.env.BOT_AGENT === userObj[process.env.RERUM_AGENT_CLAIM]
+function checkAdmin(req, res, next) {
+    if (isAdmin(req.user)) return next()
+    const err = new Error(`Only a RERUM admin may do this.`)
+    err.statusMessage = err.message
+    err.status = 403
+    err.statusCode = 403
+    next(err)
+}
+
+/**
+ * The scopes that limit what a token may write.  Each write route asks for one of them, except rerum:read, which no write route asks for.
+ * A token with any rerum: scope may only use the write routes of the scopes it has, so a token with only rerum:read is read only.
+ * A token without any rerum: scope is from before scopes and may use every route.
+ */
+const rerumScopes = ["rerum:read", "rerum:create", "rerum:update", "rerum:delete", "rerum:release", "rerum:overwrite"]
+
+/**
+ * The rerum: scopes of a token.  They may be in the space separated scope claim or, with Auth0 RBAC, in the permissions claim.
+ * @param {Object} User object discerned from token
+ * @returns {Array<string>} The rerum: scopes.  Empty for a token from before scopes.
+ */
+const tokenScopes = (userObj) => {
+    const scopes = typeof userObj?.scope === "string" ? userObj.scope.split(" ") : []
+    if (Array.isArray(userObj?.permissions)) scopes.push(...userObj.permissions)
+    return scopes.filter(scope => scope.startsWith("rerum:"))
+}
+
+/**
+ * Use after checkJwt so that req.user is known.
+ * app.delete('/api/delete/:_id', checkJwt, checkScope("rerum:delete"), function(req, res) {
+ *   // do deleting things
+ * });
+ */
+const checkScope = (scope) => function (req, res, next) {
+    const scopes = tokenScopes(req.user)
+    if (scopes.length === 0 || scopes.includes(scope)) return next()
+    const err = new Error(`This token does not have the '${scope}' scope.  Its scopes are ${scopes.join(", ")}.`)
+    err.statusMessage = err.message
+    err.status = 403
+    err.statusCode = 403
+    err.headers = { "WWW-Authenticate": `Bearer error="insufficient_scope", scope="${scope}"` }
+    err.problem = { type: "insufficient-scope", scope }
+    next(err)
 }
 
 function READONLY(req, res, next) {
@@ -181,10 +255,15 @@ function READONLY(req, res, next) {
 
 export default {
     checkJwt,
+    auth0URL,
     generateNewAccessToken,
     generateNewRefreshToken,
     verifyAccess,
-    isBot,
+    isAdmin,
+    checkAdmin,
+    rerumScopes,
+    tokenScopes,
+    checkScope,
     isGenerator,
     READONLY
 }
@@ -0,0 +1,292 @@
+import { createHash, createPublicKey, createPrivateKey, generateKeyPairSync, randomUUID, sign, verify } from 'node:crypto'
+import fs from 'node:fs'
+
+/**
+ * Token verification without Auth0, and a development token issuer that stands in for Auth0.
+ *
+ * LOCAL_ISSUER=true turns on the development issuer.  It signs RS256 tokens with its own key and RERUM verifies them with that key.
+ * The key is read from the PEM file at LOCAL_ISSUER_KEY.  Without one a new key is made at start, and older tokens stop working.
+ * The issuer is RERUM itself at /client/.  Its public keys are at /client/jwks.json.
+ *
+ * The development issuer approves every authorization.  It is for local development and tests.  Never turn it on in production.
+ * It only sends authorization codes to addresses under RERUM_PREFIX or under those in LOCAL_ISSUER_REDIRECTS, a comma separated list.
+ */
+
+const ACCESS_TOKEN_SECONDS = 60 * 60 * 24
+const REFRESH_TOKEN_SECONDS = 60 * 60 * 24 * 365
+const AUTHORIZATION_CODE_SECONDS = 60 * 5
+// Allowance for clocks that disagree a little, in seconds.
+const CLOCK_TOLERANCE = 5
+
+const isLocalIssuer = () => process.env.LOCAL_ISSUER === "true"
+const localIssuerURL = () => new URL("/client/", process.env.RERUM_BASE ?? process.env.RERUM_PREFIX).href
+const audience = () => process.env.AUDIENCE ?? "http://rerum.io/api"
+
+/**
+ * An error like the InvalidTokenError of express-oauth2-jwt-bearer, so that it is handled the same way.
+ */
+const invalidToken = (description) => {
+    const err = new Error(description)
+    err.code = "invalid_token"
+    err.status = 401
+    err.statusCode = 401
+    err.headers = { "WWW-Authenticate": `Bearer realm="api", error="invalid_token", error_description="${description}"` }
+    return err
+}
+
+/**
+ * The RFC 7638 thumbprint of an RSA public JWK, used as its kid.
+ */
+const thumbprint = (jwk) => {
+    return createHash("sha256").update(JSON.stringify({ e: jwk.e, kty: jwk.kty, n: jwk.n })).digest("base64url")
+}
+
+let signingKey
+/**
+ * The key of the development issuer.  It is read or made the first time it is needed.
+ * @returns {Object} { privateKey, jwk } where jwk is the public key with its kid.
+ */
+const getSigningKey = () => {
+    if (signingKey) return signingKey
+    const privateKey = process.env.LOCAL_ISSUER_KEY
+        ? createPrivateKey(fs.readFileSync(process.env.LOCAL_ISSUER_KEY))
+        : generateKeyPairSync("rsa", { modulusLength: 2048 }).privateKey
+    const jwk = createPublicKey(privateKey).export({ format: "jwk" })
+    signingKey = { privateKey, jwk: { ...jwk, kid: thumbprint(jwk), alg: "RS256", use: "sig" } }
+    return signingKey
+}
+
+/**
+ * The public keys of the development issuer as a JSON Web Key Set.
+ */
+const localJWKS = () => {
+    return { keys: [getSigningKey().jwk] }
+}
+
+/**
+ * Read a JSON Web Key Set from a file, like one exported from an identity provider for offline use.
+ * @param {string} file The path to the file.
+ * @returns {Object} The key set.
+ * @throws Error if the file cannot be read or does not hold a key set.
+ */
+const readJWKS = (file) => {
+    const jwks = JSON.parse(fs.readFileSync(file, "utf8"))
+    if (!Array.isArray(jwks?.keys)) throw new Error(`${file} is not a JSON Web Key Set.  It needs a "keys" array.`)
+    return jwks
+}
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, "base64url").toString())
+
+/**
+ * Sign a payload as an RS256 JWT from the development issuer.
+ * iss, aud, iat, exp and a unique jti, so the token can be revoked, are set here.
+ * @param {Object} payload The claims.
+ * @param {number} seconds How long the token is good for.
+ * @returns {string} The compact JWT.
+ */
+const signToken = (payload, seconds) => {
+    const { privateKey, jwk } = getSigningKey()
+    const now = Math.floor(Date.now() / 1000)
+    const header = { alg: "RS256", typ: "JWT", kid: jwk.kid }
+    const claims = { iss: localIssuerURL(), aud: audience(), iat: now, exp: now + seconds, jti: randomUUID(), ...payload }
+    const input = `${Buffer.from(JSON.stringify(header)).toString("base64url")}.${Buffer.from(JSON.stringify(claims)).toString("base64url")}`
+    return `${input}.${sign("RSA-SHA256", Buffer.from(input), privateKey).toString("base64url")}`
+}
+
+/**
+ * Verify an RS256 JWT against a key set.
+ * @param {string} token The compact JWT.
+ * @param {Object} options { jwks, issuer, audience } where issuer and audience are checked when they are given.
+ * @returns {Object} { header, payload } of a good token.
+ * @throws An invalid_token error with status 401 if the token, its signature, its dates, its issuer or its audience is not good.
+ *   A token without an exp never expires, so it is not good either.
+ */
+const verifyToken = (token, { jwks, issuer, audience }) => {
+    const [encodedHeader, encodedPayload, signature, ...extra] = String(token).split(".")
+    if (!encodedHeader || !encodedPayload || !signature || extra.length) throw invalidToken("The token is not a JWT")
+    let header, payload
+    try {
+        header = decodeSegment(encodedHeader)
+        payload = decodeSegment(encodedPayload)
+    }
+    catch (err) {
+        throw invalidToken("The token is not a JWT")
+    }
+    if (header.alg !== "RS256") throw invalidToken(`The token is signed with ${header.alg}.  Only RS256 is accepted`)
+    const candidates = jwks.keys.filter(key => key.kty === "RSA" && (header.kid === undefined || key.kid === header.kid))
+    const signed = Buffer.from(`${encodedHeader}.${encodedPayload}`)
+    const good = candidates.some(jwk => {
+        try {
+            return verify("RSA-SHA256", signed, createPublicKey({ key: jwk, format: "jwk" }), Buffer.from(signature, "base64url"))
+        }
+        catch (err) {
+            return false
+        }
+    })
+    if (!good) throw invalidToken("signature verification failed")
+    const now = Math.floor(Date.now() / 1000)
+    if (typeof payload.exp !== "number") throw invalidToken(`missing required "exp" claim`)
+    if (payload.exp + CLOCK_TOLERANCE < now) throw invalidToken(`"exp" claim timestamp check failed`)
+    if (typeof payload.nbf === "number" && payload.nbf - CLOCK_TOLERANCE > now) throw invalidToken(`"nbf" claim timestamp check failed`)
+    if (issuer && payload.iss !== issuer) throw invalidToken(`unexpected "iss" claim value`)
+    if (audience && ![payload.aud].flat().includes(audience)) throw invalidToken(`unexpected "aud" claim value`)
+    return { header, payload }
+}
+
+/**
+ * Make middleware that verifies the Bearer token of a request against a key set, like auth() from express-oauth2-jwt-bearer.
+ * A good token is put on req.auth as { header, payload, token }.
+ * @param {function} getOptions Returns the { jwks, issuer, audience } to verify with.
+ */
+const verifyJwt = (getOptions) => {
+    return (req, res, next) => {
+        const [scheme, token] = (req.header("authorization") ?? "").split(" ")
+        if (scheme !== "Bearer" || !token) {
+            const err = new Error("Unauthorized")
+            err.status = 401
+            err.statusCode = 401
+            err.headers = { "WWW-Authenticate": `Bearer realm="api"` }
+            return next(err)
+        }
+        try {
+            const { header, payload } = verifyToken(token, getOptions())
+            // Refresh tokens and authorization codes from the development issuer are not access tokens.
+            if (payload.token_use && payload.token_use !== "access") throw invalidToken(`A ${payload.token_use} token is not an access token`)
+            req.auth = { header, payload, token }
+            next()
+        }
+        catch (err) {
+            next(err)
+        }
+    }
+}
+
+/**
+ * Verify tokens from the development issuer.
+ */
+const checkLocalJwt = verifyJwt(() => ({ jwks: localJWKS(), issuer: localIssuerURL(), audience: audience() }))
+
+/**
+ * Verify tokens with the keys in a JSON Web Key Set file.  The file is read once, now.
+ * The issuer is ISSUER_BASE_URL and the audience is AUDIENCE.  Both are required, so that a key that also signs
+ * tokens for other issuers or APIs does not let those tokens in.
+ * @param {string} file The path to the key set.
+ * @throws Error if the file is not a key set or ISSUER_BASE_URL or AUDIENCE is not set.
+ */
+const checkJwtWithJWKSFile = (file) => {
+    if (!process.env.ISSUER_BASE_URL || !process.env.AUDIENCE) {
+        throw new Error("JWKS_FILE needs ISSUER_BASE_URL and AUDIENCE so that only tokens from that issuer for this API are accepted.")
+    }
+    const jwks = readJWKS(file)
+    return verifyJwt(() => ({ jwks, issuer: process.env.ISSUER_BASE_URL, audience: process.env.AUDIENCE }))
+}
+
+/**
+ * The access and refresh tokens the development issuer gives an agent, shaped like the Auth0 token response.
+ * @param {string} agent The agent URI for the RERUM_AGENT_CLAIM.
+ * @param {string} scope The space separated scopes.
+ */
+const mintTokens = (agent, scope = "offline_access") => {
+    const claims = { sub: agent, [process.env.RERUM_AGENT_CLAIM]: agent, scope }
+    return {
+        access_token: signToken({ ...claims, token_use: "access" }, ACCESS_TOKEN_SECONDS),
+        refresh_token: signToken({ ...claims, token_use: "refresh" }, REFRESH_TOKEN_SECONDS),
+        scope,
+        expires_in: ACCESS_TOKEN_SECONDS,
+        token_type: "Bearer"
+    }
+}
+
+/**
+ * Check a refresh token or authorization code from the development issuer.
+ * @returns {Object} The payload, or null when it is not a good one of that use.
+ */
+const readGrant = (grant, use) => {
+    try {
+        const { payload } = verifyToken(grant, { jwks: localJWKS(), issuer: localIssuerURL(), audience: audience() })
+        return payload.token_use === use ? payload : null
+    }
+    catch (err) {
+        return null
+    }
+}
+
+/**
+ * Whether the development issuer may send an authorization code to this redirect_uri, like the allowed callback URLs of Auth0.
+ * It must be under RERUM_PREFIX or under one of the addresses in LOCAL_ISSUER_REDIRECTS.
+ * @param {URL} redirect The redirect_uri.
+ */
+const isAllowedRedirect = (redirect) => {
+    const allowed = [process.env.RERUM_PREFIX, ...(process.env.LOCAL_ISSUER_REDIRECTS ?? "").split(",")].map(a => a?.trim()).filter(a => a)
+    return allowed.some(address => {
+        if (!URL.canParse(address)) return false
+        const base = new URL(address)
+        const under = base.pathname.endsWith("/") ? base.pathname : `${base.pathname}/`
+        return redirect.origin === base.origin && (redirect.pathname === base.pathname || redirect.pathname.startsWith(under))
+    })
+}
+
+/**
+ * The development stand in for the Auth0 /authorize endpoint.  Every request is approved.
+ * Redirect to redirect_uri, or RERUM_PREFIX, with an authorization code and the state like Auth0 does.
+ * Respond with a 400 when the redirect_uri is not allowed, so codes are not sent to other sites.
+ * Without LOCAL_ISSUER=true there is no development issuer, so the request passes on, wherever this is mounted.
+ * The agent is the agent query parameter, or LOCAL_ISSUER_AGENT, or a local agent under RERUM_ID_PREFIX.
+ */
+const authorize = (req, res, next) => {
+    if (!isLocalIssuer()) return next()
+    const redirectURI = String(req.query.redirect_uri ?? process.env.RERUM_PREFIX)
+    const redirect = URL.canParse(redirectURI) ? new URL(redirectURI) : null
+    if (!redirect || !isAllowedRedirect(redirect)) {
+        res.status(400).send(`The local issuer does not send codes to '${redirectURI}'.  Use a redirect_uri under RERUM_PREFIX or LOCAL_ISSUER_REDIRECTS.`)
+        return
+    }
+    const agent = req.query.agent ?? process.env.LOCAL_ISSUER_AGENT ?? `${process.env.RERUM_ID_PREFIX}local-agent`
+    const code = signToken({ sub: agent, token_use: "code", scope: req.query.scope ?? "offline_access" }, AUTHORIZATION_CODE_SECONDS)
+    redirect.searchParams.set("code", code)
+    if (req.query.state) redirect.searchParams.set("state", req.query.state)
+    res.redirect(302, redirect.href)
+}
+
+/**
+ * The development stand in for exchanging an authorization code for tokens.
+ * Respond with the access and refresh tokens, or a 400 when the code is not good.
+ */
+const generateNewRefreshToken = (req, res) => {
+    const code = readGrant(req.body?.authorization_code, "code")
+    if (!code) {
+        res.status(400).send("The authorization code is not a good code from the local issuer.  Authorize again.")
+        return
+    }
+    res.status(200).send(mintTokens(code.sub, code.scope))
+}
+
+/**
+ * The development stand in for getting a new access token with a refresh token.
+ * Respond with the access token, or a 400 when the refresh token is not good.
+ */
+const generateNewAccessToken = (req, res) => {
+    const refresh = readGrant(req.body?.refresh_token, "refresh")
+    if (!refresh) {
+        res.status(400).send("The refresh token is not a good refresh token from the local issuer.")
+        return
+    }
+    const { access_token, scope, expires_in, token_type } = mintTokens(refresh.sub, refresh.scope)
+    res.status(200).send({ access_token, scope, expires_in, token_type })
+}
+
+export default {
+    isLocalIssuer,
+    localIssuerURL,
+    localJWKS,
+    readJWKS,
+    signToken,
+    verifyToken,
+    verifyJwt,
+    checkLocalJwt,
+    checkJwtWithJWKSFile,
+    mintTokens,
+    authorize,
+    generateNewRefreshToken,
+    generateNewAccessToken
+}
@@ -10,6 +10,7 @@ import '../env-loader.js'
  */
 
 import app from '../app.js'
+import webhooks from '../events/webhooks.js'
 import debug from 'debug'
 debug('rerum_server_nodejs:server')
 import http from "http"
@@ -21,6 +22,12 @@ import http from "http"
 const port = process.env.PORT ?? 3001
 app.set('port', port)
 
+/**
+ * Deliver changes to webhook subscriptions.
+ */
+
+webhooks.startWebhooks()
+
 /**
  * Create HTTP server.
  */
@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+
+/**
+ * Access control list controller for RERUM operations
+ * Handles reading and changing which agents, besides the generator, may edit, release or delete an object
+ */
+
+import { db, withTransaction } from '../database/index.js'
+import utils from '../utils.js'
+import events from '../events/index.js'
+import { getAgentClaim, getAgentGroups } from './utils.js'
+
+/**
+ * The access control list of an object with every right listed, as it is shown to clients.
+ */
+function describeACL(obj) {
+    return {
+        "@id": obj["@id"],
+        generatedBy: obj.__rerum?.generatedBy,
+        acl: Object.fromEntries(utils.aclRights.map(right => [right, obj.__rerum?.acl?.[right] ?? []]))
+    }
+}
+
+/**
+ * Check an access control list from a request body like { "edit": ["agent URI"], "delete": [] }.
+ * @return {Array<string>} Every problem found.  Empty when it is a good list.
+ */
+function aclProblems(body) {
+    if (body === null || typeof body !== "object" || Array.isArray(body)) {
+        return [`The access control list must be a JSON object like { "edit": ["agent URI"], "release": [], "delete": [] }.`]
+    }
+    const problems = []
+    for (const [right, agents] of Object.entries(body)) {
+        if (!utils.aclRights.includes(right)) {
+            problems.push(`'${right}' is not a right.  The rights are ${utils.aclRights.join(", ")}.`)
+        }
+        else if (!Array.isArray(agents) || agents.some(agent => typeof agent !== "string" || agent.trim() === "")) {
+            problems.push(`'${right}' must be an array of agent URIs.`)
+        }
+    }
+    return problems
+}
+
+/**
+ * Public facing servlet to read the access control list of an object.
+ * Support GET /v1/api/acl/:_id.  A deleted object shows the list it had, which decides who may restore it.
+ * Respond RESTfully.
+ */
+const acl = async function (req, res, next) {
+    res.set("Content-Type", "application/json; charset=utf-8")
+    const id = req.params["_id"]
+    let obj
+    try {
+        obj = await db.findOne({"$or":[{"_id": id}, {"__rerum.slug": id}]})
+    } catch (error) {
+        return next(utils.createExpressError(error))
+    }
+    if (null === obj) {
+        let err = {
+            message: `No RERUM object with id '${id}'`,
+            status: 404
+        }
+        return next(utils.createExpressError(err))
+    }
+    res.json(describeACL(utils.isDeleted(obj) ? obj.__deleted.object : obj))
+}
+
+/**
+ * Public facing servlet to replace the access control list of an object.
+ * Support PUT /v1/api/acl/:_id with a body like { "edit": ["agent URI"], "release": [], "delete": [] }.
+ * Rights left out of the body are granted to no one.  Only the generating agent, or a member of the generating group, may change the list.
+ * The list is kept in __rerum.acl of this version.  New versions made from it start with the same list.
+ * Respond RESTfully.
+ */
+const setACL = async function (req, res, next) {
+    res.set("Content-Type", "application/json; charset=utf-8")
+    let agentRequestingChange = getAgentClaim(req, next)
+    if (!agentRequestingChange) return
+    const id = req.params["_id"]
+    let err = { message: `` }
+    const problems = aclProblems(req.body)
+    if (problems.length) {
+        err = Object.assign(err, {
+            message: `The access control list was not changed. ${problems.join(" ")}`,
+            status: 400
+        })
+        return next(utils.createExpressError(err))
+    }
+    let originalObject
+    try {
+        originalObject = await db.findOne({"$or":[{"_id": id}, {"__rerum.slug": id}]})
+    } catch (error) {
+        return next(utils.createExpressError(error))
+    }
+    if (null === originalObject) {
+        err = Object.assign(err, {
+            message: `No object with this id could be found in RERUM.  Cannot change its access control list.`,
+            status: 404
+        })
+    }
+    else if (utils.isDeleted(originalObject)) {
+        err = Object.assign(err, {
+            message: `The object whose access control list you are trying to change is deleted.`,
+            status: 403,
+            problem: { type: "deleted" }
+        })
+    }
+    else if (!utils.isGenerator(originalObject, agentRequestingChange)
+        && !(await getAgentGroups(agentRequestingChange)).some(group => utils.isGenerator(originalObject, group))) {
+        err = Object.assign(err, {
+            message: `You are not the generating agent for this object.  Only the generating agent may change its access control list.`,
+            status: 401,
+            problem: { type: "not-generator" }
+        })
+    }
+    if (err.status) {
+        return next(utils.createExpressError(err))
+    }
+    originalObject.__rerum.acl = Object.fromEntries(utils.aclRights.map(right => [right, [...new Set(req.body[right] ?? [])]]))
+    try {
+        // The list and its entry in the change log are written together or not at all.
+        const logged = await withTransaction(async (session) => {
+            await db.replaceOne({ "_id": originalObject["_id"] }, originalObject, { session })
+            return events.logChanges([{ type: "acl", stored: originalObject, agent: agentRequestingChange }], session)
+        })
+        events.publish(logged)
+    } catch (error) {
+        return next(utils.createExpressError(error))
+    }
+    res.json(describeACL(originalObject))
+}
+
+export { acl, setACL }
@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+
+/**
+ * Activity controller for RERUM operations
+ * Handles the IIIF Change Discovery API 1.0 feed of the IIIF resources stored in RERUM
+ * @see https://iiif.io/api/discovery/1.0/
+ */
+
+import { db } from '../database/index.js'
+import utils from '../utils.js'
+
+const DISCOVERY_CONTEXT = "http://iiif.io/api/discovery/1/context.json"
+// How many activities are on a page.
+const PAGE_SIZE = 100
+
+// The whole type names of IIIF resources, bare as in IIIF Presentation 3 or with the prefix or namespace of IIIF Presentation 2.
+// They are matched exactly, so that the type indexes are used and AnnotationCollection or OrderedCollection is not taken for a Collection.
+const iiifTypeNames = utils.iiifTypes.flatMap(type => [type, `sc:${type}`, `http://iiif.io/api/presentation/2#${type}`])
+const isIIIF = { "$in": iiifTypeNames }
+
+/**
+ * Where the activities come from.  Each is found from a time RERUM keeps on the objects.
+ *  - Create  __rerum.createdAt of each IIIF object.
+ *  - Update  __rerum.isOverwritten of each IIIF object that was overwritten.
+ *  - Delete  __deleted.time of each deleted IIIF object.  A deleted object only has this activity.
+ * New versions made by update have their own URI, so they are Created.
+ * The rank orders activities that happened at the same time to the same object.
+ * Each source is read through the type and time indexes the MongoDB provider makes, so a page reads only the activities on it.
+ */
+const activitySources = [
+    {
+        type: "Create",
+        rank: 0,
+        time: "__rerum.createdAt",
+        filter: { "$or": [{ "@type": isIIIF }, { "type": isIIIF }], "__rerum.createdAt": { "$exists": true } },
+        object: (stored) => stored
+    },
+    {
+        type: "Update",
+        rank: 1,
+        time: "__rerum.isOverwritten",
+        filter: { "$or": [{ "@type": isIIIF }, { "type": isIIIF }], "__rerum.isOverwritten": { "$nin": ["", null] } },
+        object: (stored) => stored
+    },
+    {
+        type: "Delete",
+        rank: 2,
+        time: "__deleted.time",
+        filter: { "$or": [{ "__deleted.object.@type": isIIIF }, { "__deleted.object.type": isIIIF }] },
+        object: (stored) => stored.__deleted.object
+    }
+]
+
+const collectionId = () => `${process.env.RERUM_PREFIX}activity`
+const pageId = (params = {}) => {
+    const page = new URL(`${collectionId()}/page`)
+    for (const [key, value] of Object.entries(params)) page.searchParams.set(key, value)
+    return page.href
+}
+
+/**
+ * The position of an activity in the feed, as an opaque token for the after and before of a page.
+ */
+const encodeKey = ({ time, _id, rank }) => Buffer.from(JSON.stringify([time, _id, rank])).toString("base64url")
+
+/**
+ * Read a position token from the query string.
+ * @return {Object} { time, _id, rank }, or null when it is not a token RERUM made.
+ */
+function decodeKey(token) {
+    try {
+        const [time, _id, rank] = JSON.parse(Buffer.from(String(token), "base64url").toString("utf8"))
+        if (typeof time === "string" && typeof _id === "string" && Number.isInteger(rank)) return { time, _id, rank }
+    }
+    catch (err) { }
+    return null
+}
+
+/**
+ * The query for the activities of a source that come after (direction 1) or before (direction -1) a position.
+ * Activities are ordered by time, then by the _id of the object, then by rank.
+ */
+function sourceQuery(source, key, direction) {
+    if (!key) return source.filter
+    const beyond = direction > 0 ? "$gt" : "$lt"
+    const sameTime = [{ [source.time]: key.time, "_id": { [beyond]: key._id } }]
+    if (direction > 0 ? source.rank > key.rank : source.rank < key.rank) sameTime.push({ [source.time]: key.time, "_id": key._id })
+    return { "$and": [source.filter, { "$or": [{ [source.time]: { [beyond]: key.time } }, ...sameTime] }] }
+}
+
+/**
+ * The activities in order that come after (direction 1) or before (direction -1) a position, nearest first.
+ * Each source gives its nearest activities, and the nearest of all of those are kept.
+ */
+async function activitiesFrom(key, direction, limit) {
+    const found = await Promise.all(activitySources.map(async source => {
+        const stored = await db.find(sourceQuery(source, key, direction)).sort({ [source.time]: direction, "_id": direction }).limit(limit).toArray()
+        return stored.map(obj => ({ source, stored: obj, time: source.time.split(".").reduce((value, part) => value?.[part], obj), _id: obj._id, rank: source.rank }))
+    }))
+    const compare = (a, b) => (a.time < b.time ? -1 : a.time > b.time ? 1 : a._id < b._id ? -1 : a._id > b._id ? 1 : a.rank - b.rank) * direction
+    return found.flat().sort(compare).slice(0, limit)
+}
+
+/**
+ * An activity as it is shown in the feed.  RERUM keeps times without a time zone, in UTC.
+ */
+function describeActivity({ source, stored, time }) {
+    const object = source.object(stored)
+    const typestring = [object["@type"], object.type].flat().find(t => iiifTypeNames.includes(t))
+    return {
+        type: source.type,
+        object: {
+            id: object["@id"] ?? object.id ?? stored["@id"],
+            type: typestring.split(/[:#/]/).pop()
+        },
+        endTime: /(Z|[+-]\d\d:\d\d)$/.test(time) ? time : `${time}Z`
+    }
+}
+
+function setDiscoveryHeaders(res) {
+    res.set("Content-Type", `application/ld+json;charset=utf-8;profile="${DISCOVERY_CONTEXT}"`)
+    res.set("Cache-Control", "max-age=60")
+}
+
+/**
+ * Public facing servlet for the IIIF Change Discovery API OrderedCollection of the IIIF resources in RERUM.
+ * Support GET /v1/activity.
+ * Respond RESTfully.
+ */
+const activity = async function (req, res, next) {
+    let totalItems
+    try {
+        const counts = await Promise.all(activitySources.map(source => db.countDocuments(source.filter)))
+        totalItems = counts.reduce((sum, count) => sum + count, 0)
+    } catch (error) {
+        return next(utils.createExpressError(error))
+    }
+    setDiscoveryHeaders(res)
+    res.json({
+        "@context": DISCOVERY_CONTEXT,
+        id: collectionId(),
+        type: "OrderedCollection",
+        totalItems,
+        first: { id: pageId(), type: "OrderedCollectionPage" },
+        last: { id: pageId({ before: "now" }), type: "OrderedCollectionPage" }
+    })
+}
+
+/**
+ * Public facing servlet for a IIIF Change Discovery API OrderedCollectionPage of Create, Update and Delete activities, oldest first.
+ * Support GET /v1/activity/page for the first page, ?before=now for the last page,
+ * and ?after= or ?before= with the position tokens in the prev and next of other pages.
+ * Respond RESTfully.
+ */
+const activityPage = async function (req, res, next) {
+    const { after, before } = req.query
+    const direction = before === undefined ? 1 : -1
+    const token = direction > 0 ? after : before
+    const key = token === undefined || (direction < 0 && token === "now") ? null : decodeKey(token)
+    if ((after !== undefined && before !== undefined) || (token !== undefined && key === null && token !== "now") || (direction > 0 && token === "now")) {
+        let err = {
+            message: `Use ?after= or ?before= with the position from the prev or next of a page, or ?before=now for the last page.`,
+            status: 400
+        }
+        return next(utils.createExpressError(err))
+    }
+    let activities
+    try {
+        activities = await activitiesFrom(key, direction, PAGE_SIZE)
+    } catch (error) {
+        return next(utils.createExpressError(error))
+    }
+    if (direction < 0) activities.reverse()
+    const full = activities.length === PAGE_SIZE
+    const [earliest, latest] = [activities[0], activities[activities.length - 1]]
+    let page = {
+        "@context": DISCOVERY_CONTEXT,
+        id: direction > 0 ? pageId(after === undefined ? {} : { after }) : pageId({ before }),
+        type: "OrderedCollectionPage",
+        partOf: { id: collectionId(), type: "OrderedCollection" }
+    }
+    // The first page has no prev, and a page before everything is the first page.
+    const hasPrev = direction > 0 ? key !== null : full
+    if (hasPrev) page.prev = { id: earliest ? pageId({ before: encodeKey(earliest) }) : pageId({ before: "now" }), type: "OrderedCollectionPage" }
+    // The last page has no next, and a page after everything is the last page, for now.
+    const hasNext = direction > 0 ? full : key !== null
+    if (hasNext && latest) page.next = { id: pageId({ after: encodeKey(latest) }), type: "OrderedCollectionPage" }
+    else if (hasNext && key) page.next = { id: pageId({ after: encodeKey(key) }), type: "OrderedCollectionPage" }
+    page.orderedItems = activities.map(describeActivity)
+    setDiscoveryHeaders(res)
+    res.json(page)
+}
+
+export { activity, activityPage }
@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+
+/**
+ * API key controller for RERUM operations
+ * Handles the admin endpoints that make, list and revoke API keys for service accounts
+ */
+
+import utils from '../utils.js'
+import auth from '../auth/index.js'
+import apikeys from '../auth/apikeys.js'
+import { getAgentClaim, getPagination } from './utils.js'
+
+/**
+ * Check the body of a request for a new key like { "agent": "agent URI", "name": "nightly bot", "scopes": ["rerum:create"], "expires": "2027-01-01" }.
+ * @return {Array<string>} Every problem found.  Empty when it is a good request.
+ */
+function apiKeyProblems(body) {
+    if (body === null || typeof body !== "object" || Array.isArray(body)) {
+        return [`The API key must be described by a JSON object like { "agent": "agent URI", "scopes": ["rerum:create"] }.`]
+    }
+    const problems = []
+    if (typeof body.agent !== "string" || body.agent.trim() === "") {
+        problems.push(`'agent' must be the URI of the agent the key acts for.`)
+    }
+    if (body.name !== undefined && typeof body.name !== "string") {
+        problems.push(`'name' must be a string.`)
+    }
+    if (!Array.isArray(body.scopes) || body.scopes.length === 0 || body.scopes.some(scope => !auth.rerumScopes.includes(scope))) {
+        problems.push(`'scopes' must be an array of at least one of the scopes ${auth.rerumScopes.join(", ")}.  Use ["rerum:read"] for a key that may not write.`)
+    }
+    if (body.expires !== undefined && (typeof body.expires !== "string" || isNaN(new Date(body.expires)))) {
+        problems.push(`'expires' must be an ISO date like 2027-01-31 or date and time like 2027-01-31T12:00:00Z.`)
+    }
+    else if (body.expires !== undefined && new Date(body.expires) <= new Date()) {
+        problems.push(`'expires' must be in the future.`)
+    }
+    return problems
+}
+
+/**
+ * Admin servlet to list API keys.
+ * Support GET /v1/api/keys, with ?agent= to list only the keys of one agent.  Page with ?limit= and ?skip=.
+ * Respond RESTfully.
+ */
+const listApiKeys = async function (req, res, next) {
+    res.set("Content-Type", "application/json; charset=utf-8")
+    const { limit, skip } = getPagination(req.query, 100)
+    let props = {}
+    if (req.query.agent) props.agent = req.query.agent
+    try {
+        const keys = await apikeys.apiKeys().find(props).limit(limit).skip(skip).toArray()
+        res.json(keys.map(apikeys.describeKey))
+    } catch (error) {
+        return next(utils.createExpressError(error))
+    }
+}
+
+/**
+ * Admin servlet to make an API key.
+ * Support POST /v1/api/keys with a body like { "agent": "agent URI", "name": "nightly bot", "scopes": ["rerum:create"], "expires": "2027-01-01" }.
+ * A key must have at least one scope and may only use the write routes of its scopes.  Without expires it does not expire.
+ * The key is in the response and nowhere else.  It cannot be shown again.
+ * Respond RESTfully.
+ */
+const createApiKey = async function (req, res, next) {
+    res.set("Content-Type", "application/json; charset=utf-8")
+    let admin = getAgentClaim(req, next)
+    if (!admin) return
+    const problems = apiKeyProblems(req.body)
+    if (problems.length) {
+        let err = {
+            message: `The API key was not made. ${problems.join(" ")}`,
+            status: 400
+        }
+        return next(utils.createExpressError(err))
+    }
+    const { id, key, hash } = apikeys.makeKey()
+    const stored = {
+        "_id": id,
+        hash,
+        name: req.body.name ?? "",
+        agent: req.body.agent,
+        scopes: [...new Set(req.body.scopes)],
+        createdBy: admin,
+        createdAt: new Date().toISOString(),
+        expires: req.body.expires ? new Date(req.body.expires).toISOString() : null,
+        revoked: null
+    }
+    try {
+        await apikeys.apiKeys().insertOne(stored)
+    } catch (error) {
+        return next(utils.createExpressError(error))
+    }
+    console.log(`API key ${id} for ${stored.agent} made by ${admin}`)
+    res.location(`${process.env.RERUM_PREFIX}api/keys/${id}`)
+    res.status(201)
+    res.json({ ...apikeys.describeKey(stored), key })
+}
+
+/**
+ * Admin servlet to read an API key.
+ * Support GET /v1/api/keys/:_id.
+ * Respond RESTfully.
+ */
+const apiKey = async function (req, res, next) {
+    res.set("Content-Type", "application/json; charset=utf-8")
+    const id = req.params["_id"]
+    let stored
+    try {
+        stored = await apikeys.apiKeys().findOne({ "_id": id })
+    } catch (error) {
+        return next(utils.createExpressError(error))
+    }
+    if (null === stored) {
+        let err = {
+            message: `No API key with id '${id}'`,
+            status: 404
+        }
+        return next(utils.createExpressError(err))
+    }
+    res.json(apikeys.describeKey(stored))
+}
+
+/**
+ * Admin servlet to revoke an API key.  It is kept, marked with the time it was revoked, and is refused from then on.
+ * Support DELETE /v1/api/keys/:_id.
+ * Respond RESTfully.
+ */
+const revokeApiKey = async function (req, res, next) {
+    res.set("Content-Type", "application/json; charset=utf-8")
+    let admin = getAgentClaim(req, next)
+    if (!admin) return
+    const id = req.params["_id"]
+    let stored
+    try {
+        stored = await apikeys.apiKeys().findOne({ "_id": id })
+        if (stored && !stored.revoked) {
+            stored.revoked = new Date().toISOString()
+            await apikeys.apiKeys().replaceOne({ "_id": id }, stored)
+            console.log(`API key ${id} for ${stored.agent} revoked by ${admin}`)
+        }
+    } catch (error) {
+        return next(utils.createExpressError(error))
+    }
+    if (!stored) {
+        let err = {
+            message: `No API key with id '${id}'`,
+            status: 404
+        }
+        return next(utils.createExpressError(err))
+    }
+    res.json(apikeys.describeKey(stored))
+}
+
+export { listApiKeys, createApiKey, apiKey, revokeApiKey }
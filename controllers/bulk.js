@@ -6,9 +6,10 @@
  * @author cubap, thehabes
  */
 
-import { newID, isValidID, db } from '../database/index.js'
+import { newID, isValidID, db, withTransaction } from '../database/index.js'
 import utils from '../utils.js'
-import { _contextid, ObjectID, getAgentClaim, parseDocumentID, idNegotiation } from './utils.js'
+import events from '../events/index.js'
+import { _contextid, ObjectID, getGeneratorAgent, parseDocumentID, idNegotiation } from './utils.js'
 
 /**
  * Create many objects at once with the power of MongoDB bulkWrite() operations.
@@ -63,7 +64,7 @@ const bulkCreate = async function (req, res, next) {
 
     // unordered bulkWrite() operations have better performance metrics.
     let bulkOps = []
-    const generatorAgent = getAgentClaim(req, next)
+    const generatorAgent = await getGeneratorAgent(req, next)
     if (!generatorAgent) return
     for(let d of documents) {
         // Do not create empty {}s
@@ -78,10 +79,15 @@ const bulkCreate = async function (req, res, next) {
         bulkOps.push({ insertOne : { "document" : d }})
     }
     try {
-        let dbResponse = await db.bulkWrite(bulkOps, {'ordered':false})
+        // The new objects and their entries in the change log are written together or not at all.
+        const [dbResponse, logged] = await withTransaction(async (session) => {
+            const written = await db.bulkWrite(bulkOps, {'ordered':false, session})
+            return [written, await events.logChanges(bulkOps.map(f => ({ type: "create", stored: f.insertOne.document, agent: generatorAgent })), session)]
+        })
         res.set("Content-Type", "application/json; charset=utf-8")
         res.set("Link",dbResponse.result.insertedIds.map(r => `${process.env.RERUM_ID_PREFIX}${r._id}`)) // https://www.rfc-editor.org/rfc/rfc5988
         res.status(201)
+        events.publish(logged)
         const estimatedResults = bulkOps.map(f=>{
             let doc = f.insertOne.document
             doc = idNegotiation(doc)
@@ -138,7 +144,7 @@ const bulkUpdate = async function (req, res, next) {
     }
     // unordered bulkWrite() operations have better performance metrics.
     let bulkOps = []
-    const generatorAgent = getAgentClaim(req, next)
+    const generatorAgent = await getGeneratorAgent(req, next)
     if (!generatorAgent) return
     for(const objectReceived of documents){
         // We know it has an id
@@ -180,10 +186,15 @@ const bulkUpdate = async function (req, res, next) {
         }
     }
     try {
-        let dbResponse = await db.bulkWrite(bulkOps, {'ordered':false})
+        // New versions, the history.next of their originating objects and their entries in the change log are written together or not at all.
+        const [dbResponse, logged] = await withTransaction(async (session) => {
+            const written = await db.bulkWrite(bulkOps, {'ordered':false, session})
+            return [written, await events.logChanges(bulkOps.filter(f => f.insertOne).map(f => ({ type: "update", stored: f.insertOne.document, agent: generatorAgent })), session)]
+        })
         res.set("Content-Type", "application/json; charset=utf-8")
         res.set("Link", dbResponse.result.insertedIds.map(r => `${process.env.RERUM_ID_PREFIX}${r._id}`)) // https://www.rfc-editor.org/rfc/rfc5988
         res.status(200)
+        events.publish(logged)
         const estimatedResults = bulkOps.filter(f=>f.insertOne).map(f=>{
             let doc = f.insertOne.document
             doc = idNegotiation(doc)
@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+
+/**
+ * Change controller for RERUM operations
+ * Handles following the changes made to objects as they happen
+ */
+
+import utils from '../utils.js'
+import events from '../events/index.js'
+import { getPagination, nextPageLink } from './utils.js'
+
+// How often a comment is sent on a quiet stream, so that proxies and load balancers do not close it as idle.
+const HEARTBEAT = 20 * 1000
+// How long a client should wait before it reconnects.
+const RECONNECT = 5 * 1000
+// The most changes sent to a reconnecting client.  One that missed more should catch up from the change log.
+const MISSED_LIMIT = 1000
+
+/**
+ * The filter of a change stream from the query string.
+ * ?events=create,update  ?target=URI  ?generator=agent URI  ?prime=URI or id of the root of a version tree
+ * @return {Object} The filter for events.eventMatches(), or the message of a bad request.
+ */
+function streamFilter(query) {
+    let filter = {}
+    if (query.events !== undefined) {
+        filter.events = String(query.events).split(",").map(type => type.trim()).filter(type => type)
+        const unknown = filter.events.filter(type => !events.eventTypes.includes(type))
+        if (filter.events.length === 0 || unknown.length) {
+            return { message: `'events' must be a comma separated list of the events ${events.eventTypes.join(", ")}.` }
+        }
+    }
+    if (query.target) filter.target = String(query.target)
+    if (query.generator) filter.generator = String(query.generator)
+    if (query.prime) {
+        const prime = String(query.prime)
+        filter.tree = prime.includes("/") ? prime : process.env.RERUM_ID_PREFIX + prime
+    }
+    return { filter }
+}
+
+/**
+ * Write one event in the text/event-stream format.  The event id lets a reconnecting client say what it saw last.
+ */
+function writeEvent(res, event) {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`)
+}
+
+/**
+ * Public facing servlet to follow changes to objects as they are made, as Server-Sent Events.
+ * Support GET /v1/api/changes/stream, filtered by ?events=, ?target=, ?generator= and ?prime=.
+ * Each event is named for its type, like create, and its data is the JSON of the change.  See events/index.js.
+ * Changes are read from the change log, so a client sees the changes made by every server process.
+ *
+ * A client that reconnects with a Last-Event-ID header, or ?lastEventId=, is first sent the changes it missed from the change log.
+ * When that is not an event id, or it missed too many, RERUM sends a "resync" event and the client should read what it needs again.
+ * So it does when that is past the end of the change log, as it is after the log was reset or from another deployment.
+ * Then it is sent the changes from the end of the log on.
+ */
+const changeStream = async function (req, res, next) {
+    const { filter, message } = streamFilter(req.query)
+    if (message) {
+        let err = {
+            message: `The change stream was not opened. ${message}`,
+            status: 400
+        }
+        return next(utils.createExpressError(err))
+    }
+    const headers = {
+        "Content-Type": "text/event-stream; charset=utf-8",
+        "Cache-Control": "no-cache",
+        "Connection": "keep-alive",
+        // Ask proxies like nginx not to hold events back.
+        "X-Accel-Buffering": "no"
+    }
+    if (req.method === "HEAD") return res.status(200).set(headers).end()
+    const lastEventId = req.get("Last-Event-ID") ?? req.query.lastEventId
+    // The number of the last change sent.  Changes from the log are numbered in order, so none is sent twice.
+    let lastSent = /^\d+$/.test(String(lastEventId)) ? Number(lastEventId) : 0
+    const send = (event, stored) => {
+        if (Number(event.id) <= lastSent) return
+        lastSent = Number(event.id)
+        if (events.eventMatches(filter, event, stored)) writeEvent(res, event)
+    }
+    // Changes that come while the missed ones are read are held until those are sent.
+    let held = []
+    const hold = (event, stored) => held.push({ event, stored })
+    let stop, missed, heartbeat, end
+    let closed = false
+    res.on("close", () => {
+        closed = true
+        clearInterval(heartbeat)
+        stop?.()
+    })
+    try {
+        const following = await events.follow((event, stored) => held ? hold(event, stored) : send(event, stored))
+        stop = following.stop
+        end = following.last
+        if (lastEventId !== undefined && lastSent > 0 && lastSent <= end) missed = await events.changesAfter(lastSent, MISSED_LIMIT + 1)
+    } catch (error) {
+        stop?.()
+        return next(utils.createExpressError(error))
+    }
+    // The client left while the change log was read.
+    if (closed) return stop()
+    res.status(200).set(headers)
+    res.flushHeaders()
+    res.write(`retry: ${RECONNECT}\n\n`)
+    if (lastEventId !== undefined && (lastSent === 0 || lastSent > end || missed.length > MISSED_LIMIT)) {
+        res.write(`event: resync\ndata: ${JSON.stringify({ lastEventId })}\n\n`)
+        missed = []
+        lastSent = Math.min(lastSent, end)
+    }
+    for (const { event, stored } of [...(missed ?? []), ...held]) send(event, stored)
+    held = null
+    heartbeat = setInterval(() => res.write(": heartbeat\n\n"), HEARTBEAT)
+}
+
+/**
+ * Public facing servlet to read the change log, for harvesters and mirrors that keep up with RERUM a page at a time.
+ * Support GET /v1/api/changes?since=<id of an entry> for the entries after it, oldest first.  Without since the log is read from the start.
+ * ?since= may also be a date, like 2026-10-18 or 2026-10-18T12:00:00Z, for the entries made after it.
+ * Page with ?limit=.  A full page has a Link to the next one.  The id of the last entry is the since of the next request.
+ * Respond RESTfully.
+ */
+const changeLog = async function (req, res, next) {
+    res.set("Content-Type", "application/json; charset=utf-8")
+    const since = String(req.query.since ?? "0")
+    let props
+    if (/^\d+$/.test(since)) {
+        props = { "_id": { "$gt": Number(since) } }
+    }
+    else if (since.includes("-") && !isNaN(new Date(since))) {
+        props = { time: { "$gt": new Date(since).toISOString() } }
+    }
+    else {
+        let err = {
+            message: `'since' must be the id of a change log entry, like 42, or a date like 2026-10-18.`,
+            status: 400
+        }
+        return next(utils.createExpressError(err))
+    }
+    const { limit } = getPagination(req.query, 100)
+    try {
+        const entries = await events.changeLog().find(props).sort({ "_id": 1 }).limit(limit).toArray()
+        if (entries.length && entries.length === limit) {
+            res.append("Link", nextPageLink(req, { since: entries[entries.length - 1]._id }))
+        }
+        res.json(entries.map(events.describeLogEntry))
+    } catch (error) {
+        return next(utils.createExpressError(error))
+    }
+}
+
+export { changeStream, changeLog }
@@ -4,9 +4,10 @@
  * Basic CRUD operations for RERUM v1
  * @author cubap, thehabes
  */
-import { newID, isValidID, db } from '../database/index.js'
+import { newID, isValidID, db, withTransaction } from '../database/index.js'
 import utils from '../utils.js'
-import { _contextid, idNegotiation, getPagination, generateSlugId, ObjectID, getAgentClaim, parseDocumentID } from './utils.js'
+import events from '../events/index.js'
+import { _contextid, idNegotiation, getPagination, getCursor, configureNextPageLink, generateSlugId, ObjectID, getGeneratorAgent, parseDocumentID, getMementos, mementoAt, mementoLinks } from './utils.js'
 
 /**
  * Create a new Linked Open Data object in RERUM v1.
@@ -34,7 +35,7 @@ const create = async function (req, res, next) {
         }
     }
     
-    let generatorAgent = getAgentClaim(req, next)
+    let generatorAgent = await getGeneratorAgent(req, next)
     if (!generatorAgent) return
     let context = req.body["@context"] ? { "@context": req.body["@context"] } : {}
     let provided = structuredClone(req.body)
@@ -52,7 +53,12 @@ const create = async function (req, res, next) {
     
     let newObject = Object.assign(context, { "@id": process.env.RERUM_ID_PREFIX + id }, provided, rerumProp, { "_id": id })
     try {
-        let result = await db.insertOne(newObject)
+        // The object and its entry in the change log are written together or not at all.
+        const logged = await withTransaction(async (session) => {
+            await db.insertOne(newObject, { session })
+            return events.logChanges([{ type: "create", stored: newObject, agent: generatorAgent }], session)
+        })
+        events.publish(logged)
         res.set(utils.configureWebAnnoHeadersFor(newObject))
         newObject = idNegotiation(newObject)
         newObject.new_obj_state = structuredClone(newObject)
@@ -70,6 +76,8 @@ const create = async function (req, res, next) {
  * Query the MongoDB for objects containing the key:value pairs provided in the JSON Object in the request body.
  * This will support wildcards and mongo params like {"key":{$exists:true}}
  * The return is always an array, even if 0 or 1 objects in the return.
+ * Page with ?limit= and ?skip=, or with ?cursor= to walk the matches in _id order without the cost or cap of skip.
+ * Full pages carry a Link header to the next page.  ?count=true adds the total number of matches as X-Total-Count.
  * */
 const query = async function (req, res, next) {
     res.set("Content-Type", "application/json; charset=utf-8")
@@ -83,10 +91,28 @@ const query = async function (req, res, next) {
         }
         return next(utils.createExpressError(err))
     }
+    let after
     try {
-        let matches = await db.find(props).limit(limit).skip(skip).toArray()
-        matches = matches.map(o => idNegotiation(o))
+        after = getCursor(req.query)
+    } catch (error) {
+        return next(utils.createExpressError(error))
+    }
+    try {
+        let matches
+        if (after === undefined) {
+            matches = await db.find(props).limit(limit).skip(skip).toArray()
+        }
+        else {
+            // Keyset pagination.  Each page starts after the _id the last one ended on, so a deep page costs no more than the first.
+            const filter = after === null ? props : { "$and": [props, { "_id": { "$gt": after } }] }
+            matches = await db.find(filter).sort({ "_id": 1 }).limit(limit).toArray()
+        }
+        if (req.query.count === "true") {
+            res.set("X-Total-Count", await db.countDocuments(props))
+        }
         res.set(utils.configureLDHeadersFor(matches))
+        configureNextPageLink(req, res, matches, { limit, skip, after })
+        matches = matches.map(o => idNegotiation(o))
         res.json(matches)
     } catch (error) {
         return next(utils.createExpressError(error))
@@ -97,21 +123,54 @@ const query = async function (req, res, next) {
  * Query the MongoDB for objects with the _id provided in the request body or request URL
  * Note this specifically checks for _id, the @id pattern is irrelevant.  
  * Note /v1/id/{blank} does not route here.  It routes to the generic 404
+ * The object is its own Memento TimeGate (RFC 7089).  With an Accept-Datetime header the version in its tree that was current at that time is sent,
+ * with its URI in Content-Location and its createdAt as the Memento-Datetime.
  * */
 const id = async function (req, res, next) {
     res.set("Content-Type", "application/json; charset=utf-8")
     let id = req.params["_id"]
+    const acceptDatetime = req.get("Accept-Datetime")
+    const datetime = new Date(acceptDatetime)
+    if (acceptDatetime !== undefined && isNaN(datetime)) {
+        let err = {
+            "message": `The Accept-Datetime '${acceptDatetime}' is not a date.  Use an HTTP date like 'Tue, 20 Oct 2026 12:00:00 GMT'.`,
+            "status": 400
+        }
+        return next(utils.createExpressError(err))
+    }
     try {
         let match = await db.findOne({"$or": [{"_id": id}, {"__rerum.slug": id}]})
         if (match) {
+            const original = match
+            const keyObj = utils.isDeleted(match) ? match.__deleted.object : match
+            let memento
+            // Only objects with a version history have Mementos.
+            if (acceptDatetime !== undefined && keyObj.__rerum?.history) {
+                memento = mementoAt(await getMementos(keyObj), datetime)
+                if (memento) match = memento.version
+            }
             res.set(utils.configureWebAnnoHeadersFor(match))
+            res.append("Link", mementoLinks(original))
+            res.vary("Accept-Datetime")
+            if (memento) {
+                res.append("Link", `<${match["@id"]}>; rel="memento"; datetime="${memento.datetime.toUTCString()}"`)
+                res.set("Memento-Datetime", memento.datetime.toUTCString())
+                res.set("Content-Location", match["@id"])
+            }
             //Support built in browser caching
             res.set("Cache-Control", "max-age=86400, must-revalidate")
             //Support requests with 'If-Modified_Since' headers
             res.set(utils.configureLastModifiedHeader(match))
+            //Support requests with 'If-None-Match' and 'If-Match' headers
+            res.set(utils.configureETagHeader(match))
             // Include current version for optimistic locking
             const currentVersion = match.__rerum?.isOverwritten ?? ""
             res.set('Current-Overwritten-Version', currentVersion)
+            if (req.fresh) {
+                //The client already has this version.
+                res.status(304).end()
+                return
+            }
             match = idNegotiation(match)
             res.location(_contextid(match["@context"]) ? match.id : match["@id"])
             res.json(match)
@@ -4,9 +4,10 @@
  * Delete operations for RERUM v1
  * @author cubap, thehabes
  */
-import { db } from '../database/index.js'
+import { db, withTransaction } from '../database/index.js'
 import utils from '../utils.js'
-import { getAgentClaim, parseDocumentID, getAllVersions, getAllDescendants } from './utils.js'
+import events from '../events/index.js'
+import { _contextid, getAgentClaim, agentHasRight, getPagination, parseDocumentID, idNegotiation, getAllVersions, getAllDescendants } from './utils.js'
 
 /**
  * Mark an object as deleted in the database.
@@ -37,19 +38,22 @@ const deleteObj = async function(req, res, next) {
         if (utils.isDeleted(safe_original)) {
             err = Object.assign(err, {
                 message: `The object you are trying to delete is already deleted. ${err.message}`,
-                status: 403
+                status: 403,
+                problem: { type: "deleted" }
             })
         }
         else if (utils.isReleased(safe_original)) {
             err = Object.assign(err, {
                 message: `The object you are trying to delete is released. Fork to make changes. ${err.message}`,
-                status: 403
+                status: 403,
+                problem: { type: "released" }
             })
         }
-        else if (!utils.isGenerator(safe_original, agentRequestingDelete)) {
+        else if (!(await agentHasRight(safe_original, agentRequestingDelete, "delete"))) {
             err = Object.assign(err, {
-                message: `You are not the generating agent for this object and so are not authorized to delete it. ${err.message}`,
-                status: 401
+                message: `You are not the generating agent for this object and have not been granted the right to delete it. ${err.message}`,
+                status: 401,
+                problem: { type: "not-generator" }
             })
         }
         if (err.status) {
@@ -65,42 +69,226 @@ const deleteObj = async function(req, res, next) {
             "__deleted": deletedFlag,
             "_id": id
         }
-        if (await healHistoryTree(safe_original)) {
-            let result
-            try {
-                result = await db.replaceOne({ "_id": originalObject["_id"] }, deletedObject)
-            } catch (error) {
-                return next(utils.createExpressError(error))
-            }
-            if (result.modifiedCount === 0) {
-                //result didn't error out, the action was not performed.  Sometimes, this is a neutral thing.  Sometimes it is indicative of an error.
-                err.message = "The original object was not replaced with the deleted object in the database."
-                err.status = 500
-                return next(utils.createExpressError(err))
-            }
-            //204 to say it is deleted and there is nothing in the body
-            console.log("Object deleted: " + preserveID)
-            res.sendStatus(204)
-            return
+        let logged
+        try {
+            // Mending the history tree, replacing the original object and logging the delete happen together or not at all.
+            logged = await withTransaction(async (session) => {
+                if (!await healHistoryTree(safe_original, session)) {
+                    throw Object.assign(err, {
+                        message: "The history tree for the object being deleted could not be mended. The object was not deleted.",
+                        status: 500
+                    })
+                }
+                const result = await db.replaceOne({ "_id": originalObject["_id"] }, deletedObject, { session })
+                if (result.modifiedCount === 0) {
+                    //result didn't error out, the action was not performed.  Here that means the tree was mended around an object that is still there.
+                    throw Object.assign(err, {
+                        message: "The original object was not replaced with the deleted object in the database. The object was not deleted.",
+                        status: 500
+                    })
+                }
+                return events.logChanges([{ type: "delete", stored: safe_original, agent: agentRequestingDelete }], session)
+            })
+        } catch (error) {
+            return next(utils.createExpressError(error))
         }
-        //Not sure we can get here, as healHistoryTree might throw and error.
-        err.message = "The history tree for the object being deleted could not be mended."
-        err.status = 500
-        return next(utils.createExpressError(err))
+        //204 to say it is deleted and there is nothing in the body
+        console.log("Object deleted: " + preserveID)
+        events.publish(logged)
+        res.sendStatus(204)
+        return
     }
     err.message = "No object with this id could be found in RERUM.  Cannot delete."
     err.status = 404
     return next(utils.createExpressError(err))
 }
 
+/**
+ * Put a deleted object back the way it was before it was deleted.
+ * Support POST /v1/api/restore/:_id.
+ * Only the generator of the object may restore it.
+ * The history tree is mended back around the restored object inside the same transaction as the restore.
+ * Respond RESTfully.
+ */
+const restore = async function(req, res, next) {
+    const id = req.params["_id"]
+    let err = { message: `` }
+    res.set("Content-Type", "application/json; charset=utf-8")
+    let agentRequestingRestore = getAgentClaim(req, next)
+    if (!agentRequestingRestore) return
+    let deletedObject
+    try {
+        deletedObject = await db.findOne({"$or":[{"_id": id}, {"__deleted.object.__rerum.slug": id}]})
+    } catch (error) {
+        return next(utils.createExpressError(error))
+    }
+    if (null === deletedObject) {
+        err.message = "No object with this id could be found in RERUM.  Cannot restore."
+        err.status = 404
+        return next(utils.createExpressError(err))
+    }
+    if (!utils.isDeleted(deletedObject)) {
+        err = Object.assign(err, {
+            message: `The object you are trying to restore is not deleted. ${err.message}`,
+            status: 400
+        })
+    }
+    else if (!(await agentHasRight(deletedObject.__deleted.object, agentRequestingRestore, "delete"))) {
+        err = Object.assign(err, {
+            message: `You are not the generating agent for this object and have not been granted the right to restore it. ${err.message}`,
+            status: 401,
+            problem: { type: "not-generator" }
+        })
+    }
+    if (err.status) {
+        return next(utils.createExpressError(err))
+    }
+    let restoredObject = structuredClone(deletedObject.__deleted.object)
+    let logged
+    try {
+        // Mending the history tree, putting the original object back and logging the restore happen together or not at all.
+        logged = await withTransaction(async (session) => {
+            restoredObject = await reviveHistoryTree(structuredClone(restoredObject), session)
+            const result = await db.replaceOne({ "_id": deletedObject["_id"] }, restoredObject, { session })
+            if (result.modifiedCount === 0) {
+                throw Object.assign(err, {
+                    message: "The deleted object was not replaced with the original object in the database. The object was not restored.",
+                    status: 500
+                })
+            }
+            return events.logChanges([{ type: "restore", stored: restoredObject, agent: agentRequestingRestore }], session)
+        })
+    } catch (error) {
+        return next(utils.createExpressError(error))
+    }
+    console.log("Object restored: " + restoredObject["@id"])
+    events.publish(logged)
+    res.set(utils.configureWebAnnoHeadersFor(restoredObject))
+    restoredObject = idNegotiation(restoredObject)
+    res.location(restoredObject[_contextid(restoredObject["@context"]) ? "id":"@id"])
+    res.status(200)
+    res.json(restoredObject)
+}
+
+/**
+ * List the deleted objects so a project can audit what was deleted.
+ * Support GET /v1/api/deleted?agent=&since=&limit=&skip=
+ * agent matches the __deleted.deletor and since is the earliest __deleted.time, as an ISO date or date and time.
+ * A since without a time zone is in UTC, like __deleted.time.  The list is oldest deletion first.
+ * Each entry links to the history neighbours the object had when it was deleted.
+ * Respond RESTfully.
+ */
+const deleted = async function(req, res, next) {
+    res.set("Content-Type", "application/json; charset=utf-8")
+    const { limit, skip } = getPagination(req.query, 100)
+    let props = { "__deleted": { "$exists": true } }
+    if (req.query.agent) props["__deleted.deletor"] = req.query.agent
+    if (req.query.since) {
+        //A date and time without a time zone is in UTC, like the __deleted.time it is compared to
+        const since = new Date(/T[^Z+-]*$/i.test(req.query.since) ? `${req.query.since}Z` : req.query.since)
+        if (isNaN(since)) {
+            let err = {
+                message: `The since parameter '${req.query.since}' is not a date.  Use an ISO date like 2025-01-31 or date and time like 2025-01-31T12:00:00.`,
+                status: 400
+            }
+            return next(utils.createExpressError(err))
+        }
+        //__deleted.time is stored like 2025-01-31T12:00:00.000 so it compares as a string
+        props["__deleted.time"] = { "$gte": since.toISOString().replace("Z", "") }
+    }
+    try {
+        const matches = await db.find(props).sort({ "__deleted.time": 1, "_id": 1 }).limit(limit).skip(skip).toArray()
+        const entries = matches.map(d => {
+            const former = d.__deleted.object ?? {}
+            const history = former.__rerum?.history ?? {}
+            return {
+                "@id": d["@id"],
+                deletor: d.__deleted.deletor,
+                time: d.__deleted.time,
+                generatedBy: former.__rerum?.generatedBy,
+                prime: history.prime,
+                previous: history.previous,
+                next: history.next ?? []
+            }
+        })
+        res.set(utils.configureLDHeadersFor(entries))
+        res.json(entries)
+    } catch (error) {
+        return next(utils.createExpressError(error))
+    }
+}
+
+/**
+* An internal method to put a restored object back into the history tree healHistoryTree() mended around it.
+* The next versions it had that still hang from where healHistoryTree() put them are hung from it again.
+* Next versions that have since been deleted or moved are left where they are and dropped from its history.next.
+* This function should only be handed a reliable object from mongo.
+*
+* @param obj A JSONObject of the object being restored, as it was when it was deleted.
+* @param session An optional MongoDB ClientSession when this is part of a transaction.
+* @return The object to restore with its history mended.
+* @throws An error object with a 409 status when its previous version is not in RERUM to take it back.
+*/
+async function reviveHistoryTree(obj, session) {
+    const history = obj["__rerum"]["history"]
+    const isRoot = history.prime === "root"
+    const findLive = async (uri) => {
+        if (!uri.startsWith(process.env.RERUM_ID_PREFIX)) return null
+        const found = await db.findOne({"$or":[{"_id": parseDocumentID(uri)}, {"__rerum.slug": parseDocumentID(uri)}]}, { session })
+        return found && !utils.isDeleted(found) ? found : null
+    }
+    let previousObj = null
+    if (!isRoot) {
+        previousObj = await findLive(history.previous)
+        if (null === previousObj) {
+            throw {
+                message: `The previous version ${history.previous} is not in RERUM.  Restore it first.`,
+                status: 409
+            }
+        }
+        // The tree may have taken on a new prime while this object was deleted.
+        history.prime = previousObj.__rerum.history.prime === "root" ? previousObj["@id"] : previousObj.__rerum.history.prime
+    }
+    const reattached = []
+    for (const nextID of history.next) {
+        const nextObj = await findLive(nextID)
+        if (null === nextObj) continue
+        const nextHistory = nextObj.__rerum.history
+        if (isRoot) {
+            // healHistoryTree made this next a root.  Make it and its descendants part of this tree again.
+            if (nextHistory.prime !== "root" || nextHistory.previous !== history.previous) continue
+            for (const d of getAllDescendants(await getAllVersions(nextObj, session), nextObj, [])) {
+                d.__rerum.history.prime = obj["@id"]
+                const result = await db.replaceOne({ "_id": d["_id"] }, d, { session })
+                if (result.modifiedCount === 0) throw Error("Could not update all descendants with their restored prime value")
+            }
+            nextHistory.prime = obj["@id"]
+        }
+        else if (nextHistory.previous !== history.previous) continue
+        nextHistory.previous = obj["@id"]
+        const result = await db.replaceOne({ "_id": nextObj["_id"] }, nextObj, { session })
+        if (result.modifiedCount === 0) throw Error("Could not update all next versions with their restored previous value")
+        reattached.push(nextID)
+    }
+    history.next = reattached
+    if (previousObj) {
+        const previousHistory = previousObj.__rerum.history
+        previousHistory.next = [...previousHistory.next.filter(n => !reattached.includes(n) && n !== obj["@id"]), obj["@id"]]
+        const result = await db.replaceOne({ "_id": previousObj["_id"] }, previousObj, { session })
+        if (result.modifiedCount === 0) throw Error("Could not update the previous version with its restored next value")
+    }
+    return obj
+}
+
 /**
 * An internal method to handle when an object is deleted and the history tree around it will need amending.  
 * This function should only be handed a reliable object from mongo.
 * 
 * @param obj A JSONObject of the object being deleted.
+* @param session An optional MongoDB ClientSession when this is part of a transaction.
 * @return A boolean representing whether or not this function succeeded. 
 */
-async function healHistoryTree(obj) {
+async function healHistoryTree(obj, session) {
     let previous_id = ""
     let prime_id = ""
     let next_ids = []
@@ -119,13 +307,13 @@ async function healHistoryTree(obj) {
         for (const nextID of next_ids) {
             let objWithUpdate = {}
             const nextIdForQuery = parseDocumentID(nextID)
-            const objToUpdate = await db.findOne({"$or":[{"_id": nextIdForQuery}, {"__rerum.slug": nextIdForQuery}]})
+            const objToUpdate = await db.findOne({"$or":[{"_id": nextIdForQuery}, {"__rerum.slug": nextIdForQuery}]}, { session })
             if (null !== objToUpdate) {
                 let fixHistory = structuredClone(objToUpdate)
                 if (objToDeleteisRoot) {
                     //This means this next object must become root. 
                     //Strictly, all history trees must have num(root) > 0.  
-                    if (await newTreePrime(fixHistory)) {
+                    if (await newTreePrime(fixHistory, session)) {
                         fixHistory["__rerum"]["history"]["prime"] = "root"
                         //The previous always inherited in this case, even if it isn't there.
                         fixHistory["__rerum"]["history"]["previous"] = previous_id
@@ -141,7 +329,7 @@ async function healHistoryTree(obj) {
                 else {
                     throw Error("object did not have previous and was not root.")
                 }
-                let verify = await db.replaceOne({ "_id": objToUpdate["_id"] }, fixHistory)
+                let verify = await db.replaceOne({ "_id": objToUpdate["_id"] }, fixHistory, { session })
                 if (verify.modifiedCount === 0) {
                     throw Error("Could not update all descendants with their new prime value")
                 }
@@ -152,7 +340,7 @@ async function healHistoryTree(obj) {
         }
         if (previous_id.indexOf(process.env.RERUM_PREFIX) > -1) {
             let previousIdForQuery = parseDocumentID(previous_id)
-            const objToUpdate2 = await db.findOne({"$or":[{"_id": previousIdForQuery}, {"__rerum.slug": previousIdForQuery}]})
+            const objToUpdate2 = await db.findOne({"$or":[{"_id": previousIdForQuery}, {"__rerum.slug": previousIdForQuery}]}, { session })
             if (null !== objToUpdate2) {
                 let fixHistory2 = structuredClone(objToUpdate2)
                 let origNextArray = fixHistory2["__rerum"]["history"]["next"]
@@ -160,7 +348,7 @@ async function healHistoryTree(obj) {
                 newNextArray = newNextArray.filter(id => id !== obj["@id"])
                 newNextArray = [...newNextArray, ...next_ids]
                 fixHistory2["__rerum"]["history"]["next"] = newNextArray
-                let verify2 = await db.replaceOne({ "_id": objToUpdate2["_id"] }, fixHistory2)
+                let verify2 = await db.replaceOne({ "_id": objToUpdate2["_id"] }, fixHistory2, { session })
                 if (verify2.modifiedCount === 0) {
                     throw Error("Could not update all ancestors with their altered next value")
                 }
@@ -180,14 +368,15 @@ async function healHistoryTree(obj) {
 * An internal method to make all descendants of this JSONObject take on a new history.prime = this object's @id
 * This should only be fed a reliable object from mongo
 * @param obj A new prime object whose descendants must take on its id
+* @param session An optional MongoDB ClientSession when this is part of a transaction.
 */
-async function newTreePrime(obj) {
+async function newTreePrime(obj, session) {
     if (obj["@id"]) {
         let primeID = obj["@id"]
         let ls_versions = []
         let descendants = []
         try {
-            ls_versions = await getAllVersions(obj)
+            ls_versions = await getAllVersions(obj, session)
             descendants = getAllDescendants(ls_versions, obj, [])
         } catch (error) {
             // fail silently
@@ -195,7 +384,7 @@ async function newTreePrime(obj) {
         for (const d of descendants) {
             let objWithUpdate = structuredClone(d)
             objWithUpdate["__rerum"]["history"]["prime"] = primeID
-            let result = await db.replaceOne({ "_id": d["_id"] }, objWithUpdate)
+            let result = await db.replaceOne({ "_id": d["_id"] }, objWithUpdate, { session })
             if (result.modifiedCount === 0) {
                 console.error("Could not update all descendants with their new prime value: newTreePrime failed")
                 return false
@@ -210,5 +399,7 @@ async function newTreePrime(obj) {
 }
 
 export {
-    deleteObj
+    deleteObj,
+    restore,
+    deleted
 }
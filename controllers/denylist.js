@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+
+/**
+ * Denylist controller for RERUM operations
+ * Handles the admin endpoints that revoke tokens and suspend agents
+ */
+
+import { newID } from '../database/index.js'
+import utils from '../utils.js'
+import denylist from '../auth/denylist.js'
+import { getAgentClaim, getPagination } from './utils.js'
+
+/**
+ * Check the body of a request for a new entry like { "agent": "agent URI", "reason": "Spam" } or { "token": "jti of the token" }.
+ * @return {Array<string>} Every problem found.  Empty when it is a good request.
+ */
+function entryProblems(body) {
+    if (body === null || typeof body !== "object" || Array.isArray(body)) {
+        return [`The entry must be a JSON object like { "agent": "agent URI", "reason": "why" } or { "token": "jti of the token" }.`]
+    }
+    const problems = []
+    if ((body.token === undefined) === (body.agent === undefined)) {
+        problems.push(`Name either a 'token' by its jti or an 'agent' by its URI, not both.`)
+    }
+    else if ([body.token ?? body.agent].some(value => typeof value !== "string" || value.trim() === "")) {
+        problems.push(`'${body.token === undefined ? "agent" : "token"}' must be a string.`)
+    }
+    if (body.reason !== undefined && typeof body.reason !== "string") {
+        problems.push(`'reason' must be a string.`)
+    }
+    return problems
+}
+
+/**
+ * Admin servlet to list the denylist.
+ * Support GET /v1/api/denylist, with ?agent= or ?token= to find the entry of one agent or token.  Page with ?limit= and ?skip=.
+ * Respond RESTfully.
+ */
+const listDenylist = async function (req, res, next) {
+    res.set("Content-Type", "application/json; charset=utf-8")
+    const { limit, skip } = getPagination(req.query, 100)
+    let props = {}
+    if (req.query.agent) props.agent = req.query.agent
+    if (req.query.token) props.token = req.query.token
+    try {
+        const entries = await denylist.denylist().find(props).limit(limit).skip(skip).toArray()
+        res.json(entries.map(denylist.describeEntry))
+    } catch (error) {
+        return next(utils.createExpressError(error))
+    }
+}
+
+/**
+ * Admin servlet to revoke a token or suspend an agent.
+ * Support POST /v1/api/denylist with a body like { "agent": "agent URI", "reason": "Spam" } or { "token": "jti of the token" }.
+ * Adding an agent or token that is already on the list answers with the entry it already has.
+ * Respond RESTfully.
+ */
+const addToDenylist = async function (req, res, next) {
+    res.set("Content-Type", "application/json; charset=utf-8")
+    let admin = getAgentClaim(req, next)
+    if (!admin) return
+    const problems = entryProblems(req.body)
+    if (problems.length) {
+        let err = {
+            message: `Nothing was added to the denylist. ${problems.join(" ")}`,
+            status: 400
+        }
+        return next(utils.createExpressError(err))
+    }
+    const named = req.body.token ? { token: req.body.token } : { agent: req.body.agent }
+    let entry
+    try {
+        entry = await denylist.denylist().findOne(named)
+        if (!entry) {
+            entry = {
+                "_id": newID(),
+                ...named,
+                reason: req.body.reason ?? "",
+                createdBy: admin,
+                createdAt: new Date().toISOString()
+            }
+            await denylist.denylist().insertOne(entry)
+            console.log(`${named.token ? `Token ${named.token} revoked` : `Agent ${named.agent} suspended`} by ${admin}`)
+            res.status(201)
+        }
+    } catch (error) {
+        return next(utils.createExpressError(error))
+    }
+    res.location(`${process.env.RERUM_PREFIX}api/denylist/${entry._id}`)
+    res.json(denylist.describeEntry(entry))
+}
+
+/**
+ * Admin servlet to read one entry of the denylist, with the requests refused from a suspended agent.
+ * Support GET /v1/api/denylist/:_id.
+ * Respond RESTfully.
+ */
+const denylistEntry = async function (req, res, next) {
+    res.set("Content-Type", "application/json; charset=utf-8")
+    const id = req.params["_id"]
+    let entry
+    try {
+        entry = await denylist.denylist().findOne({ "_id": id })
+    } catch (error) {
+        return next(utils.createExpressError(error))
+    }
+    if (null === entry) {
+        let err = {
+            message: `No denylist entry with id '${id}'`,
+            status: 404
+        }
+        return next(utils.createExpressError(err))
+    }
+    res.json(denylist.describeEntry(entry))
+}
+
+/**
+ * Admin servlet to take an entry off the denylist.  The agent may write again, or the token may be used again.
+ * Support DELETE /v1/api/denylist/:_id.
+ * Respond RESTfully.
+ */
+const removeFromDenylist = async function (req, res, next) {
+    let admin = getAgentClaim(req, next)
+    if (!admin) return
+    const id = req.params["_id"]
+    let entry
+    try {
+        entry = await denylist.denylist().findOne({ "_id": id })
+        if (entry) await denylist.denylist().deleteOne({ "_id": id })
+    } catch (error) {
+        return next(utils.createExpressError(error))
+    }
+    if (!entry) {
+        let err = {
+            message: `No denylist entry with id '${id}'`,
+            status: 404
+        }
+        return next(utils.createExpressError(err))
+    }
+    console.log(`${entry.token ? `Token ${entry.token} restored` : `Agent ${entry.agent} reinstated`} by ${admin}`)
+    res.set("Content-Type", "application/json; charset=utf-8")
+    res.json(denylist.describeEntry(entry))
+}
+
+export { listDenylist, addToDenylist, denylistEntry, removeFromDenylist }
@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+
+/**
+ * Group controller for RERUM operations
+ * Handles groups of agents, like a project team, that objects can be generated by and rights can be granted to
+ */
+
+import { db, withTransaction } from '../database/index.js'
+import utils from '../utils.js'
+import events from '../events/index.js'
+import { ObjectID, getAgentClaim, getPagination, idNegotiation } from './utils.js'
+
+/**
+ * Check the body of a group from a request like { "name": "My Project", "members": ["agent URI"] }.
+ * @return {Array<string>} Every problem found.  Empty when it is a good group.
+ */
+function groupProblems(body) {
+    if (body === null || typeof body !== "object" || Array.isArray(body)) {
+        return [`The group must be a JSON object like { "name": "My Project", "members": ["agent URI"] }.`]
+    }
+    const problems = []
+    if (body.name !== undefined && typeof body.name !== "string") {
+        problems.push(`'name' must be a string.`)
+    }
+    if (!Array.isArray(body.members) || body.members.some(agent => typeof agent !== "string" || agent.trim() === "")) {
+        problems.push(`'members' must be an array of agent URIs.`)
+    }
+    return problems
+}
+
+/**
+ * The members of a group as they are stored.  The owner is always a member and no agent is listed twice.
+ */
+function groupMembers(owner, members) {
+    return [...new Set([owner, ...members])]
+}
+
+/**
+ * Public facing servlet to list groups.
+ * Support GET /v1/api/groups, with ?member= to list only the groups an agent is a member of.
+ * Page with ?limit= and ?skip=.
+ * Respond RESTfully.
+ */
+const groups = async function (req, res, next) {
+    res.set("Content-Type", "application/json; charset=utf-8")
+    const { limit, skip } = getPagination(req.query, 100)
+    let props = { "__rerum.isGroup": true }
+    if (req.query.member) props.members = req.query.member
+    try {
+        let matches = await db.find(props).limit(limit).skip(skip).toArray()
+        matches = matches.map(o => idNegotiation(o))
+        res.set(utils.configureLDHeadersFor(matches))
+        res.json(matches)
+    } catch (error) {
+        return next(utils.createExpressError(error))
+    }
+}
+
+/**
+ * Public facing servlet to make a new group.
+ * Support POST /v1/api/groups with a body like { "name": "My Project", "members": ["agent URI"] }.
+ * The agent making the group owns it.  It is the __rerum.generatedBy and it is always a member.
+ * Respond RESTfully.
+ */
+const createGroup = async function (req, res, next) {
+    res.set("Content-Type", "application/json; charset=utf-8")
+    let owner = getAgentClaim(req, next)
+    if (!owner) return
+    const problems = groupProblems(req.body)
+    if (problems.length) {
+        let err = {
+            message: `The group was not made. ${problems.join(" ")}`,
+            status: 400
+        }
+        return next(utils.createExpressError(err))
+    }
+    const id = ObjectID()
+    let rerumProp = { "__rerum": utils.configureRerumOptions(owner, {}, false, false)["__rerum"] }
+    rerumProp.__rerum.isGroup = true
+    let newGroup = Object.assign(
+        { "@id": process.env.RERUM_ID_PREFIX + id, "@type": "foaf:Group" },
+        req.body.name === undefined ? {} : { name: req.body.name },
+        { members: groupMembers(owner, req.body.members) },
+        rerumProp,
+        { "_id": id }
+    )
+    try {
+        // The group and its entry in the change log are written together or not at all.
+        const logged = await withTransaction(async (session) => {
+            await db.insertOne(newGroup, { session })
+            return events.logChanges([{ type: "create", stored: newGroup, agent: owner }], session)
+        })
+        events.publish(logged)
+        res.set(utils.configureWebAnnoHeadersFor(newGroup))
+        newGroup = idNegotiation(newGroup)
+        res.location(newGroup["@id"])
+        res.status(201)
+        res.json(newGroup)
+    }
+    catch (error) {
+        return next(utils.createExpressError(error))
+    }
+}
+
+/**
+ * Public facing servlet to read a group.
+ * Support GET /v1/api/groups/:_id.
+ * Respond RESTfully.
+ */
+const group = async function (req, res, next) {
+    res.set("Content-Type", "application/json; charset=utf-8")
+    const id = req.params["_id"]
+    let found
+    try {
+        found = await db.findOne({ "_id": id, "__rerum.isGroup": true })
+    } catch (error) {
+        return next(utils.createExpressError(error))
+    }
+    if (null === found) {
+        let err = {
+            message: `No RERUM group with id '${id}'`,
+            status: 404
+        }
+        return next(utils.createExpressError(err))
+    }
+    res.set(utils.configureWebAnnoHeadersFor(found))
+    res.json(idNegotiation(found))
+}
+
+/**
+ * Public facing servlet to change the name and members of a group.
+ * Support PUT /v1/api/groups/:_id with a body like { "name": "My Project", "members": ["agent URI"] }.
+ * Only the owner may change a group.  The group is changed in place, like /overwrite, so its @id stays the same.
+ * Respond RESTfully.
+ */
+const updateGroup = async function (req, res, next) {
+    res.set("Content-Type", "application/json; charset=utf-8")
+    let agentRequestingChange = getAgentClaim(req, next)
+    if (!agentRequestingChange) return
+    const id = req.params["_id"]
+    let err = { message: `` }
+    const problems = groupProblems(req.body)
+    if (problems.length) {
+        err = Object.assign(err, {
+            message: `The group was not changed. ${problems.join(" ")}`,
+            status: 400
+        })
+        return next(utils.createExpressError(err))
+    }
+    let originalGroup
+    try {
+        originalGroup = await db.findOne({ "_id": id })
+    } catch (error) {
+        return next(utils.createExpressError(error))
+    }
+    if (null === originalGroup || !(originalGroup.__rerum?.isGroup || utils.isDeleted(originalGroup))) {
+        err = Object.assign(err, {
+            message: `No RERUM group with id '${id}'`,
+            status: 404
+        })
+    }
+    else if (utils.isDeleted(originalGroup)) {
+        err = Object.assign(err, {
+            message: `The group you are trying to change is deleted.`,
+            status: 403,
+            problem: { type: "deleted" }
+        })
+    }
+    else if (!utils.isGenerator(originalGroup, agentRequestingChange)) {
+        err = Object.assign(err, {
+            message: `You are not the owner of this group.  Only the owner may change its name or members.`,
+            status: 401,
+            problem: { type: "not-generator" }
+        })
+    }
+    if (err.status) {
+        return next(utils.createExpressError(err))
+    }
+    const owner = originalGroup.__rerum.generatedBy
+    let changedGroup = { ...originalGroup, members: groupMembers(owner, req.body.members) }
+    delete changedGroup.name
+    if (req.body.name !== undefined) changedGroup.name = req.body.name
+    changedGroup.__rerum.isOverwritten = new Date(Date.now()).toISOString().replace("Z", "")
+    try {
+        // The change and its entry in the change log are written together or not at all.
+        const logged = await withTransaction(async (session) => {
+            await db.replaceOne({ "_id": id }, changedGroup, { session })
+            return events.logChanges([{ type: "overwrite", stored: changedGroup, agent: agentRequestingChange }], session)
+        })
+        events.publish(logged)
+    } catch (error) {
+        return next(utils.createExpressError(error))
+    }
+    res.set(utils.configureWebAnnoHeadersFor(changedGroup))
+    res.json(idNegotiation(changedGroup))
+}
+
+export { groups, createGroup, group, updateGroup }
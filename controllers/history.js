@@ -8,7 +8,22 @@
 
 import { newID, isValidID, db } from '../database/index.js'
 import utils from '../utils.js'
-import { _contextid, ObjectID, getAgentClaim, getPagination, parseDocumentID, idNegotiation, getAllVersions, getAllAncestors, getAllDescendants } from './utils.js'
+import { _contextid, ObjectID, getAgentClaim, getPagination, parseDocumentID, idNegotiation, getAllVersions, getAllAncestors, getAllDescendants, getMementos, jsonPatchDiff, summarizePatch } from './utils.js'
+
+/**
+ * Set the ETag and Last-Modified headers for a list of versions as they are stored in MongoDB.
+ * The ETag changes whenever any version in the list changes.  Last-Modified is the most recent change to any version in the list.
+ * @return boolean true when the request is conditional and the client already has this list.
+ */
+function isFreshList(versions, req, res) {
+    res.set(utils.configureETagHeader(versions))
+    const modified = versions
+        .map(v => utils.configureLastModifiedHeader(v)["Last-Modified"])
+        .filter(date => !isNaN(Date.parse(date)))
+        .sort((a, b) => Date.parse(b) - Date.parse(a))
+    if (modified.length) res.set("Last-Modified", modified[0])
+    return req.fresh
+}
 
 /**
  * Public facing servlet to gather for all versions downstream from a provided `key object`.
@@ -38,6 +53,11 @@ const since = async function (req, res, next) {
             return []
         })
     let descendants = getAllDescendants(all, obj, [])
+    if (isFreshList(descendants, req, res)) {
+        //The client already has this list.
+        res.status(304).end()
+        return
+    }
     descendants =
         descendants.map(o => idNegotiation(o))
     res.set(utils.configureLDHeadersFor(descendants))
@@ -73,12 +93,186 @@ const history = async function (req, res, next) {
             return []
         })
     let ancestors = getAllAncestors(all, obj, [])
+    if (isFreshList(ancestors, req, res)) {
+        //The client already has this list.
+        res.status(304).end()
+        return
+    }
     ancestors =
         ancestors.map(o => idNegotiation(o))
     res.set(utils.configureLDHeadersFor(ancestors))
     res.json(ancestors)
 }
 
+/**
+ * Public facing servlet action to produce the whole version tree of an object as a graph.  
+ * Every version in the tree is a node and every history.next link is an edge from the earlier version to the later one.
+ * Deleted placeholders stay in the graph attached to their former previous so clients can see where a branch was cut.
+ * Respond with JSON by default or with JSON-LD, using prov:wasDerivedFrom for the edges, when the Accept header prefers application/ld+json.
+ * @param _id variable assigned by the /tree route
+ * @respond JSONObject with root, requested, nodes and edges.
+ */
+const tree = async function (req, res, next) {
+    let id = req.params["_id"]
+    let obj
+    try {
+        obj = await db.findOne({"$or":[{"_id": id}, {"__rerum.slug": id}]})
+    } catch (error) {
+        return next(utils.createExpressError(error))
+    }
+    if (null === obj) {
+        let err = {
+            message: `Cannot produce a version tree. There is no object in the database with id '${id}'.  Check the URL.`,
+            status: 404
+        }
+        return next(utils.createExpressError(err))
+    }
+    const requestedID = obj["@id"]
+    const keyObj = utils.isDeleted(obj) ? obj.__deleted.object : obj
+    let all, deleted
+    try {
+        all = await getAllVersions(keyObj)
+        const rootID = all[0]["@id"]
+        deleted = await db.find({ "__deleted.object.__rerum.history.prime": rootID }).toArray()
+        // A deleted root is its own placeholder.
+        if (utils.isDeleted(all[0])) deleted.unshift(all.shift())
+        else if (keyObj.__rerum.history.prime === "root" && utils.isDeleted(obj)) deleted.unshift(obj)
+    } catch (error) {
+        return next(utils.createExpressError(error))
+    }
+    const versions = all.filter(v => !deleted.some(d => d["@id"] === v["@id"]))
+    const known = new Set([...versions, ...deleted].map(v => v["@id"]))
+    const node = (v, isDeleted) => {
+        const rerum = isDeleted ? v.__deleted.object.__rerum : v.__rerum
+        return {
+            "@id": v["@id"],
+            generatedBy: rerum.generatedBy,
+            createdAt: rerum.createdAt,
+            isReleased: rerum.isReleased,
+            leaf: !isDeleted && rerum.history.next.filter(n => known.has(n)).length === 0,
+            released: rerum.isReleased !== "",
+            deleted: isDeleted,
+            requested: v["@id"] === requestedID
+        }
+    }
+    const nodes = [
+        ...versions.map(v => node(v, false)),
+        ...deleted.map(d => node(d, true))
+    ]
+    const edges = []
+    for (const v of versions) {
+        for (const n of v.__rerum.history.next) {
+            if (known.has(n)) edges.push({ from: v["@id"], to: n })
+        }
+    }
+    for (const d of deleted) {
+        const previous = d.__deleted.object.__rerum.history.previous
+        if (known.has(previous)) edges.push({ from: previous, to: d["@id"] })
+    }
+    const graph = {
+        root: versions[0]?.["@id"] ?? deleted[0]["@id"],
+        requested: requestedID,
+        nodes,
+        edges
+    }
+    if (req.accepts(["application/json", "application/ld+json"]) === "application/ld+json") {
+        const derivedFrom = new Map(edges.map(e => [e.to, e.from]))
+        res.set(utils.configureLDHeadersFor(graph))
+        res.json({
+            "@context": { "prov": "http://www.w3.org/ns/prov#", "rerum": `${process.env.RERUM_CONTEXT}#` },
+            "@id": `${process.env.RERUM_PREFIX}tree/${id}`,
+            "rerum:root": { "@id": graph.root },
+            "rerum:requested": { "@id": requestedID },
+            "@graph": nodes.map(n => ({
+                "@id": n["@id"],
+                "@type": "prov:Entity",
+                ...(derivedFrom.has(n["@id"]) && { "prov:wasDerivedFrom": { "@id": derivedFrom.get(n["@id"]) } }),
+                "prov:generatedAtTime": n.createdAt,
+                "rerum:leaf": n.leaf,
+                "rerum:released": n.released,
+                "rerum:deleted": n.deleted,
+                "rerum:requested": n.requested
+            }))
+        })
+        return
+    }
+    res.set("Content-Type", "application/json; charset=utf-8")
+    res.json(graph)
+}
+
+/**
+ * Public facing servlet action to describe what changed between two versions of an object.
+ * Support GET /v1/diff/:_id/:otherId for any two versions in the same version tree, and
+ * GET /v1/diff/:_id?against=previous for a version and the version it was made from.
+ * The RERUM bookkeeping (__rerum, @id and the negotiated id) is left out unless ?rerum=true is provided.
+ * @respond JSONObject with from, to, an RFC 6902 JSON Patch from one to the other, and a readable summary of that patch.
+ */
+const diff = async function (req, res, next) {
+    res.set("Content-Type", "application/json; charset=utf-8")
+    const id = req.params["_id"]
+    const otherID = req.params["otherId"]
+    const againstPrevious = req.query.against === "previous"
+    if (!otherID && !againstPrevious) {
+        let err = {
+            message: `Provide a second id like /v1/diff/${id}/{other id} or compare against the previous version like /v1/diff/${id}?against=previous.`,
+            status: 400
+        }
+        return next(utils.createExpressError(err))
+    }
+    // Deleted versions are compared as they were.
+    const content = (obj) => obj && utils.isDeleted(obj) ? obj.__deleted.object : obj
+    let to, from
+    try {
+        to = content(await db.findOne({"$or":[{"_id": id}, {"__rerum.slug": id}]}))
+        if (to && againstPrevious) {
+            // A previous outside of RERUM, like the source of an imported object, cannot be compared.
+            const previous = to.__rerum?.history.previous
+            const previousID = previous?.startsWith(process.env.RERUM_ID_PREFIX) ? parseDocumentID(previous) : null
+            from = previousID ? content(await db.findOne({"$or":[{"_id": previousID}, {"__rerum.slug": previousID}]})) : null
+        }
+        else if (to) {
+            from = to
+            to = content(await db.findOne({"$or":[{"_id": otherID}, {"__rerum.slug": otherID}]}))
+        }
+    } catch (error) {
+        return next(utils.createExpressError(error))
+    }
+    if (!from || !to) {
+        let err = {
+            message: againstPrevious && to
+                ? `Cannot produce a diff. The object with id '${id}' has no previous version in RERUM.`
+                : `Cannot produce a diff. There is no object in the database with id '${from ? otherID : id}'.  Check the URL.`,
+            status: 404
+        }
+        return next(utils.createExpressError(err))
+    }
+    const primeOf = (obj) => obj.__rerum?.history.prime === "root" ? obj["@id"] : obj.__rerum?.history.prime
+    if (!primeOf(from) || primeOf(from) !== primeOf(to)) {
+        let err = {
+            message: `Cannot produce a diff. ${from["@id"]} and ${to["@id"]} are not versions of the same object.`,
+            status: 400
+        }
+        return next(utils.createExpressError(err))
+    }
+    const comparable = (obj) => {
+        const copy = structuredClone(obj)
+        delete copy._id
+        if (req.query.rerum !== "true") {
+            delete copy.__rerum
+            delete copy["@id"]
+            if (copy.id === obj["@id"]) delete copy.id
+        }
+        return copy
+    }
+    const patch = jsonPatchDiff(comparable(from), comparable(to))
+    res.json({
+        from: from["@id"],
+        to: to["@id"],
+        patch,
+        summary: summarizePatch(patch, comparable(from))
+    })
+}
+
 /**
  * Allow for HEAD requests via the RERUM getByProperties pattern /v1/api/query
  * No objects are returned, but the Content-Length header is set. 
@@ -106,4 +300,64 @@ const queryHeadRequest = async function (req, res, next) {
     }
 }
 
-export { since, history, queryHeadRequest }
+/**
+ * Public facing servlet action to produce the Memento TimeMap (RFC 7089) of an object.
+ * Every version in the tree of the object is listed as a Memento with its createdAt, oldest first.  The object at /v1/id/{id} is the TimeGate.
+ * Respond in application/link-format by default or with JSON when the Accept header prefers application/json.
+ * @param _id variable assigned by the /timemap route
+ */
+const timemap = async function (req, res, next) {
+    let id = req.params["_id"]
+    let obj
+    try {
+        obj = await db.findOne({"$or":[{"_id": id}, {"__rerum.slug": id}]})
+    } catch (error) {
+        return next(utils.createExpressError(error))
+    }
+    if (null === obj) {
+        let err = {
+            message: `Cannot produce a TimeMap. There is no object in the database with id '${id}'.  Check the URL.`,
+            status: 404
+        }
+        return next(utils.createExpressError(err))
+    }
+    const keyObj = utils.isDeleted(obj) ? obj.__deleted.object : obj
+    let mementos = []
+    try {
+        if (keyObj.__rerum?.history) mementos = await getMementos(keyObj)
+    } catch (error) {
+        return next(utils.createExpressError(error))
+    }
+    const original = obj["@id"]
+    const self = `${process.env.RERUM_PREFIX}timemap/${obj._id}`
+    const [first, last] = [mementos[0], mementos[mementos.length - 1]]
+    res.set("Cache-Control", "max-age=60")
+    if (req.accepts(["application/link-format", "application/json"]) === "application/json") {
+        const describe = (memento) => memento && { datetime: memento.datetime.toISOString(), uri: memento.version["@id"] }
+        res.set("Content-Type", "application/json; charset=utf-8")
+        res.json({
+            original_uri: original,
+            timegate_uri: original,
+            timemap_uri: { link_format: self, json_format: self },
+            mementos: {
+                first: describe(first),
+                last: describe(last),
+                list: mementos.map(describe)
+            }
+        })
+        return
+    }
+    const range = first ? `; from="${first.datetime.toUTCString()}"; until="${last.datetime.toUTCString()}"` : ""
+    const links = [
+        `<${original}>; rel="original timegate"`,
+        `<${self}>; rel="self"; type="application/link-format"${range}`,
+        ...mementos.map(memento => {
+            const rel = [memento === first && "first", memento === last && "last", "memento"].filter(r => r).join(" ")
+            return `<${memento.version["@id"]}>; rel="${rel}"; datetime="${memento.datetime.toUTCString()}"`
+        })
+    ]
+    res.set("Content-Type", "application/link-format; charset=utf-8")
+    res.send(links.join(",\n"))
+}
+
+export { since, history, tree, diff, timemap, queryHeadRequest }
@@ -0,0 +1,287 @@
+#!/usr/bin/env node
+
+/**
+ * History tree integrity controller for RERUM operations
+ * Handles reporting on and repairing broken version trees
+ */
+
+import { db, withTransaction } from '../database/index.js'
+import utils from '../utils.js'
+import { parseDocumentID, getAllVersions } from './utils.js'
+
+/**
+ * Find a stored object by a RERUM URI, or null when the URI is not one or there is no such object.
+ */
+async function findByURI(uri, session) {
+    let id
+    try {
+        id = parseDocumentID(uri)
+    } catch (error) {
+        return null
+    }
+    return db.findOne({"$or":[{"_id": id}, {"__rerum.slug": id}]}, { session })
+}
+
+/**
+ * Internal method to walk the whole version tree of an object from its `history.prime` and describe everything that disagrees.
+ * It should always receive a reliable object, not one from the user.  A deleted object is inspected through its former self.
+ *
+ * The tree is inspected on copies of the stored versions.  Each issue found is fixed on the copy when there is a deterministic fix.
+ * The copies that changed are the repairs.  Nothing is written here.
+ *
+ * Issue types
+ *  - missing-prime     the history.prime of the object does not resolve to a stored root.  Nothing else can be checked.
+ *  - wrong-prime       a version reached through history.next links has a prime other than the root.  It is given the root.
+ *  - orphaned-next     a history.next entry is not a stored, undeleted version.  It is removed.
+ *  - stray-next        a history.next entry is a version whose history.previous is some other version in the tree.  It is removed.
+ *  - missing-next      a version is not in the history.next of its history.previous.  It is added.
+ *  - missing-previous  the history.previous of a version is not in the tree.  If exactly one version lists it as a next, that is its previous.
+ *                      Otherwise it cannot be repaired deterministically.
+ *  - release-pointer   releases.previous is not the nearest released ancestor, releases.next is not the nearest released descendants,
+ *                      or releases.replaces on a released version does not match its releases.previous.  They are recalculated.
+ *
+ * @param obj The object whose tree is inspected.
+ * @param session An optional MongoDB ClientSession when this is part of a transaction.
+ * @return {Object} { root, versions, issues, repairs } where repairs are the altered copies that need to be written.
+ */
+async function inspectHistoryTree(obj, session) {
+    const keyObj = utils.isDeleted(obj) ? obj.__deleted.object : obj
+    const issues = []
+    let ls_versions
+    try {
+        ls_versions = await getAllVersions(keyObj, session)
+    } catch (error) {
+        issues.push({
+            type: "missing-prime",
+            id: keyObj["@id"],
+            detail: error.message,
+            repairable: false
+        })
+        return { root: null, versions: 0, issues, repairs: [] }
+    }
+    const root = ls_versions[0]
+    const rootID = root["@id"]
+    const originals = new Map()
+    const tree = new Map()
+    for (const v of ls_versions) {
+        originals.set(v["@id"], v)
+        tree.set(v["@id"], structuredClone(v))
+    }
+    const historyOf = (v) => v.__rerum.history
+
+    // Walk history.next from the root to find versions the prime query could not.
+    const queue = [rootID]
+    const reached = new Set()
+    while (queue.length) {
+        const current = tree.get(queue.shift())
+        if (reached.has(current["@id"])) continue
+        reached.add(current["@id"])
+        for (const nextID of [...historyOf(current).next]) {
+            if (!tree.has(nextID)) {
+                const found = await findByURI(nextID, session)
+                if (found && !utils.isDeleted(found) && found.__rerum) {
+                    issues.push({
+                        type: "wrong-prime",
+                        id: nextID,
+                        detail: `Reached from ${current["@id"]} but its history.prime is '${found.__rerum.history.prime}'.`,
+                        repairable: true
+                    })
+                    originals.set(nextID, found)
+                    const fixed = structuredClone(found)
+                    fixed.__rerum.history.prime = rootID
+                    tree.set(nextID, fixed)
+                }
+                else {
+                    issues.push({
+                        type: "orphaned-next",
+                        id: current["@id"],
+                        detail: `history.next contains ${nextID}, which is ${found && utils.isDeleted(found) ? "deleted" : "not a version in RERUM"}.`,
+                        repairable: true
+                    })
+                    historyOf(current).next = historyOf(current).next.filter(n => n !== nextID)
+                    continue
+                }
+            }
+            queue.push(nextID)
+        }
+    }
+
+    // Every version but the root must agree with its previous.
+    for (const v of tree.values()) {
+        if (v["@id"] === rootID) continue
+        const history = historyOf(v)
+        const claimants = [...tree.values()].filter(c => historyOf(c).next.includes(v["@id"]))
+        if (!tree.has(history.previous)) {
+            if (claimants.length === 1) {
+                issues.push({
+                    type: "missing-previous",
+                    id: v["@id"],
+                    detail: `history.previous '${history.previous}' is not in the tree.  ${claimants[0]["@id"]} lists it as a next.`,
+                    repairable: true
+                })
+                history.previous = claimants[0]["@id"]
+            }
+            else {
+                issues.push({
+                    type: "missing-previous",
+                    id: v["@id"],
+                    detail: `history.previous '${history.previous}' is not in the tree and ${claimants.length} versions list it as a next.`,
+                    repairable: false
+                })
+                continue
+            }
+        }
+        for (const c of claimants) {
+            if (c["@id"] === history.previous) continue
+            issues.push({
+                type: "stray-next",
+                id: c["@id"],
+                detail: `history.next contains ${v["@id"]}, whose history.previous is ${history.previous}.`,
+                repairable: true
+            })
+            historyOf(c).next = historyOf(c).next.filter(n => n !== v["@id"])
+        }
+        const parent = tree.get(history.previous)
+        if (!historyOf(parent).next.includes(v["@id"])) {
+            issues.push({
+                type: "missing-next",
+                id: parent["@id"],
+                detail: `history.next does not contain ${v["@id"]}, whose history.previous it is.`,
+                repairable: true
+            })
+            historyOf(parent).next.push(v["@id"])
+        }
+    }
+    if (historyOf(tree.get(rootID)).prime !== "root") {
+        issues.push({
+            type: "wrong-prime",
+            id: rootID,
+            detail: `The root has history.prime '${historyOf(tree.get(rootID)).prime}'.`,
+            repairable: true
+        })
+        historyOf(tree.get(rootID)).prime = "root"
+    }
+
+    // With the history tree mended the releases tree can be calculated from it.
+    for (const v of tree.values()) {
+        const releases = v.__rerum.releases
+        let expectedPrevious = ""
+        const seen = new Set([v["@id"]])
+        let ancestor = tree.get(historyOf(v).previous)
+        while (ancestor && !seen.has(ancestor["@id"])) {
+            if (utils.isReleased(ancestor)) {
+                expectedPrevious = ancestor["@id"]
+                break
+            }
+            seen.add(ancestor["@id"])
+            ancestor = tree.get(historyOf(ancestor).previous)
+        }
+        const expectedNext = []
+        const stack = [...historyOf(v).next]
+        const visited = new Set([v["@id"]])
+        while (stack.length) {
+            const d = tree.get(stack.pop())
+            if (!d || visited.has(d["@id"])) continue
+            visited.add(d["@id"])
+            if (utils.isReleased(d)) expectedNext.push(d["@id"])
+            else stack.push(...historyOf(d).next)
+        }
+        const expectedReplaces = utils.isReleased(v) ? expectedPrevious : releases.replaces
+        const sameNext = releases.next.length === expectedNext.length && expectedNext.every(n => releases.next.includes(n))
+        if (releases.previous !== expectedPrevious || !sameNext || releases.replaces !== expectedReplaces) {
+            issues.push({
+                type: "release-pointer",
+                id: v["@id"],
+                detail: `releases is ${JSON.stringify({ previous: releases.previous, next: releases.next, replaces: releases.replaces })} but the releases tree calls for ${JSON.stringify({ previous: expectedPrevious, next: expectedNext, replaces: expectedReplaces })}.`,
+                repairable: true
+            })
+            releases.previous = expectedPrevious
+            releases.next = sameNext ? releases.next : expectedNext
+            releases.replaces = expectedReplaces
+        }
+    }
+
+    const repairs = [...tree.values()].filter(v => JSON.stringify(v) !== JSON.stringify(originals.get(v["@id"])))
+    return { root: rootID, versions: tree.size, issues, repairs }
+}
+
+/**
+ * Public facing servlet to report on the integrity of the whole version tree of an object.
+ * Support GET /v1/api/integrity/:_id.  Nothing is changed.
+ * Respond RESTfully.
+ */
+const integrity = async function (req, res, next) {
+    res.set("Content-Type", "application/json; charset=utf-8")
+    const id = req.params["_id"]
+    let obj
+    try {
+        obj = await db.findOne({"$or":[{"_id": id}, {"__rerum.slug": id}]})
+    } catch (error) {
+        return next(utils.createExpressError(error))
+    }
+    if (null === obj) {
+        let err = {
+            message: `Cannot check the integrity of a history tree. There is no object in the database with id '${id}'.  Check the URL.`,
+            status: 404
+        }
+        return next(utils.createExpressError(err))
+    }
+    let report
+    try {
+        report = await inspectHistoryTree(obj)
+    } catch (error) {
+        return next(utils.createExpressError(error))
+    }
+    res.json({
+        prime: report.root,
+        versions: report.versions,
+        healthy: report.issues.length === 0,
+        issues: report.issues
+    })
+}
+
+/**
+ * Public facing servlet to repair what can be repaired deterministically in the whole version tree of an object.
+ * Support POST /v1/api/integrity/:_id.
+ * The tree is inspected again and all repairs are written inside one transaction so that the tree is never half repaired.
+ * Respond RESTfully.
+ */
+const repairIntegrity = async function (req, res, next) {
+    res.set("Content-Type", "application/json; charset=utf-8")
+    const id = req.params["_id"]
+    let obj
+    try {
+        obj = await db.findOne({"$or":[{"_id": id}, {"__rerum.slug": id}]})
+    } catch (error) {
+        return next(utils.createExpressError(error))
+    }
+    if (null === obj) {
+        let err = {
+            message: `Cannot repair a history tree. There is no object in the database with id '${id}'.  Check the URL.`,
+            status: 404
+        }
+        return next(utils.createExpressError(err))
+    }
+    let report
+    try {
+        report = await withTransaction(async (session) => {
+            const inspected = await inspectHistoryTree(obj, session)
+            for (const repaired of inspected.repairs) {
+                await db.replaceOne({ "_id": repaired["_id"] }, repaired, { session })
+            }
+            return inspected
+        })
+    } catch (error) {
+        return next(utils.createExpressError(error))
+    }
+    console.log(`History tree ${report.root} repaired by ${req.user?.[process.env.RERUM_AGENT_CLAIM]}`)
+    res.json({
+        prime: report.root,
+        versions: report.versions,
+        repaired: report.issues.filter(i => i.repairable),
+        remaining: report.issues.filter(i => !i.repairable),
+        modified: report.repairs.map(r => r["@id"])
+    })
+}
+
+export { inspectHistoryTree, integrity, repairIntegrity }
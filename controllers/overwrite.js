@@ -6,9 +6,10 @@
  * @author cubap, thehabes
  */
 
-import { newID, isValidID, db } from '../database/index.js'
+import { newID, isValidID, db, withTransaction } from '../database/index.js'
 import utils from '../utils.js'
-import { _contextid, ObjectID, getAgentClaim, parseDocumentID, idNegotiation } from './utils.js'
+import events from '../events/index.js'
+import { _contextid, ObjectID, getAgentClaim, agentHasRight, parseDocumentID, idNegotiation } from './utils.js'
 
 /**
  * Replace some existing object in MongoDB with the JSON object in the request body.
@@ -40,19 +41,29 @@ const overwrite = async function (req, res, next) {
         else if (utils.isDeleted(originalObject)) {
             err = Object.assign(err, {
                 message: `The object you are trying to overwrite is deleted. ${err.message}`,
-                status: 403
+                status: 403,
+                problem: { type: "deleted" }
             })
         }
         else if (utils.isReleased(originalObject)) {
             err = Object.assign(err, {
                 message: `The object you are trying to overwrite is released.  Fork with /update to make changes. ${err.message}`,
-                status: 403
+                status: 403,
+                problem: { type: "released" }
             })
         }
-        else if (!utils.isGenerator(originalObject, agentRequestingOverwrite)) {
+        else if (!(await agentHasRight(originalObject, agentRequestingOverwrite, "edit"))) {
             err = Object.assign(err, {
-                message: `You are not the generating agent for this object. You cannot overwrite it. Fork with /update to make changes. ${err.message}`,
-                status: 401
+                message: `You are not the generating agent for this object and have not been granted the right to edit it. You cannot overwrite it. Fork with /update to make changes. ${err.message}`,
+                status: 401,
+                problem: { type: "not-generator" }
+            })
+        }
+        else if (!utils.isIfMatchSatisfied(req.get("If-Match"), originalObject)) {
+            err = Object.assign(err, {
+                message: `The object you are trying to overwrite has changed since you last saw it.  See the ETag from /id for the current version. ${err.message}`,
+                status: 412,
+                problem: { type: "precondition-failed", currentETag: utils.configureETagHeader(originalObject).ETag }
             })
         }
         else {
@@ -61,6 +72,14 @@ const overwrite = async function (req, res, next) {
             const currentVersionTS = originalObject.__rerum?.isOverwritten ?? ""
             
             if (expectedVersion !== undefined && expectedVersion !== currentVersionTS) {
+                if (utils.prefersProblemDetails(req)) {
+                    err = Object.assign(err, {
+                        message: `The object you are trying to overwrite was overwritten at '${currentVersionTS}', not '${expectedVersion}'. ${err.message}`,
+                        status: 409,
+                        problem: { type: "overwrite-conflict", currentVersion: idNegotiation(structuredClone(originalObject)) }
+                    })
+                    return next(utils.createExpressError(err))
+                }
                 res.status(409)
                 res.json({
                     currentVersion: originalObject
@@ -80,15 +99,20 @@ const overwrite = async function (req, res, next) {
                 if(_contextid(objectReceived["@context"])) delete objectReceived.id
                 delete objectReceived["@context"]
                 let newObject = Object.assign(context, { "@id": originalObject["@id"] }, objectReceived, rerumProp, { "_id": id })
-                let result
+                let logged
                 try {
-                    result = await db.replaceOne({ "_id": id }, newObject)
+                    // The overwrite and its entry in the change log are written together or not at all.
+                    logged = await withTransaction(async (session) => {
+                        const result = await db.replaceOne({ "_id": id }, newObject, { session })
+                        if (result.modifiedCount == 0) {
+                            //result didn't error out, the action was not performed.  Sometimes, this is a neutral thing.  Sometimes it is indicative of an error.
+                        }
+                        return events.logChanges([{ type: "overwrite", stored: newObject, agent: agentRequestingOverwrite }], session)
+                    })
                 } catch (error) {
                     return next(utils.createExpressError(error))
                 }
-                if (result.modifiedCount == 0) {
-                    //result didn't error out, the action was not performed.  Sometimes, this is a neutral thing.  Sometimes it is indicative of an error.
-                }
+                events.publish(logged)
                 // Include current version in response headers for future optimistic locking
                 res.set('Current-Overwritten-Version', rerumProp["__rerum"].isOverwritten)
                 res.set(utils.configureWebAnnoHeadersFor(newObject))
@@ -6,9 +6,10 @@
  * @author cubap, thehabes
  */
 
-import { newID, isValidID, db } from '../database/index.js'
+import { newID, isValidID, db, withTransaction } from '../database/index.js'
 import utils from '../utils.js'
-import { _contextid, ObjectID, getAgentClaim, parseDocumentID, idNegotiation, alterHistoryNext } from './utils.js'
+import events from '../events/index.js'
+import { _contextid, ObjectID, getGeneratorAgent, parseDocumentID, idNegotiation, alterHistoryNext } from './utils.js'
 
 /**
  * Update some existing object in MongoDB by removing the keys noted in the JSON object in the request body.
@@ -23,7 +24,7 @@ const patchUnset = async function (req, res, next) {
     res.set("Content-Type", "application/json; charset=utf-8")
     let objectReceived = structuredClone(req.body)
     let patchedObject = {}
-    let generatorAgent = getAgentClaim(req, next)
+    let generatorAgent = await getGeneratorAgent(req, next)
     if (!generatorAgent) return
     const receivedID = objectReceived["@id"] ?? objectReceived.id
     if (receivedID) {
@@ -45,7 +46,15 @@ const patchUnset = async function (req, res, next) {
         else if (utils.isDeleted(originalObject)) {
             err = Object.assign(err, {
                 message: `The object you are trying to update is deleted. ${err.message}`,
-                status: 403
+                status: 403,
+                problem: { type: "deleted" }
+            })
+        }
+        else if (!utils.isIfMatchSatisfied(req.get("If-Match"), originalObject)) {
+            err = Object.assign(err, {
+                message: `The object you are trying to update has changed since you last saw it.  See the ETag from /id for the current version. ${err.message}`,
+                status: 412,
+                problem: { type: "precondition-failed", currentETag: utils.configureETagHeader(originalObject).ETag }
             })
         }
         else {
@@ -91,27 +100,34 @@ const patchUnset = async function (req, res, next) {
             if(_contextid(patchedObject["@context"])) delete patchedObject.id
             delete patchedObject["@context"]
             let newObject = Object.assign(context, { "@id": process.env.RERUM_ID_PREFIX + id }, patchedObject, rerumProp, { "_id": id })
+            let logged
             try {
-                let result = await db.insertOne(newObject)
-                if (alterHistoryNext(originalObject, newObject["@id"])) {
-                    //Success, the original object has been updated.
-                    res.set(utils.configureWebAnnoHeadersFor(newObject))
-                    newObject = idNegotiation(newObject)
-                    newObject.new_obj_state = structuredClone(newObject)
-                    res.location(newObject[_contextid(newObject["@context"]) ? "id":"@id"])
-                    res.status(200)
-                    res.json(newObject)
-                    return
-                }
-                err = Object.assign(err, {
-                    message: `Unable to alter the history next of the originating object.  The history tree may be broken. See ${originalObject["@id"]}. ${err.message}`,
-                    status: 500
+                // The new version, the history.next of the originating object and the change log entry are written together or not at all.
+                logged = await withTransaction(async (session) => {
+                    await db.insertOne(newObject, { session })
+                    // Alter a copy.  A retried transaction must not see the next already pushed by an aborted attempt.
+                    if (!await alterHistoryNext(structuredClone(originalObject), newObject["@id"], session)) {
+                        throw Object.assign(err, {
+                            message: `Unable to alter the history next of the originating object.  The new version was not created. See ${originalObject["@id"]}. ${err.message}`,
+                            status: 500
+                        })
+                    }
+                    return events.logChanges([{ type: "update", stored: newObject, agent: generatorAgent }], session)
                 })
             }
             catch (error) {
-                //WriteError or WriteConcernError
+                //WriteError, WriteConcernError, or the history tree could not be altered.  Nothing was written.
                 return next(utils.createExpressError(error))
             }
+            //Success, the new version exists and the original object has been updated.
+            events.publish(logged)
+            res.set(utils.configureWebAnnoHeadersFor(newObject))
+            newObject = idNegotiation(newObject)
+            newObject.new_obj_state = structuredClone(newObject)
+            res.location(newObject[_contextid(newObject["@context"]) ? "id":"@id"])
+            res.status(200)
+            res.json(newObject)
+            return
         }
     }
     else {
@@ -6,9 +6,72 @@
  * @author cubap, thehabes
  */
 
-import { newID, isValidID, db } from '../database/index.js'
+import { newID, isValidID, db, withTransaction } from '../database/index.js'
 import utils from '../utils.js'
-import { _contextid, ObjectID, getAgentClaim, parseDocumentID, idNegotiation, alterHistoryNext } from './utils.js'
+import events from '../events/index.js'
+import { _contextid, ObjectID, getGeneratorAgent, parseDocumentID, idNegotiation, alterHistoryNext, applyJsonPatch, applyMergePatch } from './utils.js'
+
+/**
+ * Internal helper to save the patched object as a new version of the original object and respond RESTfully.
+ * The new version gets its __rerum from configureRerumOptions() and the original object gets it as a history.next.
+ *
+ * @param originalObject The current version from MongoDB
+ * @param patchedObject A copy of the current version with the patch applied
+ * @param generatorAgent The agent making the new version
+ */
+async function saveVersion(originalObject, patchedObject, generatorAgent, res, next) {
+    let err = { message: `` }
+    const id = ObjectID()
+    let context = patchedObject["@context"] ? { "@context": patchedObject["@context"] } : {}
+    let rerumProp = { "__rerum": utils.configureRerumOptions(generatorAgent, originalObject, true, false)["__rerum"] }
+    delete patchedObject["__rerum"]
+    delete patchedObject["_id"]
+    delete patchedObject["@id"]
+    // id is also protected in this case, so it can't be set.
+    if(_contextid(patchedObject["@context"])) delete patchedObject.id
+    delete patchedObject["@context"]
+    let newObject = Object.assign(context, { "@id": process.env.RERUM_ID_PREFIX + id }, patchedObject, rerumProp, { "_id": id })
+    let logged
+    try {
+        // The new version, the history.next of the originating object and the change log entry are written together or not at all.
+        logged = await withTransaction(async (session) => {
+            await db.insertOne(newObject, { session })
+            // Alter a copy.  A retried transaction must not see the next already pushed by an aborted attempt.
+            if (!await alterHistoryNext(structuredClone(originalObject), newObject["@id"], session)) {
+                throw Object.assign(err, {
+                    message: `Unable to alter the history next of the originating object.  The new version was not created. See ${originalObject["@id"]}. ${err.message}`,
+                    status: 500
+                })
+            }
+            return events.logChanges([{ type: "update", stored: newObject, agent: generatorAgent }], session)
+        })
+    }
+    catch (error) {
+        //WriteError, WriteConcernError, or the history tree could not be altered.  Nothing was written.
+        return next(utils.createExpressError(error))
+    }
+    //Success, the new version exists and the original object has been updated.
+    events.publish(logged)
+    res.set(utils.configureWebAnnoHeadersFor(newObject))
+    newObject = idNegotiation(newObject)
+    newObject.new_obj_state = structuredClone(newObject)
+    res.location(newObject[_contextid(newObject["@context"]) ? "id":"@id"])
+    res.status(200)
+    res.json(newObject)
+    return
+}
+
+/**
+ * Internal helper to respond with the original object when a patch did not change anything.  No new version is made.
+ */
+function respondUnchanged(originalObject, res) {
+    res.set(utils.configureWebAnnoHeadersFor(originalObject))
+    originalObject = idNegotiation(originalObject)
+    originalObject.new_obj_state = structuredClone(originalObject)
+    res.location(originalObject[_contextid(originalObject["@context"]) ? "id":"@id"])
+    res.status(200)
+    res.json(originalObject)
+}
 
 /**
  * Update some existing object in MongoDB by changing the keys from the JSON object in the request body.
@@ -22,7 +85,7 @@ const patchUpdate = async function (req, res, next) {
     res.set("Content-Type", "application/json; charset=utf-8")
     let objectReceived = structuredClone(req.body)
     let patchedObject = {}
-    let generatorAgent = getAgentClaim(req, next)
+    let generatorAgent = await getGeneratorAgent(req, next)
     if (!generatorAgent) return
     const receivedID = objectReceived["@id"] ?? objectReceived.id
     if (receivedID) {
@@ -44,7 +107,15 @@ const patchUpdate = async function (req, res, next) {
         else if (utils.isDeleted(originalObject)) {
             err = Object.assign(err, {
                 message: `The object you are trying to update is deleted. ${err.message}`,
-                status: 403
+                status: 403,
+                problem: { type: "deleted" }
+            })
+        }
+        else if (!utils.isIfMatchSatisfied(req.get("If-Match"), originalObject)) {
+            err = Object.assign(err, {
+                message: `The object you are trying to update has changed since you last saw it.  See the ETag from /id for the current version. ${err.message}`,
+                status: 412,
+                problem: { type: "precondition-failed", currentETag: utils.configureETagHeader(originalObject).ETag }
             })
         }
         else {
@@ -72,45 +143,9 @@ const patchUpdate = async function (req, res, next) {
             if (Object.keys(objectReceived).length === 0) {
                 //Then you aren't actually changing anything...only @id came through
                 //Just hand back the object.  The resulting of patching nothing is the object unchanged.
-                res.set(utils.configureWebAnnoHeadersFor(originalObject))
-                originalObject = idNegotiation(originalObject)
-                originalObject.new_obj_state = structuredClone(originalObject)
-                res.location(originalObject[_contextid(originalObject["@context"]) ? "id":"@id"])
-                res.status(200)
-                res.json(originalObject)
-                return
-            }
-            const id = ObjectID()
-            let context = patchedObject["@context"] ? { "@context": patchedObject["@context"] } : {}
-            let rerumProp = { "__rerum": utils.configureRerumOptions(generatorAgent, originalObject, true, false)["__rerum"] }
-            delete patchedObject["__rerum"]
-            delete patchedObject["_id"]
-            delete patchedObject["@id"]
-            // id is also protected in this case, so it can't be set.
-            if(_contextid(patchedObject["@context"])) delete patchedObject.id
-            delete patchedObject["@context"]
-            let newObject = Object.assign(context, { "@id": process.env.RERUM_ID_PREFIX + id }, patchedObject, rerumProp, { "_id": id })
-            try {
-                let result = await db.insertOne(newObject)
-                if (alterHistoryNext(originalObject, newObject["@id"])) {
-                    //Success, the original object has been updated.
-                    res.set(utils.configureWebAnnoHeadersFor(newObject))
-                    newObject = idNegotiation(newObject)
-                    newObject.new_obj_state = structuredClone(newObject)
-                    res.location(newObject[_contextid(newObject["@context"]) ? "id":"@id"])
-                    res.status(200)
-                    res.json(newObject)
-                    return
-                }
-                err = Object.assign(err, {
-                    message: `Unable to alter the history next of the originating object.  The history tree may be broken. See ${originalObject["@id"]}. ${err.message}`,
-                    status: 500
-                })
-            }
-            catch (error) {
-                //WriteError or WriteConcernError
-                return next(utils.createExpressError(error))
+                return respondUnchanged(originalObject, res)
             }
+            return saveVersion(originalObject, patchedObject, generatorAgent, res, next)
         }
     }
     else {
@@ -123,4 +158,77 @@ const patchUpdate = async function (req, res, next) {
     return next(utils.createExpressError(err))
 }
 
-export { patchUpdate }
+/**
+ * Update some existing object in MongoDB with an RFC 6902 JSON Patch (application/json-patch+json)
+ * or an RFC 7396 JSON Merge Patch (application/merge-patch+json) from the request body.
+ * The patch applies to the current version as clients see it, without __rerum.  It may not alter __rerum or the id of the object.
+ * Unlike patchUpdate, nested values can be changed and keys can be added or removed.
+ * Track History
+ * Respond RESTfully
+ * */
+const patchDocument = async function (req, res, next) {
+    res.set("Content-Type", "application/json; charset=utf-8")
+    let generatorAgent = await getGeneratorAgent(req, next)
+    if (!generatorAgent) return
+    const id = req.params["_id"]
+    let originalObject
+    try {
+        originalObject = await db.findOne({"$or":[{"_id": id}, {"__rerum.slug": id}]})
+    } catch (error) {
+        return next(utils.createExpressError(error))
+    }
+    if (null === originalObject) {
+        let err = {
+            message: `Cannot patch an object. There is no object in the database with id '${id}'.  Check the URL.`,
+            status: 404
+        }
+        return next(utils.createExpressError(err))
+    }
+    if (utils.isDeleted(originalObject)) {
+        let err = {
+            message: `The object you are trying to update is deleted.`,
+            status: 403,
+            problem: { type: "deleted" }
+        }
+        return next(utils.createExpressError(err))
+    }
+    if (!utils.isIfMatchSatisfied(req.get("If-Match"), originalObject)) {
+        let err = {
+            message: `The object you are trying to update has changed since you last saw it.  See the ETag from /id for the current version.`,
+            status: 412,
+            problem: { type: "precondition-failed", currentETag: utils.configureETagHeader(originalObject).ETag }
+        }
+        return next(utils.createExpressError(err))
+    }
+    const current = idNegotiation(structuredClone(originalObject))
+    delete current.__rerum
+    let patchedObject
+    try {
+        patchedObject = req.is("application/json-patch+json")
+            ? applyJsonPatch(current, req.body)
+            : applyMergePatch(current, req.body)
+    } catch (error) {
+        return next(utils.createExpressError(error))
+    }
+    if (null === patchedObject || typeof patchedObject !== "object" || Array.isArray(patchedObject)) {
+        let err = {
+            message: `The patch must leave a JSON object.`,
+            status: 400
+        }
+        return next(utils.createExpressError(err))
+    }
+    const idKey = _contextid(current["@context"]) ? "id" : "@id"
+    if (patchedObject.hasOwnProperty("__rerum") || patchedObject.hasOwnProperty("_id") || patchedObject[idKey] !== current[idKey]) {
+        let err = {
+            message: `The patch may not alter __rerum, _id or '${idKey}'.`,
+            status: 400
+        }
+        return next(utils.createExpressError(err))
+    }
+    if (JSON.stringify(patchedObject) === JSON.stringify(current)) {
+        return respondUnchanged(originalObject, res)
+    }
+    return saveVersion(originalObject, patchedObject, generatorAgent, res, next)
+}
+
+export { patchUpdate, patchDocument }
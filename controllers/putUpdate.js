@@ -6,9 +6,10 @@
  * @author cubap, thehabes
  */
 
-import { newID, isValidID, db } from '../database/index.js'
+import { newID, isValidID, db, withTransaction } from '../database/index.js'
 import utils from '../utils.js'
-import { _contextid, ObjectID, getAgentClaim, parseDocumentID, idNegotiation, alterHistoryNext } from './utils.js'
+import events from '../events/index.js'
+import { _contextid, ObjectID, getGeneratorAgent, parseDocumentID, idNegotiation, alterHistoryNext } from './utils.js'
 
 /**
  * Replace some existing object in MongoDB with the JSON object in the request body.
@@ -23,7 +24,7 @@ const putUpdate = async function (req, res, next) {
     let err = { message: `` }
     res.set("Content-Type", "application/json; charset=utf-8")
     let objectReceived = structuredClone(req.body)
-    let generatorAgent = getAgentClaim(req, next)
+    let generatorAgent = await getGeneratorAgent(req, next)
     if (!generatorAgent) return
     const idReceived = objectReceived["@id"] ?? objectReceived.id
     if (idReceived) {
@@ -48,7 +49,15 @@ const putUpdate = async function (req, res, next) {
         else if (utils.isDeleted(originalObject)) {
             err = Object.assign(err, {
                 message: `The object you are trying to update is deleted. ${err.message}`,
-                status: 403
+                status: 403,
+                problem: { type: "deleted" }
+            })
+        }
+        else if (!utils.isIfMatchSatisfied(req.get("If-Match"), originalObject)) {
+            err = Object.assign(err, {
+                message: `The object you are trying to update has changed since you last saw it.  See the ETag from /id for the current version. ${err.message}`,
+                status: 412,
+                problem: { type: "precondition-failed", currentETag: utils.configureETagHeader(originalObject).ETag }
             })
         }
         else {
@@ -63,27 +72,34 @@ const putUpdate = async function (req, res, next) {
             delete objectReceived["@context"]
             
             let newObject = Object.assign(context, { "@id": process.env.RERUM_ID_PREFIX + id }, objectReceived, rerumProp, { "_id": id })
+            let logged
             try {
-                let result = await db.insertOne(newObject)
-                if (alterHistoryNext(originalObject, newObject["@id"])) {
-                    //Success, the original object has been updated.
-                    res.set(utils.configureWebAnnoHeadersFor(newObject))
-                    newObject = idNegotiation(newObject)
-                    newObject.new_obj_state = structuredClone(newObject)
-                    res.location(newObject[_contextid(newObject["@context"]) ? "id":"@id"])
-                    res.status(200)
-                    res.json(newObject)
-                    return
-                }
-                err = Object.assign(err, {
-                    message: `Unable to alter the history next of the originating object.  The history tree may be broken. See ${originalObject["@id"]}. ${err.message}`,
-                    status: 500
+                // The new version, the history.next of the originating object and the change log entry are written together or not at all.
+                logged = await withTransaction(async (session) => {
+                    await db.insertOne(newObject, { session })
+                    // Alter a copy.  A retried transaction must not see the next already pushed by an aborted attempt.
+                    if (!await alterHistoryNext(structuredClone(originalObject), newObject["@id"], session)) {
+                        throw Object.assign(err, {
+                            message: `Unable to alter the history next of the originating object.  The new version was not created. See ${originalObject["@id"]}. ${err.message}`,
+                            status: 500
+                        })
+                    }
+                    return events.logChanges([{ type: "update", stored: newObject, agent: generatorAgent }], session)
                 })
             }
             catch (error) {
-                //WriteError or WriteConcernError
+                //WriteError, WriteConcernError, or the history tree could not be altered.  Nothing was written.
                 return next(utils.createExpressError(error))
             }
+            //Success, the new version exists and the original object has been updated.
+            events.publish(logged)
+            res.set(utils.configureWebAnnoHeadersFor(newObject))
+            newObject = idNegotiation(newObject)
+            newObject.new_obj_state = structuredClone(newObject)
+            res.location(newObject[_contextid(newObject["@context"]) ? "id":"@id"])
+            res.status(200)
+            res.json(newObject)
+            return
         }
     }
     else {
@@ -108,7 +124,7 @@ async function _import(req, res, next) {
     let err = { message: `` }
     res.set("Content-Type", "application/json; charset=utf-8")
     let objectReceived = structuredClone(req.body)
-    let generatorAgent = getAgentClaim(req, next)
+    let generatorAgent = await getGeneratorAgent(req, next)
     if (!generatorAgent) return
     const id = ObjectID()
     let context = objectReceived["@context"] ? { "@context": objectReceived["@context"] } : {}
@@ -122,7 +138,12 @@ async function _import(req, res, next) {
     
     let newObject = Object.assign(context, { "@id": process.env.RERUM_ID_PREFIX + id }, objectReceived, rerumProp, { "_id": id })
     try {
-        let result = await db.insertOne(newObject)
+        // The object and its entry in the change log are written together or not at all.
+        const logged = await withTransaction(async (session) => {
+            await db.insertOne(newObject, { session })
+            return events.logChanges([{ type: "create", stored: newObject, agent: generatorAgent }], session)
+        })
+        events.publish(logged)
         res.set(utils.configureWebAnnoHeadersFor(newObject))
         newObject = idNegotiation(newObject)
         newObject.new_obj_state = structuredClone(newObject)
@@ -6,9 +6,10 @@
  * @author cubap, thehabes
  */
 
-import { newID, isValidID, db } from '../database/index.js'
+import { newID, isValidID, db, withTransaction } from '../database/index.js'
 import utils from '../utils.js'
-import { _contextid, ObjectID, getAgentClaim, parseDocumentID, idNegotiation, generateSlugId, establishReleasesTree, healReleasesTree } from './utils.js'
+import events from '../events/index.js'
+import { _contextid, ObjectID, getAgentClaim, agentHasRight, parseDocumentID, idNegotiation, generateSlugId, establishReleasesTree, healReleasesTree } from './utils.js'
 
 /**
  * Public facing servlet to release an existing RERUM object. This will not
@@ -58,19 +59,22 @@ const release = async function (req, res, next) {
         if (utils.isDeleted(safe_original)) {
             err = Object.assign(err, {
                 message: `The object you are trying to release is deleted. ${err.message}`,
-                status: 403
+                status: 403,
+                problem: { type: "deleted" }
             })
         }
         if (utils.isReleased(safe_original)) {
             err = Object.assign(err, {
                 message: `The object you are trying to release is already released. ${err.message}`,
-                status: 403
+                status: 403,
+                problem: { type: "released" }
             })
         }
-        if (!utils.isGenerator(safe_original, agentRequestingRelease)) {
+        if (!(await agentHasRight(safe_original, agentRequestingRelease, "release"))) {
             err = Object.assign(err, {
-                message: `You are not the generating agent for this object. You cannot release it. ${err.message}`,
-                status: 401
+                message: `You are not the generating agent for this object and have not been granted the right to release it. ${err.message}`,
+                status: 401,
+                problem: { type: "not-generator" }
             })
         }
         if (err.status) {
@@ -81,44 +85,48 @@ const release = async function (req, res, next) {
         if(slug){
             safe_original["__rerum"].slug = slug
         }
-        if (previousReleasedID !== "") {
-            // A releases tree exists and an ancestral object is being released.
-            treeHealed = await healReleasesTree(safe_original)
-        }
-        else {
-            // There was no releases previous value.
-            if (nextReleases.length > 0) {
-                // The release tree has been established and a descendant object is now being released.
-                treeHealed = await healReleasesTree(safe_original)
-            }
-            else {
-                // The release tree has not been established
-                treeHealed = await establishReleasesTree(safe_original)
-            }
-        }
-        if (!treeHealed) {
-            err = Object.assign(err, {
-                message: `The releases tree could not be established or healed for this object. The release was not performed. ${err.message}`,
-                status: 500
-            })
-            return next(utils.createExpressError(err))
-        }
-        // The tree was established/healed.
-        // Perform the update to isReleased of the object being released. Its
-        // releases.next[] and releases.previous are already correct.
+        // The releases tree, the object being released and its entry in the change log are written together or not at all.
         let releasedObject = safe_original
-        let result
+        let logged
         try {
-            result = await db.replaceOne({ "_id": id }, releasedObject)
+            logged = await withTransaction(async (session) => {
+                if (previousReleasedID !== "") {
+                    // A releases tree exists and an ancestral object is being released.
+                    treeHealed = await healReleasesTree(safe_original, session)
+                }
+                else {
+                    // There was no releases previous value.
+                    if (nextReleases.length > 0) {
+                        // The release tree has been established and a descendant object is now being released.
+                        treeHealed = await healReleasesTree(safe_original, session)
+                    }
+                    else {
+                        // The release tree has not been established
+                        treeHealed = await establishReleasesTree(safe_original, session)
+                    }
+                }
+                if (!treeHealed) {
+                    throw Object.assign(err, {
+                        message: `The releases tree could not be established or healed for this object. The release was not performed. ${err.message}`,
+                        status: 500
+                    })
+                }
+                // The tree was established/healed.
+                // Perform the update to isReleased of the object being released. Its
+                // releases.next[] and releases.previous are already correct.
+                const result = await db.replaceOne({ "_id": id }, releasedObject, { session })
+                if (result.modifiedCount == 0) {
+                    //result didn't error out, the action was not performed.  Sometimes, this is a neutral thing.  Sometimes it is indicative of an error.
+                }
+                return events.logChanges([{ type: "release", stored: releasedObject, agent: agentRequestingRelease }], session)
+            })
         }
         catch (error) {
             return next(utils.createExpressError(error))
         }
-        if (result.modifiedCount == 0) {
-            //result didn't error out, the action was not performed.  Sometimes, this is a neutral thing.  Sometimes it is indicative of an error.
-        }
         res.set(utils.configureWebAnnoHeadersFor(releasedObject))
         console.log(releasedObject._id+" has been released")
+        events.publish(logged)
         releasedObject = idNegotiation(releasedObject)
         releasedObject.new_obj_state = structuredClone(releasedObject)
         res.location(releasedObject[_contextid(releasedObject["@context"]) ? "id":"@id"])
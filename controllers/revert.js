@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+/**
+ * Revert controller for RERUM operations
+ * Handles rolling an object back to one of its previous versions
+ */
+
+import { db, withTransaction } from '../database/index.js'
+import utils from '../utils.js'
+import events from '../events/index.js'
+import { _contextid, ObjectID, getGeneratorAgent, parseDocumentID, idNegotiation, alterHistoryNext } from './utils.js'
+
+/**
+ * Public facing servlet to revert an existing RERUM object to one of its versions.
+ * The id is on the URL already like /revert/:_id and the version to revert to is like ?to=.
+ * A new version is made from the object with the body of the version reverted to.
+ * Nothing is removed from the history tree.  The new version records __rerum.revertedFrom so the rollback is clear in /history.
+ * Track History
+ * Respond RESTfully
+ */
+const revert = async function (req, res, next) {
+    let err = { message: `` }
+    res.set("Content-Type", "application/json; charset=utf-8")
+    let generatorAgent = await getGeneratorAgent(req, next)
+    if (!generatorAgent) return
+    const id = req.params["_id"]
+    const to = req.query.to
+    if (!to) {
+        err = Object.assign(err, {
+            message: `Provide the version to revert to like /v1/api/revert/${id}?to={version id}. ${err.message}`,
+            status: 400
+        })
+        return next(utils.createExpressError(err))
+    }
+    let toID
+    try {
+        toID = /^https?:/.test(to) ? parseDocumentID(to) : to
+    } catch (error) {
+        return next(utils.createExpressError({ message: error.message, status: 400 }))
+    }
+    let originalObject, targetObject
+    try {
+        originalObject = await db.findOne({"$or":[{"_id": id}, {"__rerum.slug": id}]})
+        targetObject = await db.findOne({"$or":[{"_id": toID}, {"__rerum.slug": toID}]})
+    } catch (error) {
+        return next(utils.createExpressError(error))
+    }
+    if (null === originalObject || null === targetObject) {
+        err = Object.assign(err, {
+            message: `No object with the id '${null === originalObject ? id : toID}' could be found in RERUM. Cannot revert. ${err.message}`,
+            status: 404
+        })
+        return next(utils.createExpressError(err))
+    }
+    if (utils.isDeleted(originalObject) || utils.isDeleted(targetObject)) {
+        err = Object.assign(err, {
+            message: `The object you are trying to ${utils.isDeleted(originalObject) ? "revert" : "revert to"} is deleted. ${err.message}`,
+            status: 403,
+            problem: { type: "deleted" }
+        })
+        return next(utils.createExpressError(err))
+    }
+    const primeOf = (obj) => obj.__rerum.history.prime === "root" ? obj["@id"] : obj.__rerum.history.prime
+    if (originalObject["@id"] === targetObject["@id"] || primeOf(originalObject) !== primeOf(targetObject)) {
+        err = Object.assign(err, {
+            message: `Cannot revert ${originalObject["@id"]} to ${targetObject["@id"]}.  It must be another version of the same object. ${err.message}`,
+            status: 400
+        })
+        return next(utils.createExpressError(err))
+    }
+    const versionID = ObjectID()
+    let revertedBody = structuredClone(targetObject)
+    let context = revertedBody["@context"] ? { "@context": revertedBody["@context"] } : {}
+    let rerumProp = { "__rerum": utils.configureRerumOptions(generatorAgent, originalObject, true, false)["__rerum"] }
+    rerumProp.__rerum.revertedFrom = targetObject["@id"]
+    delete revertedBody["__rerum"]
+    delete revertedBody["_id"]
+    delete revertedBody["@id"]
+    // id is also protected in this case, so it can't be set.
+    if(_contextid(revertedBody["@context"])) delete revertedBody.id
+    delete revertedBody["@context"]
+    let newObject = Object.assign(context, { "@id": process.env.RERUM_ID_PREFIX + versionID }, revertedBody, rerumProp, { "_id": versionID })
+    let logged
+    try {
+        // The new version, the history.next of the originating object and the change log entry are written together or not at all.
+        logged = await withTransaction(async (session) => {
+            await db.insertOne(newObject, { session })
+            // Alter a copy.  A retried transaction must not see the next already pushed by an aborted attempt.
+            if (!await alterHistoryNext(structuredClone(originalObject), newObject["@id"], session)) {
+                throw Object.assign(err, {
+                    message: `Unable to alter the history next of the originating object.  The reverted version was not created. See ${originalObject["@id"]}. ${err.message}`,
+                    status: 500
+                })
+            }
+            return events.logChanges([{ type: "update", stored: newObject, agent: generatorAgent }], session)
+        })
+    }
+    catch (error) {
+        //WriteError, WriteConcernError, or the history tree could not be altered.  Nothing was written.
+        return next(utils.createExpressError(error))
+    }
+    //Success, the new version exists and the original object has been updated.
+    events.publish(logged)
+    res.set(utils.configureWebAnnoHeadersFor(newObject))
+    newObject = idNegotiation(newObject)
+    newObject.new_obj_state = structuredClone(newObject)
+    res.location(newObject[_contextid(newObject["@context"]) ? "id":"@id"])
+    res.status(200)
+    res.json(newObject)
+}
+
+export { revert }
@@ -6,7 +6,7 @@
  */
 import { db } from '../database/index.js'
 import utils from '../utils.js'
-import { idNegotiation, getPagination } from './utils.js'
+import { idNegotiation, getPagination, nextPageLink, configureNextPageLink } from './utils.js'
 
 /**
  * Merges and deduplicates results from multiple MongoDB Atlas Search index queries.
@@ -58,6 +58,8 @@ function mergeSearchResults(results1, results2) {
  * @param {Object} operator.options - Additional options for the search operator (e.g., fuzzy options)
  * @param {number} limit - Maximum number of results to return per index
  * @param {number} skip - Number of results to skip for pagination
+ * @param {Array|undefined} [after] - The searchAfter tokens from getSearchCursor, [presi3, presi2].  When a cursor is in use each index
+ *   continues in relevance order after its token, and only the next limit results of each are read.
  * @returns {Array<Array>} Two-element array containing [presi3Pipeline, presi2Pipeline]
  * 
  * @description
@@ -77,9 +79,10 @@ function mergeSearchResults(results1, results2) {
  * Both queries use:
  * - $search stage with the specified operator type (text, wildcard, phrase, etc.)
  * - $addFields to include searchScore metadata
- * - $limit to cap results (limit + skip to allow for pagination)
+ * - $limit to cap results (limit + skip to allow for pagination, or limit after the searchAfter token of a cursor)
+ * - With a cursor, $addFields also includes the searchSequenceToken of each result as __rerum.searchAfter
  */
-function buildDualIndexQueries(searchText, operator, limit, skip) {
+function buildDualIndexQueries(searchText, operator, limit, skip, after) {
     const presi3Query = {
         index: "presi3AnnotationText",
         compound: {
@@ -203,21 +206,117 @@ function buildDualIndexQueries(searchText, operator, limit, skip) {
             minimumShouldMatch: 1
         }
     }
+    return [searchPipeline(presi3Query, { limit, skip, after }, after?.[0]), searchPipeline(presi2Query, { limit, skip, after }, after?.[1])]
+}
 
+/**
+ * Build the aggregation pipeline that reads one page from one search index.
+ * Without a cursor get extra to handle deduplication and skip.  A cursor page is the next limit results after the token of the index.
+ * @param {Object} query - The $search stage for the index
+ * @param {Object} pagination - { limit, skip, after } as read from getPagination and getSearchCursor
+ * @param {string|null} [token] - The searchAfter token of this index from the cursor
+ * @returns {Array<Object>} The pipeline
+ */
+function searchPipeline(query, { limit, skip, after }, token) {
+    if (after === undefined) return [
+        { $search: query },
+        { $addFields: { "__rerum.score": { $meta: "searchScore" } } },
+        { $limit: limit + skip }
+    ]
     return [
-        [
-            { $search: presi3Query },
-            { $addFields: { "__rerum.score": { $meta: "searchScore" } } },
-            { $limit: limit + skip }
-        ],
-        [
-            { $search: presi2Query },
-            { $addFields: { "__rerum.score": { $meta: "searchScore" } } },
-            { $limit: limit + skip }
-        ]
+        { $search: token ? { ...query, searchAfter: token } : query },
+        { $addFields: { "__rerum.score": { $meta: "searchScore" }, "__rerum.searchAfter": { $meta: "searchSequenceToken" } } },
+        { $limit: limit }
     ]
 }
 
+/**
+ * Read the search cursor from ?cursor=.  It holds the searchAfter token of each index, for the result of each that was last sent.
+ * @param query The query parameters of the request
+ * @return {Array} undefined without a cursor, [null, null] for an empty cursor that starts from the first page, or [presi3, presi2] tokens.
+ * @throws A 400 error for a cursor that RERUM did not make
+ */
+function getSearchCursor(query = {}) {
+    if (query.cursor === undefined) return undefined
+    if (query.cursor === "") return [null, null]
+    let tokens
+    try {
+        tokens = JSON.parse(Buffer.from(String(query.cursor), "base64url").toString("utf8")).searchAfter
+    } catch (error) {
+        tokens = undefined
+    }
+    if (!Array.isArray(tokens) || tokens.length !== 2 || tokens.some(token => token !== null && typeof token !== "string")) {
+        throw { message: `The cursor '${query.cursor}' is not a valid cursor.  Use the cursor from the Link header of the previous page.`, status: 400 }
+    }
+    return tokens
+}
+
+/**
+ * Take one page from the results of both indexes.
+ * Without a cursor the page is sliced out of the merged results by score.
+ * With a cursor each index was read in relevance order after its token, so the page is the limit most relevant of both.
+ * The cursor of the next page keeps, for each index, the token of the last of its results that was on this page or was a duplicate of one.
+ *
+ * @param {Array<Object>} resultsPresi3 - Results from the presi3AnnotationText index
+ * @param {Array<Object>} resultsPresi2 - Results from the presi2AnnotationText index
+ * @param {Object} pagination - { limit, skip, after } as read from getPagination and getSearchCursor
+ * @returns {Object} { results, cursor } with the cursor for the next page, or undefined when the page is not a cursor page
+ */
+function pageOfSearchResults(resultsPresi3, resultsPresi2, { limit, skip, after }) {
+    if (after === undefined) return { results: mergeSearchResults(resultsPresi3, resultsPresi2).slice(skip, skip + limit) }
+    const score = ({ result }) => result.__rerum?.score ?? 0
+    const ranked = [resultsPresi3, resultsPresi2]
+        .flatMap((results, index) => results.map(result => ({ result, index })))
+        .sort((a, b) => score(b) - score(a))
+    const tokens = [...after]
+    const seen = new Set()
+    const results = []
+    for (const { result, index } of ranked) {
+        if (results.length === limit) break
+        tokens[index] = result.__rerum.searchAfter
+        delete result.__rerum.searchAfter
+        const id = result._id?.$oid || result._id?.toString()
+        if (seen.has(id)) continue
+        seen.add(id)
+        results.push(result)
+    }
+    return { results, cursor: Buffer.from(JSON.stringify({ searchAfter: tokens })).toString("base64url") }
+}
+
+/**
+ * Add the Link to the next page of search results when this page is full.  Call this before idNegotiation.
+ * @param {Object} page - { results, cursor } from pageOfSearchResults
+ * @param {Object} pagination - { limit, skip, after } as read from getPagination and getSearchCursor
+ */
+function configureNextSearchPageLink(req, res, { results, cursor }, pagination) {
+    if (cursor === undefined) return configureNextPageLink(req, res, results, pagination)
+    if (results.length === pagination.limit) res.append("Link", nextPageLink(req, { cursor }))
+}
+
+/**
+ * Read one page of search results with ?limit, ?skip and ?cursor and send it, with the Link to the next page.
+ * @param {Function} search - Called with { limit, skip, after }, resolves to [resultsPresi3, resultsPresi2] for that page
+ */
+async function sendSearchPage(req, res, next, search) {
+    const { limit, skip } = getPagination(req.query, 100)
+    let after
+    try {
+        after = getSearchCursor(req.query)
+    } catch (error) {
+        return next(utils.createExpressError(error))
+    }
+    try {
+        const [resultsPresi3, resultsPresi2] = await search({ limit, skip, after })
+        const page = pageOfSearchResults(resultsPresi3, resultsPresi2, { limit, skip, after })
+        res.set(utils.configureLDHeadersFor(page.results))
+        configureNextSearchPageLink(req, res, page, { limit, skip, after })
+        res.json(page.results.map(o => idNegotiation(o)))
+    } catch (error) {
+        console.error(error)
+        return next(utils.createExpressError(error))
+    }
+}
+
 
 /**
  * Standard text search endpoint - searches for exact word matches across both IIIF 3.0 and 2.1 resources.
@@ -227,6 +326,8 @@ function buildDualIndexQueries(searchText, operator, limit, skip) {
  * @param {string} req.body.searchText - The text to search for (can also be a plain string body)
  * @param {number} [req.query.limit=100] - Maximum number of results to return
  * @param {number} [req.query.skip=0] - Number of results to skip for pagination
+ * @param {string} [req.query.cursor] - Opaque cursor from the Link header of the previous page.  An empty cursor starts from the first page.
+ *   Cursor pages are in relevance order too, and each reads only the next results of each index, so whole result sets can be harvested past RERUM_MAX_QUERY_SKIP.
  * @returns {Array<Object>} JSON array of matching annotation objects sorted by relevance score
  * 
  * @description
@@ -271,22 +372,13 @@ const searchAsWords = async function (req, res, next) {
         }
         return next(utils.createExpressError(err))
     }
-    const { limit, skip } = getPagination(req.query, 100)
-    const [queryPresi3, queryPresi2] = buildDualIndexQueries(searchText, { type: "text", options: searchOptions }, limit, skip)
-    try {
-        const [resultsPresi3, resultsPresi2] = await Promise.all([
+    return sendSearchPage(req, res, next, ({ limit, skip, after }) => {
+        const [queryPresi3, queryPresi2] = buildDualIndexQueries(searchText, { type: "text", options: searchOptions }, limit, skip, after)
+        return Promise.all([
             db.aggregate(queryPresi3).toArray().catch((err) => { console.error("Presi3 error:", err.message); return [] }),
             db.aggregate(queryPresi2).toArray().catch((err) => { console.error("Presi2 error:", err.message); return [] })
         ])
-        const merged = mergeSearchResults(resultsPresi3, resultsPresi2)
-        let results = merged.slice(skip, skip + limit)
-        results = results.map(o => idNegotiation(o))
-        res.set(utils.configureLDHeadersFor(results))
-        res.json(results)
-    } catch (error) {
-        console.error(error)
-        return next(utils.createExpressError(error))
-    }
+    })
 }
 
 /**
@@ -297,6 +389,8 @@ const searchAsWords = async function (req, res, next) {
  * @param {string} req.body.searchText - The phrase to search for (can also be a plain string body)
  * @param {number} [req.query.limit=100] - Maximum number of results to return
  * @param {number} [req.query.skip=0] - Number of results to skip for pagination
+ * @param {string} [req.query.cursor] - Opaque cursor from the Link header of the previous page.  An empty cursor starts from the first page.
+ *   Cursor pages are in relevance order too, and each reads only the next results of each index, so whole result sets can be harvested past RERUM_MAX_QUERY_SKIP.
  * @returns {Array<Object>} JSON array of matching annotation objects sorted by relevance score
  * 
  * @description
@@ -357,22 +451,13 @@ const searchAsPhrase = async function (req, res, next) {
         }
         return next(utils.createExpressError(err))
     }
-    const { limit, skip } = getPagination(req.query, 100)
-    const [queryPresi3, queryPresi2] = buildDualIndexQueries(searchText, { type: "phrase", options: phraseOptions }, limit, skip)
-    try {
-        const [resultsPresi3, resultsPresi2] = await Promise.all([
+    return sendSearchPage(req, res, next, ({ limit, skip, after }) => {
+        const [queryPresi3, queryPresi2] = buildDualIndexQueries(searchText, { type: "phrase", options: phraseOptions }, limit, skip, after)
+        return Promise.all([
             db.aggregate(queryPresi3).toArray().catch(() => []),
             db.aggregate(queryPresi2).toArray().catch(() => [])
         ])
-        const merged = mergeSearchResults(resultsPresi3, resultsPresi2)
-        let results = merged.slice(skip, skip + limit)
-        results = results.map(o => idNegotiation(o))
-        res.set(utils.configureLDHeadersFor(results))
-        res.json(results)
-    } catch (error) {
-        console.error(error)
-        return next(utils.createExpressError(error))
-    }
+    })
 }
 
 /**
@@ -383,6 +468,8 @@ const searchAsPhrase = async function (req, res, next) {
  * @param {string} req.body.searchText - The text to search for (can also be a plain string body)
  * @param {number} [req.query.limit=100] - Maximum number of results to return
  * @param {number} [req.query.skip=0] - Number of results to skip for pagination
+ * @param {string} [req.query.cursor] - Opaque cursor from the Link header of the previous page.  An empty cursor starts from the first page.
+ *   Cursor pages are in relevance order too, and each reads only the next results of each index, so whole result sets can be harvested past RERUM_MAX_QUERY_SKIP.
  * @returns {Array<Object>} JSON array of matching annotation objects sorted by relevance score
  * 
  * @description
@@ -435,22 +522,13 @@ const searchFuzzily = async function (req, res, next) {
         }
         return next(utils.createExpressError(err))
     }
-    const { limit, skip } = getPagination(req.query, 100)
-    const [queryPresi3, queryPresi2] = buildDualIndexQueries(searchText, { type: "text", options: fuzzyOptions }, limit, skip)
-    try {
-        const [resultsPresi3, resultsPresi2] = await Promise.all([
+    return sendSearchPage(req, res, next, ({ limit, skip, after }) => {
+        const [queryPresi3, queryPresi2] = buildDualIndexQueries(searchText, { type: "text", options: fuzzyOptions }, limit, skip, after)
+        return Promise.all([
             db.aggregate(queryPresi3).toArray().catch(() => []),
             db.aggregate(queryPresi2).toArray().catch((error) => { console.error(error); return []; })
         ])
-        const merged = mergeSearchResults(resultsPresi3, resultsPresi2)
-        let results = merged.slice(skip, skip + limit)
-        results = results.map(o => idNegotiation(o))
-        res.set(utils.configureLDHeadersFor(results))
-        res.json(results)
-    } catch (error) {
-        console.error(error)
-        return next(utils.createExpressError(error))
-    }
+    })
 }
 
 /**
@@ -461,6 +539,8 @@ const searchFuzzily = async function (req, res, next) {
  * @param {string} req.body.searchText - The wildcard pattern to search for (must contain * or ?)
  * @param {number} [req.query.limit=100] - Maximum number of results to return
  * @param {number} [req.query.skip=0] - Number of results to skip for pagination
+ * @param {string} [req.query.cursor] - Opaque cursor from the Link header of the previous page.  An empty cursor starts from the first page.
+ *   Cursor pages are in relevance order too, and each reads only the next results of each index, so whole result sets can be harvested past RERUM_MAX_QUERY_SKIP.
  * @returns {Array<Object>} JSON array of matching annotation objects sorted by relevance score
  * 
  * @description
@@ -529,22 +609,13 @@ const searchWildly = async function (req, res, next) {
         }
         return next(utils.createExpressError(err))
     }
-    const { limit, skip } = getPagination(req.query, 100)
-    const [queryPresi3, queryPresi2] = buildDualIndexQueries(searchText, { type: "wildcard", options: wildcardOptions }, limit, skip)
-    try {
-        const [resultsPresi3, resultsPresi2] = await Promise.all([
+    return sendSearchPage(req, res, next, ({ limit, skip, after }) => {
+        const [queryPresi3, queryPresi2] = buildDualIndexQueries(searchText, { type: "wildcard", options: wildcardOptions }, limit, skip, after)
+        return Promise.all([
             db.aggregate(queryPresi3).toArray().catch(() => []),
             db.aggregate(queryPresi2).toArray().catch(() => [])
         ])
-        const merged = mergeSearchResults(resultsPresi3, resultsPresi2)
-        let results = merged.slice(skip, skip + limit)
-        results = results.map(o => idNegotiation(o))
-        res.set(utils.configureLDHeadersFor(results))
-        res.json(results)
-    } catch (error) {
-        console.error(error)
-        return next(utils.createExpressError(error))
-    }
+    })
 }
 
 /**
@@ -554,6 +625,8 @@ const searchWildly = async function (req, res, next) {
  * @param {Object} req.body - A complete JSON document to use as the search example
  * @param {number} [req.query.limit=100] - Maximum number of results to return
  * @param {number} [req.query.skip=0] - Number of results to skip for pagination
+ * @param {string} [req.query.cursor] - Opaque cursor from the Link header of the previous page.  An empty cursor starts from the first page.
+ *   Cursor pages are in relevance order too, and each reads only the next results of each index, so whole result sets can be harvested past RERUM_MAX_QUERY_SKIP.
  * @returns {Array<Object>} JSON array of similar annotation objects sorted by relevance score
  * 
  * @description
@@ -622,61 +695,12 @@ const searchAlikes = async function (req, res, next) {
         }
         return next(utils.createExpressError(err))
     }
-    const { limit, skip } = getPagination(req.query, 100)
-    // Build moreLikeThis queries for both IIIF 3.0 and IIIF 2.1 indexes
-    const searchQuery_presi3 = [
-        {
-            $search: {
-                index: "presi3AnnotationText",
-                moreLikeThis: {
-                    like: Array.isArray(likeDocument) ? likeDocument : [likeDocument]
-                }
-            }
-        },
-        {
-            $addFields: {
-                "__rerum.score": { $meta: "searchScore" }
-            }
-        },
-        {
-            $limit: limit + skip  // Get extra to handle deduplication
-        }
-    ]
-    const searchQuery_presi2 = [
-        {
-            $search: {
-                index: "presi2AnnotationText",
-                moreLikeThis: {
-                    like: Array.isArray(likeDocument) ? likeDocument : [likeDocument]
-                }
-            }
-        },
-        {
-            $addFields: {
-                "__rerum.score": { $meta: "searchScore" }
-            }
-        },
-        {
-            $limit: limit + skip  // Get extra to handle deduplication
-        }
-    ]
-    try {
-        // Execute both queries in parallel
-        const [results_presi3, results_presi2] = await Promise.all([
-            db.aggregate(searchQuery_presi3).toArray(),
-            db.aggregate(searchQuery_presi2).toArray()
-        ])
-        // Merge and deduplicate results
-        const merged = mergeSearchResults(results_presi3, results_presi2)
-        // Apply pagination after merging
-        let results = merged.slice(skip, skip + limit)
-        results = results.map(o => idNegotiation(o))
-        res.set(utils.configureLDHeadersFor(results))
-        res.json(results)
-    } catch (error) {
-        console.error(error)
-        return next(utils.createExpressError(error))
-    }
+    const like = Array.isArray(likeDocument) ? likeDocument : [likeDocument]
+    // Build moreLikeThis queries for both IIIF 3.0 and IIIF 2.1 indexes and execute them in parallel
+    return sendSearchPage(req, res, next, (pagination) => Promise.all([
+        db.aggregate(searchPipeline({ index: "presi3AnnotationText", moreLikeThis: { like } }, pagination, pagination.after?.[0])).toArray(),
+        db.aggregate(searchPipeline({ index: "presi2AnnotationText", moreLikeThis: { like } }, pagination, pagination.after?.[1])).toArray()
+    ]))
 }
 
 export {
@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+
+/**
+ * Subscription controller for RERUM operations
+ * Handles the webhook subscriptions agents make to be told about changes to objects
+ */
+
+import { newID } from '../database/index.js'
+import utils from '../utils.js'
+import auth from '../auth/index.js'
+import events from '../events/index.js'
+import webhooks from '../events/webhooks.js'
+import { matches } from '../database/query.js'
+import { getAgentClaim, getPagination } from './utils.js'
+
+// The operators a filter.query may use.  It is matched in this process against every change, so operators that run
+// patterns or code, like $regex and $where, are refused.  A slow pattern would hold up every other request.
+const filterOperators = ["$eq", "$ne", "$gt", "$gte", "$lt", "$lte", "$in", "$nin", "$exists", "$size", "$all", "$elemMatch", "$not", "$and", "$or", "$nor"]
+
+/**
+ * The operators in a filter.query that are not filterOperators.
+ * @return {Array<string>} Each such operator once.
+ */
+function refusedOperators(query) {
+    if (Array.isArray(query)) return [...new Set(query.flatMap(refusedOperators))]
+    if (query === null || typeof query !== "object") return []
+    const refused = Object.keys(query).filter(key => key.startsWith("$") && !filterOperators.includes(key))
+    return [...new Set([...refused, ...Object.values(query).flatMap(refusedOperators)])]
+}
+
+/**
+ * Check the body of a request for a new subscription like { "url": "https://example.org/hook", "events": ["create"], "filter": { "@type": "Annotation" } }.
+ * @return {Array<string>} Every problem found.  Empty when it is a good request.
+ */
+function subscriptionProblems(body) {
+    if (body === null || typeof body !== "object" || Array.isArray(body)) {
+        return [`The subscription must be a JSON object like { "url": "https://example.org/hook", "filter": { "@type": "Annotation" } }.`]
+    }
+    const problems = []
+    let url
+    try {
+        url = new URL(body.url)
+    }
+    catch (err) {
+        url = null
+    }
+    if (!["http:", "https:"].includes(url?.protocol)) {
+        problems.push(`'url' must be the http or https URL changes are POSTed to.`)
+    }
+    if (body.events !== undefined && (!Array.isArray(body.events) || body.events.length === 0 || body.events.some(type => !events.eventTypes.includes(type)))) {
+        problems.push(`'events' must be an array of the events ${events.eventTypes.join(", ")}.`)
+    }
+    if (body.secret !== undefined && (typeof body.secret !== "string" || body.secret.length < 16)) {
+        problems.push(`'secret' must be a string of at least 16 characters.`)
+    }
+    const filter = body.filter ?? {}
+    if (filter === null || typeof filter !== "object" || Array.isArray(filter)) {
+        problems.push(`'filter' must be a JSON object like { "@type": "Annotation", "target": "URI", "tree": "URI", "query": { "body.value": "text" } }.`)
+        return problems
+    }
+    for (const key of ["@type", "target", "tree"]) {
+        if (filter[key] !== undefined && (typeof filter[key] !== "string" || filter[key].trim() === "")) {
+            problems.push(`'filter.${key}' must be a string.`)
+        }
+    }
+    const refused = refusedOperators(filter.query)
+    if (refused.length) {
+        problems.push(`'filter.query' may only use the operators ${filterOperators.join(", ")}, not ${refused.join(", ")}.`)
+    }
+    else if (filter.query !== undefined) {
+        try {
+            matches({}, filter.query)
+        }
+        catch (err) {
+            problems.push(`'filter.query' must be a query like those sent to /query.  ${err.message}.`)
+        }
+    }
+    const unknown = Object.keys(filter).filter(key => !["@type", "target", "tree", "query"].includes(key))
+    if (unknown.length) {
+        problems.push(`'filter' may only have @type, target, tree and query, not ${unknown.join(", ")}.`)
+    }
+    return problems
+}
+
+/**
+ * Internal helper to find a subscription the requesting agent may see.  Only its owner and admins may.
+ * Responds with the error and returns nothing when there is not one.
+ */
+async function findSubscription(req, next) {
+    let agent = getAgentClaim(req, next)
+    if (!agent) return
+    const id = req.params["_id"]
+    let stored
+    try {
+        stored = await webhooks.subscriptions().findOne({ "_id": id })
+    } catch (error) {
+        return next(utils.createExpressError(error))
+    }
+    let err
+    if (null === stored) {
+        err = {
+            message: `No subscription with id '${id}'`,
+            status: 404
+        }
+    }
+    else if (stored.owner !== agent && !auth.isAdmin(req.user)) {
+        err = {
+            message: `You are not the owner of this subscription.`,
+            status: 401,
+            problem: { type: "not-generator" }
+        }
+    }
+    if (err) return next(utils.createExpressError(err))
+    return stored
+}
+
+/**
+ * Public facing servlet to list the subscriptions of the requesting agent.
+ * Support GET /v1/api/subscriptions.  Page with ?limit= and ?skip=.
+ * Respond RESTfully.
+ */
+const subscriptions = async function (req, res, next) {
+    res.set("Content-Type", "application/json; charset=utf-8")
+    let owner = getAgentClaim(req, next)
+    if (!owner) return
+    const { limit, skip } = getPagination(req.query, 100)
+    try {
+        const found = await webhooks.subscriptions().find({ owner }).limit(limit).skip(skip).toArray()
+        res.json(found.map(webhooks.describeSubscription))
+    } catch (error) {
+        return next(utils.createExpressError(error))
+    }
+}
+
+/**
+ * Public facing servlet to subscribe a URL to changes.
+ * Support POST /v1/api/subscriptions with a body like
+ * { "url": "https://example.org/hook", "events": ["create", "update"], "secret": "shared secret", "filter": { "@type": "Annotation", "target": "URI", "tree": "URI", "query": { "body.value": "text" } } }
+ * Without events every event is sent.  Without a secret one is made, and it is in the response and nowhere else.
+ * The host of the url must resolve to public addresses.  See events/webhooks.js.
+ * Respond RESTfully.
+ */
+const createSubscription = async function (req, res, next) {
+    res.set("Content-Type", "application/json; charset=utf-8")
+    let owner = getAgentClaim(req, next)
+    if (!owner) return
+    const problems = subscriptionProblems(req.body)
+    if (!problems.length) {
+        const refused = await webhooks.refusedDestination(req.body.url)
+        if (refused) problems.push(`Changes are only sent to public addresses.  ${refused}`)
+    }
+    if (problems.length) {
+        let err = {
+            message: `The subscription was not made. ${problems.join(" ")}`,
+            status: 400
+        }
+        return next(utils.createExpressError(err))
+    }
+    const { query, ...filter } = req.body.filter ?? {}
+    const secret = req.body.secret ?? webhooks.makeSecret()
+    const stored = {
+        "_id": newID(),
+        url: new URL(req.body.url).href,
+        events: [...new Set(req.body.events ?? events.eventTypes)],
+        // Kept as JSON.  Query operators like $regex cannot be the names of stored properties.
+        filter: { ...filter, ...(query === undefined ? {} : { query: JSON.stringify(query) }) },
+        secret,
+        owner,
+        createdAt: new Date().toISOString()
+    }
+    try {
+        await webhooks.subscriptions().insertOne(stored)
+    } catch (error) {
+        return next(utils.createExpressError(error))
+    }
+    res.location(`${process.env.RERUM_PREFIX}api/subscriptions/${stored._id}`)
+    res.status(201)
+    res.json({ ...webhooks.describeSubscription(stored), ...(req.body.secret ? {} : { secret }) })
+}
+
+/**
+ * Public facing servlet to read a subscription.  Only its owner may.
+ * Support GET /v1/api/subscriptions/:_id.
+ * Respond RESTfully.
+ */
+const subscription = async function (req, res, next) {
+    res.set("Content-Type", "application/json; charset=utf-8")
+    const stored = await findSubscription(req, next)
+    if (!stored) return
+    res.json(webhooks.describeSubscription(stored))
+}
+
+/**
+ * Public facing servlet to stop a subscription.  Only its owner may.  Its log of deliveries is kept.
+ * Support DELETE /v1/api/subscriptions/:_id.
+ * Respond RESTfully.
+ */
+const deleteSubscription = async function (req, res, next) {
+    res.set("Content-Type", "application/json; charset=utf-8")
+    const stored = await findSubscription(req, next)
+    if (!stored) return
+    try {
+        await webhooks.subscriptions().deleteOne({ "_id": stored._id })
+    } catch (error) {
+        return next(utils.createExpressError(error))
+    }
+    res.json(webhooks.describeSubscription(stored))
+}
+
+/**
+ * Public facing servlet to read the log of deliveries to a subscription, newest first.  Only its owner may.
+ * Support GET /v1/api/subscriptions/:_id/deliveries, with ?failed=true for only the attempts that failed.
+ * Page with ?limit= and ?skip=.
+ * Respond RESTfully.
+ */
+const subscriptionDeliveries = async function (req, res, next) {
+    res.set("Content-Type", "application/json; charset=utf-8")
+    const stored = await findSubscription(req, next)
+    if (!stored) return
+    const { limit, skip } = getPagination(req.query, 100)
+    let props = { subscription: stored._id }
+    if (req.query.failed === "true") props.error = { "$ne": null }
+    try {
+        const logged = await webhooks.deliveries().find(props).sort({ time: -1, attempt: -1 }).limit(limit).skip(skip).toArray()
+        res.json(logged.map(webhooks.describeDelivery))
+    } catch (error) {
+        return next(utils.createExpressError(error))
+    }
+}
+
+export { subscriptions, createSubscription, subscription, deleteSubscription, subscriptionDeliveries }
@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+
+/**
+ * Ownership transfer controller for RERUM operations
+ * Handles giving objects, with their __rerum.generatedBy, to another agent
+ */
+
+import { db, withTransaction } from '../database/index.js'
+import utils from '../utils.js'
+import auth from '../auth/index.js'
+import events from '../events/index.js'
+import { getAgentClaim, getPagination, parseDocumentID, getAllVersions } from './utils.js'
+
+/**
+ * Check the body of a transfer request.  It names the agent to transfer to and either one object by @id or a query.
+ * @return {Array<string>} Every problem found.  Empty when it is a good request.
+ */
+function transferProblems(body) {
+    if (body === null || typeof body !== "object" || Array.isArray(body)) {
+        return [`The transfer must be a JSON object like { "to": "agent URI", "@id": "object URI" }.`]
+    }
+    const problems = []
+    if (typeof body.to !== "string" || body.to.trim() === "") {
+        problems.push(`'to' must be the URI of the agent receiving the objects.`)
+    }
+    if ((body["@id"] === undefined) === (body.query === undefined)) {
+        problems.push(`Name the objects with either '@id' or 'query', not both.`)
+    }
+    else if (body["@id"] !== undefined && typeof body["@id"] !== "string") {
+        problems.push(`'@id' must be the URI of a RERUM object.`)
+    }
+    else if (body.query !== undefined && (body.query === null || typeof body.query !== "object" || Array.isArray(body.query) || Object.keys(body.query).length === 0)) {
+        problems.push(`'query' must be a JSON object with at least one property, like the body of a /query request.`)
+    }
+    if (body.tree !== undefined && typeof body.tree !== "boolean") {
+        problems.push(`'tree' must be true or false.`)
+    }
+    return problems
+}
+
+/**
+ * The @id of each group the agent owns, that is each group it is the __rerum.generatedBy of.
+ * Members may act for a group, but only its owner may give away the objects of the group.
+ */
+async function ownedGroups(agent) {
+    const groups = await db.find({ "__rerum.isGroup": true, "__rerum.generatedBy": agent }).toArray()
+    return groups.map(group => group["@id"])
+}
+
+/**
+ * Public facing servlet to give objects to another agent.
+ * Support POST /v1/api/transfer with a body like
+ *  { "to": "agent URI", "@id": "object URI" } for one object,
+ *  { "to": "agent URI", "@id": "object URI", "tree": true } for every version in the history tree of that object, or
+ *  { "to": "agent URI", "query": { ... } } for the objects matching a query, ?limit= at a time.  Repeat it until none are left.
+ *
+ * The current owner consents by making the request.  That is the generating agent, or the owner of the generating group.
+ * Admin agents may transfer any object.  Otherwise only the objects the requesting agent owns are transferred.
+ * Objects are changed in place.  __rerum.generatedBy becomes the new owner and __rerum.transfers records the previous one.
+ * Respond RESTfully.
+ */
+const transfer = async function (req, res, next) {
+    res.set("Content-Type", "application/json; charset=utf-8")
+    let agentRequestingTransfer = getAgentClaim(req, next)
+    if (!agentRequestingTransfer) return
+    let err = { message: `` }
+    const problems = transferProblems(req.body)
+    if (problems.length) {
+        err = Object.assign(err, {
+            message: `Nothing was transferred. ${problems.join(" ")}`,
+            status: 400
+        })
+        return next(utils.createExpressError(err))
+    }
+    const to = req.body.to
+    const isAdmin = auth.isAdmin(req.user)
+    let owners
+    try {
+        owners = [agentRequestingTransfer, ...await ownedGroups(agentRequestingTransfer)]
+    } catch (error) {
+        return next(utils.createExpressError(error))
+    }
+    const mayTransfer = (obj) => isAdmin || owners.some(owner => utils.isGenerator(obj, owner))
+    let logged
+    try {
+        // The transfers and their entries in the change log are written together or not at all.
+        logged = await withTransaction(async (session) => {
+            let candidates
+            if (req.body.query) {
+                const { limit } = getPagination(req.query, 100)
+                let props = { "$and": [req.body.query, { "__rerum.generatedBy": { "$exists": true, "$ne": to } }] }
+                if (!isAdmin) props.$and.push({ "__rerum.generatedBy": { "$in": owners } })
+                candidates = await db.find(props, { session }).limit(limit).toArray()
+            }
+            else {
+                let id
+                try {
+                    id = parseDocumentID(req.body["@id"])
+                } catch (error) {
+                    throw { message: `'@id' must be the URI of a RERUM object. ${error.message}`, status: 400 }
+                }
+                const obj = await db.findOne({"$or":[{"_id": id}, {"__rerum.slug": id}]}, { session })
+                if (null === obj) {
+                    throw { message: `No object with this id could be found in RERUM.  Nothing was transferred.`, status: 404 }
+                }
+                if (utils.isDeleted(obj)) {
+                    throw { message: `The object you are trying to transfer is deleted.`, status: 403, problem: { type: "deleted" } }
+                }
+                if (req.body.tree) {
+                    candidates = (await getAllVersions(obj, session)).filter(mayTransfer)
+                }
+                else {
+                    candidates = mayTransfer(obj) ? [obj] : []
+                }
+                if (candidates.length === 0) {
+                    throw {
+                        message: `You are not the generating agent for ${req.body.tree ? "any version of " : ""}this object.  Only its generating agent, the owner of its generating group, or an admin may transfer it.`,
+                        status: 401,
+                        problem: { type: "not-generator" }
+                    }
+                }
+                candidates = candidates.filter(candidate => !utils.isGenerator(candidate, to))
+            }
+            const time = new Date(Date.now()).toISOString().replace("Z", "")
+            for (const candidate of candidates) {
+                candidate.__rerum.transfers = [
+                    ...(candidate.__rerum.transfers ?? []),
+                    { from: candidate.__rerum.generatedBy, by: agentRequestingTransfer, time }
+                ]
+                candidate.__rerum.generatedBy = to
+                await db.replaceOne({ "_id": candidate["_id"] }, candidate, { session })
+            }
+            return events.logChanges(candidates.map(candidate => ({ type: "transfer", stored: candidate, agent: agentRequestingTransfer })), session)
+        })
+    } catch (error) {
+        return next(utils.createExpressError(error))
+    }
+    events.publish(logged)
+    res.json({ to, transferred: logged.map(({ stored }) => stored["@id"]) })
+}
+
+export { transfer }
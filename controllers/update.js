@@ -8,9 +8,9 @@
 
 // Import individual update operations
 import { putUpdate } from './putUpdate.js'
-import { patchUpdate } from './patchUpdate.js'
+import { patchUpdate, patchDocument } from './patchUpdate.js'
 import { patchSet } from './patchSet.js'
 import { patchUnset } from './patchUnset.js'
 import { overwrite } from './overwrite.js'
 
-export { putUpdate, patchUpdate, patchSet, patchUnset, overwrite }
+export { putUpdate, patchUpdate, patchDocument, patchSet, patchUnset, overwrite }
@@ -27,6 +27,71 @@ function getPagination(query = {}, defaultLimit = 100) {
     return { limit, skip }
 }
 
+/**
+ * Read the opaque keyset cursor from the query string.  A cursor names the _id of the last object on the previous page.
+ * An empty cursor, like ?cursor=, asks for the first page.
+ *
+ * @param query The request query string, as parsed by Express.
+ * @return undefined when this is not a cursor request, null for the first page, or the _id to continue after.
+ * @throws {Object} {message, status} when the cursor is not one RERUM made.
+ */
+function getCursor(query = {}) {
+    if (query.cursor === undefined) return undefined
+    if (query.cursor === "") return null
+    let after
+    try {
+        after = JSON.parse(Buffer.from(String(query.cursor), "base64url").toString("utf8")).after
+    } catch (error) {
+        after = undefined
+    }
+    if (typeof after !== "string" || !after) {
+        throw { message: `The cursor '${query.cursor}' is not a valid cursor.  Use the cursor from the Link header of the previous page.`, status: 400 }
+    }
+    return after
+}
+
+/**
+ * Make the opaque cursor for the page that follows the object with this _id.
+ */
+function encodeCursor(_id) {
+    return Buffer.from(JSON.stringify({ after: String(_id) })).toString("base64url")
+}
+
+/**
+ * Build an RFC 8288 Link header value pointing at the next page of the request.
+ * The request URL is kept as it was, except for the query parameters in params which replace their old values.
+ *
+ * @param req The Express request for the current page.
+ * @param params Query parameters for the next page, like { cursor } or { skip }.
+ * @return A Link header value with rel="next".
+ */
+function nextPageLink(req, params) {
+    const next = new URL(req.originalUrl, process.env.RERUM_PREFIX)
+    for (const [key, value] of Object.entries(params)) {
+        next.searchParams.set(key, value)
+    }
+    return `<${next.href}>; rel="next"`
+}
+
+/**
+ * Add the Link to the next page of results when this page is full.  Call this before idNegotiation, which removes the _id.
+ * Cursor pages link to the cursor after their last object.
+ * Skip pages link to the next skip, unless it is past RERUM_MAX_QUERY_SKIP and the next page could never be reached.
+ *
+ * @param page The stored objects on this page, in order.
+ * @param pagination { limit, skip, after } as read from getPagination and getCursor.
+ */
+function configureNextPageLink(req, res, page, { limit, skip, after }) {
+    if (page.length < limit) return
+    if (after !== undefined) {
+        res.append("Link", nextPageLink(req, { cursor: encodeCursor(page[page.length - 1]._id) }))
+        return
+    }
+    const nextSkip = skip + limit
+    if (getPagination({ limit, skip: nextSkip }).skip !== nextSkip) return
+    res.append("Link", nextPageLink(req, { skip: nextSkip }))
+}
+
 /**
  * Check if a @context value contains a known @id-id mapping context
  *
@@ -102,8 +167,9 @@ const generateSlugId = async function(slug_id="", next){
             //slug_return.code = error.code
         }
         if(null !== slug){
-            //This already exist, give the mongodb error code.
+            //This already exist, give the mongodb error code and the key that conflicts, like a MongoServerError would.
             slug_return.code = 11000
+            slug_return.keyValue = { "_id": slug?._id ?? slug_id }
         }
     } 
     return slug_return
@@ -143,13 +209,9 @@ const remove = async function(id) {
  * The app is forbidden until registered with RERUM.  Access tokens are encoded with the agent.
  */
 function getAgentClaim(req, next) {
-    const claimKeys = [process.env.RERUM_AGENT_CLAIM, "http://devstore.rerum.io/v1/agent", "http://store.rerum.io/agent"]
-    let agent = ""
-    for (const claimKey of claimKeys) {
-        agent = req.user[claimKey]
-        if (agent) {
-            return agent
-        }
+    const agent = utils.agentOf(req.user)
+    if (agent) {
+        return agent
     }
     let err = {
         "message": "Could not get agent from req.user.  Have you registered with RERUM?",
@@ -158,6 +220,60 @@ function getAgentClaim(req, next) {
     return next(utils.createExpressError(err))  
 }
 
+/**
+ * An internal helper for getting the groups an agent is a member of.
+ * Groups are made with /api/groups and marked with __rerum.isGroup.  Deleted groups have no members.
+ * @param agent The agent URI.
+ * @param session An optional MongoDB ClientSession when this is part of a transaction.
+ * @return {Array<string>} The @id of each group.
+ */
+async function getAgentGroups(agent, session) {
+    const groups = await db.find({ "__rerum.isGroup": true, "members": agent }, { session }).toArray()
+    return groups.map(group => group["@id"])
+}
+
+/**
+ * An internal helper to check whether the agent from the request may do something to an object.
+ * utils.hasRight() answers for the agent itself.  When it says no the groups the agent is a member of are asked too,
+ * so a member may act on objects generated by or granted to the group.
+ * @param obj The object from mongodb.  For a deleted object use the object in __deleted.
+ * @param agent The agent URI from the token.
+ * @param right One of utils.aclRights.
+ * @param session An optional MongoDB ClientSession when this is part of a transaction.
+ * @return boolean
+ */
+async function agentHasRight(obj, agent, right, session) {
+    if (utils.hasRight(obj, agent, right)) return true
+    return utils.hasRight(obj, agent, right, await getAgentGroups(agent, session))
+}
+
+/**
+ * An internal helper for getting the agent that new objects and versions are generated by.
+ * That is the agent from req.user, unless the request has an On-Behalf-Of header naming a group the agent is a member of.
+ * Then it is the group, and the group becomes the __rerum.generatedBy.
+ * Like getAgentClaim() the error is sent with next() and nothing is returned when there is no agent to use.
+ */
+async function getGeneratorAgent(req, next) {
+    const agent = getAgentClaim(req, next)
+    if (!agent) return
+    const group = req.get("On-Behalf-Of")
+    if (!group) return agent
+    let found
+    try {
+        found = await db.findOne({ "@id": group, "__rerum.isGroup": true, "members": agent })
+    }
+    catch (error) {
+        return next(utils.createExpressError(error))
+    }
+    if (found) return group
+    let err = {
+        message: `You are not a member of the group '${group}' and so cannot act on behalf of it.`,
+        status: 403,
+        problem: { type: "not-member", group }
+    }
+    return next(utils.createExpressError(err))
+}
+
 function parseDocumentID(atID){
     if(typeof atID !== 'string') {
         throw new Error("Unable to parse this type.")
@@ -174,13 +290,14 @@ function parseDocumentID(atID){
  * 
  * @param idForUpdate the @id of the object whose history.next needs to be updated
  * @param newNextID the @id of the newly created object to be placed in the history.next array.
+ * @param session An optional MongoDB ClientSession when this is part of a transaction.
  * @return Boolean altered true on success, false on fail
  */
-async function alterHistoryNext(objToUpdate, newNextID) {
+async function alterHistoryNext(objToUpdate, newNextID, session) {
     //We can keep this real short if we trust the objects sent into here.  I think these are private helper functions, and so we can.
     if(objToUpdate.__rerum.history.next.indexOf(newNextID) === -1){
         objToUpdate.__rerum.history.next.push(newNextID)
-        let result = await db.replaceOne({ "_id": objToUpdate["_id"] }, objToUpdate)
+        let result = await db.replaceOne({ "_id": objToUpdate["_id"] }, objToUpdate, { session })
         return result.modifiedCount > 0
     }
     return true
@@ -191,10 +308,11 @@ async function alterHistoryNext(objToUpdate, newNextID) {
  * Used to resolve the history tree for storing into memory.
  * @param  obj A JSONObject to find all versions of.  If it is root, make sure to prepend it to the result.  If it isn't root, query for root from the ID
  * found in prime using that result as a reliable root object. 
+ * @param session An optional MongoDB ClientSession when this is part of a transaction.
  * @return All versions from the store of the object in the request
  * @throws Exception when a JSONObject with no '__rerum' property is provided.
  */
-async function getAllVersions(obj) {
+async function getAllVersions(obj, session) {
     let ls_versions
     let primeID = obj?.__rerum.history.prime
     let rootObj
@@ -210,7 +328,7 @@ async function getAllVersions(obj) {
         } catch (error) {
             throw new Error(`Invalid history.prime value '${primeID}': ${error.message}`)
         }
-        rootObj = await db.findOne({"$or":[{"_id": primeHexId}, {"__rerum.slug": primeHexId}]})
+        rootObj = await db.findOne({"$or":[{"_id": primeHexId}, {"__rerum.slug": primeHexId}]}, { session })
         if (!rootObj) {
             throw new Error(`Root object with id '${primeID}' not found in database`)
         }
@@ -219,7 +337,7 @@ async function getAllVersions(obj) {
         throw new Error("Object has no valid history.prime value")
     }
     //All the children of this object will have its @id in __rerum.history.prime
-    ls_versions = await db.find({ "__rerum.history.prime": rootObj['@id'] }).toArray()
+    ls_versions = await db.find({ "__rerum.history.prime": rootObj['@id'] }, { session }).toArray()
     //The root object is a version, prepend it in
     ls_versions.unshift(rootObj)
     return ls_versions
@@ -294,6 +412,45 @@ function getAllDescendants(ls_versions, keyObj, discoveredDescendants) {
     return discoveredDescendants
 }
 
+/**
+ * Internal method to list the versions of an object as Mementos (RFC 7089), oldest first.  It should always receive a reliable object, not one from the user.
+ * Every version in the tree of the object, from getAllVersions(), is a Memento at the time it was created.
+ * Versions that are deleted or do not know when they were created are left out.
+ * @param obj The object, or the object a deleted object was
+ * @return [{ version, datetime }] where datetime is the createdAt of the version as a Date
+ */
+async function getMementos(obj) {
+    const all = await getAllVersions(obj)
+    return all
+        .filter(v => !utils.isDeleted(v) && v.__rerum?.createdAt)
+        .map(version => {
+            const createdAt = version.__rerum.createdAt
+            // RERUM keeps times without a time zone, in UTC.
+            return { version, datetime: new Date(/(Z|[+-]\d\d:\d\d)$/.test(createdAt) ? createdAt : `${createdAt}Z`) }
+        })
+        .filter(memento => !isNaN(memento.datetime))
+        .sort((a, b) => a.datetime - b.datetime)
+}
+
+/**
+ * The Memento of an object that was current at a time.  That is the version created last at or before it, or the first version for a time before any.
+ * An Accept-Datetime is an HTTP date, which has no milliseconds, so versions are compared by the second they were created in.
+ * @param mementos From getMementos()
+ * @param datetime A Date
+ * @return { version, datetime }, or undefined when there are no Mementos
+ */
+function mementoAt(mementos, datetime) {
+    const second = (date) => Math.floor(date.getTime() / 1000)
+    return mementos.findLast(memento => second(memento.datetime) <= second(datetime)) ?? mementos[0]
+}
+
+/**
+ * The Link header that advertises the TimeGate and TimeMap of an object.  /v1/id/{id} is the object and its own TimeGate.
+ */
+function mementoLinks(obj) {
+    return `<${obj["@id"]}>; rel="original timegate", <${process.env.RERUM_PREFIX}timemap/${obj._id}>; rel="timemap"; type="application/link-format"`
+}
+
 /**
  * Internal helper method to establish the releases tree from a given object
  * that is being released.
@@ -305,11 +462,12 @@ function getAllDescendants(ls_versions, keyObj, discoveredDescendants) {
  * This method only receives reliable objects from mongo.
  * 
  * @param obj the RERUM object being released
+ * @param session An optional MongoDB ClientSession when this is part of a transaction.
  * @return Boolean sucess or some kind of Exception
  */
-async function establishReleasesTree(releasing) {
+async function establishReleasesTree(releasing, session) {
     let success = true
-    const all = await getAllVersions(releasing)
+    const all = await getAllVersions(releasing, session)
     .catch(error => {
         console.error(error)
         return []
@@ -322,7 +480,7 @@ async function establishReleasesTree(releasing) {
         safe_descendant.__rerum.releases.previous = releasing["@id"]
         let result
         try {
-            result = await db.replaceOne({ "_id": d_id }, safe_descendant)
+            result = await db.replaceOne({ "_id": d_id }, safe_descendant, { session })
         } 
         catch (error) {
             console.error(error)
@@ -342,7 +500,7 @@ async function establishReleasesTree(releasing) {
         }
         let result
         try {
-            result = await db.replaceOne({ "_id": a_id }, safe_ancestor)
+            result = await db.replaceOne({ "_id": a_id }, safe_ancestor, { session })
         } 
         catch (error) {
             console.error(error)
@@ -365,11 +523,12 @@ async function establishReleasesTree(releasing) {
  * This method only receives reliable objects from mongo.
  * 
  * @param obj the RERUM object being released
+ * @param session An optional MongoDB ClientSession when this is part of a transaction.
  * @return Boolean success or some kind of Exception
  */
-async function healReleasesTree(releasing) {
+async function healReleasesTree(releasing, session) {
     let success = true
-    const all = await getAllVersions(releasing)
+    const all = await getAllVersions(releasing, session)
     .catch(error => {
         console.error(error)
         return []
@@ -391,7 +550,7 @@ async function healReleasesTree(releasing) {
             }
             let result
             try {
-                result = await db.replaceOne({ "_id": d_id }, safe_descendant)
+                result = await db.replaceOne({ "_id": d_id }, safe_descendant, { session })
             } 
             catch (error) {
                 console.error(error)
@@ -447,7 +606,7 @@ async function healReleasesTree(releasing) {
         safe_ancestor.__rerum.releases.next = ancestorNextArray
         let result
         try {
-            result = await db.replaceOne({ "_id": a_id }, safe_ancestor)
+            result = await db.replaceOne({ "_id": a_id }, safe_ancestor, { session })
         } 
         catch (error) {
             console.error(error)
@@ -462,20 +621,239 @@ async function healReleasesTree(releasing) {
     return success
 }
 
+/**
+ * Escape one key for use as a reference token in a JSON Pointer (RFC 6901).
+ */
+function toPointerToken(key) {
+    return String(key).replaceAll("~", "~0").replaceAll("/", "~1")
+}
+
+/**
+ * Describe how to get from one JSON value to another as an RFC 6902 JSON Patch.
+ * Objects are compared key by key and arrays index by index, so nested edits stay small.
+ * Removals from the end of an array are listed highest index first so the patch applies in order.
+ *
+ * @param from The earlier JSON value
+ * @param to The later JSON value
+ * @param path The JSON Pointer to the values being compared.  The document itself by default.
+ * @return An Array of JSON Patch operations.  Empty when the values are equal.
+ */
+function jsonPatchDiff(from, to, path = "") {
+    const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v)
+    if (Array.isArray(from) && Array.isArray(to)) {
+        const patch = []
+        const shared = Math.min(from.length, to.length)
+        for (let i = 0; i < shared; i++) {
+            patch.push(...jsonPatchDiff(from[i], to[i], `${path}/${i}`))
+        }
+        for (let i = shared; i < to.length; i++) {
+            patch.push({ op: "add", path: `${path}/${i}`, value: to[i] })
+        }
+        for (let i = from.length - 1; i >= shared; i--) {
+            patch.push({ op: "remove", path: `${path}/${i}` })
+        }
+        return patch
+    }
+    if (isObject(from) && isObject(to)) {
+        const patch = []
+        for (const key of Object.keys(from)) {
+            if (!Object.hasOwn(to, key)) patch.push({ op: "remove", path: `${path}/${toPointerToken(key)}` })
+        }
+        for (const key of Object.keys(to)) {
+            const keyPath = `${path}/${toPointerToken(key)}`
+            if (!Object.hasOwn(from, key)) patch.push({ op: "add", path: keyPath, value: to[key] })
+            else patch.push(...jsonPatchDiff(from[key], to[key], keyPath))
+        }
+        return patch
+    }
+    if (JSON.stringify(from) === JSON.stringify(to)) return []
+    return [{ op: "replace", path, value: to }]
+}
+
+/**
+ * A readable line for each operation in a JSON Patch, like 'Changed /body/value from "a" to "b"'.
+ *
+ * @param patch An Array of JSON Patch operations from jsonPatchDiff()
+ * @param from The JSON value the patch applies to, so that replaced and removed values can be named.
+ * @return An Array of Strings.
+ */
+function summarizePatch(patch, from) {
+    const valueAt = (pointer) => pointer.split("/").slice(1)
+        .map(token => token.replaceAll("~1", "/").replaceAll("~0", "~"))
+        .reduce((value, key) => value?.[key], from)
+    const show = (value) => {
+        const shown = JSON.stringify(value) ?? "undefined"
+        return shown.length > 80 ? `${shown.slice(0, 77)}...` : shown
+    }
+    return patch.map(operation => {
+        const path = operation.path || "/"
+        switch (operation.op) {
+            case "add":
+                return `Added ${path} as ${show(operation.value)}`
+            case "remove":
+                return `Removed ${path}, which was ${show(valueAt(operation.path))}`
+            default:
+                return `Changed ${path} from ${show(valueAt(operation.path))} to ${show(operation.value)}`
+        }
+    })
+}
+
+// Keys a patch may not name, so that it cannot reach or replace the prototype of an object.
+const prototypeKeys = ["__proto__", "constructor", "prototype"]
+
+/**
+ * Apply an RFC 6902 JSON Patch to a JSON value.  The patch is applied to a copy.  All of it applies or none of it does.
+ * A malformed patch, or one with a path through __proto__, constructor or prototype, is a 400.  A patch that does not fit the value, like a failed 'test' or a path that does not exist, is a 409.
+ *
+ * @param document The JSON value to patch
+ * @param patch An Array of JSON Patch operations
+ * @throws {message, status} for createExpressError() when the patch cannot be applied
+ * @return The patched JSON value.
+ */
+function applyJsonPatch(document, patch) {
+    const fail = (message, status = 400) => { throw { message, status } }
+    const isContainer = (v) => v !== null && typeof v === "object"
+    const tokensOf = (pointer, name) => {
+        if (typeof pointer !== "string" || (pointer !== "" && !pointer.startsWith("/"))) {
+            fail(`The JSON Patch '${name}' must be a JSON Pointer like '/body/value'.`)
+        }
+        const tokens = pointer === "" ? [] : pointer.slice(1).split("/").map(token => token.replaceAll("~1", "/").replaceAll("~0", "~"))
+        const unsafe = tokens.find(token => prototypeKeys.includes(token))
+        if (unsafe !== undefined) fail(`The JSON Patch '${name}' cannot name the key '${unsafe}'.`)
+        return tokens
+    }
+    const arrayIndex = (array, token, forAdd) => {
+        if (forAdd && token === "-") return array.length
+        const index = /^(0|[1-9][0-9]*)$/.test(token) ? Number(token) : NaN
+        if (!(index < array.length + (forAdd ? 1 : 0))) fail(`The JSON Patch path has no array index '${token}'.`, 409)
+        return index
+    }
+    const valueAt = (doc, tokens) => tokens.reduce((value, token) => {
+        if (Array.isArray(value)) return value[arrayIndex(value, token, false)]
+        if (!isContainer(value) || !Object.hasOwn(value, token)) fail(`The JSON Patch path '/${tokens.join("/")}' does not exist.`, 409)
+        return value[token]
+    }, doc)
+    const add = (doc, tokens, value) => {
+        if (tokens.length === 0) return value
+        const parent = valueAt(doc, tokens.slice(0, -1))
+        const key = tokens.at(-1)
+        if (Array.isArray(parent)) parent.splice(arrayIndex(parent, key, true), 0, value)
+        else if (isContainer(parent)) parent[key] = value
+        else fail(`The JSON Patch path '/${tokens.join("/")}' is not inside an object or array.`, 409)
+        return doc
+    }
+    const remove = (doc, tokens) => {
+        if (tokens.length === 0) fail(`The JSON Patch cannot remove the whole document.`)
+        valueAt(doc, tokens)
+        const parent = valueAt(doc, tokens.slice(0, -1))
+        if (Array.isArray(parent)) parent.splice(arrayIndex(parent, tokens.at(-1), false), 1)
+        else delete parent[tokens.at(-1)]
+        return doc
+    }
+    const sameJSON = (a, b) => {
+        if (Array.isArray(a) || Array.isArray(b)) {
+            return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((v, i) => sameJSON(v, b[i]))
+        }
+        if (isContainer(a) && isContainer(b)) {
+            const keys = Object.keys(a)
+            return keys.length === Object.keys(b).length && keys.every(k => Object.hasOwn(b, k) && sameJSON(a[k], b[k]))
+        }
+        return a === b
+    }
+    if (!Array.isArray(patch)) fail(`A JSON Patch must be an Array of operations.`)
+    let doc = structuredClone(document)
+    for (const operation of patch) {
+        if (!isContainer(operation)) fail(`Each JSON Patch operation must be an object.`)
+        const path = tokensOf(operation.path, "path")
+        const needsValue = ["add", "replace", "test"].includes(operation.op)
+        if (needsValue && !Object.hasOwn(operation, "value")) fail(`The JSON Patch '${operation.op}' operation needs a 'value'.`)
+        switch (operation.op) {
+            case "add":
+                doc = add(doc, path, structuredClone(operation.value))
+                break
+            case "remove":
+                doc = remove(doc, path)
+                break
+            case "replace": {
+                valueAt(doc, path)
+                if (path.length === 0) {
+                    doc = structuredClone(operation.value)
+                    break
+                }
+                const parent = valueAt(doc, path.slice(0, -1))
+                parent[Array.isArray(parent) ? arrayIndex(parent, path.at(-1), false) : path.at(-1)] = structuredClone(operation.value)
+                break
+            }
+            case "move": {
+                const from = tokensOf(operation.from, "from")
+                if (path.length > from.length && from.every((token, i) => token === path[i])) {
+                    fail(`The JSON Patch cannot move a value into itself.`)
+                }
+                const value = valueAt(doc, from)
+                doc = add(remove(doc, from), path, value)
+                break
+            }
+            case "copy":
+                doc = add(doc, path, structuredClone(valueAt(doc, tokensOf(operation.from, "from"))))
+                break
+            case "test":
+                if (!sameJSON(valueAt(doc, path), operation.value)) fail(`The JSON Patch test at '${operation.path}' failed.`, 409)
+                break
+            default:
+                fail(`'${operation.op}' is not a JSON Patch operation.`)
+        }
+    }
+    return doc
+}
+
+/**
+ * Apply an RFC 7396 JSON Merge Patch to a JSON value.  The target is not altered.
+ * A null in the patch removes that key.  Objects merge.  Anything else, including arrays, replaces.
+ *
+ * @param target The JSON value to patch
+ * @param patch The JSON Merge Patch
+ * @throws {message, status} for createExpressError() when the patch names __proto__, constructor or prototype
+ * @return The patched JSON value.
+ */
+function applyMergePatch(target, patch) {
+    if (patch === null || typeof patch !== "object" || Array.isArray(patch)) return structuredClone(patch)
+    const result = (target !== null && typeof target === "object" && !Array.isArray(target)) ? structuredClone(target) : {}
+    for (const [key, value] of Object.entries(patch)) {
+        if (prototypeKeys.includes(key)) throw { message: `The JSON Merge Patch cannot name the key '${key}'.`, status: 400 }
+        if (value === null) delete result[key]
+        else result[key] = applyMergePatch(result[key], value)
+    }
+    return result
+}
+
 export {
     _contextid,
     idNegotiation,
     getPagination,
+    getCursor,
+    encodeCursor,
+    nextPageLink,
+    configureNextPageLink,
     generateSlugId,
     index,
     ObjectID,
     remove,
     getAgentClaim,
+    getAgentGroups,
+    agentHasRight,
+    getGeneratorAgent,
     parseDocumentID,
     alterHistoryNext,
     getAllVersions,
     getAllAncestors,
     getAllDescendants,
+    getMementos,
+    mementoAt,
+    mementoLinks,
     establishReleasesTree,
-    healReleasesTree
+    healReleasesTree,
+    jsonPatchDiff,
+    summarizePatch,
+    applyJsonPatch,
+    applyMergePatch
 }
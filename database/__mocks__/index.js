@@ -43,6 +43,7 @@ function createCursor() {
   return {
     limit: createMockFunction(function () { return this }),
     skip: createMockFunction(function () { return this }),
+    sort: createMockFunction(function () { return this }),
     toArray: createMockFunction(() => Promise.resolve([]))
   }
 }
@@ -53,41 +54,67 @@ const defaultBulkWriteResponse = () => ({
   insertedCount: 0
 })
 
+function setCollectionDefaults(mockCollection) {
+  mockCollection.findOne.mockResolvedValue(null)
+  mockCollection.find.mockReturnValue(createCursor())
+  mockCollection.aggregate.mockReturnValue(createCursor())
+  mockCollection.insertOne.mockResolvedValue({ insertedId: 'testid123' })
+  mockCollection.insertMany.mockImplementation(async (docs) => ({ insertedCount: docs.length, insertedIds: { ...docs.map(doc => doc._id) } }))
+  mockCollection.replaceOne.mockResolvedValue({ modifiedCount: 1 })
+  mockCollection.countDocuments.mockResolvedValue(0)
+  mockCollection.bulkWrite.mockResolvedValue(defaultBulkWriteResponse())
+  mockCollection.deleteOne.mockResolvedValue({ deletedCount: 1 })
+  mockCollection.updateOne.mockResolvedValue({ modifiedCount: 1 })
+  mockCollection.findOneAndUpdate.mockResolvedValue({ value: null })
+  return mockCollection
+}
+
+function createMockCollection() {
+  return setCollectionDefaults({
+    findOne: createMockFunction(),
+    find: createMockFunction(),
+    aggregate: createMockFunction(),
+    insertOne: createMockFunction(),
+    insertMany: createMockFunction(),
+    replaceOne: createMockFunction(),
+    countDocuments: createMockFunction(),
+    bulkWrite: createMockFunction(),
+    deleteOne: createMockFunction(),
+    updateOne: createMockFunction(),
+    findOneAndUpdate: createMockFunction()
+  })
+}
+
+// Collections asked for by name.  Each has the same mock methods as db.
+const namedCollections = new Map()
+
 export function resetMocks() {
   for (const fn of registeredMocks) {
     fn.mockReset()
   }
 
-  db.findOne.mockResolvedValue(null)
-  db.find.mockReturnValue(createCursor())
-  db.aggregate.mockReturnValue(createCursor())
-  db.insertOne.mockResolvedValue({ insertedId: 'testid123' })
-  db.replaceOne.mockResolvedValue({ modifiedCount: 1 })
-  db.countDocuments.mockResolvedValue(0)
-  db.bulkWrite.mockResolvedValue(defaultBulkWriteResponse())
-  db.deleteOne.mockResolvedValue({ deletedCount: 1 })
-  db.updateOne.mockResolvedValue({ modifiedCount: 1 })
-  db.findOneAndUpdate.mockResolvedValue({ value: null })
+  setCollectionDefaults(db)
+  for (const mockCollection of namedCollections.values()) {
+    setCollectionDefaults(mockCollection)
+  }
   newID.mockReturnValue('testid123')
   isValidID.mockReturnValue(false)
   connected.mockResolvedValue(true)
+  withTransaction.mockImplementation(async (work) => work(mockSession))
 }
 
-export const db = {
-  findOne: createMockFunction(() => Promise.resolve(null)),
-  find: createMockFunction(() => createCursor()),
-  aggregate: createMockFunction(() => createCursor()),
-  insertOne: createMockFunction(() => Promise.resolve({ insertedId: 'testid123' })),
-  replaceOne: createMockFunction(() => Promise.resolve({ modifiedCount: 1 })),
-  countDocuments: createMockFunction(() => Promise.resolve(0)),
-  bulkWrite: createMockFunction(() => Promise.resolve(defaultBulkWriteResponse())),
-  deleteOne: createMockFunction(() => Promise.resolve({ deletedCount: 1 })),
-  updateOne: createMockFunction(() => Promise.resolve({ modifiedCount: 1 })),
-  findOneAndUpdate: createMockFunction(() => Promise.resolve({ value: null }))
+export const db = createMockCollection()
+
+export function collection(name) {
+  if (!namedCollections.has(name)) namedCollections.set(name, createMockCollection())
+  return namedCollections.get(name)
 }
 
 export const newID = createMockFunction(() => 'testid123')
 export const isValidID = createMockFunction(() => false)
 export const connected = createMockFunction(() => Promise.resolve(true))
+// Stand-in for a ClientSession.  Tests can check it was handed to the db calls made inside a transaction.
+export const mockSession = { id: 'mock-session' }
+export const withTransaction = createMockFunction(async (work) => work(mockSession))
 
 resetMocks()
@@ -1,55 +1,33 @@
-import { MongoClient, ObjectId } from 'mongodb'
-
-const client = new MongoClient(process.env.MONGO_CONNECTION_STRING)
-const newID = () => new ObjectId().toHexString()
-const isValidID = (id) => ObjectId.isValid(id)
-const connected = async function () {
-    // Send a ping to confirm a successful connection
-    await client.db("admin").command({ ping: 1 }).catch(err => err)
-    return true
-}
-const db = client.db(process.env.MONGODBNAME)?.collection(process.env.MONGODBCOLLECTION)
-const connect = async () => {
-        await client.connect()
-        console.dir({
-            db : process.env.MONGODBNAME,
-            coll : process.env.MONGODBCOLLECTION
-        })
-}
-connect().catch(console.dir)
-
 /**
- * Find a single record based on a query object.
- * @param {JSON} matchDoc Query Object to match properties.
- * @param {JSON} options Just mongodb passthru for now
- * @param {function} callback Callback function if needed
- * @returns Single matched document or `null` if there is none found.
- * @throws MongoDB error if matchDoc is malformed or server is unreachable; E11000 duplicate key error collection
+ * The storage provider for RERUM, chosen by RERUM_STORAGE.
+ *  - mongo   (default) MongoDB at MONGO_CONNECTION_STRING.  See mongo.js.
+ *  - memory  A collection held in this process.  Nothing is kept after a restart.  See memory.js.
+ *
+ * The provider that is not chosen is never imported, so the memory provider does not need MongoDB to be reachable.
+ *
+ * Every provider exports the same interface.
+ *  - newID()                   A new id for the _id of a document, as a 24 character hex string.
+ *  - isValidID(id)             Whether a string could be an id made by newID().
+ *  - connected()               Resolves true when the storage can be used.
+ *  - withTransaction(work)     Run async work(session) so that every write it makes with { session } is kept, or none are.
+ *  - db                        The collection.  It supports the parts of the MongoDB Collection API the controllers use:
+ *                              findOne, find (a cursor with sort, skip, limit and toArray), countDocuments, aggregate,
+ *                              insertOne, insertMany, replaceOne, deleteOne and bulkWrite.
+ *  - collection(name)          Another collection like db, for documents that are not RERUM objects, like API keys.
  */
-function getMatching(matchDoc, options, callback) {
-    return db.findOne(matchDoc, options, (err, doc) => {
-        if (typeof callback === 'function') return callback(err, doc)
-        if (err) throw err
-        return doc
-    })
-}
-
-function isObject(obj) {
-    return obj?.constructor == Object
-}
+const provider = (process.env.RERUM_STORAGE ?? "mongo").trim().toLowerCase()
+const storage = provider === "memory" ? await import('./memory.js')
+    : provider === "mongo" ? await import('./mongo.js')
+    : null
+if (!storage) throw new Error(`RERUM_STORAGE '${process.env.RERUM_STORAGE}' is not a storage provider.  Use 'mongo' or 'memory'.`)
 
-function isValidURL(url) {
-    try {
-        new URL(url)
-        return true
-    } catch (_) {
-        return false
-    }
-}
+const { newID, isValidID, connected, withTransaction, db, collection } = storage
 
 export {
     newID,
     isValidID,
     connected,
-    db
+    withTransaction,
+    db,
+    collection
 }
@@ -0,0 +1,539 @@
+/**
+ * The in-memory storage provider.  Use it with RERUM_STORAGE=memory to run the server for local development and end to end tests
+ * without MongoDB.  The collections live in this process and are empty at every start.
+ *
+ * It behaves like the MongoDB provider for everything the controllers do.
+ *  - Documents are stored and returned as copies, so changing a returned document does not change the stored one.
+ *  - An insert with an _id that is already stored fails like MongoDB does, with code 11000 and the keyValue of the duplicate.
+ *  - Transactions keep what each write replaced and put it back when the work throws.  Reads are not isolated from other requests.
+ *  - Aggregation supports $match, $sort, $skip, $limit, $project, $addFields, $set, $unwind, $lookup, $count and $search.
+ *    $search is a simple stand in for Atlas Search.  It reads text, phrase, wildcard, embeddedDocument, compound and moreLikeThis
+ *    but has no analyzers.  The score is the number of query terms found, so results are relevant but not ordered like Atlas orders them.
+ *    Results with the same score are in _id order.  The searchSequenceToken of a result and searchAfter page through them in that order.
+ */
+import { ObjectId } from 'mongodb'
+import { matches, sortDocuments, resolvePath, valuesAt, isPlainObject, badValue, equals } from './query.js'
+
+const keyOf = (id) => typeof id === "string" ? id : JSON.stringify(id)
+
+const newID = () => new ObjectId().toHexString()
+const isValidID = (id) => ObjectId.isValid(id)
+const connected = async function () {
+    return true
+}
+
+function duplicateKey(id) {
+    return Object.assign(new Error(`E11000 duplicate key error collection: memory index: _id_ dup key: { _id: "${id}" }`), {
+        name: "MongoServerError",
+        code: 11000,
+        keyPattern: { "_id": 1 },
+        keyValue: { "_id": id }
+    })
+}
+
+/**
+ * Remember what is stored under a key before a write in a transaction changes it, so that it can be put back.
+ */
+function remember(session, documents, key) {
+    if (!session?.undo) return
+    if (!session.undo.has(documents)) session.undo.set(documents, new Map())
+    const saved = session.undo.get(documents)
+    if (!saved.has(key)) saved.set(key, documents.get(key))
+}
+
+function store(documents, doc, session) {
+    const key = keyOf(doc._id)
+    remember(session, documents, key)
+    documents.set(key, structuredClone(doc))
+}
+
+function unstore(documents, key, session) {
+    remember(session, documents, key)
+    documents.delete(key)
+}
+
+function findStored(documents, filter) {
+    for (const doc of documents.values()) {
+        if (matches(doc, filter)) return doc
+    }
+    return null
+}
+
+/**
+ * Run a unit of work like the MongoDB provider does.  Writes made with { session } are undone when the work throws.
+ * @param {function} work An async function receiving the session.
+ * @returns Whatever the work returns.
+ * @throws Whatever the work throws, after its writes have been undone.
+ */
+async function withTransaction(work) {
+    const session = { id: newID(), undo: new Map() }
+    try {
+        return await work(session)
+    }
+    catch (error) {
+        for (const [documents, saved] of session.undo) {
+            for (const [key, previous] of saved) {
+                if (previous === undefined) documents.delete(key)
+                else documents.set(key, previous)
+            }
+        }
+        throw error
+    }
+    finally {
+        session.undo = null
+    }
+}
+
+/**
+ * A cursor like the MongoDB FindCursor and AggregationCursor.  The documents are read when toArray() is called.
+ * @param {function} load Returns the documents the cursor is over.
+ */
+function createCursor(load) {
+    let sortSpec = null
+    let skipCount = 0
+    let limitCount = 0
+    const cursor = {
+        sort(spec) {
+            sortSpec = spec
+            return cursor
+        },
+        skip(n) {
+            skipCount = n
+            return cursor
+        },
+        limit(n) {
+            limitCount = n
+            return cursor
+        },
+        async toArray() {
+            let docs = load()
+            if (sortSpec) sortDocuments(docs, sortSpec)
+            docs = docs.slice(skipCount, limitCount ? skipCount + Math.abs(limitCount) : undefined)
+            return structuredClone(docs)
+        },
+        async *[Symbol.asyncIterator]() {
+            yield* await cursor.toArray()
+        }
+    }
+    return cursor
+}
+
+function setPath(doc, path, value) {
+    const parts = path.split(".")
+    let target = doc
+    for (const part of parts.slice(0, -1)) {
+        if (!isPlainObject(target[part])) target[part] = {}
+        target = target[part]
+    }
+    target[parts.at(-1)] = value
+}
+
+function unsetPath(doc, path) {
+    const parts = path.split(".")
+    const parent = parts.slice(0, -1).reduce((target, part) => isPlainObject(target) ? target[part] : undefined, doc)
+    if (isPlainObject(parent)) delete parent[parts.at(-1)]
+}
+
+/**
+ * The value of an aggregation expression like "$body.value", { "$meta": "searchScore" } or a literal.
+ */
+function evaluate(expression, doc, scores) {
+    if (typeof expression === "string" && expression.startsWith("$")) return resolvePath(doc, expression.slice(1))
+    if (isPlainObject(expression)) {
+        if (Object.hasOwn(expression, "$meta")) return searchMeta(expression.$meta, doc, scores)
+        if (Object.hasOwn(expression, "$literal")) return expression.$literal
+        return Object.fromEntries(Object.entries(expression).map(([key, value]) => [key, evaluate(value, doc, scores)]))
+    }
+    if (Array.isArray(expression)) return expression.map(value => evaluate(value, doc, scores))
+    return expression
+}
+
+function project(doc, spec, scores) {
+    const entries = Object.entries(spec)
+    const isExclusion = ([key, value]) => value === 0 || value === false
+    const fields = entries.filter(([key]) => key !== "_id")
+    const excluding = fields.length ? fields.every(isExclusion) : entries.length > 0 && entries.every(isExclusion)
+    let projected
+    if (excluding) {
+        projected = structuredClone(doc)
+        for (const [path, value] of entries) {
+            if (!value) unsetPath(projected, path)
+        }
+    }
+    else {
+        projected = {}
+        if (spec._id === undefined && doc._id !== undefined) projected._id = doc._id
+        for (const [path, value] of entries) {
+            if (value === 0 || value === false) {
+                if (path !== "_id") throw badValue(`Invalid $project :: caused by :: Cannot do exclusion on field ${path} in inclusion projection`)
+                continue
+            }
+            const found = value === 1 || value === true ? resolvePath(doc, path) : evaluate(value, doc, scores)
+            if (found !== undefined) setPath(projected, path, structuredClone(found))
+        }
+    }
+    if (scores.has(doc)) scores.set(projected, scores.get(doc))
+    return projected
+}
+
+function unwind(docs, spec) {
+    const options = typeof spec === "string" ? { path: spec } : spec
+    const path = options.path?.replace(/^\$/, "")
+    if (!path) throw badValue("$unwind needs a path")
+    return docs.flatMap(doc => {
+        const value = resolvePath(doc, path)
+        if (!Array.isArray(value) || value.length === 0) {
+            if (Array.isArray(value) || value === undefined || value === null) return options.preserveNullAndEmptyArrays ? [doc] : []
+            return [doc]
+        }
+        return value.map(item => {
+            const copy = structuredClone(doc)
+            setPath(copy, path, structuredClone(item))
+            return copy
+        })
+    })
+}
+
+function lookup(documents, docs, spec) {
+    if (!spec.localField || !spec.foreignField || !spec.as) throw badValue("$lookup in memory needs localField, foreignField and as")
+    const all = [...documents.values()]
+    return docs.map(doc => {
+        const local = valuesAt(doc, spec.localField.split(".")).flatMap(v => Array.isArray(v) ? v : [v])
+        const joined = all.filter(other => local.some(value => matches(other, { [spec.foreignField]: value })))
+        return Object.assign(doc, { [spec.as]: structuredClone(joined) })
+    })
+}
+
+// $search stand in.  The "terms" of a string are its lower case words.
+const termsOf = (text) => String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? []
+
+function stringsAt(doc, path) {
+    const paths = [path].flat()
+    if (paths.some(p => isPlainObject(p))) return stringsIn(doc)
+    return paths.flatMap(p => valuesAt(doc, p.split(".")))
+        .flatMap(v => Array.isArray(v) ? v : [v])
+        .filter(v => typeof v === "string")
+}
+
+// Every string in a document but those RERUM itself keeps there.
+function stringsIn(value, key = "") {
+    if (key === "__rerum" || key === "_id" || key === "@id" || key === "id") return []
+    if (typeof value === "string") return [value]
+    if (Array.isArray(value)) return value.flatMap(v => stringsIn(v))
+    if (isPlainObject(value)) return Object.entries(value).flatMap(([k, v]) => stringsIn(v, k))
+    return []
+}
+
+function editDistance(a, b) {
+    let row = Array.from({ length: b.length + 1 }, (_, i) => i)
+    for (let i = 1; i <= a.length; i++) {
+        const next = [i]
+        for (let j = 1; j <= b.length; j++) {
+            next[j] = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1))
+        }
+        row = next
+    }
+    return row[b.length]
+}
+
+function textScore(doc, spec) {
+    const fieldTerms = new Set(stringsAt(doc, spec.path).flatMap(termsOf))
+    const maxEdits = spec.fuzzy ? (spec.fuzzy.maxEdits ?? 2) : 0
+    const found = (term) => fieldTerms.has(term) || (maxEdits > 0 && [...fieldTerms].some(t => editDistance(t, term) <= maxEdits))
+    return [spec.query].flat().flatMap(termsOf).filter(found).length
+}
+
+function phraseScore(doc, spec) {
+    const fields = stringsAt(doc, spec.path).map(text => ` ${termsOf(text).join(" ")} `)
+    return [spec.query].flat().filter(phrase => {
+        const terms = termsOf(phrase)
+        return terms.length > 0 && fields.some(field => field.includes(` ${terms.join(" ")} `))
+    }).length * 2
+}
+
+function wildcardScore(doc, spec) {
+    const fields = stringsAt(doc, spec.path)
+    return [spec.query].flat().filter(query => {
+        const source = query.split(/(\*|\?)/).map(part => part === "*" ? ".*" : part === "?" ? "." : part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("")
+        const pattern = new RegExp(`^${source}$`, "i")
+        return fields.some(field => pattern.test(field) || (spec.allowAnalyzedField && termsOf(field).some(t => pattern.test(t))))
+    }).length
+}
+
+function moreLikeThisScore(doc, spec) {
+    const likeTerms = new Set([spec.like].flat().flatMap(like => stringsIn(like)).flatMap(termsOf))
+    return new Set(stringsIn(doc).flatMap(termsOf).filter(t => likeTerms.has(t))).size
+}
+
+function compoundScore(doc, spec) {
+    const scoreEach = (clauses) => [clauses ?? []].flat().map(clause => searchScore(doc, clause))
+    const must = scoreEach(spec.must)
+    const filter = scoreEach(spec.filter)
+    const should = scoreEach(spec.should)
+    if (must.some(s => s === 0) || filter.some(s => s === 0)) return 0
+    if (scoreEach(spec.mustNot).some(s => s > 0)) return 0
+    const minimumShouldMatch = spec.minimumShouldMatch ?? (must.length + filter.length === 0 ? 1 : 0)
+    if (should.filter(s => s > 0).length < minimumShouldMatch) return 0
+    const score = [...must, ...should].reduce((sum, s) => sum + s, 0)
+    return score > 0 ? score : Number(filter.length > 0)
+}
+/**
+ * The value of { "$meta": ... } for a document.  The searchSequenceToken is its position in the results of $search.
+ */
+function searchMeta(name, doc, scores) {
+    if (name === "searchScore") return scores.get(doc) ?? 0
+    if (name === "searchSequenceToken" && scores.has(doc)) return Buffer.from(JSON.stringify([scores.get(doc), keyOf(doc._id)])).toString("base64url")
+    return undefined
+}
+
+/**
+ * Compare the positions [score, key] of two $search results.  Higher scores come first, then keys in order.
+ */
+const comparePositions = ([scoreA, keyA], [scoreB, keyB]) => scoreB - scoreA || (keyA < keyB ? -1 : keyA > keyB ? 1 : 0)
+
+/**
+ * Read the position [score, key] from the searchAfter token of a $search.
+ */
+function searchAfterPosition(token) {
+    try {
+        const [score, key] = JSON.parse(Buffer.from(String(token), "base64url").toString("utf8"))
+        if (typeof score === "number" && typeof key === "string") return [score, key]
+    }
+    catch (err) { }
+    throw badValue(`searchAfter '${token}' is not a searchSequenceToken`)
+}
+
+/**
+ * The score of a document for a $search operator like { "text": {...} }.  Zero means it does not match.
+ */
+function searchScore(doc, operator) {
+    let score = 0
+    for (const [type, spec] of Object.entries(operator)) {
+        switch (type) {
+            case "index":
+            case "highlight":
+            case "count":
+            case "scoreDetails":
+            case "returnStoredSource":
+            case "searchAfter":
+                continue
+            case "compound": score += compoundScore(doc, spec)
+                break
+            case "text": score += textScore(doc, spec)
+                break
+            case "phrase": score += phraseScore(doc, spec)
+                break
+            case "wildcard": score += wildcardScore(doc, spec)
+                break
+            case "embeddedDocument": score += searchScore(doc, spec.operator)
+                break
+            case "moreLikeThis": score += moreLikeThisScore(doc, spec)
+                break
+            default: throw badValue(`$search operator '${type}' is not supported by the memory storage provider`)
+        }
+    }
+    return score
+}
+
+/**
+ * Run an aggregation pipeline over the stored documents.
+ */
+function runPipeline(documents, pipeline) {
+    if (!Array.isArray(pipeline)) throw badValue("aggregate needs a pipeline array")
+    const scores = new WeakMap()
+    let docs = structuredClone([...documents.values()])
+    for (const stage of pipeline) {
+        const [[name, spec], ...others] = Object.entries(stage)
+        if (others.length) throw badValue("A pipeline stage specification object must contain exactly one field.")
+        switch (name) {
+            case "$match": docs = docs.filter(doc => matches(doc, spec))
+                break
+            case "$sort": sortDocuments(docs, spec)
+                break
+            case "$skip": docs = docs.slice(spec)
+                break
+            case "$limit": docs = docs.slice(0, spec)
+                break
+            case "$project": docs = docs.map(doc => project(doc, spec, scores))
+                break
+            case "$addFields":
+            case "$set":
+                for (const doc of docs) {
+                    for (const [path, expression] of Object.entries(spec)) setPath(doc, path, structuredClone(evaluate(expression, doc, scores)))
+                }
+                break
+            case "$unwind": docs = unwind(docs, spec)
+                break
+            case "$lookup": docs = lookup(documents, docs, spec)
+                break
+            case "$count": docs = docs.length ? [{ [spec]: docs.length }] : []
+                break
+            case "$search":
+                docs = docs.filter(doc => {
+                    const score = searchScore(doc, spec)
+                    scores.set(doc, score)
+                    return score > 0
+                })
+                docs.sort((a, b) => comparePositions([scores.get(a), keyOf(a._id)], [scores.get(b), keyOf(b._id)]))
+                if (spec.searchAfter !== undefined) {
+                    const after = searchAfterPosition(spec.searchAfter)
+                    docs = docs.filter(doc => comparePositions([scores.get(doc), keyOf(doc._id)], after) > 0)
+                }
+                break
+            default: throw badValue(`Unrecognized pipeline stage name: '${name}'`)
+        }
+    }
+    return docs
+}
+
+async function insertOne(documents, doc, options = {}) {
+    if (!isPlainObject(doc)) throw badValue("document must be an object")
+    if (doc._id === undefined) doc._id = newID()
+    if (documents.has(keyOf(doc._id))) throw duplicateKey(doc._id)
+    store(documents, doc, options.session)
+    return { acknowledged: true, insertedId: doc._id }
+}
+
+async function insertMany(documents, docs, options = {}) {
+    const insertedIds = {}
+    for (const [index, doc] of docs.entries()) {
+        insertedIds[index] = (await insertOne(documents, doc, options)).insertedId
+    }
+    return { acknowledged: true, insertedCount: docs.length, insertedIds }
+}
+
+async function replaceOne(documents, filter, replacement, options = {}) {
+    if (!isPlainObject(replacement) || Object.keys(replacement).some(key => key.startsWith("$"))) {
+        throw badValue("Replacement document must not contain atomic operators")
+    }
+    const stored = findStored(documents, filter)
+    if (!stored) {
+        if (!options.upsert) return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null }
+        const upserted = structuredClone(replacement)
+        upserted._id ??= typeof filter?._id === "string" ? filter._id : newID()
+        await insertOne(documents, upserted, options)
+        return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: upserted._id }
+    }
+    if (replacement._id !== undefined && !equals(replacement._id, stored._id)) {
+        throw Object.assign(new Error("Performing an update on the path '_id' would modify the immutable field '_id'"), {
+            name: "MongoServerError",
+            code: 66,
+            codeName: "ImmutableField"
+        })
+    }
+    const replaced = { "_id": stored._id, ...replacement }
+    const modified = !equals(replaced, stored)
+    if (modified) store(documents, replaced, options.session)
+    return { acknowledged: true, matchedCount: 1, modifiedCount: Number(modified), upsertedCount: 0, upsertedId: null }
+}
+
+async function deleteOne(documents, filter, options = {}) {
+    const stored = findStored(documents, filter)
+    if (stored) unstore(documents, keyOf(stored._id), options.session)
+    return { acknowledged: true, deletedCount: stored ? 1 : 0 }
+}
+
+async function deleteMany(documents, filter, options = {}) {
+    const doomed = [...documents.values()].filter(doc => matches(doc, filter))
+    for (const doc of doomed) unstore(documents, keyOf(doc._id), options.session)
+    return { acknowledged: true, deletedCount: doomed.length }
+}
+
+/**
+ * Run insertOne, replaceOne and deleteOne operations like MongoDB bulkWrite().
+ * Unordered operations all run and the first error is thrown after them.  Ordered operations stop at the first error.
+ * The result also has result.insertedIds like [{ index, _id }], the shape of the legacy BulkWriteResult the controllers read.
+ */
+async function bulkWrite(documents, operations, options = {}) {
+    const ordered = options.ordered ?? true
+    const summary = { insertedCount: 0, matchedCount: 0, modifiedCount: 0, deletedCount: 0, upsertedCount: 0, insertedIds: {}, upsertedIds: {} }
+    const writeErrors = []
+    for (const [index, operation] of operations.entries()) {
+        const [[name, spec]] = Object.entries(operation)
+        try {
+            switch (name) {
+                case "insertOne": {
+                    const { insertedId } = await insertOne(documents, spec.document, options)
+                    summary.insertedCount++
+                    summary.insertedIds[index] = insertedId
+                    break
+                }
+                case "replaceOne": {
+                    const replaced = await replaceOne(documents, spec.filter, spec.replacement, { ...options, upsert: spec.upsert })
+                    summary.matchedCount += replaced.matchedCount
+                    summary.modifiedCount += replaced.modifiedCount
+                    summary.upsertedCount += replaced.upsertedCount
+                    if (replaced.upsertedId !== null) summary.upsertedIds[index] = replaced.upsertedId
+                    break
+                }
+                case "deleteOne":
+                    summary.deletedCount += (await deleteOne(documents, spec.filter, options)).deletedCount
+                    break
+                default: throw badValue(`bulkWrite operation '${name}' is not supported by the memory storage provider`)
+            }
+        }
+        catch (error) {
+            writeErrors.push(Object.assign(error, { index }))
+            if (ordered) break
+        }
+    }
+    if (writeErrors.length) {
+        throw Object.assign(new Error(writeErrors[0].message), {
+            name: "MongoBulkWriteError",
+            code: writeErrors[0].code,
+            keyValue: writeErrors[0].keyValue,
+            writeErrors,
+            result: summary
+        })
+    }
+    const insertedIds = Object.entries(summary.insertedIds).map(([index, _id]) => ({ index: Number(index), _id }))
+    return { acknowledged: true, ...summary, result: { insertedIds } }
+}
+
+/**
+ * A collection over its own documents.  Like a MongoDB Collection it has the methods listed in index.js.
+ */
+function createCollection() {
+    const documents = new Map()
+    return {
+        async findOne(filter, options = {}) {
+            const found = findStored(documents, filter)
+            return found ? structuredClone(found) : null
+        },
+        find(filter = {}, options = {}) {
+            return createCursor(() => [...documents.values()].filter(doc => matches(doc, filter)))
+        },
+        async countDocuments(filter = {}, options = {}) {
+            return [...documents.values()].filter(doc => matches(doc, filter)).length
+        },
+        aggregate(pipeline = [], options = {}) {
+            return createCursor(() => runPipeline(documents, pipeline))
+        },
+        insertOne: (doc, options) => insertOne(documents, doc, options),
+        insertMany: (docs, options) => insertMany(documents, docs, options),
+        replaceOne: (filter, replacement, options) => replaceOne(documents, filter, replacement, options),
+        deleteOne: (filter, options) => deleteOne(documents, filter, options),
+        deleteMany: (filter, options) => deleteMany(documents, filter, options),
+        bulkWrite: (operations, options) => bulkWrite(documents, operations, options)
+    }
+}
+
+const db = createCollection()
+const collections = new Map()
+
+/**
+ * The collection with this name, for documents that are not RERUM objects.  It is made empty the first time it is asked for.
+ */
+function collection(name) {
+    if (!collections.has(name)) collections.set(name, createCollection())
+    return collections.get(name)
+}
+
+export {
+    newID,
+    isValidID,
+    connected,
+    withTransaction,
+    db,
+    collection
+}
@@ -0,0 +1,103 @@
+/**
+ * The MongoDB storage provider.  This is the provider RERUM runs on in production.
+ * The collection is MONGODBCOLLECTION in the MONGODBNAME database at MONGO_CONNECTION_STRING.
+ */
+import { MongoClient, ObjectId } from 'mongodb'
+
+const client = new MongoClient(process.env.MONGO_CONNECTION_STRING)
+const newID = () => new ObjectId().toHexString()
+const isValidID = (id) => ObjectId.isValid(id)
+const connected = async function () {
+    // Send a ping to confirm a successful connection
+    await client.db("admin").command({ ping: 1 }).catch(err => err)
+    return true
+}
+const db = client.db(process.env.MONGODBNAME)?.collection(process.env.MONGODBCOLLECTION)
+/**
+ * The collection with this name in the MONGODBNAME database, for documents that are not RERUM objects.
+ */
+const collection = (name) => client.db(process.env.MONGODBNAME).collection(name)
+/**
+ * The indexes RERUM reads through, by collection.  Each is made when the client connects, if it is not there already.
+ *  - The IIIF Change Discovery activity feed finds the IIIF objects by their type in the order of each of its times.
+ *  - Webhook retries are found by the time of their next attempt.
+ */
+const indexes = {
+    [process.env.MONGODBCOLLECTION]: [
+        { key: { "@type": 1, "__rerum.createdAt": 1, "_id": 1 } },
+        { key: { "type": 1, "__rerum.createdAt": 1, "_id": 1 } },
+        { key: { "@type": 1, "__rerum.isOverwritten": 1, "_id": 1 } },
+        { key: { "type": 1, "__rerum.isOverwritten": 1, "_id": 1 } },
+        { key: { "__deleted.object.@type": 1, "__deleted.time": 1, "_id": 1 } },
+        { key: { "__deleted.object.type": 1, "__deleted.time": 1, "_id": 1 } }
+    ],
+    webhookDeliveries: [
+        { key: { "nextAttempt": 1 } }
+    ]
+}
+const connect = async () => {
+        await client.connect()
+        console.dir({
+            db : process.env.MONGODBNAME,
+            coll : process.env.MONGODBCOLLECTION
+        })
+        for (const [name, keys] of Object.entries(indexes)) await collection(name).createIndexes(keys)
+}
+connect().catch(console.dir)
+
+/**
+ * Run a unit of work inside a MongoDB session transaction.
+ * The work receives the session and must pass it along as { session } to every read and write it performs.
+ * If the work throws, the transaction is aborted and nothing it wrote is kept.  The error is rethrown to the caller.
+ * Note that the driver may retry the work on transient transaction errors, so it must not rely on state mutated by a previous attempt.
+ * @param {function} work An async function receiving the ClientSession.
+ * @returns Whatever the work returns.
+ * @throws Whatever the work throws, after the transaction has been rolled back.
+ */
+async function withTransaction(work) {
+    const session = client.startSession()
+    try {
+        return await session.withTransaction(() => work(session))
+    }
+    finally {
+        await session.endSession()
+    }
+}
+
+/**
+ * Find a single record based on a query object.
+ * @param {JSON} matchDoc Query Object to match properties.
+ * @param {JSON} options Just mongodb passthru for now
+ * @param {function} callback Callback function if needed
+ * @returns Single matched document or `null` if there is none found.
+ * @throws MongoDB error if matchDoc is malformed or server is unreachable; E11000 duplicate key error collection
+ */
+function getMatching(matchDoc, options, callback) {
+    return db.findOne(matchDoc, options, (err, doc) => {
+        if (typeof callback === 'function') return callback(err, doc)
+        if (err) throw err
+        return doc
+    })
+}
+
+function isObject(obj) {
+    return obj?.constructor == Object
+}
+
+function isValidURL(url) {
+    try {
+        new URL(url)
+        return true
+    } catch (_) {
+        return false
+    }
+}
+
+export {
+    newID,
+    isValidID,
+    connected,
+    withTransaction,
+    db,
+    collection
+}
@@ -0,0 +1,238 @@
+/**
+ * MongoDB query semantics for documents held in memory.  The memory storage provider matches, sorts and projects with these.
+ *
+ * Paths are dotted like "__rerum.history.prime" and reach into arrays the way MongoDB does, so {"body.value": "x"}
+ * matches a document whose body is an array of objects when any of them has the value "x".
+ *
+ * Supported query operators
+ *  - logical      $and, $or, $nor, $not
+ *  - comparison   $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin
+ *  - element      $exists
+ *  - array        $size, $all, $elemMatch
+ *  - evaluation   $regex with $options, and RegExp values
+ * Any other operator is an error, as it would be from a MongoDB server that did not know it.
+ */
+
+function isPlainObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value) && !(value instanceof RegExp) && !(value instanceof Date)
+}
+
+function isOperatorObject(value) {
+    return isPlainObject(value) && Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith("$"))
+}
+
+/**
+ * An error like the one a MongoDB server sends for a query it cannot run.
+ */
+function badValue(message) {
+    return Object.assign(new Error(message), { name: "MongoServerError", code: 2, codeName: "BadValue" })
+}
+
+/**
+ * Every value found at a dotted path.  Arrays along the way are reached into.  An empty array means the path is missing.
+ * @param value The document, or the part of it the rest of the path is in.
+ * @param {Array<string>} parts The path split on "."
+ */
+function valuesAt(value, parts) {
+    if (parts.length === 0) return [value]
+    const [head, ...rest] = parts
+    if (Array.isArray(value)) {
+        const found = []
+        if (/^\d+$/.test(head) && Number(head) < value.length) found.push(...valuesAt(value[Number(head)], rest))
+        for (const item of value) {
+            if (isPlainObject(item)) found.push(...valuesAt(item, parts))
+        }
+        return found
+    }
+    if (!isPlainObject(value) || !Object.hasOwn(value, head)) return []
+    return valuesAt(value[head], rest)
+}
+
+/**
+ * The values found at a path together with the elements of any arrays among them.  Operators like $eq and $gt look at these.
+ */
+function candidates(found) {
+    return found.flatMap(v => Array.isArray(v) ? [v, ...v] : [v])
+}
+
+/**
+ * The value at a dotted path as an aggregation expression like "$body.value" sees it.
+ * Arrays of objects along the way give an array of the values inside them.
+ */
+function resolvePath(doc, path) {
+    let value = doc
+    for (const part of path.split(".")) {
+        if (Array.isArray(value)) {
+            value = value.filter(isPlainObject).map(item => item[part]).filter(v => v !== undefined)
+        }
+        else if (isPlainObject(value)) {
+            value = value[part]
+        }
+        else {
+            return undefined
+        }
+    }
+    return value
+}
+
+// The order MongoDB sorts values of different types in.
+function typeRank(value) {
+    if (value === undefined || value === null) return 1
+    if (typeof value === "number") return 2
+    if (typeof value === "string") return 3
+    if (Array.isArray(value)) return 5
+    if (typeof value === "boolean") return 8
+    if (value instanceof Date) return 9
+    if (value instanceof RegExp) return 11
+    return 4
+}
+
+/**
+ * Compare two values in MongoDB sort order.
+ * @return {number} Negative when a sorts before b, positive when after and 0 when they are equal.
+ */
+function compare(a, b) {
+    const rankA = typeRank(a)
+    const rankB = typeRank(b)
+    if (rankA !== rankB) return rankA - rankB
+    switch (rankA) {
+        case 1: return 0
+        case 2: return a - b
+        case 3: return a < b ? -1 : a > b ? 1 : 0
+        case 8: return Number(a) - Number(b)
+        case 9: return a.getTime() - b.getTime()
+        case 5: {
+            for (let i = 0; i < Math.min(a.length, b.length); i++) {
+                const c = compare(a[i], b[i])
+                if (c !== 0) return c
+            }
+            return a.length - b.length
+        }
+        default: {
+            const keysA = Object.keys(a)
+            const keysB = Object.keys(b)
+            for (let i = 0; i < Math.min(keysA.length, keysB.length); i++) {
+                const c = compare(keysA[i], keysB[i]) || compare(a[keysA[i]], b[keysB[i]])
+                if (c !== 0) return c
+            }
+            return keysA.length - keysB.length
+        }
+    }
+}
+
+function equals(a, b) {
+    if (typeRank(a) !== typeRank(b)) return false
+    if (Array.isArray(a)) return a.length === b.length && a.every((item, i) => equals(item, b[i]))
+    if (a instanceof RegExp) return String(a) === String(b)
+    if (isPlainObject(a)) {
+        const keys = Object.keys(a)
+        return keys.length === Object.keys(b).length && keys.every(key => Object.hasOwn(b, key) && equals(a[key], b[key]))
+    }
+    return compare(a, b) === 0
+}
+
+function matchesEquality(found, value) {
+    if (value instanceof RegExp) return candidates(found).some(v => typeof v === "string" && value.test(v))
+    if (value === null) return found.length === 0 || candidates(found).some(v => v === null || v === undefined)
+    return candidates(found).some(v => equals(v, value))
+}
+
+function matchesComparison(found, value, test) {
+    return candidates(found).some(v => typeRank(v) === typeRank(value) && test(compare(v, value)))
+}
+
+function toRegExp(pattern, options = "") {
+    if (pattern instanceof RegExp) return new RegExp(pattern.source, [...new Set(pattern.flags + options)].join(""))
+    if (typeof pattern !== "string") throw badValue("$regex has to be a string")
+    return new RegExp(pattern, options)
+}
+
+/**
+ * Whether the values found at a path satisfy a condition like "x", /x/ or { "$gt": 1, "$lt": 5 }.
+ */
+function matchesFound(found, condition) {
+    if (!isOperatorObject(condition)) return matchesEquality(found, condition)
+    return Object.entries(condition).every(([operator, value]) => {
+        switch (operator) {
+            case "$eq": return matchesEquality(found, value)
+            case "$ne": return !matchesEquality(found, value)
+            case "$gt": return matchesComparison(found, value, c => c > 0)
+            case "$gte": return matchesComparison(found, value, c => c >= 0)
+            case "$lt": return matchesComparison(found, value, c => c < 0)
+            case "$lte": return matchesComparison(found, value, c => c <= 0)
+            case "$in":
+                if (!Array.isArray(value)) throw badValue("$in needs an array")
+                return value.some(v => matchesEquality(found, v))
+            case "$nin":
+                if (!Array.isArray(value)) throw badValue("$nin needs an array")
+                return !value.some(v => matchesEquality(found, v))
+            case "$exists": return (found.length > 0) === Boolean(value)
+            case "$size": return found.some(v => Array.isArray(v) && v.length === value)
+            case "$all":
+                if (!Array.isArray(value)) throw badValue("$all needs an array")
+                return value.length > 0 && value.every(v => matchesFound(found, isOperatorObject(v) ? v : { "$eq": v }))
+            case "$elemMatch":
+                if (!isPlainObject(value)) throw badValue("$elemMatch needs an Object")
+                return found.some(v => Array.isArray(v) && v.some(item =>
+                    isOperatorObject(value) ? matchesFound([item], value) : isPlainObject(item) && matches(item, value)))
+            case "$regex": return matchesEquality(found, toRegExp(value, condition.$options))
+            case "$options":
+                if (condition.$regex === undefined) throw badValue("$options needs a $regex")
+                return true
+            case "$not":
+                if (!isOperatorObject(value) && !(value instanceof RegExp)) throw badValue("$not needs a regex or a document")
+                return !matchesFound(found, value)
+            default: throw badValue(`unknown operator: ${operator}`)
+        }
+    })
+}
+
+/**
+ * Whether a document matches a MongoDB query object.
+ * @param {Object} doc The document.
+ * @param {Object} query The query, like { "__rerum.history.prime": "root", "$or": [...] }.  An empty query matches everything.
+ * @return {boolean}
+ * @throws A MongoServerError like error with code 2 when the query uses an operator that is not supported.
+ */
+function matches(doc, query = {}) {
+    if (!isPlainObject(query)) throw badValue("query filter must be an object")
+    return Object.entries(query).every(([key, condition]) => {
+        switch (key) {
+            case "$and":
+            case "$or":
+            case "$nor":
+                if (!Array.isArray(condition) || condition.length === 0) throw badValue(`${key} must be a nonempty array`)
+                if (key === "$and") return condition.every(q => matches(doc, q))
+                if (key === "$or") return condition.some(q => matches(doc, q))
+                return !condition.some(q => matches(doc, q))
+            default:
+                if (key.startsWith("$")) throw badValue(`unknown top level operator: ${key}`)
+                return matchesFound(valuesAt(doc, key.split(".")), condition)
+        }
+    })
+}
+
+/**
+ * Sort documents like cursor.sort() and $sort do.
+ * @param {Array<Object>} docs The documents.  They are sorted in place.
+ * @param {Object} spec Like { "__rerum.createdAt": -1, "_id": 1 }
+ * @return {Array<Object>} The same array.
+ */
+function sortDocuments(docs, spec = {}) {
+    const keys = Object.entries(spec)
+    return docs.sort((a, b) => {
+        for (const [path, direction] of keys) {
+            // An array sorts by its smallest element ascending and by its largest element descending.
+            const pick = (doc) => {
+                const found = candidates(valuesAt(doc, path.split("."))).filter(v => !Array.isArray(v))
+                if (found.length === 0) return null
+                return found.reduce((best, v) => (compare(v, best) * direction < 0 ? v : best))
+            }
+            const c = compare(pick(a), pick(b)) * (direction < 0 ? -1 : 1)
+            if (c !== 0) return c
+        }
+        return 0
+    })
+}
+
+export { matches, compare, equals, sortDocuments, resolvePath, valuesAt, isPlainObject, badValue }
@@ -10,24 +10,64 @@
 import { index, idNegotiation, generateSlugId, remove } from './controllers/utils.js'
 import { create, query, id } from './controllers/crud.js'
 import { searchAsWords, searchAsPhrase } from './controllers/search.js'
-import { deleteObj } from './controllers/delete.js'
-import { putUpdate, patchUpdate, patchSet, patchUnset, overwrite } from './controllers/update.js'
+import { deleteObj, restore, deleted } from './controllers/delete.js'
+import { putUpdate, patchUpdate, patchDocument, patchSet, patchUnset, overwrite } from './controllers/update.js'
 import { bulkCreate, bulkUpdate } from './controllers/bulk.js'
-import { since, history, queryHeadRequest } from './controllers/history.js'
+import { since, history, tree, diff, timemap, queryHeadRequest } from './controllers/history.js'
 import { release } from './controllers/release.js'
+import { revert } from './controllers/revert.js'
+import { integrity, repairIntegrity } from './controllers/integrity.js'
+import { acl, setACL } from './controllers/acl.js'
+import { groups, createGroup, group, updateGroup } from './controllers/groups.js'
+import { transfer } from './controllers/transfer.js'
+import { listApiKeys, createApiKey, apiKey, revokeApiKey } from './controllers/apikeys.js'
+import { listDenylist, addToDenylist, denylistEntry, removeFromDenylist } from './controllers/denylist.js'
+import { subscriptions, createSubscription, subscription, deleteSubscription, subscriptionDeliveries } from './controllers/subscriptions.js'
+import { changeStream, changeLog } from './controllers/changes.js'
+import { activity, activityPage } from './controllers/activity.js'
 import { _gog_fragments_from_manuscript, _gog_glosses_from_manuscript, expand, expandedId } from './controllers/gog.js'
 
 export default {
     index,
     create,
     deleteObj,
+    restore,
+    deleted,
     putUpdate,
     patchUpdate,
+    patchDocument,
     patchSet,
     patchUnset,
     generateSlugId,
     overwrite,
     release,
+    revert,
+    integrity,
+    repairIntegrity,
+    acl,
+    setACL,
+    groups,
+    createGroup,
+    group,
+    updateGroup,
+    transfer,
+    listApiKeys,
+    createApiKey,
+    apiKey,
+    revokeApiKey,
+    listDenylist,
+    addToDenylist,
+    denylistEntry,
+    removeFromDenylist,
+    subscriptions,
+    createSubscription,
+    subscription,
+    deleteSubscription,
+    subscriptionDeliveries,
+    changeStream,
+    changeLog,
+    activity,
+    activityPage,
     query,
     searchAsWords,
     searchAsPhrase,
@@ -37,6 +77,9 @@ export default {
     queryHeadRequest,
     since,
     history,
+    tree,
+    diff,
+    timemap,
     remove,
     _gog_glosses_from_manuscript,
     _gog_fragments_from_manuscript,
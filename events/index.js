@@ -0,0 +1,241 @@
+import { EventEmitter } from 'node:events'
+import { collection, db } from '../database/index.js'
+import { idNegotiation, parseDocumentID } from '../controllers/utils.js'
+import utils from '../utils.js'
+import { matches } from '../database/query.js'
+
+/**
+ * The changes made to RERUM objects, published by the controllers once a change is stored.
+ *
+ * Listen with changes.on("change", (event, stored) => {}).  A listener must not throw, and must not keep the request waiting.
+ *  - event   What happened, as it is sent to clients.
+ *            { "id": "event id", "type": "create", "time": "ISO date", "agent": "agent URI", "object": { the object } }
+ *            The object is as it is after the change.  For a delete it is the object as it was before it was deleted.
+ *  - stored  The object as it is stored, with _id and __rerum, to be matched against filters like a /query.
+ *
+ * Every change is appended to the change log, the changes collection, that harvesters read at /v1/api/changes, with logChanges()
+ * in the same transaction as the change itself.  Its entries are numbered 1, 2, 3... by their _id, and the event id is that number as a string.
+ *
+ * Only the changes made by this process are published on changes.  Those made by every process, as when RERUM runs in the PM2 cluster,
+ * are followed from the change log with follow().
+ */
+
+// The types of events, in the order a client would meet them in the life of an object.
+// A transfer changes the generatedBy of an object and an acl changes its access control list, both in place.
+const eventTypes = ["create", "update", "overwrite", "transfer", "acl", "release", "delete", "restore"]
+// How often the change log is read for new entries while someone follows it.
+const FOLLOW_INTERVAL = 1000
+// The most entries read from the change log at a time.
+const FOLLOW_BATCH = 1000
+// How many times to try for the next number in the change log when other processes are taking them too.
+const LOG_ATTEMPTS = 20
+
+const changeLog = () => collection("changes")
+
+const changes = new EventEmitter()
+// Each listener is a consumer of every change, like webhooks or a client of the change stream.  There is no sensible limit on them.
+changes.setMaxListeners(0)
+// The changes read from the change log, for those that follow it.
+const followed = new EventEmitter()
+followed.setMaxListeners(0)
+// While the log is followed, a promise of the number of the last entry read from it.  Null when no one follows it.
+let following = null
+
+/**
+ * A change log entry as it is shown to harvesters.
+ */
+const describeLogEntry = (entry) => ({
+    id: String(entry._id),
+    type: entry.type,
+    object: entry.object,
+    agent: entry.agent,
+    time: entry.time
+})
+
+/**
+ * The number of the last entry in the change log.  0 when it is empty.
+ */
+const lastLogged = async (session) => {
+    const [last] = await changeLog().find({}, { session }).sort({ "_id": -1 }).limit(1).toArray()
+    return last?._id ?? 0
+}
+
+/**
+ * Append entries to the change log with the next numbers as their _id, in one write.
+ * When another process took one of those numbers first the insert fails on the unique _id, and the next numbers are tried.
+ * In a MongoDB transaction that failure aborts it, and the driver runs the whole transaction again.
+ * A number is only tried once the one before it is in the log, so a harvester never sees a gap that is filled later.
+ * @return {number} The number of the first entry
+ */
+const appendToLog = async (entries, session) => {
+    for (let attempt = 1; ; attempt++) {
+        const first = await lastLogged(session) + 1
+        try {
+            await changeLog().insertMany(entries.map((entry, i) => ({ "_id": first + i, ...entry })), { session })
+            return first
+        }
+        catch (err) {
+            if (err.code !== 11000 || attempt === LOG_ATTEMPTS) throw err
+        }
+    }
+}
+
+/**
+ * Log changes in the transaction that stores them, so that a change is in the change log if and only if it is kept.
+ * Call it last in the work of withTransaction, and publish what it returns once the transaction is committed.
+ * @param made [{ type, stored, agent }] with type one of the eventTypes, stored the object as it is stored and agent the URI of the agent that made the change.
+ *             Each stored object is copied, so the caller may go on to change it.
+ * @param session The session of the transaction
+ * @return {Array} [{ event, stored }] like those published on changes
+ */
+const logChanges = async (made, session) => {
+    if (made.length === 0) return []
+    const time = new Date().toISOString()
+    const copies = made.map(({ stored }) => structuredClone(stored))
+    const first = await appendToLog(made.map(({ type, agent }, i) => ({ type, object: copies[i]["@id"], agent, time })), session)
+    return made.map(({ type, agent }, i) => ({
+        event: {
+            id: String(first + i),
+            type,
+            time,
+            agent,
+            object: idNegotiation(structuredClone(copies[i]))
+        },
+        stored: copies[i]
+    }))
+}
+
+/**
+ * Tell the listeners about logged changes.  Call it once the transaction that logged them is committed.
+ * @param logged [{ event, stored }] from logChanges
+ */
+const publish = (logged) => {
+    for (const { event, stored } of logged) changes.emit("change", event, stored)
+}
+
+/**
+ * The changes for change log entries, oldest first, with each object as it is stored now.  For a deleted object that is what it was.
+ * @param entries Change log entries as they are stored
+ * @return {Array} [{ event, stored }] like those published on changes
+ */
+const changesFor = async (entries) => {
+    const ids = entries.flatMap(entry => {
+        try {
+            return [parseDocumentID(entry.object)]
+        }
+        catch (err) {
+            return []
+        }
+    })
+    const found = ids.length ? await db.find({ "_id": { "$in": [...new Set(ids)] } }).toArray() : []
+    const objects = new Map(found.map(obj => [obj["@id"], utils.isDeleted(obj) ? obj.__deleted.object : obj]))
+    return entries.map(entry => {
+        const stored = objects.get(entry.object) ?? { "@id": entry.object }
+        return {
+            event: { ...describeLogEntry(entry), object: idNegotiation(structuredClone(stored)) },
+            stored
+        }
+    })
+}
+
+/**
+ * The changes logged after the entry with this number, oldest first.  At most limit of them.
+ * @return {Array} [{ event, stored }]
+ */
+const changesAfter = async (number, limit = FOLLOW_BATCH) => {
+    const entries = await changeLog().find({ "_id": { "$gt": number } }).sort({ "_id": 1 }).limit(limit).toArray()
+    return changesFor(entries)
+}
+
+/**
+ * Read the change log for new entries, and tell those following it, while anyone does.
+ */
+const readLog = async () => {
+    if (followed.listenerCount("change") === 0) {
+        following = null
+        return
+    }
+    let last = await following
+    try {
+        for (const { event, stored } of await changesAfter(last)) {
+            last = Number(event.id)
+            followed.emit("change", event, stored)
+        }
+    }
+    catch (err) {
+        console.error(`The change log could not be read: ${err.message}`)
+    }
+    following = Promise.resolve(last)
+    setTimeout(readLog, FOLLOW_INTERVAL).unref()
+}
+
+/**
+ * Follow the changes made by every process, from the change log.  The listener is called like those of changes, with (event, stored).
+ * Once this resolves, every entry added to the log after it is sent to the listener, and every one before it is in the log to be read.
+ * @return {Object} { stop, last }.  Call stop() to stop following.  last is the number of the last entry before those sent to the listener.
+ */
+const follow = async (listener) => {
+    followed.on("change", listener)
+    const stop = () => followed.off("change", listener)
+    if (following === null) {
+        following = lastLogged()
+        following.then(() => setTimeout(readLog, FOLLOW_INTERVAL).unref(), () => { following = null })
+    }
+    let last
+    try {
+        last = await following
+    }
+    catch (err) {
+        stop()
+        throw err
+    }
+    return { stop, last }
+}
+
+/**
+ * The URIs an object targets, from target or on.  A target may be a URI, a SpecificResource with a source, or a list of them.
+ */
+const targetsOf = (value) => [value].flat().flatMap(target => {
+    if (typeof target === "string") return [target]
+    if (target === null || typeof target !== "object") return []
+    return [target.id, target["@id"], ...targetsOf(target.source)].filter(id => typeof id === "string")
+})
+
+/**
+ * The @id of the root of the version tree of an object.
+ */
+const treeOf = (stored) => {
+    const prime = stored.__rerum?.history?.prime
+    return prime === "root" ? stored["@id"] : prime
+}
+
+/**
+ * Whether a change is one a filter asks for.  Every property the filter has must match.
+ *  - events     The types of events
+ *  - @type      The type of the object
+ *  - target     A URI the object targets
+ *  - tree       The @id of the root of the version tree of the object
+ *  - generator  The agent that generated the object
+ *  - query      A query like those sent to /query
+ */
+const eventMatches = (filter, event, stored) => {
+    if (filter.events && !filter.events.includes(event.type)) return false
+    if (filter["@type"] && ![stored["@type"] ?? stored.type].flat().includes(filter["@type"])) return false
+    if (filter.target && !targetsOf([stored.target, stored.on]).includes(filter.target)) return false
+    if (filter.tree && filter.tree !== treeOf(stored)) return false
+    if (filter.generator && filter.generator !== stored.__rerum?.generatedBy) return false
+    if (filter.query && !matches(stored, filter.query)) return false
+    return true
+}
+
+export default {
+    eventTypes,
+    changes,
+    changeLog,
+    describeLogEntry,
+    logChanges,
+    publish,
+    changesAfter,
+    follow,
+    eventMatches
+}
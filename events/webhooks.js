@@ -0,0 +1,309 @@
+import { createHmac, randomBytes } from 'node:crypto'
+import dns from 'node:dns'
+import http from 'node:http'
+import https from 'node:https'
+import { BlockList, isIP } from 'node:net'
+import { collection, newID } from '../database/index.js'
+import events from './index.js'
+
+/**
+ * Webhook subscriptions.  Agents subscribe a URL to the changes of the objects they care about at /v1/api/subscriptions.
+ * See controllers/subscriptions.js.
+ *
+ * Each change that matches a subscription is POSTed to its URL as the JSON of the event.  See events/index.js.
+ * The body is signed with the secret of the subscription, as "X-RERUM-Signature: sha256=<HMAC-SHA256 of the body in hex>".
+ * An endpoint that does not answer with a 2xx is tried again after each of the RETRY_DELAYS.
+ * Every attempt is logged in the webhookDeliveries collection, so the owner can see why an endpoint is failing.
+ * A failed attempt that will be retried is logged with the time of the next attempt and the body to send.  Every process looks for
+ * the retries that are due, so they are made even when the process that made the change stops, and each is taken by one process.
+ *
+ * Changes are only sent to public addresses.  A URL whose host resolves to a loopback, private, link-local or otherwise reserved address,
+ * like a cloud metadata service, is refused when it is subscribed and before every attempt.  Each attempt connects through publicLookup,
+ * which refuses reserved addresses as it resolves the host for the connection, so a host cannot pass the check and then be reached elsewhere.
+ * Hosts named in WEBHOOK_ALLOWED_HOSTS, a comma separated list set by the admins, are trusted wherever they resolve.
+ */
+
+const subscriptions = () => collection("subscriptions")
+const deliveries = () => collection("webhookDeliveries")
+
+// How long to wait before each retry of a failed delivery.  One minute, five minutes, half an hour, then two hours.
+const RETRY_DELAYS = [60, 300, 1800, 7200].map(seconds => seconds * 1000)
+// How long an endpoint has to answer.
+const TIMEOUT = 10 * 1000
+// How often each process looks for retries that are due, and the most it takes at a time.
+const RETRY_INTERVAL = 30 * 1000
+const RETRY_BATCH = 100
+// How long a process that took a retry has to make it.  If it has not by then, another process takes it.
+const RETRY_LEASE = 5 * TIMEOUT
+
+// The addresses changes are never sent to.  See the IANA special-purpose address registries.
+const reserved = new BlockList()
+for (const [network, prefix] of [
+    ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16], ["172.16.0.0", 12],
+    ["192.0.0.0", 24], ["192.0.2.0", 24], ["192.88.99.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["198.51.100.0", 24],
+    ["203.0.113.0", 24], ["224.0.0.0", 4], ["240.0.0.0", 4]
+]) reserved.addSubnet(network, prefix, "ipv4")
+for (const [network, prefix] of [
+    ["::", 128], ["::1", 128], ["64:ff9b::", 96], ["100::", 64], ["2001::", 23], ["2001:db8::", 32], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]
+]) reserved.addSubnet(network, prefix, "ipv6")
+
+const isReserved = (address) => {
+    // An IPv4 address written as IPv6, like ::ffff:127.0.0.1, is checked as the IPv4 address.
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i)?.[1]
+    if (mapped) return reserved.check(mapped, "ipv4")
+    return reserved.check(address, isIP(address) === 6 ? "ipv6" : "ipv4")
+}
+
+const hostOf = (url) => new URL(url).hostname.replace(/^\[|\]$/g, "").toLowerCase()
+
+/**
+ * Whether the admins trust a host wherever it resolves, by naming it in WEBHOOK_ALLOWED_HOSTS.
+ */
+const isAllowedHost = (host) => {
+    const allowed = (process.env.WEBHOOK_ALLOWED_HOSTS ?? "").split(",").map(h => h.trim().toLowerCase()).filter(h => h)
+    return allowed.includes(host)
+}
+
+const resolve = (host) => new Promise((resolved, rejected) => {
+    dns.lookup(host, { all: true, verbatim: true }, (err, addresses) => err ? rejected(err) : resolved(addresses))
+})
+
+/**
+ * Why changes may not be sent to a URL, or null when they may.  The host is resolved, and every address it has must be public.
+ * @param url An http or https URL
+ * @return {string} The reason, or null
+ */
+const refusedDestination = async (url) => {
+    const host = hostOf(url)
+    if (isAllowedHost(host)) return null
+    let addresses
+    try {
+        addresses = isIP(host) ? [{ address: host }] : await resolve(host)
+    }
+    catch (err) {
+        return `The host ${host} could not be resolved.`
+    }
+    const refused = addresses.find(({ address }) => isReserved(address))
+    return refused ? `The host ${host} is at ${refused.address}, which is not a public address.` : null
+}
+
+/**
+ * The dns lookup for the connection to an endpoint.  It fails when the host has a reserved address, so the connection is only
+ * made to addresses that were checked.  Use it as the lookup option of http.request().
+ */
+const publicLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) return callback(err)
+        const refused = addresses.find(({ address }) => isReserved(address))
+        if (refused) {
+            const error = new Error(`The host ${hostname} is at ${refused.address}, which is not a public address.`)
+            error.refused = true
+            return callback(error)
+        }
+        if (options.all) return callback(null, addresses)
+        callback(null, addresses[0].address, addresses[0].family)
+    })
+}
+
+/**
+ * POST a body to an endpoint without following redirects.  Hosts that are not allowed are connected to through publicLookup.
+ * @return {number} The status of the response
+ * @throws The error of the connection, with refused true when the host has a reserved address
+ */
+const post = (url, headers, body) => new Promise((resolved, rejected) => {
+    const target = new URL(url)
+    const request = (target.protocol === "https:" ? https : http).request(target, {
+        method: "POST",
+        headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+        signal: AbortSignal.timeout(TIMEOUT),
+        ...(isAllowedHost(hostOf(url)) ? {} : { lookup: publicLookup })
+    }, response => {
+        response.resume()
+        resolved(response.statusCode)
+    })
+    request.on("error", rejected)
+    request.end(body)
+})
+
+/**
+ * A secret for a subscription that was not given one.
+ */
+const makeSecret = () => randomBytes(32).toString("base64url")
+
+const sign = (secret, body) => `sha256=${createHmac("sha256", secret).update(body).digest("hex")}`
+
+/**
+ * A stored subscription as it is shown to its owner.  The secret is never shown.
+ */
+const describeSubscription = (stored) => ({
+    id: stored._id,
+    url: stored.url,
+    events: stored.events,
+    filter: { ...stored.filter, ...(stored.filter.query ? { query: JSON.parse(stored.filter.query) } : {}) },
+    owner: stored.owner,
+    createdAt: stored.createdAt
+})
+
+/**
+ * A logged delivery as it is shown to the owner of the subscription.
+ */
+const describeDelivery = (stored) => {
+    const { _id, subscription, payload, ...delivery } = stored
+    return { id: _id, ...delivery }
+}
+
+/**
+ * Whether a change is one the subscription asked for.  Every filter it has must match the object.
+ * @param subscription A stored subscription
+ * @param event The event from events/index.js
+ * @param stored The object as it is stored
+ */
+const wants = (subscription, event, stored) => {
+    const { query, ...filter } = subscription.filter
+    return events.eventMatches({ ...filter, events: subscription.events, ...(query ? { query: JSON.parse(query) } : {}) }, event, stored)
+}
+
+/**
+ * POST an event to the URL of a subscription once, and log the attempt.  When it fails and the RETRY_DELAYS allow another,
+ * the attempt is logged with the nextAttempt time and the payload, the body that was sent, for retryDeliveries() to send again.
+ * @param subscription A stored subscription
+ * @param body The JSON of the event
+ * @param attempt The number of this attempt, 1 for the first
+ * @return {Object} { delivered, attempt, nextAttempt } with nextAttempt null when it will not be retried
+ */
+const attemptDelivery = async (subscription, body, attempt) => {
+    const event = JSON.parse(body)
+    const started = Date.now()
+    let status = null
+    let error = await refusedDestination(subscription.url)
+    // A refused URL is not worth retrying.  The owner sees why in the log of deliveries.
+    let refused = error !== null
+    if (!refused) {
+        try {
+            status = await post(subscription.url, {
+                "Content-Type": "application/json; charset=utf-8",
+                "User-Agent": "RERUM webhooks",
+                "X-RERUM-Event": event.type,
+                "X-RERUM-Delivery": event.id,
+                "X-RERUM-Signature": sign(subscription.secret, body)
+            }, body)
+            if (status < 200 || status > 299) error = `The endpoint answered ${status}`
+        }
+        catch (err) {
+            error = err.message
+            refused = err.refused === true
+        }
+    }
+    const retrying = !refused && error !== null && attempt <= RETRY_DELAYS.length
+    const nextAttempt = retrying ? new Date(Date.now() + RETRY_DELAYS[attempt - 1]).toISOString() : null
+    try {
+        await deliveries().insertOne({
+            "_id": newID(),
+            subscription: subscription._id,
+            event: event.id,
+            type: event.type,
+            object: event.object["@id"] ?? event.object.id,
+            attempt,
+            time: new Date(started).toISOString(),
+            duration: Date.now() - started,
+            status,
+            error,
+            nextAttempt,
+            ...(retrying ? { payload: body } : {})
+        })
+    }
+    catch (err) {
+        console.error(`Delivery ${event.id} to subscription ${subscription._id} could not be logged: ${err.message}`)
+    }
+    if (error && !retrying) console.log(`Gave up delivering ${event.id} to subscription ${subscription._id} after ${attempt} attempts: ${error}`)
+    return { delivered: error === null, attempt, nextAttempt }
+}
+
+/**
+ * POST an event to the URL of a subscription.  A failed delivery is retried later by retryDeliveries().
+ * @return {Object} { delivered, attempt, nextAttempt }
+ */
+const deliver = (subscription, event) => attemptDelivery(subscription, JSON.stringify(event), 1)
+
+/**
+ * Make the retries that are due.  Each is taken by changing its nextAttempt to the end of a lease, which only one process can do,
+ * and is done with once it is made or its subscription is found to be deleted.
+ * @param now The time to make the retries due by
+ * @return {Array} The { delivered, attempt, nextAttempt } of each retry made
+ */
+const retryDeliveries = async (now = new Date()) => {
+    const due = await deliveries().find({ nextAttempt: { "$ne": null, "$lte": now.toISOString() } }).sort({ nextAttempt: 1 }).limit(RETRY_BATCH).toArray()
+    const made = []
+    for (const pending of due) {
+        const leased = { ...pending, nextAttempt: new Date(Date.now() + RETRY_LEASE).toISOString() }
+        const taken = await deliveries().replaceOne({ "_id": pending._id, nextAttempt: pending.nextAttempt }, leased)
+        if (taken.modifiedCount === 0) continue
+        const subscription = await subscriptions().findOne({ "_id": pending.subscription })
+        if (subscription) made.push(await attemptDelivery(subscription, pending.payload, pending.attempt + 1))
+        const { payload, ...attempted } = pending
+        await deliveries().replaceOne({ "_id": pending._id }, { ...attempted, nextAttempt: null })
+    }
+    return made
+}
+
+/**
+ * Look for retries that are due every RETRY_INTERVAL, for as long as the process runs.
+ */
+const retryLater = () => {
+    // Retries are not worth keeping the process alive for.
+    setTimeout(async () => {
+        try {
+            await retryDeliveries()
+        }
+        catch (err) {
+            console.error(`Webhook retries could not be made: ${err.message}`)
+        }
+        retryLater()
+    }, RETRY_INTERVAL).unref()
+}
+
+/**
+ * Deliver a change to every subscription that wants it.  Nothing is waited on by the request that made the change.
+ */
+const dispatch = async (event, stored) => {
+    let subscribed
+    try {
+        subscribed = await subscriptions().find({ events: event.type }).toArray()
+    }
+    catch (err) {
+        console.error(`Subscriptions for ${event.type} ${event.id} could not be read: ${err.message}`)
+        return
+    }
+    const wanting = subscribed.filter(subscription => {
+        try {
+            return wants(subscription, event, stored)
+        }
+        catch (err) {
+            return false
+        }
+    })
+    await Promise.all(wanting.map(subscription => deliver(subscription, event)))
+}
+
+/**
+ * Start delivering changes to webhooks.  Call once when the app starts.
+ */
+const startWebhooks = () => {
+    events.changes.on("change", dispatch)
+    retryLater()
+}
+
+export default {
+    subscriptions,
+    deliveries,
+    makeSecret,
+    sign,
+    describeSubscription,
+    describeDelivery,
+    refusedDestination,
+    wants,
+    deliver,
+    retryDeliveries,
+    dispatch,
+    startWebhooks
+}
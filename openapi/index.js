@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+
+/**
+ * The OpenAPI contract for the /v1 routes, as a document to serve and as a means to check requests against.
+ * The contract in contracts/core-provider.openapi.yaml is the source of truth.  Nothing here changes it.
+ */
+import fs from 'node:fs'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { parse } from 'yaml'
+import utils from '../utils.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const contractYAML = fs.readFileSync(path.join(__dirname, 'contracts', 'core-provider.openapi.yaml'), 'utf8')
+const contract = parse(contractYAML)
+
+/**
+ * Follow local $ref like '#/components/schemas/GenericObject' until there is a real node.
+ */
+function resolve(node) {
+    const seen = new Set()
+    while (node?.$ref && !seen.has(node.$ref)) {
+        seen.add(node.$ref)
+        node = node.$ref
+            .replace(/^#\//, "")
+            .split("/")
+            .reduce((n, key) => n?.[key.replace(/~1/g, "/").replace(/~0/g, "~")], contract)
+    }
+    return node
+}
+
+function matchesType(value, type) {
+    switch (type) {
+        case "object": return value !== null && typeof value === "object" && !Array.isArray(value)
+        case "array": return Array.isArray(value)
+        case "integer": return Number.isInteger(value)
+        case "number": return typeof value === "number" && Number.isFinite(value)
+        default: return typeof value === type
+    }
+}
+
+/**
+ * Check a value against a schema from the contract.
+ * This covers the parts of JSON Schema the contract uses: $ref, type, nullable, enum, required, properties,
+ * additionalProperties, items, minItems, maxItems, minProperties and minLength.  Other keywords are not checked.
+ *
+ * @param value The value to check.
+ * @param schema The schema, or a $ref to it.
+ * @param where A description of where the value is, like "request body" or "query parameter 'limit'".
+ * @return Array of problems like "request body/0 must be object".  Empty when the value is valid.
+ */
+function validateSchema(value, schema, where) {
+    schema = resolve(schema)
+    if (!schema) return []
+    if (value === null && schema.nullable) return []
+    if (schema.type && !matchesType(value, schema.type)) return [`${where} must be ${schema.type}`]
+    if (schema.enum && !schema.enum.includes(value)) return [`${where} must be one of ${schema.enum.join(", ")}`]
+    const problems = []
+    if (typeof value === "string" && value.length < (schema.minLength ?? 0)) {
+        problems.push(`${where} must have at least ${schema.minLength} characters`)
+    }
+    if (Array.isArray(value)) {
+        if (value.length < (schema.minItems ?? 0)) problems.push(`${where} must have at least ${schema.minItems} items`)
+        if (value.length > (schema.maxItems ?? Infinity)) problems.push(`${where} must have at most ${schema.maxItems} items`)
+        if (schema.items) value.forEach((item, i) => problems.push(...validateSchema(item, schema.items, `${where}/${i}`)))
+    }
+    else if (matchesType(value, "object")) {
+        const keys = Object.keys(value)
+        if (keys.length < (schema.minProperties ?? 0)) problems.push(`${where} must have at least ${schema.minProperties} properties`)
+        for (const key of schema.required ?? []) {
+            if (!keys.includes(key)) problems.push(`${where} must have the property '${key}'`)
+        }
+        for (const key of keys) {
+            if (schema.properties?.[key]) {
+                problems.push(...validateSchema(value[key], schema.properties[key], `${where}/${key}`))
+            }
+            else if (schema.additionalProperties === false) {
+                problems.push(`${where} must not have the property '${key}'`)
+            }
+            else if (typeof schema.additionalProperties === "object") {
+                problems.push(...validateSchema(value[key], schema.additionalProperties, `${where}/${key}`))
+            }
+        }
+    }
+    return problems
+}
+
+/**
+ * Path and query parameters are always strings.  Read them as the type their schema asks for, when they can be.
+ */
+function coerceParameter(value, schema) {
+    schema = resolve(schema)
+    if (typeof value !== "string") return value
+    if (schema?.type === "integer" && /^-?\d+$/.test(value)) return Number(value)
+    if (schema?.type === "number" && value.trim() !== "" && Number.isFinite(Number(value))) return Number(value)
+    if (schema?.type === "boolean" && (value === "true" || value === "false")) return value === "true"
+    return value
+}
+
+// Each contract path as a pattern.  Paths with fewer parameters come first so /api/patch is not taken for /api/patch/{id}.
+const contractPaths = Object.entries(contract.paths ?? {})
+    .map(([template, pathItem]) => {
+        const names = [...template.matchAll(/\{([^}]+)\}/g)].map(m => m[1])
+        const source = template
+            .split("/")
+            .map(segment => /^\{[^}]+\}$/.test(segment) ? "([^/]+)" : segment.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+            .join("/")
+        return { template, names, pattern: new RegExp(`^${source}/?$`), pathItem }
+    })
+    .sort((a, b) => a.names.length - b.names.length)
+
+/**
+ * Find the contract operation for a request path, relative to /v1, and method.
+ * @return {Object} { template, operation, pathItem, params } or null when the contract does not describe the request.
+ */
+function findOperation(requestPath, method) {
+    for (const { template, names, pattern, pathItem } of contractPaths) {
+        const match = pattern.exec(requestPath)
+        if (!match) continue
+        const operation = pathItem[method.toLowerCase()]
+        if (!operation) return null
+        const params = Object.fromEntries(names.map((name, i) => [name, match[i + 1]]))
+        return { template, operation, pathItem, params }
+    }
+    return null
+}
+
+/**
+ * Middleware to hold a request to the contract before the controllers run.
+ * Path parameters, query parameters and request bodies are checked against the operation the contract describes for them.
+ * Requests the contract does not describe, and bodies in a Content-Type the operation does not list, are passed along untouched
+ * so that the routes can answer them as they always have.
+ * Mount it on the /v1 router, where req.path is relative to /v1 like the paths in the contract.
+ * Respond RESTfully with a 400 that lists every problem found.
+ */
+const validateRequest = function (req, res, next) {
+    const found = findOperation(req.path, req.method)
+    if (!found) return next()
+    const { template, operation, pathItem, params } = found
+    const problems = []
+    for (const parameter of [...(pathItem.parameters ?? []), ...(operation.parameters ?? [])].map(resolve)) {
+        const source = parameter.in === "path" ? params : parameter.in === "query" ? req.query : null
+        if (!source) continue
+        const where = `${parameter.in} parameter '${parameter.name}'`
+        if (source[parameter.name] === undefined) {
+            if (parameter.required) problems.push(`${where} is required`)
+            continue
+        }
+        problems.push(...validateSchema(coerceParameter(source[parameter.name], parameter.schema), parameter.schema, where))
+    }
+    const requestBody = resolve(operation.requestBody)
+    const content = requestBody?.content ?? {}
+    // application/ld+json and the other +json types are held to the application/json schema unless they are listed themselves.
+    const mediaTypes = Object.keys(content)
+    const mediaType = mediaTypes.length === 0 ? false
+        : req.is(mediaTypes) || (content["application/json"] && req.is("+json") ? "application/json" : false)
+    if (mediaType) {
+        if (req.body === undefined || req.body === "") {
+            if (requestBody.required) problems.push("request body is required")
+        }
+        else {
+            problems.push(...validateSchema(req.body, content[mediaType].schema, "request body"))
+        }
+    }
+    if (problems.length === 0) return next()
+    let err = {
+        message: `The request does not match the API contract for ${req.method} ${template}: ${problems.join("; ")}.`,
+        status: 400,
+        problem: { type: "contract-violation", errors: problems }
+    }
+    return next(utils.createExpressError(err))
+}
+
+export { contract, contractYAML, validateSchema, validateRequest }
@@ -135,17 +135,52 @@ const verifyEitherContentType = function (req, res, next) {
     }))
 }
 
+/**
+ * Middleware to verify Content-Type headers for endpoints receiving patch documents.
+ * Responds with a 415 Invalid Media Type for Content-Type headers that are not for an RFC 6902 JSON Patch or an RFC 7396 JSON Merge Patch.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const verifyPatchContentType = function (req, res, next) {
+    const contentType = (req.get("Content-Type") ?? "").toLowerCase()
+    const mimeType = contentType.split(";")[0].trim()
+    if (!mimeType) {
+        return next(utils.createExpressError({
+            statusCode: 415,
+            statusMessage: `Missing or empty Content-Type header.`
+        }))
+    }
+    if (hasMultipleContentTypes(contentType)) {
+        return next(utils.createExpressError({
+            statusCode: 415,
+            statusMessage: `Multiple Content-Type values are not allowed. Provide exactly one Content-Type header.`
+        }))
+    }
+    if (mimeType === "application/json-patch+json" || mimeType === "application/merge-patch+json") return next()
+    return next(utils.createExpressError({
+        statusCode: 415,
+        statusMessage: `Unsupported Content-Type: ${contentType}. This endpoint requires application/json-patch+json or application/merge-patch+json.`
+    }))
+}
+
 /**
  * Throughout the routes are certain warning, error, and hard fail scenarios.
  * REST is all about communication.  The response code and the textual body are particular.
  * RERUM is all about being clear.  It will build custom responses sometimes for certain scenarios, will remaining RESTful.
  * 
  * You have likely reached this with a next(utils.createExpressError(err)) call.  End here and send the error.
+ * The error is plain text unless the client asks for application/problem+json in the Accept header.
  */
 const messenger = function (err, req, res, next) {
     if (res.headersSent) {
         return
     }
+    //Token errors carry a WWW-Authenticate header that tells the client what was wrong with the token.
+    if (err.headers?.["WWW-Authenticate"]) {
+        res.set("WWW-Authenticate", err.headers["WWW-Authenticate"])
+    }
     let error = {}
     error.message = err.statusMessage ?? err.message ?? ``
     error.status = err.statusCode ?? err.status ?? 500
@@ -158,10 +193,20 @@ const messenger = function (err, req, res, next) {
         }
     }
     let token = req.header("Authorization")
-    if(token && !token.startsWith("Bearer ")){
-        error.message +=`Your token is not in the correct format.  It should be a Bearer token formatted like: "Bearer <token>"`
+    if(token && !token.startsWith("Bearer ") && !/^ApiKey /i.test(token)){
+        error.message +=`Your token is not in the correct format.  It should be a Bearer token formatted like: "Bearer <token>", or an API key formatted like: "ApiKey <key>"`
         error.status = 401
     }
+    if (utils.prefersProblemDetails(req)) {
+        //The client asked for RFC 9457 problem details.  The explanation is the detail, without the general advice added below.
+        //A malformed token turns any error into a 401, and then the problem the error carried is not the problem any more.
+        const carried = error.status === (err.statusCode ?? err.status ?? 500) ? err.problem : undefined
+        const problem = utils.problemDetailsFor({ statusCode: error.status, problem: carried }, error.message, req.originalUrl)
+        console.error(problem)
+        res.set("Content-Type", "application/problem+json; charset=utf-8")
+        res.status(error.status).send(JSON.stringify(problem))
+        return
+    }
     switch (error.status) {
         case 400:
             //"Bad Request", most likely because the body and Content-Type are not aligned.  Could be bad JSON.
@@ -230,4 +275,4 @@ It may not have completed at all, and most likely did not complete successfully.
     res.status(error.status).send(error.message)
 }
 
-export default { checkPatchOverrideSupport, createPatchOverrideMiddleware, verifyJsonContentType, verifyEitherContentType, messenger }
+export default { checkPatchOverrideSupport, createPatchOverrideMiddleware, verifyJsonContentType, verifyEitherContentType, verifyPatchContentType, messenger }
@@ -0,0 +1,124 @@
+import { beforeEach, describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import express from 'express'
+import request from 'supertest'
+
+import controller from '../../db-controller.js'
+import rest from '../../rest.js'
+import { db, resetMocks } from '../../database/index.js'
+
+const GENERATOR = 'https://store.rerum.io/v1/id/generator'
+const EDITOR = 'https://store.rerum.io/v1/id/editor'
+
+// The agent making the request is named in the x-test-agent header.
+const addAuth = (req, res, next) => {
+  req.user = { 'http://store.rerum.io/agent': req.get('x-test-agent') ?? GENERATOR }
+  next()
+}
+
+const routeTester = express()
+routeTester.use(express.json({ type: ['application/json', 'application/ld+json'] }))
+routeTester.get('/acl/:_id', controller.acl)
+routeTester.put('/acl/:_id', addAuth, controller.setACL)
+routeTester.put('/overwrite', addAuth, controller.overwrite)
+routeTester.put('/update', addAuth, controller.putUpdate)
+routeTester.patch('/release/:_id', addAuth, controller.release)
+routeTester.use(rest.messenger)
+
+const sharedObject = (acl) => ({
+  _id: 'acl-id',
+  '@id': `${process.env.RERUM_ID_PREFIX}acl-id`,
+  data: 'shared',
+  __rerum: {
+    generatedBy: GENERATOR,
+    isOverwritten: '',
+    isReleased: '',
+    history: { prime: 'root', previous: '', next: [] },
+    releases: { previous: '', next: [], replaces: '' },
+    ...(acl ? { acl } : {})
+  }
+})
+
+beforeEach(() => {
+  resetMocks()
+})
+
+describe('access control list routes', () => {
+  it('reads the access control list with every right listed', async () => {
+    db.findOne.mockResolvedValueOnce(sharedObject({ edit: [EDITOR] }))
+    const response = await request(routeTester).get('/acl/acl-id')
+    assert.strictEqual(response.statusCode, 200)
+    assert.deepStrictEqual(response.body, {
+      '@id': `${process.env.RERUM_ID_PREFIX}acl-id`,
+      generatedBy: GENERATOR,
+      acl: { edit: [EDITOR], release: [], delete: [] }
+    })
+  })
+
+  it('lets the generator replace the access control list', async () => {
+    let stored
+    db.findOne.mockResolvedValueOnce(sharedObject())
+    db.replaceOne.mockImplementationOnce(async (filter, replacement) => {
+      stored = replacement
+      return { modifiedCount: 1 }
+    })
+    const response = await request(routeTester)
+      .put('/acl/acl-id')
+      .send({ edit: [EDITOR, EDITOR], delete: [EDITOR] })
+    assert.strictEqual(response.statusCode, 200)
+    assert.deepStrictEqual(stored.__rerum.acl, { edit: [EDITOR], release: [], delete: [EDITOR] })
+    assert.deepStrictEqual(response.body.acl, stored.__rerum.acl)
+  })
+
+  it('refuses changes from other agents and lists that are not rights of agent URIs', async () => {
+    db.findOne.mockResolvedValueOnce(sharedObject({ edit: [EDITOR] }))
+    const notGenerator = await request(routeTester)
+      .put('/acl/acl-id')
+      .set('x-test-agent', EDITOR)
+      .send({ edit: [EDITOR], delete: [EDITOR] })
+    assert.strictEqual(notGenerator.statusCode, 401)
+
+    const badList = await request(routeTester)
+      .put('/acl/acl-id')
+      .send({ edit: EDITOR, own: [EDITOR] })
+    assert.strictEqual(badList.statusCode, 400)
+    assert.match(badList.text, /'own' is not a right/)
+    assert.match(badList.text, /'edit' must be an array of agent URIs/)
+  })
+
+  it('lets granted agents do only what they were granted', async () => {
+    db.findOne.mockResolvedValueOnce(sharedObject({ edit: [EDITOR] }))
+    const overwritten = await request(routeTester)
+      .put('/overwrite')
+      .set('x-test-agent', EDITOR)
+      .send({ '@id': `${process.env.RERUM_ID_PREFIX}acl-id`, data: 'edited by a collaborator' })
+    assert.strictEqual(overwritten.statusCode, 200)
+    assert.strictEqual(overwritten.body.__rerum.generatedBy, GENERATOR)
+    assert.deepStrictEqual(overwritten.body.__rerum.acl, { edit: [EDITOR] })
+
+    db.findOne.mockResolvedValueOnce(sharedObject({ edit: [EDITOR] }))
+    const released = await request(routeTester)
+      .patch('/release/acl-id')
+      .set('x-test-agent', EDITOR)
+    assert.strictEqual(released.statusCode, 401)
+  })
+
+  it('passes the list on to new versions by the generator but not to forks by other agents', async () => {
+    db.findOne.mockResolvedValueOnce(sharedObject({ edit: [EDITOR] }))
+    const version = await request(routeTester)
+      .put('/update')
+      .send({ '@id': `${process.env.RERUM_ID_PREFIX}acl-id`, data: 'a new version' })
+    assert.strictEqual(version.statusCode, 200)
+    assert.deepStrictEqual(version.body.__rerum.acl, { edit: [EDITOR] })
+
+    const OTHER = 'https://store.rerum.io/v1/id/other'
+    db.findOne.mockResolvedValueOnce(sharedObject({ edit: [EDITOR] }))
+    const fork = await request(routeTester)
+      .put('/update')
+      .set('x-test-agent', OTHER)
+      .send({ '@id': `${process.env.RERUM_ID_PREFIX}acl-id`, data: 'a fork' })
+    assert.strictEqual(fork.statusCode, 200)
+    assert.strictEqual(fork.body.__rerum.generatedBy, OTHER)
+    assert.strictEqual(fork.body.__rerum.acl, undefined)
+  })
+})
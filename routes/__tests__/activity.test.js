@@ -0,0 +1,155 @@
+import { beforeEach, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+// Only real way to test an express route is to mount it and call it so that we can use the req, res, next.
+import express from "express"
+import request from "supertest"
+import controller from '../../db-controller.js'
+import rest from '../../rest.js'
+import { db, resetMocks } from '../../database/index.js'
+import { matches, sortDocuments } from '../../database/query.js'
+
+const routeTester = new express()
+routeTester.get("/activity", controller.activity)
+routeTester.get("/activity/page", controller.activityPage)
+routeTester.use(rest.messenger)
+
+const MOCK_PREFIX = process.env.RERUM_ID_PREFIX
+const ACTIVITY = `${process.env.RERUM_PREFIX}activity`
+
+const manifest = {
+  _id: "manifest1",
+  "@id": `${MOCK_PREFIX}manifest1`,
+  "@type": "sc:Manifest",
+  __rerum: { createdAt: "2026-01-01T00:00:00.000", isOverwritten: "2026-01-03T00:00:00.000" }
+}
+const annotation = {
+  _id: "annotation1",
+  "@id": `${MOCK_PREFIX}annotation1`,
+  type: "Annotation",
+  __rerum: { createdAt: "2026-01-02T00:00:00.000", isOverwritten: "" }
+}
+const deletedPage = {
+  _id: "page1",
+  "@id": `${MOCK_PREFIX}page1`,
+  __deleted: {
+    object: { _id: "page1", id: `${MOCK_PREFIX}page1`, type: "AnnotationPage", __rerum: { createdAt: "2026-01-01T00:00:00.000" } },
+    time: "2026-01-04T00:00:00.000"
+  }
+}
+
+// The objects in the database.  find() and countDocuments() read them with the /query matching.
+let stored = []
+const useStored = (docs) => {
+  stored = docs
+  db.find.mockImplementation((props) => {
+    const found = stored.filter(doc => matches(doc, props))
+    let limit = found.length
+    return {
+      sort(spec) { sortDocuments(found, spec); return this },
+      limit(n) { limit = n; return this },
+      toArray: async () => structuredClone(found.slice(0, limit))
+    }
+  })
+  db.countDocuments.mockImplementation(async (props) => stored.filter(doc => matches(doc, props)).length)
+}
+
+beforeEach(() => {
+  resetMocks()
+})
+
+it("'/activity' is an OrderedCollection of the activities on IIIF resources", async () => {
+  useStored([manifest, annotation, deletedPage])
+  const response = await request(routeTester).get("/activity")
+  assert.strictEqual(response.statusCode, 200)
+  assert.match(response.headers["content-type"], /^application\/ld\+json/)
+  assert.deepStrictEqual(response.body, {
+    "@context": "http://iiif.io/api/discovery/1/context.json",
+    id: ACTIVITY,
+    type: "OrderedCollection",
+    totalItems: 3,
+    first: { id: `${ACTIVITY}/page`, type: "OrderedCollectionPage" },
+    last: { id: `${ACTIVITY}/page?before=now`, type: "OrderedCollectionPage" }
+  })
+
+  const page = await request(routeTester).get("/activity/page")
+  assert.strictEqual(page.statusCode, 200)
+  assert.strictEqual(page.body.prev, undefined)
+  assert.strictEqual(page.body.next, undefined)
+  assert.deepStrictEqual(page.body.partOf, { id: ACTIVITY, type: "OrderedCollection" })
+  assert.deepStrictEqual(page.body.orderedItems, [
+    { type: "Create", object: { id: `${MOCK_PREFIX}manifest1`, type: "Manifest" }, endTime: "2026-01-01T00:00:00.000Z" },
+    { type: "Update", object: { id: `${MOCK_PREFIX}manifest1`, type: "Manifest" }, endTime: "2026-01-03T00:00:00.000Z" },
+    { type: "Delete", object: { id: `${MOCK_PREFIX}page1`, type: "AnnotationPage" }, endTime: "2026-01-04T00:00:00.000Z" }
+  ])
+})
+
+it("'/activity/page' pages forward from the first page and back from the last without losing activities made at the same time", async () => {
+  // 140 canvases made in 70 pairs that share a time, each also overwritten at the time of the next pair.
+  const canvases = Array.from({ length: 140 }, (_, i) => {
+    const pair = Math.floor(i / 2)
+    const at = (n) => new Date(Date.UTC(2026, 0, 1, 0, n)).toISOString().replace("Z", "")
+    return {
+      _id: `canvas${String(i).padStart(3, "0")}`,
+      "@id": `${MOCK_PREFIX}canvas${String(i).padStart(3, "0")}`,
+      "@type": "Canvas",
+      __rerum: { createdAt: at(pair), isOverwritten: at(pair + 1) }
+    }
+  })
+  useStored(canvases)
+  const key = item => `${item.type} ${item.object.id}`
+
+  const forward = []
+  let next = "/activity/page"
+  let pages = 0
+  while (next) {
+    const page = await request(routeTester).get(next.replace(process.env.RERUM_PREFIX, "/"))
+    assert.strictEqual(page.statusCode, 200)
+    forward.push(...page.body.orderedItems)
+    next = page.body.next?.id
+    pages++
+  }
+  assert.strictEqual(pages, 3)
+  assert.strictEqual(forward.length, 280)
+  assert.strictEqual(new Set(forward.map(key)).size, 280)
+  const times = forward.map(item => item.endTime)
+  assert.deepStrictEqual(times, [...times].sort())
+
+  const backward = []
+  let prev = "/activity/page?before=now"
+  while (prev) {
+    const page = await request(routeTester).get(prev.replace(process.env.RERUM_PREFIX, "/"))
+    assert.strictEqual(page.statusCode, 200)
+    backward.unshift(...page.body.orderedItems)
+    prev = page.body.prev?.id
+  }
+  assert.deepStrictEqual(backward.map(key), forward.map(key))
+})
+
+it("'/activity' lists only objects whose type is a whole IIIF type name", async () => {
+  const typed = (id, type) => ({ _id: id, "@id": `${MOCK_PREFIX}${id}`, type, __rerum: { createdAt: "2026-01-05T00:00:00.000", isOverwritten: "" } })
+  useStored([
+    manifest,
+    typed("annotations1", "AnnotationCollection"),
+    typed("ordered1", "OrderedCollection"),
+    typed("collection1", "Collection"),
+    typed("canvas1", ["oa:Thing", "sc:Canvas"])
+  ])
+  const response = await request(routeTester).get("/activity")
+  assert.strictEqual(response.body.totalItems, 4)
+  const page = await request(routeTester).get("/activity/page")
+  assert.deepStrictEqual(page.body.orderedItems.map(item => [item.type, item.object.id, item.object.type]), [
+    ["Create", `${MOCK_PREFIX}manifest1`, "Manifest"],
+    ["Update", `${MOCK_PREFIX}manifest1`, "Manifest"],
+    ["Create", `${MOCK_PREFIX}canvas1`, "Canvas"],
+    ["Create", `${MOCK_PREFIX}collection1`, "Collection"]
+  ])
+})
+
+it("'/activity/page' rejects a position it did not make", async () => {
+  useStored([manifest])
+  const response = await request(routeTester).get("/activity/page?after=not-a-position")
+  assert.strictEqual(response.statusCode, 400)
+  const both = await request(routeTester).get("/activity/page?after=now&before=now")
+  assert.strictEqual(both.statusCode, 400)
+})
@@ -0,0 +1,123 @@
+import { beforeEach, describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import express from 'express'
+import request from 'supertest'
+
+import apikeysRouter from '../apikeys.js'
+import createRouter from '../create.js'
+import deleteRouter from '../delete.js'
+import rest from '../../rest.js'
+import apikeys from '../../auth/apikeys.js'
+import { collection, newID, resetMocks } from '../../database/index.js'
+
+const ADMIN = 'https://store.rerum.io/v1/id/admin007'
+const BOT = 'https://store.rerum.io/v1/id/nightly-bot'
+
+// The real routers, so that checkJwt reads the ApiKey Authorization header.
+const routeTester = express()
+routeTester.use(express.json({ type: ['application/json', 'application/ld+json'] }))
+routeTester.use('/keys', apikeysRouter)
+routeTester.use('/create', createRouter)
+routeTester.use('/delete', deleteRouter)
+routeTester.use(rest.messenger)
+
+// The apiKeys collection, kept in a Map.
+const stored = new Map()
+const keyCollection = collection('apiKeys')
+
+const storeKey = (agent, fields = {}) => {
+  const { id, key, hash } = apikeys.makeKey()
+  stored.set(id, { _id: id, hash, name: '', agent, scopes: [], createdBy: ADMIN, createdAt: new Date().toISOString(), expires: null, revoked: null, ...fields })
+  return key
+}
+
+let adminKey
+
+beforeEach(() => {
+  resetMocks()
+  process.env.ADMIN_AGENTS = ADMIN
+  let count = 0
+  newID.mockImplementation(() => String(++count).padStart(24, '0'))
+  stored.clear()
+  keyCollection.findOne.mockImplementation(async ({ _id }) => structuredClone(stored.get(_id)) ?? null)
+  keyCollection.insertOne.mockImplementation(async (doc) => {
+    stored.set(doc._id, structuredClone(doc))
+    return { insertedId: doc._id }
+  })
+  keyCollection.replaceOne.mockImplementation(async ({ _id }, doc) => {
+    stored.set(_id, structuredClone(doc))
+    return { modifiedCount: 1 }
+  })
+  adminKey = storeKey(ADMIN)
+})
+
+describe('API keys', () => {
+  it('lets admins make keys that are stored hashed and shown once', async () => {
+    const made = await request(routeTester)
+      .post('/keys')
+      .set('Authorization', `ApiKey ${adminKey}`)
+      .send({ agent: BOT, name: 'nightly bot', scopes: ['rerum:create'] })
+    assert.strictEqual(made.statusCode, 201)
+    assert.strictEqual(made.body.agent, BOT)
+    assert.deepStrictEqual(made.body.scopes, ['rerum:create'])
+    assert.strictEqual(made.body.createdBy, ADMIN)
+    assert.match(made.headers.location, new RegExp(`api/keys/${made.body.id}$`))
+    const [, secret] = made.body.key.split('.')
+    assert.notStrictEqual(stored.get(made.body.id).hash, secret)
+    assert.ok(!JSON.stringify(stored.get(made.body.id)).includes(secret), 'the secret must not be stored')
+
+    const read = await request(routeTester).get(`/keys/${made.body.id}`).set('Authorization', `ApiKey ${adminKey}`)
+    assert.strictEqual(read.statusCode, 200)
+    assert.strictEqual(read.body.key, undefined)
+    assert.strictEqual(read.body.hash, undefined)
+
+    const badKey = await request(routeTester)
+      .post('/keys')
+      .set('Authorization', `ApiKey ${adminKey}`)
+      .send({ scopes: ['rerum:everything'], expires: '2001-01-01' })
+    assert.strictEqual(badKey.statusCode, 400)
+    assert.match(badKey.text, /'agent' must be/)
+    assert.match(badKey.text, /'scopes' must be/)
+    assert.match(badKey.text, /'expires' must be in the future/)
+
+    const noScopes = await request(routeTester)
+      .post('/keys')
+      .set('Authorization', `ApiKey ${adminKey}`)
+      .send({ agent: BOT, scopes: [] })
+    assert.strictEqual(noScopes.statusCode, 400)
+    assert.match(noScopes.text, /'scopes' must be an array of at least one/)
+  })
+
+  it('lets keys write as their agent within their scopes', async () => {
+    const botKey = storeKey(BOT, { scopes: ['rerum:create'] })
+    const created = await request(routeTester).post('/create').set('Authorization', `ApiKey ${botKey}`).send({ label: 'from the bot' })
+    assert.strictEqual(created.statusCode, 201)
+    assert.strictEqual(created.body.__rerum.generatedBy, BOT)
+
+    const deleted = await request(routeTester).delete('/delete/000000000000000000000001').set('Authorization', `ApiKey ${botKey}`)
+    assert.strictEqual(deleted.statusCode, 403)
+
+    const notAdmin = await request(routeTester).get('/keys').set('Authorization', `ApiKey ${botKey}`)
+    assert.strictEqual(notAdmin.statusCode, 403)
+
+    // A key stored before scopes were required, without any, may not write.
+    const olderKey = storeKey(BOT, { scopes: [] })
+    const refused = await request(routeTester).post('/create').set('Authorization', `ApiKey ${olderKey}`).send({ label: 'from an older key' })
+    assert.strictEqual(refused.statusCode, 403)
+  })
+
+  it('refuses revoked, expired and unknown keys', async () => {
+    const botKey = storeKey(BOT)
+    const [botKeyId] = botKey.split('.')
+    const revoked = await request(routeTester).delete(`/keys/${botKeyId}`).set('Authorization', `ApiKey ${adminKey}`)
+    assert.strictEqual(revoked.statusCode, 200)
+    assert.ok(revoked.body.revoked)
+
+    const expiredKey = storeKey(BOT, { expires: new Date(Date.now() - 1000).toISOString() })
+    const badKeys = [botKey, expiredKey, `${botKeyId}.not-the-secret`, 'not-a-key']
+    for (const key of badKeys) {
+      const response = await request(routeTester).post('/create').set('Authorization', `ApiKey ${key}`).send({ label: 'refused' })
+      assert.strictEqual(response.statusCode, 401, key)
+    }
+  })
+})
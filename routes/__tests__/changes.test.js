@@ -0,0 +1,282 @@
+import { after, before, beforeEach, describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'node:http'
+import express from 'express'
+import request from 'supertest'
+
+import controller from '../../db-controller.js'
+import rest from '../../rest.js'
+import { collection, db, newID, resetMocks } from '../../database/index.js'
+import { matches, sortDocuments } from '../../database/query.js'
+
+const EDITOR = 'https://store.rerum.io/v1/id/editor'
+const OTHER = 'https://store.rerum.io/v1/id/other'
+const PAGE = 'https://example.org/canvas/page-1'
+
+// The agent making the request is named in the x-test-agent header.
+const addAuth = (req, res, next) => {
+  req.user = { [process.env.RERUM_AGENT_CLAIM]: req.get('x-test-agent') ?? EDITOR }
+  next()
+}
+
+const routeTester = express()
+routeTester.use(express.json({ type: ['application/json', 'application/ld+json'] }))
+routeTester.get('/changes', controller.changeLog)
+routeTester.get('/changes/stream', controller.changeStream)
+routeTester.post('/create', addAuth, controller.create)
+routeTester.post('/bulkCreate', addAuth, controller.bulkCreate)
+routeTester.post('/groups', addAuth, controller.createGroup)
+routeTester.put('/acl/:_id', addAuth, controller.setACL)
+routeTester.post('/transfer', addAuth, controller.transfer)
+routeTester.use(rest.messenger)
+
+// The change log, kept in a Map.
+const logged = new Map()
+const changeLog = collection('changes')
+const cursorOf = (docs) => {
+  let limit = docs.length
+  return {
+    sort(spec) { sortDocuments(docs, spec); return this },
+    limit(n) { limit = n; return this },
+    toArray: async () => structuredClone(docs.slice(0, limit))
+  }
+}
+// The objects, kept in a Map, for the change stream to read the objects of the entries in the change log.
+const objects = new Map()
+const insertObject = async (obj) => {
+  objects.set(obj._id, structuredClone(obj))
+  return { insertedId: obj._id }
+}
+const insertEntry = async (entry) => {
+  if (logged.has(entry._id)) throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 })
+  logged.set(entry._id, structuredClone(entry))
+  return { insertedId: entry._id }
+}
+// Like MongoDB, the entries are added in order until one is a duplicate.
+const insertEntries = async (entries) => {
+  for (const entry of entries) await insertEntry(entry)
+  return { insertedCount: entries.length }
+}
+
+const server = http.createServer(routeTester)
+let base
+const streams = []
+
+/**
+ * Open the change stream and parse the events it sends.
+ */
+const openStream = (path, headers = {}) => new Promise((resolve, reject) => {
+  const req = http.get(`${base}${path}`, { headers }, res => {
+    const stream = { res, text: '', events: [] }
+    res.setEncoding('utf8')
+    res.on('data', chunk => {
+      stream.text += chunk
+      const blocks = stream.text.split('\n\n')
+      stream.text = blocks.pop()
+      for (const block of blocks) {
+        const fields = Object.fromEntries(block.split('\n').filter(line => !line.startsWith(':')).map(line => {
+          const at = line.indexOf(': ')
+          return [line.slice(0, at), line.slice(at + 2)]
+        }))
+        if (fields.event) stream.events.push({ id: fields.id, event: fields.event, data: JSON.parse(fields.data) })
+      }
+    })
+    resolve(stream)
+  })
+  req.on('error', reject)
+  streams.push(req)
+})
+
+const until = async (check) => {
+  for (let waited = 0; !check(); waited += 10) {
+    if (waited > 2000) throw new Error('Timed out waiting on the change stream')
+    await new Promise(resolve => setTimeout(resolve, 10))
+  }
+}
+
+const create = (body, agent = EDITOR) => request(server).post('/create').set('x-test-agent', agent).send(body)
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  base = `http://127.0.0.1:${server.address().port}`
+})
+
+after(async () => {
+  streams.forEach(req => req.destroy())
+  server.closeAllConnections()
+  await new Promise(resolve => server.close(resolve))
+})
+
+beforeEach(() => {
+  resetMocks()
+  let count = 0
+  newID.mockImplementation(() => `${Date.now().toString(16)}${String(++count).padStart(12, '0')}`)
+  changeLog.find.mockImplementation((query) => cursorOf([...logged.values()].filter(entry => matches(entry, query))))
+  changeLog.insertMany.mockImplementation(insertEntries)
+  db.insertOne.mockImplementation(insertObject)
+  db.find.mockImplementation((query) => cursorOf([...objects.values()].filter(obj => matches(obj, query))))
+})
+
+describe('change log', () => {
+  // The stream tests that follow go on numbering from where these leave the log.
+  beforeEach(() => {
+    logged.clear()
+  })
+
+  it('lists every change in order, after the since token', async () => {
+    const first = await create({ label: 'first' })
+    const second = await create({ label: 'second' }, OTHER)
+
+    const all = await request(server).get('/changes')
+    assert.strictEqual(all.statusCode, 200)
+    assert.deepStrictEqual(all.body.map(({ id, type, object, agent }) => ({ id, type, object, agent })), [
+      { id: '1', type: 'create', object: first.body['@id'], agent: EDITOR },
+      { id: '2', type: 'create', object: second.body['@id'], agent: OTHER }
+    ])
+    assert.ok(all.body.every(entry => !isNaN(new Date(entry.time))))
+
+    const page = await request(server).get('/changes?limit=1')
+    assert.match(page.headers.link, /since=1.*rel="next"/)
+    const after = await request(server).get('/changes?since=1')
+    assert.deepStrictEqual(after.body.map(entry => entry.object), [second.body['@id']])
+    const sinceYesterday = await request(server).get(`/changes?since=${new Date(Date.now() - 86400000).toISOString().slice(0, 10)}`)
+    assert.strictEqual(sinceYesterday.body.length, 2)
+
+    const bad = await request(server).get('/changes?since=yesterday')
+    assert.strictEqual(bad.statusCode, 400)
+  })
+
+  it('takes the next number when another process took the one it tried', async () => {
+    await create({ label: 'first' })
+    // Another process logs entry 2 between this one reading the log and adding to it.
+    changeLog.insertMany.mockImplementationOnce(async ([entry]) => {
+      await insertEntry({ ...entry, object: 'from another process' })
+      return insertEntries([entry])
+    })
+    const created = await create({ label: 'second' })
+    const log = await request(server).get('/changes')
+    assert.deepStrictEqual(log.body.map(entry => [entry.id, entry.object]), [
+      ['1', log.body[0].object],
+      ['2', 'from another process'],
+      ['3', created.body['@id']]
+    ])
+  })
+
+  it('logs every object of a bulk request with one read of the log and one write to it', async () => {
+    let reads = 0
+    let writes = 0
+    changeLog.find.mockImplementation((query) => {
+      reads++
+      return cursorOf([...logged.values()].filter(entry => matches(entry, query)))
+    })
+    changeLog.insertMany.mockImplementation(async (entries) => {
+      writes++
+      return insertEntries(entries)
+    })
+    const response = await request(server).post('/bulkCreate').send([{ label: 'one' }, { label: 'two' }, { label: 'three' }])
+    assert.strictEqual(response.statusCode, 201)
+    assert.strictEqual(reads, 1)
+    assert.strictEqual(writes, 1)
+    assert.deepStrictEqual([...logged.values()].map(entry => [entry._id, entry.type, entry.object]),
+      response.body.map((obj, i) => [i + 1, 'create', obj['@id']]))
+  })
+
+  it('fails a change that could not be logged, so that the change is not kept either', async () => {
+    changeLog.insertMany.mockRejectedValueOnce(new Error('The change log is unavailable'))
+    const response = await create({ label: 'unlogged' })
+    assert.strictEqual(response.statusCode, 500)
+    assert.strictEqual(logged.size, 0)
+  })
+
+  it('logs groups, access control lists and transfers', async () => {
+    const group = await request(server).post('/groups').send({ name: 'Project', members: [OTHER] })
+    assert.strictEqual(group.statusCode, 201)
+    const obj = { _id: 'shared1', '@id': `${process.env.RERUM_ID_PREFIX}shared1`, __rerum: { generatedBy: EDITOR, history: { prime: 'root', previous: '', next: [] } } }
+    db.findOne.mockImplementation(async () => structuredClone(obj))
+    const shared = await request(server).put('/acl/shared1').send({ edit: [OTHER] })
+    assert.strictEqual(shared.statusCode, 200)
+    const transferred = await request(server).post('/transfer').send({ '@id': obj['@id'], to: OTHER })
+    assert.strictEqual(transferred.statusCode, 200)
+    assert.deepStrictEqual(transferred.body.transferred, [obj['@id']])
+
+    assert.deepStrictEqual([...logged.values()].map(entry => [entry.type, entry.object, entry.agent]), [
+      ['create', group.body['@id'], EDITOR],
+      ['acl', obj['@id'], EDITOR],
+      ['transfer', obj['@id'], EDITOR]
+    ])
+  })
+})
+
+describe('change stream', () => {
+  it('sends the changes made by the write controllers that match its filter', async () => {
+    const stream = await openStream(`/changes/stream?target=${encodeURIComponent(PAGE)}&generator=${encodeURIComponent(EDITOR)}`)
+    assert.strictEqual(stream.res.statusCode, 200)
+    assert.match(stream.res.headers['content-type'], /^text\/event-stream/)
+
+    await create({ type: 'Annotation', target: 'https://example.org/canvas/page-2' })
+    await create({ type: 'Annotation', target: PAGE }, OTHER)
+    const wanted = await create({ type: 'Annotation', target: { source: PAGE }, body: { value: 'a line' } })
+    await until(() => stream.events.length === 1)
+
+    const [{ id, event, data }] = stream.events
+    assert.strictEqual(event, 'create')
+    assert.strictEqual(id, data.id)
+    assert.strictEqual(data.agent, EDITOR)
+    assert.strictEqual(data.object['@id'], wanted.body['@id'])
+    assert.strictEqual(data.object.body.value, 'a line')
+  })
+
+  it('sends the changes other server processes log', async () => {
+    const stream = await openStream('/changes/stream?events=overwrite')
+    // Another process overwrote an object and logged it.
+    const obj = { _id: 'elsewhere1', '@id': `${process.env.RERUM_ID_PREFIX}elsewhere1`, label: 'overwritten elsewhere', __rerum: { generatedBy: OTHER } }
+    await insertObject(obj)
+    const number = Math.max(0, ...logged.keys()) + 1
+    await insertEntry({ _id: number, type: 'overwrite', object: obj['@id'], agent: OTHER, time: new Date().toISOString() })
+    await until(() => stream.events.length === 1)
+
+    const [{ id, event, data }] = stream.events
+    assert.strictEqual(event, 'overwrite')
+    assert.strictEqual(id, String(number))
+    assert.strictEqual(data.object['@id'], obj['@id'])
+    assert.strictEqual(data.object.label, 'overwritten elsewhere')
+    assert.strictEqual(data.object._id, undefined)
+  })
+
+  it('sends what a reconnecting client missed since its Last-Event-ID', async () => {
+    const first = await openStream('/changes/stream?events=create')
+    const seen = await create({ label: 'seen' })
+    await until(() => first.events.length === 1)
+    first.res.destroy()
+
+    const missed = await create({ label: 'missed' })
+    const resumed = await openStream('/changes/stream?events=create', { 'Last-Event-ID': first.events[0].id })
+    await until(() => resumed.events.length === 1)
+    assert.strictEqual(resumed.events[0].data.object['@id'], missed.body['@id'])
+    assert.notStrictEqual(resumed.events[0].data.object['@id'], seen.body['@id'])
+
+    const forgotten = await openStream('/changes/stream?lastEventId=not-an-event')
+    await until(() => forgotten.events.length === 1)
+    assert.strictEqual(forgotten.events[0].event, 'resync')
+  })
+
+  it('resyncs a client whose Last-Event-ID is past the end of the change log and sends it the changes from there', async () => {
+    const end = Math.max(0, ...logged.keys())
+    const ahead = await openStream('/changes/stream?events=create', { 'Last-Event-ID': String(end + 1000) })
+    await until(() => ahead.events.length === 1)
+    assert.strictEqual(ahead.events[0].event, 'resync')
+    assert.strictEqual(ahead.events[0].data.lastEventId, String(end + 1000))
+
+    const made = await create({ label: 'after the reset' })
+    const sent = () => ahead.events.find(event => event.data.object?.['@id'] === made.body['@id'])
+    await until(sent)
+    assert.strictEqual(sent().event, 'create')
+    assert.strictEqual(sent().id, String(end + 1))
+  })
+
+  it('refuses filters it does not know', async () => {
+    const response = await request(server).get('/changes/stream?events=create,explode')
+    assert.strictEqual(response.statusCode, 400)
+    assert.match(response.text, /'events' must be/)
+  })
+})
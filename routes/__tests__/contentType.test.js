@@ -1,7 +1,7 @@
 import { describe, it } from 'node:test'
 import assert from 'node:assert/strict'
 /**
- * Tests for the Content-Type validation middlewares verifyJsonContentType and verifyEitherContentType.
+ * Tests for the Content-Type validation middlewares verifyJsonContentType, verifyEitherContentType and verifyPatchContentType.
  * The following are examples of good Content-Type headers that should not result in a 415
 
     - application/ld+json
@@ -30,7 +30,7 @@ import rest from '../../rest.js'
 
 // Set up a minimal Express app mirroring the real app's body parsers
 const routeTester = express()
-routeTester.use(express.json({ type: ["application/json", "application/ld+json"] }))
+routeTester.use(express.json({ type: ["application/json", "application/ld+json", "application/json-patch+json", "application/merge-patch+json"] }))
 routeTester.use(express.text())
 
 // JSON-only endpoints (like /api/create, /api/query, /api/update, etc.)
@@ -43,6 +43,11 @@ routeTester.post("/json-or-text-endpoint", rest.verifyEitherContentType, (req, r
     res.status(200).json({ received: req.body })
 })
 
+// Patch document endpoint (like /api/patch/{id})
+routeTester.post("/patch-document-endpoint", rest.verifyPatchContentType, (req, res) => {
+    res.status(200).json({ received: req.body })
+})
+
 // Error handler matching the app's pattern
 routeTester.use(rest.messenger)
 
@@ -142,3 +147,36 @@ describe("verifyEitherContentType middleware", () => {
         })
     }
 })
+
+describe("verifyPatchContentType middleware", () => {
+    const acceptedPatchCases = [
+        { name: 'accepts application/json-patch+json', contentType: 'application/json-patch+json', body: JSON.stringify([{ op: 'remove', path: '/a' }]) },
+        { name: 'accepts application/merge-patch+json', contentType: 'application/merge-patch+json', body: JSON.stringify({ a: null }) },
+        { name: 'accepts application/merge-patch+json with charset parameter', contentType: 'application/merge-patch+json; charset=utf-8', body: JSON.stringify({ a: 1 }) }
+    ]
+
+    const rejectedPatchCases = [
+        { name: 'returns 415 for application/json', contentType: 'application/json', body: '{"a":1}' },
+        { name: 'returns 415 for comma-separated multiple Content-Type values', contentType: 'application/json-patch+json, application/json', body: '[]' }
+    ]
+
+    for (const testCase of acceptedPatchCases) {
+        it(testCase.name, async () => {
+            const response = await request(routeTester)
+                .post('/patch-document-endpoint')
+                .set('Content-Type', testCase.contentType)
+                .send(testCase.body)
+            assert.strictEqual(response.statusCode, 200)
+        })
+    }
+
+    for (const testCase of rejectedPatchCases) {
+        it(testCase.name, async () => {
+            const response = await request(routeTester)
+                .post('/patch-document-endpoint')
+                .set('Content-Type', testCase.contentType)
+                .send(testCase.body)
+            assert.strictEqual(response.statusCode, 415)
+        })
+    }
+})
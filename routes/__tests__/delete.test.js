@@ -78,3 +78,23 @@ it("writes a __deleted audit shape (deletor, time, object snapshot) to the repla
   )
   assert.strictEqual(captured.replacement["@id"], mockDoc["@id"], "@id is preserved on the deleted record")
 })
+
+// Mending the tree and writing the __deleted placeholder are one transaction.  When the tree cannot
+// be mended the placeholder must never be written.
+it("returns 500 and does not write the __deleted placeholder when the history tree cannot be mended", async () => {
+  const withNext = structuredClone(mockDoc)
+  withNext.__rerum.history.next = [`${MOCK_PREFIX}missing-child`]
+  db.findOne
+    .mockResolvedValueOnce(withNext)
+    .mockResolvedValueOnce(null)
+  let placeholderWritten = false
+  db.replaceOne.mockImplementation(async (filter, replacement) => {
+    if (replacement.__deleted) placeholderWritten = true
+    return { modifiedCount: 1 }
+  })
+
+  const response = await request(routeTester).delete(`/delete/${MOCK_ID}`)
+
+  assert.strictEqual(response.statusCode, 500)
+  assert.strictEqual(placeholderWritten, false)
+})
@@ -0,0 +1,80 @@
+import { beforeEach, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+// Only real way to test an express route is to mount it and call it so that we can use the req, res, next.
+import express from "express"
+import request from "supertest"
+import controller from '../../db-controller.js'
+
+const routeTester = new express()
+routeTester.use(express.json({ type: ["application/json", "application/ld+json"] }))
+routeTester.use("/deleted", controller.deleted)
+
+const MOCK_AGENT = "https://store.rerum.io/v1/id/agent007"
+const MOCK_PREFIX = process.env.RERUM_ID_PREFIX
+
+const deletedVersion2 = {
+  _id: "version2",
+  "@id": `${MOCK_PREFIX}version2`,
+  __deleted: {
+    object: {
+      _id: "version2",
+      "@id": `${MOCK_PREFIX}version2`,
+      __rerum: {
+        generatedBy: MOCK_AGENT,
+        history: { prime: `${MOCK_PREFIX}root1`, previous: `${MOCK_PREFIX}root1`, next: [`${MOCK_PREFIX}version3`] }
+      }
+    },
+    deletor: MOCK_AGENT,
+    time: "2025-03-01T00:00:00.000"
+  }
+}
+
+import { db, resetMocks } from '../../database/index.js'
+
+beforeEach(() => {
+  resetMocks()
+})
+
+it("'/deleted' lists deleted objects with their former history neighbours", async () => {
+  let query, order
+  db.find.mockImplementationOnce((props) => {
+    query = props
+    return { sort(spec) { order = spec; return this }, limit() { return this }, skip() { return this }, toArray: async () => [deletedVersion2] }
+  })
+  const response = await request(routeTester).get(`/deleted?agent=${encodeURIComponent(MOCK_AGENT)}&since=2025-02-01`)
+  assert.strictEqual(response.statusCode, 200)
+  assert.deepStrictEqual(query, {
+    "__deleted": { "$exists": true },
+    "__deleted.deletor": MOCK_AGENT,
+    "__deleted.time": { "$gte": "2025-02-01T00:00:00.000" }
+  })
+  assert.deepStrictEqual(order, { "__deleted.time": 1, "_id": 1 })
+  assert.deepStrictEqual(response.body, [{
+    "@id": `${MOCK_PREFIX}version2`,
+    deletor: MOCK_AGENT,
+    time: "2025-03-01T00:00:00.000",
+    generatedBy: MOCK_AGENT,
+    prime: `${MOCK_PREFIX}root1`,
+    previous: `${MOCK_PREFIX}root1`,
+    next: [`${MOCK_PREFIX}version3`]
+  }])
+})
+
+it("'/deleted' reads a since without a time zone in UTC", async () => {
+  const queries = []
+  db.find.mockImplementation((props) => {
+    queries.push(props)
+    return { sort() { return this }, limit() { return this }, skip() { return this }, toArray: async () => [] }
+  })
+  for (const since of ["2025-02-01T12:30:00", "2025-02-01T12:30:00Z", "2025-02-01T14:30:00+02:00"]) {
+    const response = await request(routeTester).get(`/deleted?since=${encodeURIComponent(since)}`)
+    assert.strictEqual(response.statusCode, 200)
+  }
+  assert.deepStrictEqual(queries.map(props => props["__deleted.time"]), Array(3).fill({ "$gte": "2025-02-01T12:30:00.000" }))
+})
+
+it("'/deleted' responds 400 when since is not a date", async () => {
+  const response = await request(routeTester).get("/deleted?since=yesterday")
+  assert.strictEqual(response.statusCode, 400)
+})
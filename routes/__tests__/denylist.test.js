@@ -0,0 +1,146 @@
+import { after, beforeEach, describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import express from 'express'
+import request from 'supertest'
+
+// The verifier for checkJwt is chosen when auth/index.js is imported, so the development issuer is turned on first.
+process.env.LOCAL_ISSUER = 'true'
+const { default: local } = await import('../../auth/local.js')
+const { default: denylistRouter } = await import('../denylist.js')
+const { default: createRouter } = await import('../create.js')
+const { default: rest } = await import('../../rest.js')
+const { collection, newID, resetMocks } = await import('../../database/index.js')
+const { matches } = await import('../../database/query.js')
+
+const ADMIN = `${process.env.RERUM_ID_PREFIX}admin007`
+const SPAMMER = `${process.env.RERUM_ID_PREFIX}spammer`
+
+const routeTester = express()
+routeTester.use(express.json({ type: ['application/json', 'application/ld+json'] }))
+routeTester.use('/denylist', denylistRouter)
+routeTester.use('/create', createRouter)
+routeTester.use(rest.messenger)
+
+// The denylist collection, kept in a Map.
+const stored = new Map()
+const entries = collection('denylist')
+const tokenFor = (agent) => local.mintTokens(agent).access_token
+const jtiOf = (token) => JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString()).jti
+
+let adminToken
+
+beforeEach(() => {
+  resetMocks()
+  process.env.ADMIN_AGENTS = ADMIN
+  let count = 0
+  newID.mockImplementation(() => String(++count).padStart(24, '0'))
+  stored.clear()
+  entries.findOne.mockImplementation(async (query) => structuredClone([...stored.values()].find(entry => matches(entry, query))) ?? null)
+  entries.find.mockImplementation((query) => {
+    const found = [...stored.values()].filter(entry => matches(entry, query))
+    const cursor = {
+      limit: () => cursor,
+      skip: () => cursor,
+      toArray: async () => structuredClone(found)
+    }
+    return cursor
+  })
+  entries.insertOne.mockImplementation(async (doc) => {
+    stored.set(doc._id, structuredClone(doc))
+    return { insertedId: doc._id }
+  })
+  entries.replaceOne.mockImplementation(async ({ _id }, doc) => {
+    stored.set(_id, structuredClone(doc))
+    return { modifiedCount: 1 }
+  })
+  entries.deleteOne.mockImplementation(async ({ _id }) => ({ deletedCount: stored.delete(_id) ? 1 : 0 }))
+  adminToken = tokenFor(ADMIN)
+})
+
+after(() => {
+  delete process.env.LOCAL_ISSUER
+})
+
+describe('denylist', () => {
+  it('refuses writes from a suspended agent and records them until the suspension is lifted', async () => {
+    const spammerToken = tokenFor(SPAMMER)
+    const suspended = await request(routeTester)
+      .post('/denylist')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ agent: SPAMMER, reason: 'Spam' })
+    assert.strictEqual(suspended.statusCode, 201)
+    assert.strictEqual(suspended.body.createdBy, ADMIN)
+    assert.match(suspended.headers.location, new RegExp(`api/denylist/${suspended.body.id}$`))
+
+    const refused = await request(routeTester)
+      .post('/create')
+      .set('Authorization', `Bearer ${spammerToken}`)
+      .set('Accept', 'application/problem+json')
+      .send({ label: 'spam' })
+    assert.strictEqual(refused.statusCode, 403)
+    assert.strictEqual(refused.body.type, 'http://localhost:3005/v1/API.html#problem-suspended')
+    assert.strictEqual(refused.body.agent, SPAMMER)
+    assert.match(refused.body.detail, /Spam/)
+
+    const entry = await request(routeTester).get(`/denylist/${suspended.body.id}`).set('Authorization', `Bearer ${adminToken}`)
+    assert.strictEqual(entry.body.refusedCount, 1)
+    assert.strictEqual(entry.body.refused[0].method, 'POST')
+    assert.strictEqual(entry.body.refused[0].path, '/create')
+
+    const lifted = await request(routeTester).delete(`/denylist/${suspended.body.id}`).set('Authorization', `Bearer ${adminToken}`)
+    assert.strictEqual(lifted.statusCode, 200)
+    const created = await request(routeTester).post('/create').set('Authorization', `Bearer ${spammerToken}`).send({ label: 'welcome back' })
+    assert.strictEqual(created.statusCode, 201)
+  })
+
+  it('refuses a suspended agent named in the agent claims of older tokens', async () => {
+    const suspended = await request(routeTester)
+      .post('/denylist')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ agent: SPAMMER, reason: 'Spam' })
+    assert.strictEqual(suspended.statusCode, 201)
+    for (const claim of ['http://store.rerum.io/agent', 'http://devstore.rerum.io/v1/agent']) {
+      const olderToken = local.signToken({ sub: SPAMMER, [claim]: SPAMMER, scope: 'offline_access', token_use: 'access' }, 60)
+      const refused = await request(routeTester).post('/create').set('Authorization', `Bearer ${olderToken}`).send({ label: 'spam' })
+      assert.strictEqual(refused.statusCode, 403)
+    }
+  })
+
+  it('refuses a revoked token and no other token of its agent', async () => {
+    const leakedToken = tokenFor(SPAMMER)
+    const revoked = await request(routeTester)
+      .post('/denylist')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ token: jtiOf(leakedToken), reason: 'Leaked' })
+    assert.strictEqual(revoked.statusCode, 201)
+
+    const refused = await request(routeTester).post('/create').set('Authorization', `Bearer ${leakedToken}`).send({ label: 'refused' })
+    assert.strictEqual(refused.statusCode, 401)
+    assert.match(refused.headers['www-authenticate'], /The token was revoked/)
+    const created = await request(routeTester).post('/create').set('Authorization', `Bearer ${tokenFor(SPAMMER)}`).send({ label: 'new token' })
+    assert.strictEqual(created.statusCode, 201)
+
+    const listed = await request(routeTester).get('/denylist').set('Authorization', `Bearer ${adminToken}`)
+    assert.deepStrictEqual(listed.body.map(entry => entry.token), [jtiOf(leakedToken)])
+  })
+
+  it('is only managed by admins with well formed entries', async () => {
+    const notAdmin = await request(routeTester)
+      .post('/denylist')
+      .set('Authorization', `Bearer ${tokenFor(SPAMMER)}`)
+      .send({ agent: ADMIN })
+    assert.strictEqual(notAdmin.statusCode, 403)
+
+    const both = await request(routeTester)
+      .post('/denylist')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ agent: SPAMMER, token: 'abc', reason: 7 })
+    assert.strictEqual(both.statusCode, 400)
+    assert.match(both.text, /either a 'token'/)
+    assert.match(both.text, /'reason' must be a string/)
+
+    const missing = await request(routeTester).delete('/denylist/000000000000000000000099').set('Authorization', `Bearer ${adminToken}`)
+    assert.strictEqual(missing.statusCode, 404)
+    assert.strictEqual(stored.size, 0)
+  })
+})
@@ -0,0 +1,99 @@
+import { beforeEach, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+// Only real way to test an express route is to mount it and call it so that we can use the req, res, next.
+import express from "express"
+import request from "supertest"
+import controller from '../../db-controller.js'
+
+const routeTester = new express()
+routeTester.use(express.json({ type: ["application/json", "application/ld+json"] }))
+routeTester.get("/diff/:_id", controller.diff)
+routeTester.get("/diff/:_id/:otherId", controller.diff)
+
+const MOCK_AGENT = "https://store.rerum.io/v1/id/agent007"
+const MOCK_PREFIX = process.env.RERUM_ID_PREFIX
+
+const version = (id, history, body) => ({
+  _id: id,
+  "@id": `${MOCK_PREFIX}${id}`,
+  ...body,
+  __rerum: {
+    generatedBy: MOCK_AGENT,
+    history,
+    isReleased: "",
+    isOverwritten: "",
+    releases: { previous: "", next: [], replaces: "" },
+    createdAt: "2025-01-01T00:00:00.000"
+  }
+})
+
+const root = version("root1", { prime: "root", previous: "", next: [`${MOCK_PREFIX}version2`] },
+  { label: "Folio 1", body: [{ value: "recto" }, { value: "verso" }], "a/b": 1 })
+const version2 = version("version2", { prime: `${MOCK_PREFIX}root1`, previous: `${MOCK_PREFIX}root1`, next: [] },
+  { label: "Folio 1r", body: [{ value: "recto" }], creator: "cubap" })
+const stranger = version("stranger", { prime: "root", previous: "", next: [] }, { label: "Folio 1" })
+
+import { db, resetMocks } from '../../database/index.js'
+
+beforeEach(() => {
+  resetMocks()
+})
+
+it("'/diff/:id/:otherId' responds with a JSON Patch and a summary", async () => {
+  db.findOne
+    .mockResolvedValueOnce(structuredClone(root))
+    .mockResolvedValueOnce(structuredClone(version2))
+  const response = await request(routeTester).get("/diff/root1/version2")
+  assert.strictEqual(response.statusCode, 200)
+  assert.strictEqual(response.body.from, `${MOCK_PREFIX}root1`)
+  assert.strictEqual(response.body.to, `${MOCK_PREFIX}version2`)
+  const ops = response.body.patch.map(o => `${o.op} ${o.path}`).sort()
+  assert.deepStrictEqual(ops, ["add /creator", "remove /a~1b", "remove /body/1", "replace /label"])
+  assert.ok(response.body.summary.includes('Changed /label from "Folio 1" to "Folio 1r"'))
+  assert.strictEqual(response.body.summary.length, 4)
+})
+
+it("'/diff/:id?against=previous' compares against history.previous", async () => {
+  db.findOne
+    .mockResolvedValueOnce(structuredClone(version2))
+    .mockResolvedValueOnce(structuredClone(root))
+  const response = await request(routeTester).get("/diff/version2?against=previous")
+  assert.strictEqual(response.statusCode, 200)
+  assert.strictEqual(response.body.from, `${MOCK_PREFIX}root1`)
+  assert.strictEqual(response.body.to, `${MOCK_PREFIX}version2`)
+  assert.strictEqual(response.body.patch.length, 4)
+})
+
+it("'/diff' leaves out __rerum unless asked", async () => {
+  db.findOne
+    .mockResolvedValueOnce(structuredClone(root))
+    .mockResolvedValueOnce(structuredClone(version2))
+  const plain = await request(routeTester).get("/diff/root1/version2")
+  assert.ok(plain.body.patch.every(o => !o.path.startsWith("/__rerum") && o.path !== "/@id"))
+  db.findOne
+    .mockResolvedValueOnce(structuredClone(root))
+    .mockResolvedValueOnce(structuredClone(version2))
+  const withRerum = await request(routeTester).get("/diff/root1/version2?rerum=true")
+  assert.ok(withRerum.body.patch.some(o => o.path === "/__rerum/history/prime"))
+  assert.ok(withRerum.body.patch.some(o => o.path === "/@id"))
+})
+
+it("'/diff' responds 400 for versions of different objects", async () => {
+  db.findOne
+    .mockResolvedValueOnce(structuredClone(root))
+    .mockResolvedValueOnce(structuredClone(stranger))
+  const response = await request(routeTester).get("/diff/root1/stranger")
+  assert.strictEqual(response.statusCode, 400)
+})
+
+it("'/diff/:id' responds 400 without a second id or ?against=previous", async () => {
+  const response = await request(routeTester).get("/diff/root1")
+  assert.strictEqual(response.statusCode, 400)
+})
+
+it("'/diff/:id?against=previous' responds 404 for a root", async () => {
+  db.findOne.mockResolvedValueOnce(structuredClone(root))
+  const response = await request(routeTester).get("/diff/root1?against=previous")
+  assert.strictEqual(response.statusCode, 404)
+})
@@ -0,0 +1,145 @@
+import { beforeEach, describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import express from 'express'
+import request from 'supertest'
+
+import controller from '../../db-controller.js'
+import rest from '../../rest.js'
+import { db, resetMocks } from '../../database/index.js'
+
+const OWNER = 'https://store.rerum.io/v1/id/owner'
+const MEMBER = 'https://store.rerum.io/v1/id/member'
+const OUTSIDER = 'https://store.rerum.io/v1/id/outsider'
+const GROUP = `${process.env.RERUM_ID_PREFIX}group-id`
+
+// The agent making the request is named in the x-test-agent header.
+const addAuth = (req, res, next) => {
+  req.user = { 'http://store.rerum.io/agent': req.get('x-test-agent') ?? OWNER }
+  next()
+}
+
+const routeTester = express()
+routeTester.use(express.json({ type: ['application/json', 'application/ld+json'] }))
+routeTester.get('/groups', controller.groups)
+routeTester.post('/groups', addAuth, controller.createGroup)
+routeTester.put('/groups/:_id', addAuth, controller.updateGroup)
+routeTester.post('/create', addAuth, controller.create)
+routeTester.put('/overwrite', addAuth, controller.overwrite)
+routeTester.use(rest.messenger)
+
+const cursorOf = (docs) => ({
+  limit() { return this },
+  skip() { return this },
+  sort() { return this },
+  toArray: async () => docs
+})
+
+const team = () => ({
+  _id: 'group-id',
+  '@id': GROUP,
+  '@type': 'foaf:Group',
+  name: 'Team',
+  members: [OWNER, MEMBER],
+  __rerum: { generatedBy: OWNER, isGroup: true, isOverwritten: '', isReleased: '' }
+})
+
+beforeEach(() => {
+  resetMocks()
+})
+
+describe('group routes', () => {
+  it('makes a group owned by the requesting agent, who is always a member', async () => {
+    const response = await request(routeTester)
+      .post('/groups')
+      .send({ name: 'Team', members: [MEMBER, MEMBER] })
+    assert.strictEqual(response.statusCode, 201)
+    assert.strictEqual(response.headers.location, `${process.env.RERUM_ID_PREFIX}testid123`)
+    assert.strictEqual(response.body['@type'], 'foaf:Group')
+    assert.deepStrictEqual(response.body.members, [OWNER, MEMBER])
+    assert.strictEqual(response.body.__rerum.generatedBy, OWNER)
+    assert.strictEqual(response.body.__rerum.isGroup, true)
+
+    const badGroup = await request(routeTester).post('/groups').send({ name: 7, members: MEMBER })
+    assert.strictEqual(badGroup.statusCode, 400)
+    assert.match(badGroup.text, /'members' must be an array of agent URIs/)
+  })
+
+  it('lists groups by member and lets only the owner change them', async () => {
+    let filter
+    db.find.mockImplementationOnce((props) => { filter = props; return cursorOf([team()]) })
+    const listed = await request(routeTester).get('/groups').query({ member: MEMBER })
+    assert.strictEqual(listed.statusCode, 200)
+    assert.deepStrictEqual(filter, { '__rerum.isGroup': true, members: MEMBER })
+    assert.strictEqual(listed.body[0]['@id'], GROUP)
+
+    db.findOne.mockResolvedValueOnce(team())
+    const refused = await request(routeTester)
+      .put('/groups/group-id')
+      .set('x-test-agent', MEMBER)
+      .send({ members: [MEMBER, OUTSIDER] })
+    assert.strictEqual(refused.statusCode, 401)
+
+    let stored
+    db.findOne.mockResolvedValueOnce(team())
+    db.replaceOne.mockImplementationOnce(async (props, replacement) => {
+      stored = replacement
+      return { modifiedCount: 1 }
+    })
+    const changed = await request(routeTester).put('/groups/group-id').send({ members: [OUTSIDER] })
+    assert.strictEqual(changed.statusCode, 200)
+    assert.deepStrictEqual(stored.members, [OWNER, OUTSIDER])
+    assert.strictEqual(stored.name, undefined)
+    assert.ok(stored.__rerum.isOverwritten)
+  })
+
+  it('creates objects generated by a group for its members only', async () => {
+    let lookup
+    db.findOne.mockImplementationOnce(async (props) => { lookup = props; return team() })
+    const created = await request(routeTester)
+      .post('/create')
+      .set('x-test-agent', MEMBER)
+      .set('On-Behalf-Of', GROUP)
+      .send({ label: 'Made by the team' })
+    assert.strictEqual(created.statusCode, 201)
+    assert.deepStrictEqual(lookup, { '@id': GROUP, '__rerum.isGroup': true, members: MEMBER })
+    assert.strictEqual(created.body.__rerum.generatedBy, GROUP)
+
+    const refused = await request(routeTester)
+      .post('/create')
+      .set('x-test-agent', OUTSIDER)
+      .set('On-Behalf-Of', GROUP)
+      .send({ label: 'Not my team' })
+    assert.strictEqual(refused.statusCode, 403)
+    assert.match(refused.text, /not a member of the group/)
+  })
+
+  it('lets members overwrite objects generated by the group', async () => {
+    const teamObject = () => ({
+      _id: 'team-object',
+      '@id': `${process.env.RERUM_ID_PREFIX}team-object`,
+      label: 'Made by the team',
+      __rerum: {
+        generatedBy: GROUP,
+        isOverwritten: '',
+        isReleased: '',
+        history: { prime: 'root', previous: '', next: [] },
+        releases: { previous: '', next: [], replaces: '' }
+      }
+    })
+    db.findOne.mockResolvedValueOnce(teamObject())
+    db.find.mockReturnValueOnce(cursorOf([team()]))
+    const overwritten = await request(routeTester)
+      .put('/overwrite')
+      .set('x-test-agent', MEMBER)
+      .send({ '@id': `${process.env.RERUM_ID_PREFIX}team-object`, label: 'Edited by a member' })
+    assert.strictEqual(overwritten.statusCode, 200)
+    assert.strictEqual(overwritten.body.__rerum.generatedBy, GROUP)
+
+    db.findOne.mockResolvedValueOnce(teamObject())
+    const refused = await request(routeTester)
+      .put('/overwrite')
+      .set('x-test-agent', OUTSIDER)
+      .send({ '@id': `${process.env.RERUM_ID_PREFIX}team-object`, label: 'Edited by an outsider' })
+    assert.strictEqual(refused.statusCode, 401)
+  })
+})
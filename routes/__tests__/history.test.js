@@ -82,3 +82,15 @@ describe('HEAD /history/:id', () => {
     }
   })
 })
+
+describe('/history conditional requests', () => {
+  it('answers 304 when If-None-Match has the current ETag', async () => {
+    db.findOne.mockResolvedValueOnce(structuredClone(mockDoc))
+    const first = await request(routeTester).get(`/history/${MOCK_ID}`)
+
+    db.findOne.mockResolvedValueOnce(structuredClone(mockDoc))
+    const response = await request(routeTester).get(`/history/${MOCK_ID}`).set('If-None-Match', first.headers['etag'])
+
+    assert.strictEqual(response.statusCode, 304)
+  })
+})
@@ -121,3 +121,122 @@ describe('id route overwrite headers', () => {
     assert.strictEqual(response.headers['current-overwritten-version'], '')
   })
 })
+
+describe('id route conditional requests', () => {
+  it('answers 304 when If-None-Match has the current ETag', async () => {
+    db.findOne.mockResolvedValueOnce(structuredClone(mockDoc))
+    const first = await request(routeTester).get(`/id/${MOCK_ID}`)
+    assert.match(first.headers['etag'], /^"[^"]+"$/, 'the ETag must be strong')
+
+    db.findOne.mockResolvedValueOnce(structuredClone(mockDoc))
+    const response = await request(routeTester).get(`/id/${MOCK_ID}`).set('If-None-Match', first.headers['etag'])
+
+    assert.strictEqual(response.statusCode, 304)
+    assert.strictEqual(response.headers['etag'], first.headers['etag'])
+  })
+
+  it('answers 200 with a new ETag once the stored document changes', async () => {
+    db.findOne.mockResolvedValueOnce(structuredClone(mockDoc))
+    const first = await request(routeTester).get(`/id/${MOCK_ID}`)
+
+    const overwritten = structuredClone(mockDoc)
+    overwritten.__rerum.isOverwritten = '2025-06-24T10:00:00'
+    db.findOne.mockResolvedValueOnce(overwritten)
+    const response = await request(routeTester).get(`/id/${MOCK_ID}`).set('If-None-Match', first.headers['etag'])
+
+    assert.strictEqual(response.statusCode, 200)
+    assert.notStrictEqual(response.headers['etag'], first.headers['etag'])
+  })
+
+  it('answers 304 when the object has not changed since If-Modified-Since', async () => {
+    db.findOne.mockResolvedValueOnce(structuredClone(mockDoc))
+    const response = await request(routeTester).get(`/id/${MOCK_ID}`)
+      .set('If-Modified-Since', new Date('2025-02-01T00:00:00').toUTCString())
+
+    assert.strictEqual(response.statusCode, 304)
+  })
+})
+
+describe('id route Memento TimeGate', () => {
+  const version = (id, createdAt, history) => ({
+    ...structuredClone(mockDoc),
+    _id: id,
+    "@id": `${MOCK_PREFIX}${id}`,
+    __rerum: { ...structuredClone(mockDoc.__rerum), createdAt, history }
+  })
+  const root = version("root1", "2025-01-01T00:00:00.000", { prime: "root", previous: "", next: [`${MOCK_PREFIX}version2`] })
+  const version2 = version("version2", "2025-02-01T00:00:00.000", { prime: `${MOCK_PREFIX}root1`, previous: `${MOCK_PREFIX}root1`, next: [`${MOCK_PREFIX}version3`] })
+  const version3 = version("version3", "2025-03-01T00:00:00.000", { prime: `${MOCK_PREFIX}root1`, previous: `${MOCK_PREFIX}version2`, next: [] })
+  const mockTree = (requested) => {
+    db.findOne.mockResolvedValueOnce(structuredClone(requested)).mockResolvedValueOnce(structuredClone(root))
+    db.find.mockReturnValueOnce({ toArray: async () => [structuredClone(version2), structuredClone(version3)] })
+  }
+
+  it('advertises itself as the TimeGate, and its TimeMap', async () => {
+    db.findOne.mockResolvedValueOnce(structuredClone(version3))
+    const response = await request(routeTester).get(`/id/version3`)
+
+    assert.strictEqual(response.statusCode, 200)
+    assert.match(response.headers['link'], new RegExp(`<${MOCK_PREFIX}version3>; rel="original timegate"`))
+    assert.match(response.headers['link'], /\/timemap\/version3>; rel="timemap"; type="application\/link-format"/)
+    assert.match(response.headers['vary'], /Accept-Datetime/)
+    assert.strictEqual(response.headers['memento-datetime'], undefined)
+  })
+
+  it('sends the version that was current at the Accept-Datetime', async () => {
+    mockTree(version3)
+    const response = await request(routeTester).get(`/id/version3`).set('Accept-Datetime', 'Sat, 15 Feb 2025 00:00:00 GMT')
+
+    assert.strictEqual(response.statusCode, 200)
+    assert.strictEqual(response.body["@id"], `${MOCK_PREFIX}version2`)
+    assert.strictEqual(response.headers['content-location'], `${MOCK_PREFIX}version2`)
+    assert.strictEqual(response.headers['memento-datetime'], 'Sat, 01 Feb 2025 00:00:00 GMT')
+    assert.match(response.headers['link'], new RegExp(`<${MOCK_PREFIX}version3>; rel="original timegate"`))
+    assert.match(response.headers['link'], new RegExp(`<${MOCK_PREFIX}version2>; rel="memento"`))
+  })
+
+  it('sends a version from another branch of the tree when it was current', async () => {
+    // version3 updated version2 while another agent forked version2 into fork1 later.
+    const fork1 = version("fork1", "2025-03-15T00:00:00.000", { prime: `${MOCK_PREFIX}root1`, previous: `${MOCK_PREFIX}version2`, next: [] })
+    fork1.__rerum.generatedBy = "https://store.rerum.io/v1/id/otheragent"
+    db.findOne.mockResolvedValueOnce(structuredClone(version3)).mockResolvedValueOnce(structuredClone(root))
+    db.find.mockReturnValueOnce({ toArray: async () => [structuredClone(version2), structuredClone(version3), fork1] })
+    const response = await request(routeTester).get(`/id/version3`).set('Accept-Datetime', 'Tue, 01 Apr 2025 00:00:00 GMT')
+
+    assert.strictEqual(response.statusCode, 200)
+    assert.strictEqual(response.body["@id"], `${MOCK_PREFIX}fork1`)
+    assert.strictEqual(response.headers['content-location'], `${MOCK_PREFIX}fork1`)
+  })
+
+  it('sends a version made after the root when the root is the TimeGate', async () => {
+    db.findOne.mockResolvedValueOnce(structuredClone(root))
+    db.find.mockReturnValueOnce({ toArray: async () => [structuredClone(version2), structuredClone(version3)] })
+    const response = await request(routeTester).get(`/id/root1`).set('Accept-Datetime', 'Sat, 15 Feb 2025 00:00:00 GMT')
+
+    assert.strictEqual(response.statusCode, 200)
+    assert.strictEqual(response.body["@id"], `${MOCK_PREFIX}version2`)
+    assert.strictEqual(response.headers['memento-datetime'], 'Sat, 01 Feb 2025 00:00:00 GMT')
+  })
+
+  it('sends the latest version for a time in the same second it was created', async () => {
+    const latest = structuredClone(version3)
+    latest.__rerum.createdAt = "2025-03-01T12:00:00.750"
+    db.findOne.mockResolvedValueOnce(structuredClone(latest)).mockResolvedValueOnce(structuredClone(root))
+    db.find.mockReturnValueOnce({ toArray: async () => [structuredClone(version2), latest] })
+    const response = await request(routeTester).get(`/id/version3`).set('Accept-Datetime', 'Sat, 01 Mar 2025 12:00:00 GMT')
+
+    assert.strictEqual(response.statusCode, 200)
+    assert.strictEqual(response.body["@id"], `${MOCK_PREFIX}version3`)
+    assert.strictEqual(response.headers['memento-datetime'], 'Sat, 01 Mar 2025 12:00:00 GMT')
+  })
+
+  it('sends the first version for a time before any, and refuses a time that is not a date', async () => {
+    mockTree(version2)
+    const early = await request(routeTester).get(`/id/version2`).set('Accept-Datetime', 'Mon, 01 Jan 2024 00:00:00 GMT')
+    assert.strictEqual(early.statusCode, 200)
+    assert.strictEqual(early.body["@id"], `${MOCK_PREFIX}root1`)
+
+    const response = await request(routeTester).get(`/id/version2`).set('Accept-Datetime', 'last tuesday')
+    assert.strictEqual(response.statusCode, 400)
+  })
+})
@@ -0,0 +1,127 @@
+import { beforeEach, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+// Only real way to test an express route is to mount it and call it so that we can use the req, res, next.
+import express from "express"
+import request from "supertest"
+import controller from '../../db-controller.js'
+import auth from '../../auth/index.js'
+
+const MOCK_ADMIN = "https://store.rerum.io/v1/id/admin007"
+const MOCK_PREFIX = process.env.RERUM_ID_PREFIX ?? "https://store.rerum.io/v1/id/"
+
+// Here is the auth mock so we get a req.user so checkAdmin can function without a NPE.
+const addAuth = (agent) => (req, res, next) => {
+  req.user = {[process.env.RERUM_AGENT_CLAIM]: agent}
+  next()
+}
+
+const routeTester = new express()
+routeTester.use(express.json({ type: ["application/json", "application/ld+json"] }))
+
+// Mount our own /integrity routes without token auth that will use controller.integrity and controller.repairIntegrity
+routeTester.get("/integrity/:_id", [addAuth(MOCK_ADMIN), auth.checkAdmin, controller.integrity])
+routeTester.post("/integrity/:_id", [addAuth(MOCK_ADMIN), auth.checkAdmin, controller.repairIntegrity])
+routeTester.post("/outsider/integrity/:_id", [addAuth("https://store.rerum.io/v1/id/agent007"), auth.checkAdmin, controller.repairIntegrity])
+
+const version = (id, history, isReleased = "") => ({
+  _id: id,
+  "@id": `${MOCK_PREFIX}${id}`,
+  __rerum: {
+    history,
+    isReleased,
+    releases: { previous: "", next: [], replaces: "" }
+  }
+})
+
+// root lists a next that was never stored and does not list versionD, whose previous it is.
+const treeWithIssues = () => {
+  const root = version("root1", { prime: "root", previous: "", next: [`${MOCK_PREFIX}versionB`] })
+  const versionB = version("versionB", { prime: `${MOCK_PREFIX}root1`, previous: `${MOCK_PREFIX}root1`, next: [`${MOCK_PREFIX}gone`] })
+  const versionD = version("versionD", { prime: `${MOCK_PREFIX}root1`, previous: `${MOCK_PREFIX}root1`, next: [] })
+  return { root, others: [versionB, versionD] }
+}
+
+import { db, resetMocks, withTransaction } from '../../database/index.js'
+
+beforeEach(() => {
+  resetMocks()
+  process.env.ADMIN_AGENTS = `https://store.rerum.io/v1/id/someone, ${MOCK_ADMIN}`
+})
+
+it("'/integrity' reports a healthy tree", async () => {
+  const { root } = treeWithIssues()
+  root.__rerum.history.next = []
+  db.findOne.mockResolvedValueOnce(root)
+  const response = await request(routeTester).get("/integrity/root1")
+  assert.strictEqual(response.statusCode, 200)
+  assert.strictEqual(response.body.healthy, true)
+  assert.strictEqual(response.body.versions, 1)
+  assert.deepStrictEqual(response.body.issues, [])
+})
+
+it("'/integrity' reports orphaned and missing next links without writing", async () => {
+  const { root, others } = treeWithIssues()
+  db.findOne.mockResolvedValueOnce(root)
+  db.find.mockReturnValue({ toArray: async () => others })
+  let writes = 0
+  db.replaceOne.mockImplementation(async () => {
+    writes++
+    return { modifiedCount: 1 }
+  })
+  const response = await request(routeTester).get("/integrity/root1")
+  assert.strictEqual(response.statusCode, 200)
+  assert.strictEqual(response.body.healthy, false)
+  assert.strictEqual(response.body.prime, `${MOCK_PREFIX}root1`)
+  const found = response.body.issues.map(i => `${i.type} ${i.id}`).sort()
+  assert.deepStrictEqual(found, [
+    `missing-next ${MOCK_PREFIX}root1`,
+    `orphaned-next ${MOCK_PREFIX}versionB`
+  ])
+  assert.strictEqual(writes, 0)
+})
+
+it("'/integrity' POST repairs the tree inside a transaction", async () => {
+  const { root, others } = treeWithIssues()
+  db.findOne.mockResolvedValueOnce(root)
+  db.find.mockReturnValue({ toArray: async () => others })
+  const written = {}
+  db.replaceOne.mockImplementation(async (filter, doc) => {
+    written[filter._id] = doc
+    return { modifiedCount: 1 }
+  })
+  let transactions = 0
+  withTransaction.mockImplementation(async (work) => {
+    transactions++
+    return work({ id: 'integrity-session' })
+  })
+  const response = await request(routeTester).post("/integrity/root1")
+  assert.strictEqual(response.statusCode, 200)
+  assert.strictEqual(transactions, 1)
+  assert.deepStrictEqual(response.body.remaining, [])
+  assert.deepStrictEqual(Object.keys(written).sort(), ["root1", "versionB"])
+  assert.deepStrictEqual(written.root1.__rerum.history.next, [`${MOCK_PREFIX}versionB`, `${MOCK_PREFIX}versionD`])
+  assert.deepStrictEqual(written.versionB.__rerum.history.next, [])
+})
+
+it("'/integrity' recalculates release pointers from the history tree", async () => {
+  const root = version("root1", { prime: "root", previous: "", next: [`${MOCK_PREFIX}versionB`] })
+  const versionB = version("versionB", { prime: `${MOCK_PREFIX}root1`, previous: `${MOCK_PREFIX}root1`, next: [] }, "2025-01-01T00:00:00.000")
+  db.findOne.mockResolvedValueOnce(root)
+  db.find.mockReturnValue({ toArray: async () => [versionB] })
+  const response = await request(routeTester).get("/integrity/root1")
+  assert.strictEqual(response.statusCode, 200)
+  const issue = response.body.issues.find(i => i.type === "release-pointer")
+  assert.strictEqual(issue.id, `${MOCK_PREFIX}root1`)
+  assert.strictEqual(issue.repairable, true)
+})
+
+it("'/integrity' responds 404 when the object is not in RERUM", async () => {
+  const response = await request(routeTester).get("/integrity/nope")
+  assert.strictEqual(response.statusCode, 404)
+})
+
+it("'/integrity' is only for admins", async () => {
+  const response = await request(routeTester).post("/outsider/integrity/root1")
+  assert.strictEqual(response.statusCode, 403)
+})
@@ -0,0 +1,100 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import express from 'express'
+import request from 'supertest'
+
+import openapiRouter from '../openapi.js'
+import { validateRequest } from '../../openapi/index.js'
+import rest from '../../rest.js'
+
+const routeTester = express()
+routeTester.use(express.json({ type: ['application/json', 'application/ld+json'] }))
+routeTester.use(express.text())
+routeTester.use('/', openapiRouter)
+
+// Stand-ins for the controllers, so it is clear whether a request got past the contract.
+const validatingTester = express()
+validatingTester.use(express.json({ type: ['application/json', 'application/ld+json'] }))
+validatingTester.use(express.text())
+validatingTester.use(validateRequest)
+validatingTester.post('/api/bulkCreate', (req, res) => res.status(201).json({ reached: true }))
+validatingTester.post('/api/query', (req, res) => res.status(200).json({ reached: true }))
+validatingTester.get('/not/in/the/contract', (req, res) => res.status(200).json({ reached: true }))
+validatingTester.use(rest.messenger)
+
+describe('API contract', () => {
+  it('serves the contract as JSON', async () => {
+    const response = await request(routeTester).get('/openapi.json')
+    assert.strictEqual(response.statusCode, 200)
+    assert.strictEqual(response.body.openapi, '3.0.3')
+    assert.ok(response.body.paths['/id/{id}'].get)
+  })
+
+  it('serves the contract as YAML', async () => {
+    const response = await request(routeTester).get('/openapi.yaml')
+    assert.strictEqual(response.statusCode, 200)
+    assert.match(response.headers['content-type'], /^application\/yaml/)
+    assert.match(response.text, /^openapi: 3\.0\.3/)
+  })
+
+  it('returns 405 for other methods', async () => {
+    const response = await request(routeTester).post('/openapi.json')
+    assert.strictEqual(response.statusCode, 405)
+  })
+})
+
+describe('request validation against the API contract', () => {
+  it('rejects a /bulkCreate body with an item that is not an object before the controller runs', async () => {
+    const response = await request(validatingTester)
+      .post('/api/bulkCreate')
+      .set('Content-Type', 'application/json')
+      .send([{ test: 'item' }, 'not an object'])
+    assert.strictEqual(response.statusCode, 400)
+    assert.match(response.text, /request body\/1 must be object/)
+  })
+
+  it('lists every problem in problem details when they are asked for', async () => {
+    const response = await request(validatingTester)
+      .post('/api/bulkCreate')
+      .set('Content-Type', 'application/json')
+      .set('Accept', 'application/problem+json')
+      .send(['one', 'two'])
+    assert.strictEqual(response.statusCode, 400)
+    const problem = JSON.parse(response.text)
+    assert.strictEqual(problem.type, `${process.env.RERUM_PREFIX}API.html#problem-contract-violation`)
+    assert.deepStrictEqual(problem.errors, ['request body/0 must be object', 'request body/1 must be object'])
+  })
+
+  it('rejects an empty /query body', async () => {
+    const response = await request(validatingTester)
+      .post('/api/query')
+      .set('Content-Type', 'application/json')
+      .send({})
+    assert.strictEqual(response.statusCode, 400)
+    assert.match(response.text, /request body must have at least 1 properties/)
+  })
+
+  it('rejects a query string parameter of the wrong type', async () => {
+    const response = await request(validatingTester)
+      .post('/api/query?limit=ten')
+      .set('Content-Type', 'application/json')
+      .send({ test: 'item' })
+    assert.strictEqual(response.statusCode, 400)
+    assert.match(response.text, /query parameter 'limit' must be integer/)
+  })
+
+  it('lets requests that match the contract through', async () => {
+    const response = await request(validatingTester)
+      .post('/api/query?limit=10&cursor=')
+      .set('Content-Type', 'application/ld+json')
+      .send({ test: 'item' })
+    assert.strictEqual(response.statusCode, 200)
+    assert.strictEqual(response.body.reached, true)
+  })
+
+  it('lets requests the contract does not describe through', async () => {
+    const response = await request(validatingTester).get('/not/in/the/contract')
+    assert.strictEqual(response.statusCode, 200)
+  })
+})
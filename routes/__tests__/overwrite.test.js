@@ -5,6 +5,7 @@ import request from 'supertest'
 
 import controller from '../../db-controller.js'
 import { db, resetMocks } from '../../database/index.js'
+import utils from '../../utils.js'
 
 const addAuth = (req, res, next) => {
   req.user = { 'http://store.rerum.io/agent': 'test-user' }
@@ -120,4 +121,27 @@ describe('overwrite route', () => {
     assert.strictEqual(response.statusCode, 409)
     assert.strictEqual(response.body.currentVersion.__rerum.isOverwritten, '2025-06-24T10:30:00')
   })
+  it('accepts If-Match when it has the current ETag', async () => {
+    db.findOne.mockResolvedValueOnce(structuredClone(baseObject))
+
+    const response = await request(routeTester)
+      .put('/overwrite')
+      .set('Content-Type', 'application/json')
+      .set('If-Match', utils.configureETagHeader(baseObject).ETag)
+      .send({ '@id': baseObject['@id'], data: 'updated-data' })
+
+    assert.strictEqual(response.statusCode, 200)
+  })
+
+  it('returns 412 when If-Match does not have the current ETag', async () => {
+    db.findOne.mockResolvedValueOnce(structuredClone(baseObject))
+
+    const response = await request(routeTester)
+      .put('/overwrite')
+      .set('Content-Type', 'application/json')
+      .set('If-Match', '"stale"')
+      .send({ '@id': baseObject['@id'], data: 'updated-data' })
+
+    assert.strictEqual(response.statusCode, 412)
+  })
 })
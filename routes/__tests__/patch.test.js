@@ -12,10 +12,12 @@ const addAuth = (req, res, next) => {
 }
 
 const routeTester = new express()
-routeTester.use(express.json({ type: ["application/json", "application/ld+json"] }))
+routeTester.use(express.json({ type: ["application/json", "application/ld+json", "application/json-patch+json", "application/merge-patch+json"] }))
 
 // Mount our own /patch route without auth that will use controller.patch
 routeTester.use("/patch", [addAuth, controller.patchUpdate])
+// Mount our own /patch/:_id route without auth that will use controller.patchDocument
+routeTester.patch("/document/:_id", [addAuth, controller.patchDocument])
 const unique = new Date(Date.now()).toISOString().replace("Z", "")
 
 const MOCK_AGENT = "https://store.rerum.io/v1/id/agent007"
@@ -69,3 +71,98 @@ it("'/patch' returns 501 when the target object is not in RERUM", async () => {
 
   assert.strictEqual(response.statusCode, 501)
 })
+
+const nestedDoc = () => ({
+  ...structuredClone(mockDoc),
+  body: [{ type: "TextualBody", value: "recto" }, { type: "TextualBody", value: "verso" }]
+})
+
+it("'/patch/:id' applies a JSON Patch as a new version", async () => {
+  db.findOne.mockResolvedValueOnce(nestedDoc())
+  let inserted
+  db.insertOne.mockImplementationOnce(async (doc) => {
+    inserted = doc
+    return { insertedId: doc._id }
+  })
+  const response = await request(routeTester)
+    .patch(`/document/${MOCK_ORIG_ID}`)
+    .set("Content-Type", "application/json-patch+json")
+    .send(JSON.stringify([
+      { op: "test", path: "/body/1/value", value: "verso" },
+      { op: "replace", path: "/body/1/value", value: "folio 2 verso" },
+      { op: "remove", path: "/test" }
+    ]))
+  assert.strictEqual(response.statusCode, 200)
+  assert.strictEqual(inserted.body[1].value, "folio 2 verso")
+  assert.strictEqual(inserted.body[0].value, "recto")
+  assert.strictEqual(Object.hasOwn(inserted, "test"), false)
+  assert.strictEqual(inserted.__rerum.history.previous, `${MOCK_PREFIX}${MOCK_ORIG_ID}`)
+  assert.notStrictEqual(inserted["@id"], `${MOCK_PREFIX}${MOCK_ORIG_ID}`)
+})
+
+it("'/patch/:id' applies a JSON Merge Patch as a new version", async () => {
+  db.findOne.mockResolvedValueOnce(nestedDoc())
+  let inserted
+  db.insertOne.mockImplementationOnce(async (doc) => {
+    inserted = doc
+    return { insertedId: doc._id }
+  })
+  const response = await request(routeTester)
+    .patch(`/document/${MOCK_ORIG_ID}`)
+    .set("Content-Type", "application/merge-patch+json")
+    .send(JSON.stringify({ test: null, label: { en: ["Folio 2"] } }))
+  assert.strictEqual(response.statusCode, 200)
+  assert.strictEqual(Object.hasOwn(inserted, "test"), false)
+  assert.deepStrictEqual(inserted.label, { en: ["Folio 2"] })
+  assert.strictEqual(inserted.body.length, 2)
+})
+
+it("'/patch/:id' responds 409 when a JSON Patch test fails", async () => {
+  db.findOne.mockResolvedValueOnce(nestedDoc())
+  const response = await request(routeTester)
+    .patch(`/document/${MOCK_ORIG_ID}`)
+    .set("Content-Type", "application/json-patch+json")
+    .send(JSON.stringify([{ op: "test", path: "/test", value: "other" }, { op: "remove", path: "/test" }]))
+  assert.strictEqual(response.statusCode, 409)
+})
+
+it("'/patch/:id' responds 400 for a patch that alters __rerum or @id", async () => {
+  db.findOne.mockResolvedValueOnce(nestedDoc())
+  const rerumResponse = await request(routeTester)
+    .patch(`/document/${MOCK_ORIG_ID}`)
+    .set("Content-Type", "application/json-patch+json")
+    .send(JSON.stringify([{ op: "add", path: "/__rerum", value: {} }]))
+  assert.strictEqual(rerumResponse.statusCode, 400)
+  db.findOne.mockResolvedValueOnce(nestedDoc())
+  const idResponse = await request(routeTester)
+    .patch(`/document/${MOCK_ORIG_ID}`)
+    .set("Content-Type", "application/merge-patch+json")
+    .send(JSON.stringify({ "@id": "https://example.org/elsewhere" }))
+  assert.strictEqual(idResponse.statusCode, 400)
+})
+
+it("'/patch/:id' responds 400 for a patch that names __proto__, constructor or prototype", async () => {
+  const patches = [
+    ["application/json-patch+json", '[{ "op": "add", "path": "/__proto__/polluted", "value": true }]'],
+    ["application/json-patch+json", '[{ "op": "copy", "from": "/constructor/prototype", "path": "/copied" }]'],
+    ["application/merge-patch+json", '{ "__proto__": { "polluted": true } }'],
+    ["application/merge-patch+json", '{ "nested": { "constructor": { "prototype": { "polluted": true } } } }']
+  ]
+  for (const [contentType, patch] of patches) {
+    db.findOne.mockResolvedValueOnce(nestedDoc())
+    const response = await request(routeTester)
+      .patch(`/document/${MOCK_ORIG_ID}`)
+      .set("Content-Type", contentType)
+      .send(patch)
+    assert.strictEqual(response.statusCode, 400)
+  }
+  assert.strictEqual({}.polluted, undefined)
+})
+
+it("'/patch/:id' responds 404 when the object is not in RERUM", async () => {
+  const response = await request(routeTester)
+    .patch("/document/nope")
+    .set("Content-Type", "application/merge-patch+json")
+    .send(JSON.stringify({ test: "value" }))
+  assert.strictEqual(response.statusCode, 404)
+})
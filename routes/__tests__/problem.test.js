@@ -0,0 +1,132 @@
+import { beforeEach, describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import express from 'express'
+import request from 'supertest'
+
+import controller from '../../db-controller.js'
+import rest from '../../rest.js'
+import utils from '../../utils.js'
+import { db, resetMocks } from '../../database/index.js'
+
+const addAuth = (req, res, next) => {
+  req.user = { 'http://store.rerum.io/agent': 'test-user' }
+  next()
+}
+
+const routeTester = express()
+routeTester.use(express.json({ type: ['application/json', 'application/ld+json'] }))
+routeTester.post('/create', addAuth, controller.create)
+routeTester.put('/overwrite', addAuth, controller.overwrite)
+routeTester.use(rest.messenger)
+
+const PROBLEM = 'application/problem+json'
+
+const baseObject = {
+  _id: 'test-id',
+  '@id': `${process.env.RERUM_ID_PREFIX}test-id`,
+  __rerum: {
+    isOverwritten: '',
+    generatedBy: 'test-user',
+    history: { prime: 'root', previous: '', next: [] },
+    releases: { previous: '', next: [], replaces: '' },
+    isReleased: ''
+  },
+  data: 'original-data'
+}
+
+const overwrite = (accept, headers = {}) => {
+  const req = request(routeTester)
+    .put('/overwrite')
+    .set('Content-Type', 'application/json')
+    .set(headers)
+  if (accept) req.set('Accept', accept)
+  return req.send({ '@id': baseObject['@id'], data: 'updated-data' })
+}
+
+beforeEach(() => {
+  resetMocks()
+})
+
+describe('problem details for errors', () => {
+  it('keeps plain text errors for clients that do not ask for problem details', async () => {
+    const released = structuredClone(baseObject)
+    released.__rerum.isReleased = '2025-01-01T00:00:00'
+    for (const accept of [undefined, '*/*', 'application/json']) {
+      db.findOne.mockResolvedValueOnce(structuredClone(released))
+      const response = await overwrite(accept)
+      assert.strictEqual(response.statusCode, 403)
+      assert.match(response.headers['content-type'], /^text\/plain/)
+      assert.match(response.text, /is released/)
+    }
+  })
+
+  it('answers application/problem+json with a stable type for a released object', async () => {
+    const released = structuredClone(baseObject)
+    released.__rerum.isReleased = '2025-01-01T00:00:00'
+    db.findOne.mockResolvedValueOnce(released)
+
+    const response = await overwrite(PROBLEM)
+
+    assert.strictEqual(response.statusCode, 403)
+    assert.match(response.headers['content-type'], /^application\/problem\+json/)
+    const problem = JSON.parse(response.text)
+    assert.strictEqual(problem.type, `${process.env.RERUM_PREFIX}API.html#problem-released`)
+    assert.strictEqual(problem.status, 403)
+    assert.strictEqual(problem.instance, '/overwrite')
+    assert.match(problem.detail, /is released/)
+    assert.ok(!problem.detail.includes('Forbidden from performing this action'), 'the general advice is not part of the detail')
+  })
+
+  it('names the conflicting object when a Slug is taken', async () => {
+    db.findOne.mockResolvedValueOnce({ _id: 'taken', __rerum: { slug: 'my-slug' } })
+
+    const response = await request(routeTester)
+      .post('/create')
+      .set('Content-Type', 'application/json')
+      .set('Accept', PROBLEM)
+      .set('Slug', 'my-slug')
+      .send({ test: 'item' })
+
+    assert.strictEqual(response.statusCode, 409)
+    const problem = JSON.parse(response.text)
+    assert.strictEqual(problem.type, `${process.env.RERUM_PREFIX}API.html#problem-id-conflict`)
+    assert.strictEqual(problem.conflictingId, `${process.env.RERUM_ID_PREFIX}taken`)
+  })
+
+  it('carries the current version when an overwrite conflicts', async () => {
+    const overwritten = structuredClone(baseObject)
+    overwritten.__rerum.isOverwritten = '2025-06-24T10:30:00'
+    db.findOne.mockResolvedValueOnce(overwritten)
+
+    const response = await overwrite(PROBLEM, { 'If-Overwritten-Version': '2025-06-24T10:00:00' })
+
+    assert.strictEqual(response.statusCode, 409)
+    const problem = JSON.parse(response.text)
+    assert.strictEqual(problem.type, `${process.env.RERUM_PREFIX}API.html#problem-overwrite-conflict`)
+    assert.strictEqual(problem.currentVersion.__rerum.isOverwritten, '2025-06-24T10:30:00')
+    assert.strictEqual(problem.currentVersion._id, undefined)
+  })
+
+  it('carries the current ETag when If-Match fails', async () => {
+    db.findOne.mockResolvedValueOnce(structuredClone(baseObject))
+
+    const response = await overwrite(PROBLEM, { 'If-Match': '"stale"' })
+
+    assert.strictEqual(response.statusCode, 412)
+    const problem = JSON.parse(response.text)
+    assert.strictEqual(problem.type, `${process.env.RERUM_PREFIX}API.html#problem-precondition-failed`)
+    assert.strictEqual(problem.currentETag, utils.configureETagHeader(baseObject).ETag)
+  })
+
+  it('uses about:blank for errors without a RERUM problem type', async () => {
+    db.findOne.mockResolvedValueOnce(null)
+
+    const response = await overwrite(PROBLEM)
+
+    assert.strictEqual(response.statusCode, 404)
+    const problem = JSON.parse(response.text)
+    assert.strictEqual(problem.type, 'about:blank')
+    assert.strictEqual(problem.title, 'Not Found')
+  })
+})
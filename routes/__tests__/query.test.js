@@ -99,3 +99,79 @@ describe('HEAD /query', () => {
     assert.strictEqual(response.statusCode, 404)
   })
 })
+
+describe('/query pagination', () => {
+  const docs = [
+    { ...structuredClone(mockDoc), _id: "aaa", "@id": `${MOCK_PREFIX}aaa` },
+    { ...structuredClone(mockDoc), _id: "bbb", "@id": `${MOCK_PREFIX}bbb` }
+  ]
+  // Record what the controller asked of the cursor so the keyset can be checked.
+  const recordingCursor = (found, seen) => ({
+    sort(order) { seen.sort = order; return this },
+    limit(n) { seen.limit = n; return this },
+    skip(n) { seen.skip = n; return this },
+    async toArray() { return structuredClone(found) }
+  })
+
+  it("links a full cursor page to the next one, which starts after its last _id", async () => {
+    const first = {}
+    db.find.mockImplementationOnce((filter) => { first.filter = filter; return recordingCursor(docs, first) })
+    const response = await request(routeTester)
+      .post("/query?limit=2&cursor=")
+      .set("Content-Type", "application/json")
+      .send({ test: "item" })
+
+    assert.strictEqual(response.statusCode, 200)
+    assert.deepStrictEqual(first.filter, { test: "item" })
+    assert.deepStrictEqual(first.sort, { _id: 1 })
+    assert.strictEqual(first.skip, undefined)
+    const next = /<([^>]+)>; rel="next"/.exec(response.headers['link'])
+    assert.ok(next, 'a full page must link to the next page')
+    assert.ok(response.headers['link'].includes('json-ld#context'), 'the JSON-LD context Link must be kept')
+
+    const second = {}
+    db.find.mockImplementationOnce((filter) => { second.filter = filter; return recordingCursor([], second) })
+    const nextURL = new URL(next[1])
+    const followed = await request(routeTester)
+      .post(`/query${nextURL.search}`)
+      .set("Content-Type", "application/json")
+      .send({ test: "item" })
+
+    assert.strictEqual(followed.statusCode, 200)
+    assert.deepStrictEqual(second.filter, { $and: [{ test: "item" }, { _id: { $gt: "bbb" } }] })
+    assert.ok(!/rel="next"/.test(followed.headers['link']), 'the last page must not link to a next page')
+  })
+
+  it("links a full skip page to the next skip", async () => {
+    db.find.mockReturnValueOnce(recordingCursor(docs, {}))
+    const response = await request(routeTester)
+      .post("/query?limit=2&skip=4")
+      .set("Content-Type", "application/json")
+      .send({ test: "item" })
+
+    assert.strictEqual(response.statusCode, 200)
+    const next = new URL(/<([^>]+)>; rel="next"/.exec(response.headers['link'])[1])
+    assert.strictEqual(next.searchParams.get('skip'), '6')
+    assert.strictEqual(next.searchParams.get('limit'), '2')
+  })
+
+  it("returns 400 for a cursor RERUM did not make", async () => {
+    const response = await request(routeTester)
+      .post("/query?cursor=bogus")
+      .set("Content-Type", "application/json")
+      .send({ test: "item" })
+    assert.strictEqual(response.statusCode, 400)
+  })
+
+  it("reports the total number of matches when asked", async () => {
+    db.find.mockReturnValueOnce(recordingCursor(docs, {}))
+    db.countDocuments.mockResolvedValueOnce(12345)
+    const response = await request(routeTester)
+      .post("/query?count=true")
+      .set("Content-Type", "application/json")
+      .send({ test: "item" })
+
+    assert.strictEqual(response.statusCode, 200)
+    assert.strictEqual(response.headers['x-total-count'], '12345')
+  })
+})
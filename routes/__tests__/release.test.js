@@ -90,3 +90,15 @@ it("'/release' returns 409 when the requested Slug is already taken", async () =
 
   assert.strictEqual(response.statusCode, 409)
 })
+
+// The releases tree and the released object are one transaction.  A failed write surfaces as a 500.
+it("'/release' returns 500 when the released object cannot be written", async () => {
+  db.findOne.mockResolvedValueOnce(structuredClone(mockDoc))
+  db.replaceOne.mockRejectedValueOnce(new Error("WriteConflict"))
+
+  const response = await request(routeTester)
+    .patch(`/release/${MOCK_ID}`)
+    .set("Content-Type", "application/json")
+
+  assert.strictEqual(response.statusCode, 500)
+})
@@ -0,0 +1,110 @@
+import { beforeEach, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+// Only real way to test an express route is to mount it and call it so that we can use the req, res, next.
+import express from "express"
+import request from "supertest"
+import controller from '../../db-controller.js'
+
+const MOCK_AGENT = "https://store.rerum.io/v1/id/agent007"
+const MOCK_PREFIX = process.env.RERUM_ID_PREFIX
+
+// Here is the auth mock so we get a req.user and the controller can function without a NPE.
+const addAuth = (agent) => (req, res, next) => {
+  req.user = {[process.env.RERUM_AGENT_CLAIM]: agent}
+  next()
+}
+
+const routeTester = new express()
+routeTester.use(express.json({ type: ["application/json", "application/ld+json"] }))
+
+// Mount our own /restore route without auth that will use controller.restore
+routeTester.post("/restore/:_id", [addAuth(MOCK_AGENT), controller.restore])
+routeTester.post("/outsider/restore/:_id", [addAuth("https://store.rerum.io/v1/id/agent008"), controller.restore])
+
+const version = (id, history) => ({
+  _id: id,
+  "@id": `${MOCK_PREFIX}${id}`,
+  label: id,
+  __rerum: {
+    generatedBy: MOCK_AGENT,
+    history,
+    isReleased: "",
+    isOverwritten: "",
+    releases: { previous: "", next: [], replaces: "" },
+    createdAt: "2025-01-01T00:00:00.000"
+  }
+})
+
+// version2 was deleted from root1 > version2 > version3, so the tree was mended to root1 > version3.
+const root = () => version("root1", { prime: "root", previous: "", next: [`${MOCK_PREFIX}version3`] })
+const version3 = () => version("version3", { prime: `${MOCK_PREFIX}root1`, previous: `${MOCK_PREFIX}root1`, next: [] })
+const deletedVersion2 = () => ({
+  _id: "version2",
+  "@id": `${MOCK_PREFIX}version2`,
+  __deleted: {
+    object: version("version2", { prime: `${MOCK_PREFIX}root1`, previous: `${MOCK_PREFIX}root1`, next: [`${MOCK_PREFIX}version3`] }),
+    deletor: MOCK_AGENT,
+    time: "2025-03-01T00:00:00.000"
+  }
+})
+
+import { db, resetMocks } from '../../database/index.js'
+
+beforeEach(() => {
+  resetMocks()
+})
+
+it("'/restore/:id' puts the object back into its history tree", async () => {
+  db.findOne
+    .mockResolvedValueOnce(deletedVersion2())
+    .mockResolvedValueOnce(root())
+    .mockResolvedValueOnce(version3())
+  const written = {}
+  db.replaceOne.mockImplementation(async (filter, doc) => {
+    written[filter._id] = doc
+    return { modifiedCount: 1 }
+  })
+  const response = await request(routeTester).post("/restore/version2")
+  assert.strictEqual(response.statusCode, 200)
+  assert.strictEqual(response.headers["location"], `${MOCK_PREFIX}version2`)
+  assert.strictEqual(written.version2.__deleted, undefined)
+  assert.strictEqual(written.version2.label, "version2")
+  assert.deepStrictEqual(written.version2.__rerum.history.next, [`${MOCK_PREFIX}version3`])
+  assert.strictEqual(written.version3.__rerum.history.previous, `${MOCK_PREFIX}version2`)
+  assert.deepStrictEqual(written.root1.__rerum.history.next, [`${MOCK_PREFIX}version2`])
+})
+
+it("'/restore/:id' leaves out next versions that were deleted since", async () => {
+  db.findOne
+    .mockResolvedValueOnce(deletedVersion2())
+    .mockResolvedValueOnce(root())
+    .mockResolvedValueOnce(null)
+  const written = {}
+  db.replaceOne.mockImplementation(async (filter, doc) => {
+    written[filter._id] = doc
+    return { modifiedCount: 1 }
+  })
+  const response = await request(routeTester).post("/restore/version2")
+  assert.strictEqual(response.statusCode, 200)
+  assert.deepStrictEqual(written.version2.__rerum.history.next, [])
+  assert.deepStrictEqual(written.root1.__rerum.history.next, [`${MOCK_PREFIX}version3`, `${MOCK_PREFIX}version2`])
+})
+
+it("'/restore/:id' responds 409 when the previous version is gone", async () => {
+  db.findOne.mockResolvedValueOnce(deletedVersion2())
+  const response = await request(routeTester).post("/restore/version2")
+  assert.strictEqual(response.statusCode, 409)
+})
+
+it("'/restore/:id' is only for the generator", async () => {
+  db.findOne.mockResolvedValueOnce(deletedVersion2())
+  const response = await request(routeTester).post("/outsider/restore/version2")
+  assert.strictEqual(response.statusCode, 401)
+})
+
+it("'/restore/:id' responds 400 when the object is not deleted", async () => {
+  db.findOne.mockResolvedValueOnce(version3())
+  const response = await request(routeTester).post("/restore/version3")
+  assert.strictEqual(response.statusCode, 400)
+})
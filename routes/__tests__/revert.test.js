@@ -0,0 +1,90 @@
+import { beforeEach, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+// Only real way to test an express route is to mount it and call it so that we can use the req, res, next.
+import express from "express"
+import request from "supertest"
+import controller from '../../db-controller.js'
+
+// Here is the auth mock so we get a req.user so controller.revert can function without a NPE.
+const addAuth = (req, res, next) => {
+  req.user = {"http://store.rerum.io/agent": "https://store.rerum.io/v1/id/agent007"}
+  next()
+}
+
+const routeTester = new express()
+routeTester.use(express.json({ type: ["application/json", "application/ld+json"] }))
+
+// Mount our own /revert route without auth that will use controller.revert
+routeTester.post("/revert/:_id", [addAuth, controller.revert])
+
+const MOCK_AGENT = "https://store.rerum.io/v1/id/agent007"
+const MOCK_PREFIX = process.env.RERUM_ID_PREFIX
+
+const version = (id, history, body) => ({
+  _id: id,
+  "@id": `${MOCK_PREFIX}${id}`,
+  ...body,
+  __rerum: {
+    generatedBy: MOCK_AGENT,
+    history,
+    isReleased: "",
+    isOverwritten: "",
+    releases: { previous: "", next: [], replaces: "" },
+    createdAt: "2025-01-01T00:00:00.000"
+  }
+})
+
+const root = version("root1", { prime: "root", previous: "", next: [`${MOCK_PREFIX}version2`] }, { label: "Good label" })
+const version2 = version("version2", { prime: `${MOCK_PREFIX}root1`, previous: `${MOCK_PREFIX}root1`, next: [] }, { label: "Bad edit", extra: true })
+const stranger = version("stranger", { prime: "root", previous: "", next: [] }, { label: "Other" })
+
+import { db, resetMocks } from '../../database/index.js'
+
+beforeEach(() => {
+  resetMocks()
+})
+
+it("'/revert/:id?to=' makes a new version with the body of the version reverted to", async () => {
+  db.findOne
+    .mockResolvedValueOnce(structuredClone(version2))
+    .mockResolvedValueOnce(structuredClone(root))
+  let inserted
+  db.insertOne.mockImplementationOnce(async (doc) => {
+    inserted = doc
+    return { insertedId: doc._id }
+  })
+  let alteredNext
+  db.replaceOne.mockImplementationOnce(async (filter, doc) => {
+    alteredNext = doc.__rerum.history.next
+    return { modifiedCount: 1 }
+  })
+  const response = await request(routeTester).post(`/revert/version2?to=${MOCK_PREFIX}root1`)
+  assert.strictEqual(response.statusCode, 200)
+  assert.strictEqual(inserted.label, "Good label")
+  assert.strictEqual(Object.hasOwn(inserted, "extra"), false)
+  assert.strictEqual(inserted.__rerum.revertedFrom, `${MOCK_PREFIX}root1`)
+  assert.strictEqual(inserted.__rerum.history.previous, `${MOCK_PREFIX}version2`)
+  assert.strictEqual(inserted.__rerum.history.prime, `${MOCK_PREFIX}root1`)
+  assert.deepStrictEqual(alteredNext, [inserted["@id"]])
+  assert.strictEqual(response.headers["location"], inserted["@id"])
+})
+
+it("'/revert/:id' responds 400 without ?to=", async () => {
+  const response = await request(routeTester).post("/revert/version2")
+  assert.strictEqual(response.statusCode, 400)
+})
+
+it("'/revert/:id?to=' responds 400 for a version of another object", async () => {
+  db.findOne
+    .mockResolvedValueOnce(structuredClone(version2))
+    .mockResolvedValueOnce(structuredClone(stranger))
+  const response = await request(routeTester).post("/revert/version2?to=stranger")
+  assert.strictEqual(response.statusCode, 400)
+})
+
+it("'/revert/:id?to=' responds 404 when the version is not in RERUM", async () => {
+  db.findOne.mockResolvedValueOnce(structuredClone(version2))
+  const response = await request(routeTester).post("/revert/version2?to=nope")
+  assert.strictEqual(response.statusCode, 404)
+})
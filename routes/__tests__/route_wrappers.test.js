@@ -259,10 +259,19 @@ describe('api routes discovery', () => {
       '/set': 'PATCH - Update the body an existing object by adding a new property.',
       '/unset': 'PATCH - Update the body an existing object by removing an existing property.',
       '/delete': 'DELETE - Mark an object as deleted.',
+      '/restore': 'POST - Put a deleted object back.',
+      '/deleted': 'GET - List deleted objects, filtered by the deleting agent and the time of deletion.',
       '/query': 'POST - Supply a JSON object to match on, and query the db for an array of matches.',
       '/search': 'POST - Full-text search across stored objects.',
       '/release': 'PATCH - Lock a JSON object from changes and guarantee the content and URI.',
-      '/overwrite': 'PUT - Update a specific document in place, overwriting the existing body.'
+      '/overwrite': 'PUT - Update a specific document in place, overwriting the existing body.',
+      '/revert': 'POST - Make a new version of an object from one of its previous versions.',
+      '/acl': 'GET, PUT - Read or replace the agents allowed to edit, release or delete an object.',
+      '/groups': 'GET, POST, PUT - List, make or change groups of agents that can generate objects together.',
+      '/transfer': 'POST - Give an object, its version tree, or the objects matching a query to another agent.',
+      '/subscriptions': 'GET, POST, DELETE - List, make or stop webhook subscriptions to changes of objects.',
+      '/changes': 'GET - Read the log of changes to objects since an entry or a date.',
+      '/changes/stream': 'GET - Follow changes to objects as they are made, as Server-Sent Events.'
     })
   })
 })
@@ -5,6 +5,7 @@ import express from 'express'
 import request from 'supertest'
 
 import controller from '../../db-controller.js'
+import { searchAlikes } from '../../controllers/search.js'
 import rest from '../../rest.js'
 import { db, resetMocks } from '../../database/index.js'
 
@@ -13,6 +14,8 @@ routeTester.use(express.json({ type: ['application/json', 'application/ld+json']
 routeTester.use(express.text())
 routeTester.post('/search', controller.searchAsWords)
 routeTester.post('/search/phrase', controller.searchAsPhrase)
+// searchAlikes is not routed yet, so it is mounted from the controller.
+routeTester.post('/search/alike', searchAlikes)
 routeTester.use(rest.messenger)
 
 beforeEach(() => {
@@ -101,4 +104,67 @@ describe('search controllers', () => {
     assert.strictEqual(response.statusCode, 200)
     assert.strictEqual(response.body.length, 1, 'duplicate _id across indexes should be deduped')
   })
+  it("searchAsWords pages both indexes by relevance after the cursor and links to the next page", async () => {
+    const pipelines = []
+    db.aggregate.mockImplementation((pipeline) => {
+      pipelines.push(pipeline)
+      const docs = pipelines.length === 1
+        ? [{ _id: 'ccc', text: 'presi3', __rerum: { score: 5, searchAfter: 'p3-ccc' } }, { _id: 'eee', text: 'presi3', __rerum: { score: 2, searchAfter: 'p3-eee' } }]
+        : [{ _id: 'ddd', text: 'presi2', __rerum: { score: 3, searchAfter: 'p2-ddd' } }]
+      return { toArray: () => Promise.resolve(docs) }
+    })
+    const cursor = Buffer.from(JSON.stringify({ searchAfter: ['p3-bbb', null] })).toString('base64url')
+
+    const response = await request(routeTester)
+      .post(`/search?limit=2&cursor=${cursor}`)
+      .set('Content-Type', 'text/plain')
+      .send('matching')
+
+    assert.strictEqual(response.statusCode, 200)
+    assert.strictEqual(pipelines[0][0].$search.searchAfter, 'p3-bbb')
+    assert.strictEqual(pipelines[1][0].$search.searchAfter, undefined)
+    for (const pipeline of pipelines) {
+      assert.deepStrictEqual(pipeline[1].$addFields['__rerum.searchAfter'], { $meta: 'searchSequenceToken' })
+      assert.deepStrictEqual(pipeline.slice(2), [{ $limit: 2 }])
+    }
+    assert.deepStrictEqual(response.body.map(doc => doc.text), ['presi3', 'presi2'])
+    assert.ok(response.body.every(doc => doc.__rerum.searchAfter === undefined))
+    const next = new URL(/<([^>]+)>; rel="next"/.exec(response.headers['link'])[1])
+    const tokens = JSON.parse(Buffer.from(next.searchParams.get('cursor'), 'base64url').toString('utf8')).searchAfter
+    assert.deepStrictEqual(tokens, ['p3-ccc', 'p2-ddd'])
+  })
+
+  it("searchAlikes pages both indexes after the cursor and links to the next page", async () => {
+    const pipelines = []
+    db.aggregate.mockImplementation((pipeline) => {
+      pipelines.push(pipeline)
+      const docs = pipelines.length === 1
+        ? [{ _id: 'ccc', text: 'presi3', __rerum: { score: 5, searchAfter: 'p3-ccc' } }]
+        : [{ _id: 'ddd', text: 'presi2', __rerum: { score: 3, searchAfter: 'p2-ddd' } }]
+      return { toArray: () => Promise.resolve(docs) }
+    })
+    const cursor = Buffer.from(JSON.stringify({ searchAfter: ['p3-bbb', 'p2-bbb'] })).toString('base64url')
+
+    const response = await request(routeTester)
+      .post(`/search/alike?limit=2&cursor=${cursor}`)
+      .send({ type: 'Annotation', bodyValue: 'matching' })
+
+    assert.strictEqual(response.statusCode, 200)
+    assert.deepStrictEqual(pipelines[0][0].$search.moreLikeThis, { like: [{ type: 'Annotation', bodyValue: 'matching' }] })
+    assert.strictEqual(pipelines[0][0].$search.searchAfter, 'p3-bbb')
+    assert.strictEqual(pipelines[1][0].$search.searchAfter, 'p2-bbb')
+    assert.deepStrictEqual(pipelines[1].slice(2), [{ $limit: 2 }])
+    assert.deepStrictEqual(response.body.map(doc => doc.text), ['presi3', 'presi2'])
+    const next = new URL(/<([^>]+)>; rel="next"/.exec(response.headers['link'])[1])
+    const tokens = JSON.parse(Buffer.from(next.searchParams.get('cursor'), 'base64url').toString('utf8')).searchAfter
+    assert.deepStrictEqual(tokens, ['p3-ccc', 'p2-ddd'])
+  })
+
+  it("searchAsWords rejects a cursor it did not make with a 400", async () => {
+    const response = await request(routeTester)
+      .post('/search?cursor=bogus')
+      .set('Content-Type', 'text/plain')
+      .send('matching')
+    assert.strictEqual(response.statusCode, 400)
+  })
 })
@@ -37,7 +37,7 @@ const mockDoc = {
   }
 }
 
-import { db, resetMocks } from '../../database/index.js'
+import { db, mockSession, resetMocks } from '../../database/index.js'
 
 beforeEach(() => {
   resetMocks()
@@ -69,3 +69,36 @@ it("'/set' returns 501 when the target object is not in RERUM", async () => {
 
   assert.strictEqual(response.statusCode, 501)
 })
+
+// The new version and the history.next of its original are one transaction.  Before this they were
+// two unrelated writes and the second was not even awaited, so a failure left a dangling branch.
+it("'/set' writes the new version and the original's history.next in the same transaction", async () => {
+  db.findOne.mockResolvedValueOnce(structuredClone(mockDoc))
+  const sessions = []
+  db.insertOne.mockImplementationOnce(async (doc, options) => {
+    sessions.push(options?.session)
+    return { insertedId: doc._id }
+  })
+  db.replaceOne.mockImplementationOnce(async (filter, replacement, options) => {
+    sessions.push(options?.session)
+    return { modifiedCount: 1 }
+  })
+  const response = await request(routeTester)
+    .patch("/set")
+    .set("Content-Type", "application/json")
+    .send({ "@id": `${MOCK_PREFIX}${MOCK_ORIG_ID}`, test_set: unique })
+
+  assert.strictEqual(response.statusCode, 200)
+  assert.deepStrictEqual(sessions, [mockSession, mockSession])
+})
+
+it("'/set' returns 500 and does not respond with a new version when history.next cannot be altered", async () => {
+  db.findOne.mockResolvedValueOnce(structuredClone(mockDoc))
+  db.replaceOne.mockResolvedValueOnce({ modifiedCount: 0 })
+  const response = await request(routeTester)
+    .patch("/set")
+    .set("Content-Type", "application/json")
+    .send({ "@id": `${MOCK_PREFIX}${MOCK_ORIG_ID}`, test_set: unique })
+
+  assert.strictEqual(response.statusCode, 500)
+})
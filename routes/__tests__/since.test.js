@@ -84,3 +84,15 @@ describe('HEAD /since/:id', () => {
     }
   })
 })
+
+describe('/since conditional requests', () => {
+  it('answers 304 when If-None-Match has the current ETag', async () => {
+    db.findOne.mockResolvedValueOnce(structuredClone(mockDoc))
+    const first = await request(routeTester).get(`/since/${MOCK_ID}`)
+
+    db.findOne.mockResolvedValueOnce(structuredClone(mockDoc))
+    const response = await request(routeTester).get(`/since/${MOCK_ID}`).set('If-None-Match', first.headers['etag'])
+
+    assert.strictEqual(response.statusCode, 304)
+  })
+})
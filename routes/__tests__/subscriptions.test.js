@@ -0,0 +1,267 @@
+import { after, before, beforeEach, describe, it, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import dns from 'node:dns'
+import http from 'node:http'
+import express from 'express'
+import request from 'supertest'
+
+import controller from '../../db-controller.js'
+import rest from '../../rest.js'
+import webhooks from '../../events/webhooks.js'
+import { collection, newID, resetMocks } from '../../database/index.js'
+import { matches } from '../../database/query.js'
+
+const OWNER = 'https://store.rerum.io/v1/id/indexer'
+const OUTSIDER = 'https://store.rerum.io/v1/id/outsider'
+const SECRET = 'a shared secret of some length'
+
+// The agent making the request is named in the x-test-agent header.
+const addAuth = (req, res, next) => {
+  req.user = { [process.env.RERUM_AGENT_CLAIM]: req.get('x-test-agent') ?? OWNER }
+  next()
+}
+
+const routeTester = express()
+routeTester.use(express.json({ type: ['application/json', 'application/ld+json'] }))
+routeTester.get('/subscriptions', addAuth, controller.subscriptions)
+routeTester.post('/subscriptions', addAuth, controller.createSubscription)
+routeTester.get('/subscriptions/:_id', addAuth, controller.subscription)
+routeTester.delete('/subscriptions/:_id', addAuth, controller.deleteSubscription)
+routeTester.get('/subscriptions/:_id/deliveries', addAuth, controller.subscriptionDeliveries)
+routeTester.post('/create', addAuth, controller.create)
+routeTester.use(rest.messenger)
+
+// A collection kept in a Map, that finds with the same matching as the memory provider.
+const mapCollection = (name) => {
+  const stored = new Map()
+  const mocked = collection(name)
+  const cursorOf = (docs) => ({
+    limit() { return this },
+    skip() { return this },
+    sort() { return this },
+    toArray: async () => structuredClone(docs)
+  })
+  return {
+    stored,
+    reset() {
+      stored.clear()
+      mocked.findOne.mockImplementation(async (query) => structuredClone([...stored.values()].find(doc => matches(doc, query))) ?? null)
+      mocked.find.mockImplementation((query) => cursorOf([...stored.values()].filter(doc => matches(doc, query))))
+      mocked.insertOne.mockImplementation(async (doc) => {
+        stored.set(doc._id, structuredClone(doc))
+        return { insertedId: doc._id }
+      })
+      mocked.replaceOne.mockImplementation(async (query, replacement) => {
+        const found = [...stored.values()].find(doc => matches(doc, query))
+        if (found) stored.set(found._id, structuredClone({ ...replacement, _id: found._id }))
+        return { matchedCount: found ? 1 : 0, modifiedCount: found ? 1 : 0 }
+      })
+      mocked.deleteOne.mockImplementation(async ({ _id }) => ({ deletedCount: stored.delete(_id) ? 1 : 0 }))
+    }
+  }
+}
+const subscriptions = mapCollection('subscriptions')
+const deliveries = mapCollection('webhookDeliveries')
+
+// The endpoint of the subscriber.  It answers with the next of the statuses, and keeps what it was sent.
+let received = []
+let statuses = []
+let hookURL
+const endpoint = http.createServer((req, res) => {
+  let body = ''
+  req.on('data', chunk => { body += chunk })
+  req.on('end', () => {
+    received.push({ headers: req.headers, body })
+    res.statusCode = statuses.shift() ?? 204
+    res.end()
+  })
+})
+
+before(async () => {
+  await new Promise(resolve => endpoint.listen(0, '127.0.0.1', resolve))
+  hookURL = `http://127.0.0.1:${endpoint.address().port}/hook`
+})
+
+after(async () => {
+  await new Promise(resolve => endpoint.close(resolve))
+})
+
+// The endpoint is on loopback, so the admins have to allow it.
+beforeEach(() => {
+  process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1'
+})
+
+after(() => {
+  delete process.env.WEBHOOK_ALLOWED_HOSTS
+})
+
+beforeEach(() => {
+  resetMocks()
+  let count = 0
+  newID.mockImplementation(() => String(++count).padStart(24, '0'))
+  subscriptions.reset()
+  deliveries.reset()
+  received = []
+  statuses = []
+})
+
+describe('webhook subscriptions', () => {
+  it('are made, read and stopped by their owner only', async () => {
+    const made = await request(routeTester)
+      .post('/subscriptions')
+      .send({ url: hookURL, events: ['create'], filter: { '@type': 'Annotation', query: { 'body.value': { $in: ['RERUM', 'TPEN'] } } } })
+    assert.strictEqual(made.statusCode, 201)
+    assert.strictEqual(made.body.owner, OWNER)
+    assert.ok(made.body.secret, 'a secret is made and shown once')
+    assert.match(made.headers.location, new RegExp(`api/subscriptions/${made.body.id}$`))
+    assert.strictEqual(typeof subscriptions.stored.get(made.body.id).filter.query, 'string')
+
+    const read = await request(routeTester).get(`/subscriptions/${made.body.id}`)
+    assert.strictEqual(read.statusCode, 200)
+    assert.strictEqual(read.body.secret, undefined)
+    assert.deepStrictEqual(read.body.filter.query, { 'body.value': { $in: ['RERUM', 'TPEN'] } })
+
+    const notOwner = await request(routeTester).get(`/subscriptions/${made.body.id}`).set('x-test-agent', OUTSIDER)
+    assert.strictEqual(notOwner.statusCode, 401)
+    const theirs = await request(routeTester).get('/subscriptions').set('x-test-agent', OUTSIDER)
+    assert.deepStrictEqual(theirs.body, [])
+
+    const bad = await request(routeTester)
+      .post('/subscriptions')
+      .send({ url: 'ftp://example.org', events: ['explode'], filter: { query: { $where: 'true' }, colour: 'red' } })
+    assert.strictEqual(bad.statusCode, 400)
+    assert.match(bad.text, /'url' must be/)
+    assert.match(bad.text, /'events' must be/)
+    assert.match(bad.text, /'filter.query' may only use the operators .*, not \$where/)
+    assert.match(bad.text, /not colour/)
+
+    const stopped = await request(routeTester).delete(`/subscriptions/${made.body.id}`)
+    assert.strictEqual(stopped.statusCode, 200)
+    assert.strictEqual(subscriptions.stored.size, 0)
+  })
+
+  it('are refused for a filter.query with a pattern, which would be run against every change', async () => {
+    for (const query of [{ 'body.value': { $regex: '^(a+)+$' } }, { $or: [{ 'body.value': { $not: { $regex: 'x' } } }] }]) {
+      const response = await request(routeTester)
+        .post('/subscriptions')
+        .send({ url: hookURL, filter: { query } })
+      assert.strictEqual(response.statusCode, 400)
+      assert.match(response.text, /not \$regex/)
+    }
+    assert.strictEqual(subscriptions.stored.size, 0)
+  })
+
+  it('deliver the changes they filter for, signed with the secret', async () => {
+    webhooks.startWebhooks()
+    await request(routeTester)
+      .post('/subscriptions')
+      .send({ url: hookURL, secret: SECRET, events: ['create'], filter: { '@type': 'Annotation', target: 'https://example.org/canvas/1' } })
+    const delivered = new Promise(resolve => endpoint.once('request', (req, res) => res.on('finish', resolve)))
+
+    await request(routeTester).post('/create').send({ '@type': 'Person', name: 'not wanted' })
+    const created = await request(routeTester)
+      .post('/create')
+      .send({ '@type': 'Annotation', target: { source: 'https://example.org/canvas/1' }, body: { value: 'wanted' } })
+    await delivered
+
+    assert.strictEqual(received.length, 1)
+    const [{ headers, body }] = received
+    const event = JSON.parse(body)
+    assert.strictEqual(event.type, 'create')
+    assert.strictEqual(event.agent, OWNER)
+    assert.strictEqual(event.object['@id'], created.body['@id'])
+    assert.strictEqual(event.object._id, undefined)
+    assert.strictEqual(headers['x-rerum-event'], 'create')
+    assert.strictEqual(headers['x-rerum-delivery'], event.id)
+    assert.strictEqual(headers['x-rerum-signature'], webhooks.sign(SECRET, body))
+  })
+
+  it('retry failed deliveries from the log of deliveries and log each attempt for the owner', async () => {
+    const made = await request(routeTester).post('/subscriptions').send({ url: hookURL, secret: SECRET })
+    const subscription = subscriptions.stored.get(made.body.id)
+    const event = { id: 'event-1', type: 'update', time: new Date().toISOString(), agent: OWNER, object: { '@id': 'https://example.org/obj' } }
+    // Past every retry delay, so each retry is due.
+    const later = () => new Date(Date.now() + 3 * 60 * 60 * 1000)
+    statuses = [500, 503, 200]
+
+    const first = await webhooks.deliver(subscription, event)
+    assert.strictEqual(first.delivered, false)
+    assert.ok(new Date(first.nextAttempt) > new Date(), 'the retry waits for its delay')
+    assert.deepStrictEqual(await webhooks.retryDeliveries(), [])
+    assert.deepStrictEqual((await webhooks.retryDeliveries(later())).map(r => [r.delivered, r.attempt]), [[false, 2]])
+    assert.deepStrictEqual((await webhooks.retryDeliveries(later())).map(r => [r.delivered, r.attempt]), [[true, 3]])
+    assert.deepStrictEqual(await webhooks.retryDeliveries(later()), [])
+    assert.strictEqual(received.length, 3)
+    assert.ok(received.every(({ headers, body }) => headers['x-rerum-signature'] === webhooks.sign(SECRET, body)))
+    assert.ok([...deliveries.stored.values()].every(d => d.nextAttempt === null && d.payload === undefined))
+
+    const log = await request(routeTester).get(`/subscriptions/${made.body.id}/deliveries`)
+    assert.strictEqual(log.statusCode, 200)
+    assert.deepStrictEqual(log.body.map(d => d.status).sort(), [200, 500, 503])
+    const failed = await request(routeTester).get(`/subscriptions/${made.body.id}/deliveries?failed=true`)
+    assert.deepStrictEqual(failed.body.map(d => d.error).sort(), ['The endpoint answered 500', 'The endpoint answered 503'])
+
+    statuses = [500, 500, 500, 500, 500]
+    await webhooks.deliver(subscription, event)
+    let attempts = 1
+    for (let retried; (retried = await webhooks.retryDeliveries(later())).length; attempts++) {
+      assert.strictEqual(retried[0].delivered, false)
+    }
+    assert.strictEqual(attempts, 5)
+
+    // A retry is not made once the subscription is stopped.
+    statuses = [500]
+    await webhooks.deliver(subscription, event)
+    await request(routeTester).delete(`/subscriptions/${made.body.id}`)
+    assert.deepStrictEqual(await webhooks.retryDeliveries(later()), [])
+  })
+
+  it('are only made for, and only delivered to, public addresses', async () => {
+    delete process.env.WEBHOOK_ALLOWED_HOSTS
+    for (const url of [hookURL, 'http://localhost/hook', 'http://169.254.169.254/latest/meta-data', 'http://10.1.2.3/hook', 'http://[::1]/hook', 'http://[::ffff:192.168.0.1]/hook']) {
+      const refused = await request(routeTester).post('/subscriptions').send({ url })
+      assert.strictEqual(refused.statusCode, 400, url)
+      assert.match(refused.text, /only sent to public addresses/)
+    }
+    assert.strictEqual(subscriptions.stored.size, 0)
+
+    // A subscription made while its host was allowed is not delivered to once it is not.
+    process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1'
+    const made = await request(routeTester).post('/subscriptions').send({ url: hookURL, secret: SECRET })
+    assert.strictEqual(made.statusCode, 201)
+    delete process.env.WEBHOOK_ALLOWED_HOSTS
+    const event = { id: 'event-2', type: 'create', time: new Date().toISOString(), agent: OWNER, object: { '@id': 'https://example.org/obj' } }
+    const result = await webhooks.deliver(subscriptions.stored.get(made.body.id), event)
+    assert.deepStrictEqual(result, { delivered: false, attempt: 1, nextAttempt: null })
+    assert.strictEqual(received.length, 0)
+    const [logged] = [...deliveries.stored.values()]
+    assert.match(logged.error, /not a public address/)
+    assert.strictEqual(logged.status, null)
+  })
+
+  it('are not sent to a host that resolves to a public address when checked and a reserved one when connected to', async () => {
+    // The host answers with a public address to the checks, then with the loopback address of the endpoint.
+    delete process.env.WEBHOOK_ALLOWED_HOSTS
+    let lookups = 0
+    const lookup = mock.method(dns, 'lookup', (hostname, options, callback) => {
+      const address = ++lookups <= 2 ? '93.184.216.34' : '127.0.0.1'
+      if (options.all) callback(null, [{ address, family: 4 }])
+      else callback(null, address, 4)
+    })
+    try {
+      const url = `http://rebind.example:${endpoint.address().port}/hook`
+      const made = await request(routeTester).post('/subscriptions').send({ url, secret: SECRET })
+      assert.strictEqual(made.statusCode, 201)
+      const event = { id: 'event-3', type: 'create', time: new Date().toISOString(), agent: OWNER, object: { '@id': 'https://example.org/obj' } }
+      const result = await webhooks.deliver(subscriptions.stored.get(made.body.id), event)
+      assert.deepStrictEqual(result, { delivered: false, attempt: 1, nextAttempt: null })
+      assert.ok(lookups >= 3, 'the connection resolved the host again')
+      assert.strictEqual(received.length, 0)
+      const [logged] = [...deliveries.stored.values()]
+      assert.match(logged.error, /rebind.example is at 127.0.0.1, which is not a public address/)
+    }
+    finally {
+      lookup.mock.restore()
+    }
+  })
+})
@@ -0,0 +1,99 @@
+import { beforeEach, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+// Only real way to test an express route is to mount it and call it so that we can use the req, res, next.
+import express from "express"
+import request from "supertest"
+import controller from '../../db-controller.js'
+import rest from '../../rest.js'
+
+const routeTester = new express()
+routeTester.use("/timemap/:_id", controller.timemap)
+routeTester.use(rest.messenger)
+
+const MOCK_AGENT = "https://store.rerum.io/v1/id/agent007"
+const MOCK_PREFIX = "https://store.rerum.io/v1/id/"
+const TIMEMAP = `${process.env.RERUM_PREFIX}timemap`
+
+const version = (id, createdAt, history) => ({
+  _id: id,
+  "@id": `${MOCK_PREFIX}${id}`,
+  __rerum: {
+    generatedBy: MOCK_AGENT,
+    history,
+    isReleased: "",
+    isOverwritten: "",
+    releases: { previous: "", next: [], replaces: "" },
+    createdAt
+  }
+})
+
+// root was updated to versionA and then versionB.  versionC is a fork of root on another branch.
+const root = version("root1", "2025-01-01T00:00:00.000", { prime: "root", previous: "", next: [`${MOCK_PREFIX}versionA`, `${MOCK_PREFIX}versionC`] })
+const versionA = version("versionA", "2025-02-01T00:00:00.000", { prime: `${MOCK_PREFIX}root1`, previous: `${MOCK_PREFIX}root1`, next: [`${MOCK_PREFIX}versionB`] })
+const versionB = version("versionB", "2025-03-01T00:00:00.000", { prime: `${MOCK_PREFIX}root1`, previous: `${MOCK_PREFIX}versionA`, next: [] })
+const versionC = version("versionC", "2025-02-15T00:00:00.000", { prime: `${MOCK_PREFIX}root1`, previous: `${MOCK_PREFIX}root1`, next: [] })
+
+import { db, resetMocks } from '../../database/index.js'
+
+const mockTree = () => {
+  db.findOne.mockResolvedValueOnce(structuredClone(versionB)).mockResolvedValueOnce(structuredClone(root))
+  db.find.mockReturnValueOnce({ toArray: async () => [structuredClone(versionA), structuredClone(versionB), structuredClone(versionC)] })
+}
+
+beforeEach(() => {
+  resetMocks()
+})
+
+it("'/timemap/:id' lists every version in the tree in application/link-format, oldest first", async () => {
+  mockTree()
+  const response = await request(routeTester).get("/timemap/versionB")
+  assert.strictEqual(response.statusCode, 200)
+  assert.match(response.headers["content-type"], /^application\/link-format/)
+  assert.deepStrictEqual(response.text.split(",\n"), [
+    `<${MOCK_PREFIX}versionB>; rel="original timegate"`,
+    `<${TIMEMAP}/versionB>; rel="self"; type="application/link-format"; from="Wed, 01 Jan 2025 00:00:00 GMT"; until="Sat, 01 Mar 2025 00:00:00 GMT"`,
+    `<${MOCK_PREFIX}root1>; rel="first memento"; datetime="Wed, 01 Jan 2025 00:00:00 GMT"`,
+    `<${MOCK_PREFIX}versionA>; rel="memento"; datetime="Sat, 01 Feb 2025 00:00:00 GMT"`,
+    `<${MOCK_PREFIX}versionC>; rel="memento"; datetime="Sat, 15 Feb 2025 00:00:00 GMT"`,
+    `<${MOCK_PREFIX}versionB>; rel="last memento"; datetime="Sat, 01 Mar 2025 00:00:00 GMT"`
+  ])
+})
+
+it("'/timemap/:id' lists the versions as JSON when asked", async () => {
+  mockTree()
+  const response = await request(routeTester).get("/timemap/versionB").set("Accept", "application/json")
+  assert.strictEqual(response.statusCode, 200)
+  assert.deepStrictEqual(response.body, {
+    original_uri: `${MOCK_PREFIX}versionB`,
+    timegate_uri: `${MOCK_PREFIX}versionB`,
+    timemap_uri: { link_format: `${TIMEMAP}/versionB`, json_format: `${TIMEMAP}/versionB` },
+    mementos: {
+      first: { datetime: "2025-01-01T00:00:00.000Z", uri: `${MOCK_PREFIX}root1` },
+      last: { datetime: "2025-03-01T00:00:00.000Z", uri: `${MOCK_PREFIX}versionB` },
+      list: [
+        { datetime: "2025-01-01T00:00:00.000Z", uri: `${MOCK_PREFIX}root1` },
+        { datetime: "2025-02-01T00:00:00.000Z", uri: `${MOCK_PREFIX}versionA` },
+        { datetime: "2025-02-15T00:00:00.000Z", uri: `${MOCK_PREFIX}versionC` },
+        { datetime: "2025-03-01T00:00:00.000Z", uri: `${MOCK_PREFIX}versionB` }
+      ]
+    }
+  })
+})
+
+it("'/timemap/:id' of the root lists the versions made from it on every branch", async () => {
+  db.findOne.mockResolvedValueOnce(structuredClone(root))
+  db.find.mockReturnValueOnce({ toArray: async () => [structuredClone(versionA), structuredClone(versionB), structuredClone(versionC)] })
+  const response = await request(routeTester).get("/timemap/root1").set("Accept", "application/json")
+  assert.strictEqual(response.statusCode, 200)
+  assert.strictEqual(response.body.original_uri, `${MOCK_PREFIX}root1`)
+  assert.deepStrictEqual(response.body.mementos.list.map(memento => memento.uri), [
+    `${MOCK_PREFIX}root1`, `${MOCK_PREFIX}versionA`, `${MOCK_PREFIX}versionC`, `${MOCK_PREFIX}versionB`
+  ])
+})
+
+it("'/timemap/:id' is 404 for an object that is not in RERUM", async () => {
+  db.findOne.mockResolvedValueOnce(null)
+  const response = await request(routeTester).get("/timemap/missing")
+  assert.strictEqual(response.statusCode, 404)
+})
@@ -0,0 +1,144 @@
+import { beforeEach, describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import express from 'express'
+import request from 'supertest'
+
+import controller from '../../db-controller.js'
+import rest from '../../rest.js'
+import { db, resetMocks } from '../../database/index.js'
+import { matches } from '../../database/query.js'
+
+const OWNER = 'https://store.rerum.io/v1/id/student'
+const HEIR = 'https://store.rerum.io/v1/id/professor'
+const ADMIN = 'https://store.rerum.io/v1/id/admin007'
+const PREFIX = process.env.RERUM_ID_PREFIX
+
+// The agent making the request is named in the x-test-agent header.
+const addAuth = (req, res, next) => {
+  req.user = { [process.env.RERUM_AGENT_CLAIM]: req.get('x-test-agent') ?? OWNER }
+  next()
+}
+
+const routeTester = express()
+routeTester.use(express.json({ type: ['application/json', 'application/ld+json'] }))
+routeTester.post('/transfer', addAuth, controller.transfer)
+routeTester.use(rest.messenger)
+
+const cursorOf = (docs) => ({
+  limit() { return this },
+  skip() { return this },
+  sort() { return this },
+  toArray: async () => docs
+})
+
+const version = (id, generatedBy, prime = `${PREFIX}root1`) => ({
+  _id: id,
+  '@id': `${PREFIX}${id}`,
+  __rerum: {
+    generatedBy,
+    history: { prime, previous: prime === 'root' ? '' : prime, next: [] }
+  }
+})
+
+// Group lookups find no groups.  Other finds are answered by finder and their filters are kept.
+const mockFind = (finder) => {
+  const filters = []
+  db.find.mockImplementation((props) => {
+    if (props['__rerum.isGroup']) return cursorOf([])
+    filters.push(props)
+    return cursorOf(finder(props))
+  })
+  return filters
+}
+
+const recordWrites = () => {
+  const writes = []
+  db.replaceOne.mockImplementation(async (props, replacement) => {
+    writes.push(replacement)
+    return { modifiedCount: 1 }
+  })
+  return writes
+}
+
+beforeEach(() => {
+  resetMocks()
+  process.env.ADMIN_AGENTS = ADMIN
+})
+
+describe('transfer route', () => {
+  it('gives one object to another agent and records the previous owner', async () => {
+    mockFind(() => [])
+    const writes = recordWrites()
+    db.findOne.mockResolvedValueOnce(version('root1', OWNER, 'root'))
+    const response = await request(routeTester).post('/transfer').send({ to: HEIR, '@id': `${PREFIX}root1` })
+    assert.strictEqual(response.statusCode, 200)
+    assert.deepStrictEqual(response.body, { to: HEIR, transferred: [`${PREFIX}root1`] })
+    assert.strictEqual(writes[0].__rerum.generatedBy, HEIR)
+    assert.strictEqual(writes[0].__rerum.transfers.length, 1)
+    assert.strictEqual(writes[0].__rerum.transfers[0].from, OWNER)
+    assert.strictEqual(writes[0].__rerum.transfers[0].by, OWNER)
+
+    db.findOne.mockResolvedValueOnce(version('root1', OWNER, 'root'))
+    const refused = await request(routeTester)
+      .post('/transfer')
+      .set('x-test-agent', HEIR)
+      .send({ to: HEIR, '@id': `${PREFIX}root1` })
+    assert.strictEqual(refused.statusCode, 401)
+    assert.strictEqual(writes.length, 1)
+  })
+
+  it('gives the versions of a tree the requesting agent owns', async () => {
+    mockFind(() => [version('versionB', OWNER), version('versionC', 'https://store.rerum.io/v1/id/classmate')])
+    const writes = recordWrites()
+    db.findOne.mockResolvedValueOnce(version('root1', OWNER, 'root'))
+    const response = await request(routeTester).post('/transfer').send({ to: HEIR, '@id': `${PREFIX}root1`, tree: true })
+    assert.strictEqual(response.statusCode, 200)
+    assert.deepStrictEqual(response.body.transferred, [`${PREFIX}root1`, `${PREFIX}versionB`])
+    assert.deepStrictEqual(writes.map(w => w.__rerum.generatedBy), [HEIR, HEIR])
+  })
+
+  it('lets an admin give away the objects matching a query', async () => {
+    const filters = mockFind(() => [version('versionB', OWNER), version('versionC', OWNER)])
+    const writes = recordWrites()
+    const response = await request(routeTester)
+      .post('/transfer')
+      .set('x-test-agent', ADMIN)
+      .send({ to: HEIR, query: { project: 'thesis' } })
+    assert.strictEqual(response.statusCode, 200)
+    assert.strictEqual(response.body.transferred.length, 2)
+    assert.deepStrictEqual(filters[0], { $and: [{ project: 'thesis' }, { '__rerum.generatedBy': { $exists: true, $ne: HEIR } }] })
+    assert.deepStrictEqual(writes.map(w => w.__rerum.transfers[0].by), [ADMIN, ADMIN])
+
+    await request(routeTester).post('/transfer').send({ to: HEIR, query: { project: 'thesis' } })
+    assert.deepStrictEqual(filters[1].$and[2], { '__rerum.generatedBy': { $in: [OWNER] } })
+  })
+
+  it('lets the owner of a group give away its objects but not its other members', async () => {
+    const GROUP = `${PREFIX}group1`
+    const groups = [{ '@id': GROUP, members: [OWNER, HEIR], __rerum: { isGroup: true, generatedBy: OWNER } }]
+    db.find.mockImplementation((props) => cursorOf(groups.filter(group => matches(group, props))))
+    const writes = recordWrites()
+
+    db.findOne.mockResolvedValueOnce(version('root1', GROUP, 'root'))
+    const member = await request(routeTester)
+      .post('/transfer')
+      .set('x-test-agent', HEIR)
+      .send({ to: HEIR, '@id': `${PREFIX}root1` })
+    assert.strictEqual(member.statusCode, 401)
+    assert.strictEqual(writes.length, 0)
+
+    db.findOne.mockResolvedValueOnce(version('root1', GROUP, 'root'))
+    const owner = await request(routeTester).post('/transfer').send({ to: HEIR, '@id': `${PREFIX}root1` })
+    assert.strictEqual(owner.statusCode, 200)
+    assert.deepStrictEqual(writes.map(w => [w.__rerum.generatedBy, w.__rerum.transfers[0].from]), [[HEIR, GROUP]])
+  })
+
+  it('refuses requests that do not name an agent and one set of objects', async () => {
+    const response = await request(routeTester)
+      .post('/transfer')
+      .send({ '@id': `${PREFIX}root1`, query: { project: 'thesis' } })
+    assert.strictEqual(response.statusCode, 400)
+    assert.match(response.text, /'to' must be the URI/)
+    assert.match(response.text, /either '@id' or 'query'/)
+  })
+})
@@ -0,0 +1,99 @@
+import { beforeEach, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+// Only real way to test an express route is to mount it and call it so that we can use the req, res, next.
+import express from "express"
+import request from "supertest"
+import controller from '../../db-controller.js'
+
+const routeTester = new express()
+routeTester.use(express.json({ type: ["application/json", "application/ld+json"] }))
+routeTester.use("/tree/:_id", controller.tree)
+
+const MOCK_AGENT = "https://store.rerum.io/v1/id/agent007"
+const MOCK_PREFIX = "https://store.rerum.io/v1/id/"
+
+const version = (id, history, isReleased = "") => ({
+  _id: id,
+  "@id": `${MOCK_PREFIX}${id}`,
+  __rerum: {
+    generatedBy: MOCK_AGENT,
+    history,
+    isReleased,
+    isOverwritten: "",
+    releases: { previous: "", next: [], replaces: "" },
+    createdAt: "2025-01-01T00:00:00.000"
+  }
+})
+
+// root branches into versionB (released) and versionC.  versionD, a child of versionC, was deleted.
+const root = version("root1", { prime: "root", previous: "", next: [`${MOCK_PREFIX}versionB`, `${MOCK_PREFIX}versionC`] })
+const versionB = version("versionB", { prime: `${MOCK_PREFIX}root1`, previous: `${MOCK_PREFIX}root1`, next: [] }, "2025-02-01T00:00:00.000")
+const versionC = version("versionC", { prime: `${MOCK_PREFIX}root1`, previous: `${MOCK_PREFIX}root1`, next: [] })
+const versionD = {
+  _id: "versionD",
+  "@id": `${MOCK_PREFIX}versionD`,
+  __deleted: {
+    object: version("versionD", { prime: `${MOCK_PREFIX}root1`, previous: `${MOCK_PREFIX}versionC`, next: [] }),
+    deletor: MOCK_AGENT,
+    time: "2025-03-01T00:00:00.000"
+  }
+}
+
+import { db, resetMocks } from '../../database/index.js'
+
+const mockTree = () => {
+  db.find
+    .mockReturnValueOnce({ toArray: async () => [structuredClone(versionB), structuredClone(versionC)] })
+    .mockReturnValueOnce({ toArray: async () => [structuredClone(versionD)] })
+}
+
+beforeEach(() => {
+  resetMocks()
+})
+
+it("'/tree/:id' responds with the whole version graph", async () => {
+  db.findOne
+    .mockResolvedValueOnce(structuredClone(versionC))
+    .mockResolvedValueOnce(structuredClone(root))
+  mockTree()
+  const response = await request(routeTester).get("/tree/versionC")
+  assert.strictEqual(response.statusCode, 200)
+  assert.match(response.headers["content-type"], /application\/json/)
+  assert.strictEqual(response.body.root, `${MOCK_PREFIX}root1`)
+  assert.strictEqual(response.body.requested, `${MOCK_PREFIX}versionC`)
+  const nodes = Object.fromEntries(response.body.nodes.map(n => [n["@id"].replace(MOCK_PREFIX, ""), n]))
+  assert.deepStrictEqual(Object.keys(nodes).sort(), ["root1", "versionB", "versionC", "versionD"])
+  assert.strictEqual(nodes.root1.leaf, false)
+  assert.strictEqual(nodes.versionB.leaf, true)
+  assert.strictEqual(nodes.versionB.released, true)
+  assert.strictEqual(nodes.versionC.requested, true)
+  assert.strictEqual(nodes.versionC.leaf, true)
+  assert.strictEqual(nodes.versionD.deleted, true)
+  assert.strictEqual(nodes.versionD.leaf, false)
+  const edges = response.body.edges.map(e => `${e.from.replace(MOCK_PREFIX, "")}>${e.to.replace(MOCK_PREFIX, "")}`).sort()
+  assert.deepStrictEqual(edges, ["root1>versionB", "root1>versionC", "versionC>versionD"])
+})
+
+it("'/tree/:id' responds with JSON-LD using prov:wasDerivedFrom when asked", async () => {
+  db.findOne
+    .mockResolvedValueOnce(structuredClone(versionC))
+    .mockResolvedValueOnce(structuredClone(root))
+  mockTree()
+  const response = await request(routeTester)
+    .get("/tree/versionC")
+    .set("Accept", "application/ld+json")
+  assert.strictEqual(response.statusCode, 200)
+  assert.match(response.headers["content-type"], /application\/ld\+json/)
+  const body = JSON.parse(response.text)
+  assert.strictEqual(body["@context"].prov, "http://www.w3.org/ns/prov#")
+  const versionCNode = body["@graph"].find(n => n["@id"] === `${MOCK_PREFIX}versionC`)
+  assert.deepStrictEqual(versionCNode["prov:wasDerivedFrom"], { "@id": `${MOCK_PREFIX}root1` })
+  const rootNode = body["@graph"].find(n => n["@id"] === `${MOCK_PREFIX}root1`)
+  assert.strictEqual(rootNode["prov:wasDerivedFrom"], undefined)
+})
+
+it("'/tree/:id' responds 404 when the object is not in RERUM", async () => {
+  const response = await request(routeTester).get("/tree/nope")
+  assert.strictEqual(response.statusCode, 404)
+})
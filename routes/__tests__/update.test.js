@@ -58,3 +58,14 @@ it("'/update' route functions", async () => {
   assert.strictEqual(response.body._id, undefined)
   assert.strictEqual(response.body["RERUM Update Test"], unique)
 })
+
+it("'/update' returns 412 when If-Match does not have the current ETag", async () => {
+  db.findOne.mockResolvedValueOnce(structuredClone(mockDoc))
+  const response = await request(routeTester)
+    .put("/update")
+    .set("Content-Type", "application/json")
+    .set("If-Match", '"stale"')
+    .send({ "@id": `${MOCK_PREFIX}${MOCK_ORIG_ID}`, "RERUM Update Test": unique })
+
+  assert.strictEqual(response.statusCode, 412)
+})
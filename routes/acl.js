@@ -0,0 +1,17 @@
+#!/usr/bin/env node
+import express from 'express'
+const router = express.Router()
+//This controller will handle all MongoDB interactions.
+import controller from '../db-controller.js'
+import auth from '../auth/index.js'
+import rest from '../rest.js'
+
+router.route('/:_id')
+    .get(controller.acl)
+    .put(auth.checkJwt, auth.checkScope("rerum:overwrite"), rest.verifyJsonContentType, controller.setACL)
+    .all((req, res, next) => {
+        res.statusMessage = 'Improper request method for access control lists, please use GET to read or PUT to replace the list of this object.'
+        res.status(405).end()
+    })
+
+export default router
@@ -28,6 +28,10 @@ import bulkCreateRouter from './bulkCreate.js';
 import bulkUpdateRouter from './bulkUpdate.js';
 // Support DELETE requests like v1/delete/{object id} to mark an object as __deleted.
 import deleteRouter from './delete.js';
+// Support POST requests like v1/api/restore/{object id} to put a deleted object back.
+import restoreRouter from './restore.js';
+// Support GET requests like v1/api/deleted?agent={agent}&since={date} to list deleted objects.
+import deletedRouter from './deleted.js';
 // Support POST requests with JSON bodies used for replacing some existing object.
 import overwriteRouter from './overwrite.js';
 // Support PUT requests with JSON bodies used for versioning an existing object through replacement.
@@ -44,8 +48,40 @@ import releaseRouter from './release.js';
 import sinceRouter from './since.js';
 // Support GET requests like v1/history/{object id} to discover all previous versions tracing back to the prime.
 import historyRouter from './history.js';
+// Support GET requests like v1/tree/{object id} to discover the whole version tree as a graph of nodes and edges.
+import treeRouter from './tree.js';
+// Support GET requests like v1/diff/{object id}/{other object id} to describe what changed between two versions.
+import diffRouter from './diff.js';
+// Support GET requests like v1/timemap/{object id} for the Memento TimeMap of all versions of the object.
+import timemapRouter from './timemap.js';
+// Support GET and POST requests like v1/api/integrity/{object id} for admins to check and repair a whole history tree.
+import integrityRouter from './integrity.js';
+// Support POST requests like v1/api/revert/{object id}?to={version id} to make a new version from an older one.
+import revertRouter from './revert.js';
+// Support GET and PUT requests like v1/api/acl/{object id} to read and replace which agents may edit, release or delete an object.
+import aclRouter from './acl.js';
+// Support GET, POST and PUT requests like v1/api/groups and v1/api/groups/{group id} to list, make and change groups of agents.
+import groupsRouter from './groups.js';
+// Support POST requests like v1/api/transfer to give objects to another agent.
+import transferRouter from './transfer.js';
+// Support GET, POST and DELETE requests like v1/api/keys and v1/api/keys/{key id} for admins to manage API keys.
+import apikeysRouter from './apikeys.js';
+// Support GET, POST and DELETE requests like v1/api/denylist and v1/api/denylist/{entry id} for admins to revoke tokens and suspend agents.
+import denylistRouter from './denylist.js';
+// Support GET, POST and DELETE requests like v1/api/subscriptions and v1/api/subscriptions/{subscription id} to manage webhooks.
+import subscriptionsRouter from './subscriptions.js';
+// Support GET requests like v1/api/changes?since= to read the change log, and v1/api/changes/stream to follow changes as Server-Sent Events.
+import changesRouter from './changes.js';
+// Support GET requests like v1/activity and v1/activity/page for the IIIF Change Discovery API feed of IIIF resources.
+import activityRouter from './activity.js';
+// Support GET requests like v1/openapi.json and v1/openapi.yaml for the API contract.
+import openapiRouter from './openapi.js';
+// Opt in to holding requests to the API contract before they reach the controllers.
+import { validateRequest } from '../openapi/index.js';
 
 router.use(staticRouter)
+if (process.env.RERUM_VALIDATE_REQUESTS === "true") router.use(validateRequest)
+router.use('/', openapiRouter)
 router.use('/id', idRouter)
 router.use('/api', compatabilityRouter)
 router.use('/api/query', queryRouter)
@@ -54,12 +90,23 @@ router.use('/api/create', createRouter)
 router.use('/api/bulkCreate', bulkCreateRouter)
 router.use('/api/bulkUpdate', bulkUpdateRouter)
 router.use('/api/delete', deleteRouter)
+router.use('/api/restore', restoreRouter)
+router.use('/api/deleted', deletedRouter)
 router.use('/api/overwrite', overwriteRouter)
 router.use('/api/update', updateRouter)
 router.use('/api/patch', patchRouter)
 router.use('/api/set', setRouter)
 router.use('/api/unset', unsetRouter)
 router.use('/api/release', releaseRouter)
+router.use('/api/integrity', integrityRouter)
+router.use('/api/revert', revertRouter)
+router.use('/api/acl', aclRouter)
+router.use('/api/groups', groupsRouter)
+router.use('/api/transfer', transferRouter)
+router.use('/api/keys', apikeysRouter)
+router.use('/api/denylist', denylistRouter)
+router.use('/api/subscriptions', subscriptionsRouter)
+router.use('/api/changes', changesRouter)
 // Set default API response
 router.get('/api', (req, res) => {
     res.json({
@@ -73,15 +120,28 @@ router.get('/api', (req, res) => {
             "/set": "PATCH - Update the body an existing object by adding a new property.",
             "/unset": "PATCH - Update the body an existing object by removing an existing property.",
             "/delete": "DELETE - Mark an object as deleted.",
+            "/restore": "POST - Put a deleted object back.",
+            "/deleted": "GET - List deleted objects, filtered by the deleting agent and the time of deletion.",
             "/query": "POST - Supply a JSON object to match on, and query the db for an array of matches.",
             "/search": "POST - Full-text search across stored objects.",
             "/release": "PATCH - Lock a JSON object from changes and guarantee the content and URI.",
-            "/overwrite": "PUT - Update a specific document in place, overwriting the existing body."
+            "/overwrite": "PUT - Update a specific document in place, overwriting the existing body.",
+            "/revert": "POST - Make a new version of an object from one of its previous versions.",
+            "/acl": "GET, PUT - Read or replace the agents allowed to edit, release or delete an object.",
+            "/groups": "GET, POST, PUT - List, make or change groups of agents that can generate objects together.",
+            "/transfer": "POST - Give an object, its version tree, or the objects matching a query to another agent.",
+            "/subscriptions": "GET, POST, DELETE - List, make or stop webhook subscriptions to changes of objects.",
+            "/changes": "GET - Read the log of changes to objects since an entry or a date.",
+            "/changes/stream": "GET - Follow changes to objects as they are made, as Server-Sent Events."
         }
     })
 })
 router.use('/since', sinceRouter)
 router.use('/history', historyRouter)
+router.use('/tree', treeRouter)
+router.use('/activity', activityRouter)
+router.use('/diff', diffRouter)
+router.use('/timemap', timemapRouter)
 
 // Note that error responses are handled by rest.js through app.js.  No need to do anything with them here.
 
@@ -0,0 +1,25 @@
+#!/usr/bin/env node
+import express from 'express'
+const router = express.Router()
+//This controller will handle all MongoDB interactions.
+import controller from '../db-controller.js'
+import auth from '../auth/index.js'
+import rest from '../rest.js'
+
+router.route('/')
+    .get(auth.checkJwt, auth.checkAdmin, controller.listApiKeys)
+    .post(auth.checkJwt, auth.checkAdmin, rest.verifyJsonContentType, controller.createApiKey)
+    .all((req, res, next) => {
+        res.statusMessage = 'Improper request method for API keys, please use GET to list keys or POST to make one.'
+        res.status(405).end()
+    })
+
+router.route('/:_id')
+    .get(auth.checkJwt, auth.checkAdmin, controller.apiKey)
+    .delete(auth.checkJwt, auth.checkAdmin, controller.revokeApiKey)
+    .all((req, res, next) => {
+        res.statusMessage = 'Improper request method for API keys, please use GET to read or DELETE to revoke this key.'
+        res.status(405).end()
+    })
+
+export default router
@@ -8,7 +8,7 @@ import auth from '../auth/index.js'
 import rest from '../rest.js'
 
 router.route('/')
-    .put(auth.checkJwt, rest.verifyJsonContentType, controller.bulkUpdate)
+    .put(auth.checkJwt, auth.checkScope("rerum:update"), rest.verifyJsonContentType, controller.bulkUpdate)
     .all((req, res, next) => {
         res.statusMessage = 'Improper request method for creating, please use PUT.'
         res.status(405).end()
@@ -0,0 +1,21 @@
+#!/usr/bin/env node
+import express from 'express'
+const router = express.Router()
+//This controller will handle all MongoDB interactions.
+import controller from '../db-controller.js'
+
+router.route('/')
+    .get(controller.changeLog)
+    .all((req, res, next) => {
+        res.statusMessage = 'Improper request method for the change log, please use GET.'
+        res.status(405).end()
+    })
+
+router.route('/stream')
+    .get(controller.changeStream)
+    .all((req, res, next) => {
+        res.statusMessage = 'Improper request method for the change stream, please use GET.'
+        res.status(405).end()
+    })
+
+export default router
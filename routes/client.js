@@ -1,31 +1,42 @@
 import express from 'express'
 const router = express.Router()
 import auth from '../auth/index.js'
+import local from '../auth/local.js'
 import { getAgentClaim } from '../controllers/utils.js'
 
 router.get('/register', (req, res, next) => {
   //Register means register with the RERUM Server Auth0 client and get a new code for a refresh token.
   //See https://auth0.com/docs/libraries/custom-signup
+  //With LOCAL_ISSUER=true the development issuer stands in for Auth0 and gives the code.
+  //Ask for rerum: scopes like ?scope=rerum:create to get tokens that may only use those write routes.
       const params = new URLSearchParams({
           "audience":process.env.AUDIENCE,
-          "scope":"offline_access",
+          "scope":req.query.scope ? `offline_access ${req.query.scope}` : "offline_access",
           "response_type":"code",
           "client_id":process.env.CLIENT_ID,
           "redirect_uri":process.env.RERUM_PREFIX,
-          "state":"register"           
+          "state":"register"
       }).toString()
-      res.status(200).send(`https://cubap.auth0.com/authorize?${params}`)
+      const authorizeURL = local.isLocalIssuer() ? `${local.localIssuerURL()}authorize` : auth.auth0URL('authorize')
+      res.status(200).send(`${authorizeURL}?${params}`)
   })
 
 router.post('/request-new-access-token',auth.generateNewAccessToken)
 router.post('/request-new-refresh-token',auth.generateNewRefreshToken)
 
+// The development issuer.  These are only here when LOCAL_ISSUER=true.
+const localIssuerOnly = (req, res, next) => local.isLocalIssuer() ? next() : next('router')
+router.get('/authorize', localIssuerOnly, local.authorize)
+router.get('/jwks.json', localIssuerOnly, (req, res, next) => {
+  res.status(200).json(local.localJWKS())
+})
+
 // Verifies good tokens are from RERUM.  Fails with 401 on tokens from other platforms, or bad tokens in genreal.
 router.get('/verify', auth.checkJwt, (req, res, next) => {
   const generatorAgent = getAgentClaim(req, next)
   res.set("Content-Type", "text/plain")
   res.status(200)
-  res.send("The token was verified by Auth0")
+  res.send(`The token was verified by ${local.isLocalIssuer() ? "the local issuer" : "Auth0"}`)
 })
 
 export default router
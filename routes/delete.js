@@ -5,7 +5,7 @@ import { deleteObj } from '../controllers/delete.js'
 import auth from '../auth/index.js'
 
 router.route('/:_id')
-    .delete(auth.checkJwt, deleteObj)
+    .delete(auth.checkJwt, auth.checkScope("rerum:delete"), deleteObj)
     .all((req, res, next) => {
         res.statusMessage = 'Improper request method for deleting, please use DELETE.'
         res.status(405).end()
@@ -0,0 +1,13 @@
+import express from 'express'
+const router = express.Router()
+//This controller will handle all MongoDB interactions.
+import controller from '../db-controller.js'
+
+router.route('/')
+    .get(controller.deleted)
+    .all((req, res, next) => {
+        res.statusMessage = 'Improper request method for listing deleted objects, please use GET.'
+        res.status(405).end()
+    })
+
+export default router
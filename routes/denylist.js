@@ -0,0 +1,25 @@
+#!/usr/bin/env node
+import express from 'express'
+const router = express.Router()
+//This controller will handle all MongoDB interactions.
+import controller from '../db-controller.js'
+import auth from '../auth/index.js'
+import rest from '../rest.js'
+
+router.route('/')
+    .get(auth.checkJwt, auth.checkAdmin, controller.listDenylist)
+    .post(auth.checkJwt, auth.checkAdmin, rest.verifyJsonContentType, controller.addToDenylist)
+    .all((req, res, next) => {
+        res.statusMessage = 'Improper request method for the denylist, please use GET to list entries or POST to add one.'
+        res.status(405).end()
+    })
+
+router.route('/:_id')
+    .get(auth.checkJwt, auth.checkAdmin, controller.denylistEntry)
+    .delete(auth.checkJwt, auth.checkAdmin, controller.removeFromDenylist)
+    .all((req, res, next) => {
+        res.statusMessage = 'Improper request method for the denylist, please use GET to read or DELETE to remove this entry.'
+        res.status(405).end()
+    })
+
+export default router
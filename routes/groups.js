@@ -0,0 +1,25 @@
+#!/usr/bin/env node
+import express from 'express'
+const router = express.Router()
+//This controller will handle all MongoDB interactions.
+import controller from '../db-controller.js'
+import auth from '../auth/index.js'
+import rest from '../rest.js'
+
+router.route('/')
+    .get(controller.groups)
+    .post(auth.checkJwt, auth.checkScope("rerum:create"), rest.verifyJsonContentType, controller.createGroup)
+    .all((req, res, next) => {
+        res.statusMessage = 'Improper request method for groups, please use GET to list groups or POST to make one.'
+        res.status(405).end()
+    })
+
+router.route('/:_id')
+    .get(controller.group)
+    .put(auth.checkJwt, auth.checkScope("rerum:overwrite"), rest.verifyJsonContentType, controller.updateGroup)
+    .all((req, res, next) => {
+        res.statusMessage = 'Improper request method for groups, please use GET to read or PUT to change this group.'
+        res.status(405).end()
+    })
+
+export default router
@@ -0,0 +1,16 @@
+#!/usr/bin/env node
+import express from 'express'
+const router = express.Router()
+//This controller will handle all MongoDB interactions.
+import controller from '../db-controller.js'
+import auth from '../auth/index.js'
+
+router.route('/:_id')
+    .get(auth.checkJwt, auth.checkAdmin, controller.integrity)
+    .post(auth.checkJwt, auth.checkAdmin, controller.repairIntegrity)
+    .all((req, res, next) => {
+        res.statusMessage = 'Improper request method for history tree integrity, please use GET to check or POST to repair.'
+        res.status(405).end()
+    })
+
+export default router
@@ -0,0 +1,24 @@
+import express from 'express'
+const router = express.Router()
+import { contract, contractYAML } from '../openapi/index.js'
+
+router.route('/openapi.json')
+    .get((req, res, next) => {
+        res.json(contract)
+    })
+    .all((req, res, next) => {
+        res.statusMessage = 'Improper request method for the API contract, please use GET.'
+        res.status(405).end()
+    })
+
+router.route('/openapi.yaml')
+    .get((req, res, next) => {
+        res.type('application/yaml; charset=utf-8')
+        res.send(contractYAML)
+    })
+    .all((req, res, next) => {
+        res.statusMessage = 'Improper request method for the API contract, please use GET.'
+        res.status(405).end()
+    })
+
+export default router
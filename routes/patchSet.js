@@ -8,8 +8,8 @@ import rest from '../rest.js'
 const checkPatchOverride = rest.createPatchOverrideMiddleware('Improper request method for updating, please use PATCH to add new keys to this object.')
 
 router.route('/')
-    .patch(auth.checkJwt, rest.verifyJsonContentType, controller.patchSet)
-    .post(auth.checkJwt, rest.verifyJsonContentType, checkPatchOverride, controller.patchSet)
+    .patch(auth.checkJwt, auth.checkScope("rerum:update"), rest.verifyJsonContentType, controller.patchSet)
+    .post(auth.checkJwt, auth.checkScope("rerum:update"), rest.verifyJsonContentType, checkPatchOverride, controller.patchSet)
     .all((req, res, next) => {
         res.statusMessage = 'Improper request method for updating, please use PATCH to add new keys to this object.'
         res.status(405).end()
@@ -9,11 +9,19 @@ import auth from '../auth/index.js'
 const checkPatchOverride = rest.createPatchOverrideMiddleware('Improper request method for updating, please use PATCH to alter existing keys on this object.')
 
 router.route('/')
-	.patch(auth.checkJwt, rest.verifyJsonContentType, controller.patchUpdate)
-	.post(auth.checkJwt, rest.verifyJsonContentType, checkPatchOverride, controller.patchUpdate)
+	.patch(auth.checkJwt, auth.checkScope("rerum:update"), rest.verifyJsonContentType, controller.patchUpdate)
+	.post(auth.checkJwt, auth.checkScope("rerum:update"), rest.verifyJsonContentType, checkPatchOverride, controller.patchUpdate)
 	.all((req, res, next) => {
 		res.statusMessage = 'Improper request method for updating, please use PATCH to alter existing keys on this object.'
 		res.status(405).end()
 	})
 
+router.route('/:_id')
+	.patch(auth.checkJwt, auth.checkScope("rerum:update"), rest.verifyPatchContentType, controller.patchDocument)
+	.post(auth.checkJwt, auth.checkScope("rerum:update"), rest.verifyPatchContentType, checkPatchOverride, controller.patchDocument)
+	.all((req, res, next) => {
+		res.statusMessage = 'Improper request method for updating, please use PATCH with a JSON Patch or JSON Merge Patch on this object.'
+		res.status(405).end()
+	})
+
 export default router
@@ -7,7 +7,7 @@ import auth from '../auth/index.js'
 import rest from '../rest.js'
 
 router.route('/')
-    .put(auth.checkJwt, rest.verifyJsonContentType, controller.putUpdate)
+    .put(auth.checkJwt, auth.checkScope("rerum:update"), rest.verifyJsonContentType, controller.putUpdate)
     .all((req, res, next) => {
         res.statusMessage = 'Improper request method for updating, please use PUT to update this object.'
         res.status(405).end()
@@ -6,7 +6,7 @@ import controller from '../db-controller.js'
 import auth from '../auth/index.js'
 
 router.route('/:_id')
-    .patch(auth.checkJwt, controller.release)
+    .patch(auth.checkJwt, auth.checkScope("rerum:release"), controller.release)
     .all((req, res, next) => {
         res.statusMessage = 'Improper request method for releasing, please use PATCH to release this object.'
         res.status(405).end()
@@ -0,0 +1,14 @@
+import express from 'express'
+const router = express.Router()
+//This controller will handle all MongoDB interactions.
+import controller from '../db-controller.js'
+import auth from '../auth/index.js'
+
+router.route('/:_id')
+    .post(auth.checkJwt, auth.checkScope("rerum:delete"), controller.restore)
+    .all((req, res, next) => {
+        res.statusMessage = 'Improper request method for restoring, please use POST.'
+        res.status(405).end()
+    })
+
+export default router
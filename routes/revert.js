@@ -0,0 +1,15 @@
+#!/usr/bin/env node
+import express from 'express'
+const router = express.Router()
+//This controller will handle all MongoDB interactions.
+import controller from '../db-controller.js'
+import auth from '../auth/index.js'
+
+router.route('/:_id')
+    .post(auth.checkJwt, auth.checkScope("rerum:update"), controller.revert)
+    .all((req, res, next) => {
+        res.statusMessage = 'Improper request method for reverting, please use POST to revert this object.'
+        res.status(405).end()
+    })
+
+export default router
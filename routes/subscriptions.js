@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+import express from 'express'
+const router = express.Router()
+//This controller will handle all MongoDB interactions.
+import controller from '../db-controller.js'
+import auth from '../auth/index.js'
+import rest from '../rest.js'
+
+router.route('/')
+    .get(auth.checkJwt, controller.subscriptions)
+    .post(auth.checkJwt, auth.checkScope("rerum:create"), rest.verifyJsonContentType, controller.createSubscription)
+    .all((req, res, next) => {
+        res.statusMessage = 'Improper request method for subscriptions, please use GET to list your subscriptions or POST to make one.'
+        res.status(405).end()
+    })
+
+router.route('/:_id')
+    .get(auth.checkJwt, controller.subscription)
+    .delete(auth.checkJwt, auth.checkScope("rerum:delete"), controller.deleteSubscription)
+    .all((req, res, next) => {
+        res.statusMessage = 'Improper request method for subscriptions, please use GET to read or DELETE to stop this subscription.'
+        res.status(405).end()
+    })
+
+router.route('/:_id/deliveries')
+    .get(auth.checkJwt, controller.subscriptionDeliveries)
+    .all((req, res, next) => {
+        res.statusMessage = 'Improper request method for subscription deliveries, please use GET.'
+        res.status(405).end()
+    })
+
+export default router
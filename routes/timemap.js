@@ -0,0 +1,13 @@
+import express from 'express'
+const router = express.Router()
+//This controller will handle all MongoDB interactions.
+import controller from '../db-controller.js'
+
+router.route('/:_id')
+    .get(controller.timemap)
+    .all((req, res, next) => {
+        res.statusMessage = 'Improper request method, please use GET.'
+        res.status(405).end()
+    })
+
+export default router
@@ -0,0 +1,16 @@
+#!/usr/bin/env node
+import express from 'express'
+const router = express.Router()
+//This controller will handle all MongoDB interactions.
+import controller from '../db-controller.js'
+import auth from '../auth/index.js'
+import rest from '../rest.js'
+
+router.route('/')
+    .post(auth.checkJwt, auth.checkScope("rerum:overwrite"), rest.verifyJsonContentType, controller.transfer)
+    .all((req, res, next) => {
+        res.statusMessage = 'Improper request method for transferring, please use POST to give objects to another agent.'
+        res.status(405).end()
+    })
+
+export default router
@@ -7,6 +7,9 @@
  * @author thehabes 
  */
 
+import { createHash } from 'node:crypto'
+import http from 'node:http'
+
 /**
  * Add the __rerum properties object to a given JSONObject.If __rerum already exists, it will be overwritten because this method is only called on new objects. Properties for consideration are:
 APIversion        —1.1.0
@@ -94,6 +97,11 @@ const configureRerumOptions = function(generator, received, update, extUpdate){
     rerumOptions.history = history
     rerumOptions.releases = releases
     rerumOptions.generatedBy = generator
+    if(update && received_options.acl && generator === received_options.generatedBy){
+        //New versions by the same generator, or a member acting on behalf of the same group, keep the grants so collaborators can keep working on them.
+        //A version made by any other agent is their fork, and the grants of the original are not theirs to pass on.
+        rerumOptions.acl = received_options.acl
+    }
     configuredObject.__rerum = rerumOptions
     return configuredObject //The mongo save/update has not been called yet.  The object returned here will go into mongo.save or mongo.update
 }
@@ -126,6 +134,32 @@ const isGenerator = function(origObj, changeAgent){
     return generatingAgent === changeAgent
 }
 
+/**
+ * The rights the access control list of an object can grant.  __rerum.acl lists the agents granted each right like
+ * "acl": { "edit": ["https://store.rerum.io/v1/id/agent1"], "release": [], "delete": [] }
+ *  - edit     overwrite the object
+ *  - release  release the object
+ *  - delete   delete the object, and restore it once it is deleted
+ */
+const aclRights = ["edit", "release", "delete"]
+
+/**
+ * Check to see if the agent from the request may do something to the object in mongodb.
+ * The generating agent may do everything.  Other agents may do what __rerum.acl grants them.
+ * Members of a group may do what the group may do.
+ * @param origObj The object from mongodb.  For a deleted object use the object in __deleted.
+ * @param changeAgent The agent URI from the token.
+ * @param right One of aclRights.
+ * @param groups The URIs of the groups the agent is a member of, if they are known.
+ * return boolean
+ */
+const hasRight = function(origObj, changeAgent, right, groups = []){
+    const agents = [changeAgent, ...groups]
+    if (agents.some(agent => isGenerator(origObj, agent))) return true
+    const granted = origObj.__rerum?.acl?.[right]
+    return Array.isArray(granted) && agents.some(agent => granted.includes(agent))
+}
+
 /**
  * Mint the HTTP response headers required by REST best practices and/or Web Annotation standards.
  * return a JSON object.  keys are header names, values are header values.
@@ -203,6 +237,22 @@ const isContainerType = function(obj){
     //return knownContainerTypes.includes(typestring)
 }
 
+/**
+ * The IIIF Presentation API types that IIIF aggregators harvest through the IIIF Change Discovery API.
+ * A type matches only when it is exactly one of these names, the same name with the "sc:" prefix,
+ * or the name in the Presentation 2 namespace, like "http://iiif.io/api/presentation/2#Manifest".
+ */
+const iiifTypes = [
+    "Manifest",
+    "Collection",
+    "Canvas",
+    "Range",
+    "Sequence",
+    "AnnotationPage",
+    "AnnotationList",
+    "Layer"
+]
+
 /**
  * Check if this object is a Linked Data object.
  * If so, it will have an @context -(TODO) that resolves!
@@ -213,6 +263,18 @@ const isLD = function(obj){
     return Array.isArray(obj) ? false : obj["@context"] ? true : false
 }
 
+/**
+ * The agent URI of a user from a token or API key.  It is in the RERUM_AGENT_CLAIM, or in one of the claims older tokens used.
+ * Everything that needs to know the agent of a request reads it here, so they all agree on who it is.
+ * return the agent URI, or undefined when the user has none
+ */
+const agentOf = function(user){
+    const claimKeys = [process.env.RERUM_AGENT_CLAIM, "http://devstore.rerum.io/v1/agent", "http://store.rerum.io/agent"]
+    for (const claimKey of claimKeys) {
+        if (user?.[claimKey]) return user[claimKey]
+    }
+}
+
 /**
  * Mint the Last-Modified header for /v1/id/ responses.
  * It should be displayed like Mon, 14 Mar 2022 22:44:42 GMT
@@ -240,34 +302,116 @@ const configureLastModifiedHeader = function(obj){
     return {"Last-Modified":new Date(date).toUTCString()}
 }
 
+/**
+ * Mint a strong ETag for a document as it is stored in MongoDB, or for an Array of them.
+ * Any change to the stored document, including its __rerum, changes the ETag.
+ * return a JSON object.  keys are header names, values are header values.
+ */
+const configureETagHeader = function(obj){
+    return {"ETag": `"${createHash("sha256").update(JSON.stringify(obj)).digest("base64url")}"`}
+}
+
+/**
+ * Check the value of an If-Match header against a document as it is stored in MongoDB.
+ * No If-Match header is always satisfied.  Only strong comparison is allowed for If-Match, so weak ETags never match.
+ * return boolean
+ */
+const isIfMatchSatisfied = function(ifMatch, obj){
+    if(ifMatch === undefined) return true
+    const tags = ifMatch.split(",").map(tag => tag.trim())
+    return tags.includes("*") || tags.includes(configureETagHeader(obj).ETag)
+}
+
+/**
+ * The problem types RERUM reports in application/problem+json error responses, with their titles.
+ * The keys are part of the type URIs and are documented at API.html#problem-{key}.  Do not rename them.
+ * Errors without one of these types are reported as about:blank, which means the HTTP status says it all.
+ */
+const problemTypes = {
+    "deleted": "The object is deleted",
+    "released": "The object is released",
+    "not-generator": "The requesting agent is not the generator of the object and has not been granted the right",
+    "not-member": "The requesting agent is not a member of the group it acts on behalf of",
+    "insufficient-scope": "The token does not have the scope this action needs",
+    "suspended": "The requesting agent is suspended",
+    "id-conflict": "The id is already in use",
+    "overwrite-conflict": "The object was overwritten after the expected version",
+    "precondition-failed": "The object has changed since the ETag in If-Match",
+    "contract-violation": "The request does not match the API contract"
+}
+
 /**
  * Create a standardized Express error object from an error or error-like input.
  * Handles MongoDB duplicate key errors (code 11000) as 409 Conflict.
+ * An error may carry a problem like { type: "released", ...extension members } for application/problem+json responses.
  *
  * @param {Object} err - An error or object with statusCode/status and statusMessage/message properties
- * @return {Object} A normalized error object with statusCode and statusMessage
+ * @return {Object} A normalized error object with statusCode and statusMessage, and problem when there is one
  */
 function createExpressError(err) {
     let error = {
         statusCode: err.statusCode ?? err.status ?? 500,
         statusMessage: err.statusMessage ?? err.message ?? "There was an error that prevented this request from completing successfully."
     }
+    if (err.problem) {
+        error.problem = err.problem
+    }
     if (err.code === 11000) {
         error.statusMessage = `The id provided already exists.  Please use a different _id or Slug.`
         error.statusCode = 409
+        const [key, value] = Object.entries(err.keyValue ?? {})[0] ?? []
+        error.problem = { type: "id-conflict" }
+        if (value !== undefined) error.problem.conflictingId = key === "_id" ? process.env.RERUM_ID_PREFIX + value : value
     }
     return error
 }
 
+/**
+ * Whether the client asked for RFC 9457 application/problem+json errors over the plain text ones.
+ * Clients that do not name application/problem+json in their Accept header keep getting plain text.
+ * return boolean
+ */
+const prefersProblemDetails = function(req){
+    return req.accepts(["text/plain", "application/problem+json"]) === "application/problem+json"
+}
+
+/**
+ * Build the RFC 9457 problem details for an error made by createExpressError.
+ * @param {Object} error - Error object with statusCode, statusMessage and maybe problem properties
+ * @param {string} detail - The explanation of this occurrence of the problem
+ * @param {string} instance - A URI reference for this occurrence of the problem, like the request URL
+ * @return {Object} The problem details.  Extension members from error.problem are kept.
+ */
+const problemDetailsFor = function(error, detail, instance){
+    const { type, ...extensions } = error.problem ?? {}
+    const known = Object.hasOwn(problemTypes, type ?? "")
+    return {
+        type: known ? `${process.env.RERUM_PREFIX}API.html#problem-${type}` : "about:blank",
+        title: known ? problemTypes[type] : (http.STATUS_CODES[error.statusCode] ?? "Error"),
+        status: error.statusCode,
+        detail,
+        instance,
+        ...extensions
+    }
+}
+
 export default {
     configureRerumOptions,
     createExpressError,
     isDeleted,
     isReleased,
     isGenerator,
+    aclRights,
+    hasRight,
     configureWebAnnoHeadersFor,
     configureLDHeadersFor,
     isContainerType,
+    iiifTypes,
     isLD,
-    configureLastModifiedHeader
+    agentOf,
+    configureLastModifiedHeader,
+    configureETagHeader,
+    isIfMatchSatisfied,
+    prefersProblemDetails,
+    problemDetailsFor
 }